@@ -0,0 +1,750 @@
+/**
+ * Admin Handler
+ * Handles /kkadmin: karma grants and deductions, order overrides, player resets, redemption codes and campaigns,
+ * bonus odds and happy hours.
+ * Only Slack IDs in ADMIN_SLACK_IDS can use it (see utils/admin.js). Every attempt, allowed or not,
+ * is written to the adminAudit collection; `/kkadmin log` shows the latest entries.
+ */
+import { ORDER_STATUS, LEDGER_REASONS, MAX_BONUS_MULTIPLIER, DRINK_CATEGORIES, LOCATIONS } from '../utils/constants.js';
+import { getRepository } from '../utils/repository.js';
+import { isAdmin } from '../utils/admin.js';
+import { getConfig } from '../utils/config.js';
+import { getOfficeDate } from '../utils/office-clock.js';
+import { transitionOrder, OrderTransitionError } from '../lib/order-state-machine.js';
+import { formatOrderMessage } from '../lib/messages/order-message.js';
+import { deliverOrder } from './order-handler.js';
+import { isValidBonusTable, getStandingBonusTable, formatBonusTable, formatEventScope } from '../lib/bonus-events.js';
+
+const MAX_LOG_ENTRIES = 25;
+const MAX_BULK_CODES = 200;
+const MAX_LISTED_CODES = 30; // Past this, use export
+const MAX_REPORT_DAYS = 31; // Most recent days with redemptions shown in a campaign report
+const REPORT_BAR_WIDTH = 20;
+const GROUPED_ACTIONS = ['code', 'campaign', 'bonus', 'event']; // Two-word subcommands: 'code mint', 'campaign report'...
+const CODE_PATTERN = /^[A-Z0-9-]{3,32}$/;
+const CSV_COLUMNS = ['code', 'campaignId', 'karmaValue', 'maxRedemptions', 'perUserLimit', 'redeemedCount', 'activeFrom', 'expiresAt', 'deactivatedAt', 'createdBy', 'createdAt'];
+
+/**
+ * Pull a Slack user ID out of a command argument: an escaped mention (<@U123|name>) or a bare ID.
+ * @param {string} token
+ * @returns {string|null}
+ */
+function parseUserId(token = '') {
+  const mention = token.match(/^<@([UW][A-Z0-9]+)(?:\|[^>]*)?>$/);
+  if (mention) return mention[1];
+  return /^[UW][A-Z0-9]+$/.test(token) ? token : null;
+}
+
+/**
+ * @param {string} token
+ * @returns {number|null} - Positive whole number, or null.
+ */
+function parseAmount(token = '') {
+  return /^\d+$/.test(token) && Number(token) > 0 ? Number(token) : null;
+}
+
+// "<@U123> 5 reason words" -> { targetId, amount, note }
+const parsePlayerAmountNote = ([user, amount, ...note]) => {
+  const targetId = parseUserId(user);
+  const parsedAmount = parseAmount(amount);
+  const noteText = note.join(' ').trim();
+  if (!targetId || !parsedAmount || !noteText) throw new Error('USAGE');
+  return { targetId, amount: parsedAmount, note: noteText };
+};
+
+/**
+ * Parse a time: relative to now ('90m', '12h', '7d') or anything Date understands ('2025-12-31' is midnight UTC).
+ * @param {string} value
+ * @param {number} [nowMs=Date.now()]
+ * @returns {Date|null} - null if it can't be read.
+ */
+function parseTime(value, nowMs = Date.now()) {
+  const relative = value.match(/^(\d+)([mhd])$/);
+  const time = relative
+    ? new Date(nowMs + Number(relative[1]) * { m: 60000, h: 3600000, d: 86400000 }[relative[2]])
+    : new Date(value);
+  return Number.isNaN(time.getTime()) ? null : time;
+}
+
+/**
+ * @param {string} value - See parseTime.
+ * @param {number} [nowMs=Date.now()]
+ * @returns {Date|null} - null if it can't be read or isn't in the future.
+ */
+function parseExpiry(value, nowMs = Date.now()) {
+  const expiresAt = parseTime(value, nowMs);
+  return expiresAt && expiresAt.getTime() > nowMs ? expiresAt : null;
+}
+
+/**
+ * Parse code options (key=value words): code, prefix, campaign, max, per-user, expires.
+ * @param {Array<string>} tokens
+ * @returns {object} - { code, prefix, campaignId, maxRedemptions, perUserLimit, expiresAt }
+ * @throws {Error} USAGE on an unknown key or a bad value.
+ */
+function parseCodeOptions(tokens) {
+  const options = { code: null, prefix: 'KK', campaignId: null, maxRedemptions: 1, perUserLimit: 1, expiresAt: null };
+  for (const token of tokens) {
+    const [key, value = ''] = token.split('=');
+    if (key === 'campaign') {
+      if (!CODE_PATTERN.test(value.toUpperCase())) throw new Error('USAGE');
+      options.campaignId = value.toUpperCase();
+    } else if (key === 'code' || key === 'prefix') {
+      if (!CODE_PATTERN.test(value.toUpperCase())) throw new Error('USAGE');
+      options[key] = value.toUpperCase();
+    } else if (key === 'max' || key === 'per-user') {
+      const number = parseAmount(value);
+      if (!number) throw new Error('USAGE');
+      options[key === 'max' ? 'maxRedemptions' : 'perUserLimit'] = number;
+    } else if (key === 'expires') {
+      options.expiresAt = parseExpiry(value);
+      if (!options.expiresAt) throw new Error('USAGE');
+    } else {
+      throw new Error('USAGE');
+    }
+  }
+  return options;
+}
+
+/**
+ * Parse "<ID> [budget=N] [per-user=N] [starts=..] [ends=..] <name words>" for campaign create.
+ * @param {Array<string>} tokens
+ * @returns {object} - { campaignId, name, budget, perUserLimit, startsAt, endsAt }
+ * @throws {Error} USAGE on an unknown key, a bad value or a window that ends before it starts.
+ */
+function parseCampaignArgs([campaignId = '', ...tokens]) {
+  if (!CODE_PATTERN.test(campaignId.toUpperCase())) throw new Error('USAGE');
+  const campaign = { campaignId: campaignId.toUpperCase(), budget: null, perUserLimit: null, startsAt: null, endsAt: null };
+  const nameWords = [];
+  for (const token of tokens) {
+    const [key, value] = token.split('=');
+    if (value === undefined) {
+      nameWords.push(token);
+    } else if (key === 'budget' || key === 'per-user') {
+      const number = parseAmount(value);
+      if (!number) throw new Error('USAGE');
+      campaign[key === 'budget' ? 'budget' : 'perUserLimit'] = number;
+    } else if (key === 'starts') {
+      campaign.startsAt = parseTime(value);
+      if (!campaign.startsAt) throw new Error('USAGE');
+    } else if (key === 'ends') {
+      campaign.endsAt = parseExpiry(value);
+      if (!campaign.endsAt) throw new Error('USAGE');
+    } else {
+      throw new Error('USAGE');
+    }
+  }
+  if (campaign.startsAt && campaign.endsAt && campaign.endsAt <= campaign.startsAt) throw new Error('USAGE');
+  return { ...campaign, name: nameWords.join(' ') || campaign.campaignId };
+}
+
+/**
+ * Read a bonus-table row: '3x=10' or '3x=10%' -> { multiplier: 3, chance: 0.1 }.
+ * @param {string} token
+ * @returns {object|null} - null if the token isn't a row.
+ */
+function parseBonusRow(token) {
+  const row = token.toLowerCase().match(/^(\d+)x=(\d+(?:\.\d+)?)%?$/);
+  return row ? { multiplier: Number(row[1]), chance: Number(row[2]) / 100 } : null;
+}
+
+/**
+ * Parse "<ID> [starts=..] ends=.. 3x=25 2x=25 [category=ESPRESSO,TEA] [location=4a,the_lookout] <name>" for event create.
+ * @param {Array<string>} tokens
+ * @returns {object} - { eventId, name, table, categories, locations, startsAt, endsAt }
+ * @throws {Error} USAGE on an unknown key, a bad value, a bad table or a window that ends before it starts.
+ */
+function parseBonusEventArgs([eventId = '', ...tokens]) {
+  if (!CODE_PATTERN.test(eventId.toUpperCase())) throw new Error('USAGE');
+  const event = { eventId: eventId.toUpperCase(), table: [], categories: [], locations: [], startsAt: new Date(), endsAt: null };
+  const nameWords = [];
+  for (const token of tokens) {
+    const [key, value] = token.split('=');
+    const row = parseBonusRow(token);
+    if (row) {
+      event.table.push(row);
+    } else if (value === undefined) {
+      nameWords.push(token);
+    } else if (key === 'starts') {
+      event.startsAt = parseTime(value);
+      if (!event.startsAt) throw new Error('USAGE');
+    } else if (key === 'ends') {
+      event.endsAt = parseExpiry(value);
+      if (!event.endsAt) throw new Error('USAGE');
+    } else if (key === 'category') {
+      event.categories = value.toUpperCase().split(',').filter(Boolean);
+      if (!event.categories.length || !event.categories.every(category => DRINK_CATEGORIES[category])) throw new Error('USAGE');
+    } else if (key === 'location') {
+      event.locations = value.toLowerCase().split(',').filter(Boolean);
+      if (!event.locations.length || !event.locations.every(location => LOCATIONS[location])) throw new Error('USAGE');
+    } else {
+      throw new Error('USAGE');
+    }
+  }
+  if (!event.endsAt || event.endsAt <= event.startsAt || !isValidBonusTable(event.table)) throw new Error('USAGE');
+  return { ...event, name: nameWords.join(' ') || event.eventId };
+}
+
+/**
+ * @param {object|null} timestamp - Firestore Timestamp.
+ * @returns {string} - ISO string, or '' if unset.
+ */
+const toIso = (timestamp) => (timestamp?.toDate ? timestamp.toDate().toISOString() : '');
+
+/**
+ * @param {Array<object>} codeList - Codes from codes.list().
+ * @returns {string} - CSV with a header row.
+ */
+function formatCodesCsv(codeList) {
+  const escape = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const rows = codeList.map(codeData => CSV_COLUMNS.map(column => {
+    const value = codeData[column];
+    return escape(value?.toDate ? toIso(value) : value ?? (column === 'redeemedCount' ? 0 : ''));
+  }).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\n');
+}
+
+/**
+ * Drop a CSV into the admin's DM with the bot.
+ * Needs the files:write and im:write scopes.
+ */
+async function uploadCsv(client, adminId, filename, csv) {
+  const { channel } = await client.conversations.open({ users: adminId });
+  await client.files.uploadV2({ channel_id: channel.id, filename, title: filename, content: csv });
+}
+
+/**
+ * @param {object} codeData - Code from codes.list().
+ * @returns {string} - One line for the list reply.
+ */
+function formatCodeLine(codeData) {
+  const expiry = codeData.expiresAt?.toMillis
+    ? `expires <!date^${Math.floor(codeData.expiresAt.toMillis() / 1000)}^{date_short}|${toIso(codeData.expiresAt)}>`
+    : 'no expiry';
+  return `\`${codeData.code}\` ${codeData.karmaValue} ⚡ — ${codeData.redeemedCount || 0}/${codeData.maxRedemptions} redeemed — ${expiry}`;
+}
+
+/**
+ * @param {object|null} timestamp - Firestore Timestamp.
+ * @returns {string} - Office date (YYYY-MM-DD), or '' if unset.
+ */
+const toOfficeDate = (timestamp) => (timestamp?.toDate ? getOfficeDate(timestamp.toDate()) : '');
+
+/**
+ * @param {object} campaign - Campaign from campaigns.list() or campaigns.get().
+ * @returns {string} - One line: name, window, budget and redemptions.
+ */
+function formatCampaignLine(campaign) {
+  const window = campaign.startsAt || campaign.endsAt
+    ? `${toOfficeDate(campaign.startsAt) || 'now'} → ${toOfficeDate(campaign.endsAt) || 'open'}`
+    : 'always on';
+  const budget = campaign.budget ? `${campaign.karmaRedeemed || 0}/${campaign.budget} ⚡` : `${campaign.karmaRedeemed || 0} ⚡ (no cap)`;
+  return `\`${campaign.id}\` *${campaign.name}* — ${window} — ${budget} — ${campaign.redemptionCount || 0} redeemed`;
+}
+
+/**
+ * @param {object} event - Bonus event from bonusEvents.list().
+ * @param {number} [nowMs=Date.now()]
+ * @returns {string} - One line: status, name, window, odds and scope.
+ */
+function formatBonusEventLine(event, nowMs = Date.now()) {
+  const status = event.endsAt.toMillis() <= nowMs ? 'over' : event.startsAt.toMillis() <= nowMs ? '*LIVE*' : 'upcoming';
+  const slackDate = (timestamp) => `<!date^${Math.floor(timestamp.toMillis() / 1000)}^{date_short} {time}|${toIso(timestamp)}>`;
+  return `\`${event.id}\` ${status} *${event.name}* — ${slackDate(event.startsAt)} → ${slackDate(event.endsAt)} — ${formatBonusTable(event.table)} on ${formatEventScope(event)}`;
+}
+
+/**
+ * Redemptions per office day, as a bar chart.
+ * @param {object} report - From campaigns.report().
+ * @returns {string}
+ */
+function formatCampaignReport({ campaign, codeCount, redemptions }) {
+  const days = new Map(); // YYYY-MM-DD -> { count, karma }
+  for (const redemption of redemptions) {
+    const day = toOfficeDate(redemption.timestamp) || 'unknown';
+    const totals = days.get(day) || { count: 0, karma: 0 };
+    days.set(day, { count: totals.count + 1, karma: totals.karma + redemption.karmaValue });
+  }
+  const shownDays = [...days].slice(-MAX_REPORT_DAYS);
+  const busiest = Math.max(1, ...shownDays.map(([, totals]) => totals.count));
+  const lines = shownDays.map(([day, { count, karma }]) =>
+    `\`${day}\` ${'▇'.repeat(Math.max(1, Math.round((count / busiest) * REPORT_BAR_WIDTH)))} ${count} (${karma} ⚡)`);
+  const redeemerCount = new Set(redemptions.map(redemption => redemption.userId)).size;
+  return [
+    `*CAMPAIGN REPORT*`,
+    formatCampaignLine(campaign),
+    `${codeCount} code${codeCount === 1 ? '' : 's'}, ${redemptions.length} redemptions by ${redeemerCount} player${redeemerCount === 1 ? '' : 's'}${campaign.perUserLimit ? ` (max ${campaign.perUserLimit} each)` : ''}.`,
+    ...(lines.length ? lines : ['No redemptions yet.']),
+    ...(days.size > MAX_REPORT_DAYS ? [`(last ${MAX_REPORT_DAYS} of ${days.size} days)`] : [])
+  ].join('\n');
+}
+
+/**
+ * Fail before minting if the campaign a code is meant for doesn't exist.
+ * @param {string|null} campaignId
+ * @throws {Error} CAMPAIGN_NOT_FOUND
+ */
+async function requireCampaign(campaignId) {
+  if (campaignId && !(await getRepository().campaigns.get(campaignId))) throw new Error('CAMPAIGN_NOT_FOUND');
+}
+
+// "<orderId> [reason words]" -> { orderId, note }
+const parseOrderNote = ([orderId, ...note]) => {
+  if (!orderId) throw new Error('USAGE');
+  return { orderId, note: note.join(' ').trim() || null };
+};
+
+/**
+ * Fire-and-forget DM; a player with DMs closed shouldn't fail the admin action.
+ */
+function notifyPlayer(client, logger, userId, text) {
+  if (!userId) return;
+  client.chat.postMessage({
+    channel: userId,
+    text,
+    blocks: [{ type: 'section', text: { type: 'mrkdwn', text } }]
+  }).catch(dmError => logger.error(`[kkadmin] Failed to DM ${userId}:`, dmError));
+}
+
+/**
+ * Subcommands. parse(args) turns the words after the subcommand into params (throw USAGE if they
+ * don't fit); run(params, ctx) does the work and returns the confirmation text for the admin, or
+ * { text, details } to keep extra details in the audit entry.
+ * Throw an Error whose message is a code from ADMIN_ERROR_MESSAGES to reject.
+ */
+const ADMIN_ACTIONS = {
+  grant: {
+    usage: '/kkadmin grant @user <amount> <reason>',
+    parse: parsePlayerAmountNote,
+    async run({ targetId, amount, note }, { adminId, client, logger }) {
+      const karmaAfter = await getRepository().players.adjustKarma(targetId, amount, {
+        reason: LEDGER_REASONS.ADMIN_GRANT,
+        actorId: adminId,
+        note
+      });
+      notifyPlayer(client, logger, targetId, `⚡ +${amount} Karma from the house: ${note}\nbalance: \`${karmaAfter}\``);
+      return `✔ +${amount} ⚡ → <@${targetId}>. balance: ${karmaAfter}.`;
+    }
+  },
+  deduct: {
+    usage: '/kkadmin deduct @user <amount> <reason>',
+    parse: parsePlayerAmountNote,
+    async run({ targetId, amount, note }, { adminId, client, logger }) {
+      const karmaAfter = await getRepository().players.adjustKarma(targetId, -amount, {
+        reason: LEDGER_REASONS.ADMIN_DEDUCT,
+        actorId: adminId,
+        note
+      }, { minBalance: 0 });
+      notifyPlayer(client, logger, targetId, `⚡ -${amount} Karma, taken by the house: ${note}\nbalance: \`${karmaAfter}\``);
+      return `✔ -${amount} ⚡ from <@${targetId}>. balance: ${karmaAfter}.`;
+    }
+  },
+  refund: {
+    usage: '/kkadmin refund <orderId> [reason]',
+    parse: parseOrderNote,
+    async run({ orderId, note }, { adminId, client, logger }) {
+      const { orderData, refundAmount, karmaAfter } = await transitionOrder(orderId, 'admin_refund', { actorId: adminId, note });
+      if (refundAmount > 0) {
+        notifyPlayer(client, logger, orderData.requesterId, `↺ REFUND: your order (\`${orderData.drink || 'drink'}\`)\n+${refundAmount} Karma back. balance: \`${karmaAfter ?? '???'}\``);
+      }
+      return `✔ Refunded ${refundAmount} ⚡ to <@${orderData.requesterId}> for \`${orderId}\`.`;
+    }
+  },
+  expire: {
+    usage: '/kkadmin expire <orderId> [reason]',
+    parse: parseOrderNote,
+    async run({ orderId, note }, { adminId, client, logger }) {
+      const { orderData, fromStatus, refundAmount, karmaAfter } = await transitionOrder(orderId, 'admin_expire', { actorId: adminId, note });
+      if (orderData.slackChannelId && orderData.slackMessageTs) {
+        await client.chat.update({
+          channel: orderData.slackChannelId,
+          ts: orderData.slackMessageTs,
+          blocks: [],
+          text: `✖ Killed by an admin.${refundAmount > 0 ? ' Karma refunded.' : ''}`
+        }).catch(updateError => logger.error(`[kkadmin] Failed to update message for expired order ${orderId}:`, updateError));
+      }
+      if (refundAmount > 0) {
+        notifyPlayer(client, logger, orderData.requesterId, `✖ ORDER scrapped by an admin.\n${refundAmount} Karma refunded. balance: ${karmaAfter ?? '???'}`);
+      }
+      if (fromStatus === ORDER_STATUS.CLAIMED) {
+        notifyPlayer(client, logger, orderData.runnerId, `⚠ an admin pulled an order you were running (\`${orderData.drink || 'drink'}\`). stand down.`);
+      }
+      return `✔ Expired \`${orderId}\` (was ${fromStatus}). Refunded ${refundAmount} ⚡.`;
+    }
+  },
+  deliver: {
+    usage: '/kkadmin deliver <orderId> [reason]',
+    parse: parseOrderNote,
+    async run({ orderId, note }, { adminId, client, logger }) {
+      const { orderData, earnedKarma } = await deliverOrder(orderId, adminId, client, logger, { asAdmin: true, note });
+      return `✔ Delivered \`${orderId}\` for <@${orderData.runnerId}> (+${earnedKarma} ⚡).`;
+    }
+  },
+  reopen: {
+    usage: '/kkadmin reopen <orderId> [reason]',
+    parse: parseOrderNote,
+    async run({ orderId, note }, { adminId, client, logger }) {
+      const { orderData, chargedKarma, karmaAfter } = await transitionOrder(orderId, 'reopen', { actorId: adminId, note })
+        .catch((error) => {
+          // The requester pays again, not the admin; say whose balance came up short
+          if (error.code !== 'INSUFFICIENT_KARMA') throw error;
+          const { transition, fromStatus, orderData, currentKarma, karmaCost } = error;
+          throw new OrderTransitionError('REOPEN_INSUFFICIENT_KARMA', { transition, orderId, fromStatus, orderData, currentKarma, karmaCost });
+        });
+      // The old message says it was cancelled; post the order fresh
+      const channelId = orderData.slackChannelId || getConfig('KOFFEE_KARMA_CHANNEL_ID');
+      const messagePayload = formatOrderMessage({ ...orderData, orderId, startTimestamp: orderData.createdAt });
+      const postResult = await client.chat.postMessage({
+        channel: channelId,
+        blocks: messagePayload.blocks,
+        text: messagePayload.text
+      });
+      await getRepository().orders.update(orderId, { slackMessageTs: postResult.ts, slackChannelId: postResult.channel });
+      notifyPlayer(client, logger, orderData.requesterId, `↻ Your order is back up in <#${postResult.channel}>.\n${chargedKarma} Karma charged. balance: \`${karmaAfter}\``);
+      return `✔ Reopened \`${orderId}\`. Charged <@${orderData.requesterId}> ${chargedKarma} ⚡.`;
+    }
+  },
+  reset: {
+    usage: '/kkadmin reset @user <reason>',
+    parse: ([user, ...note]) => {
+      const targetId = parseUserId(user);
+      const noteText = note.join(' ').trim();
+      if (!targetId || !noteText) throw new Error('USAGE');
+      return { targetId, note: noteText };
+    },
+    async run({ targetId, note }, { adminId, client, logger }) {
+      const { karmaBefore, reputationBefore } = await getRepository().players.reset(targetId, { actorId: adminId, note });
+      notifyPlayer(client, logger, targetId, `✖ Your Karma and rep were wiped by the house: ${note}\nback to zero.`);
+      return `✔ Reset <@${targetId}> (was ${karmaBefore} ⚡, ${reputationBefore} rep).`;
+    }
+  },
+
+  // --- Redemption codes ---
+  'code mint': {
+    usage: '/kkadmin code mint <karma> [code=NAME] [campaign=ID] [max=N] [per-user=N] [expires=7d|2025-12-31]',
+    parse: ([value, ...options]) => {
+      const amount = parseAmount(value);
+      if (!amount) throw new Error('USAGE');
+      return { amount, ...parseCodeOptions(options) };
+    },
+    async run({ amount, code, prefix, campaignId, maxRedemptions, perUserLimit, expiresAt }, { adminId }) {
+      await requireCampaign(campaignId);
+      const details = { karmaValue: amount, maxRedemptions, perUserLimit, expiresAt, createdBy: adminId, ...(campaignId && { campaignId }) };
+      const { codes } = getRepository();
+      const minted = code ? await codes.create(code, details) : await codes.mint(details, { prefix });
+      return {
+        text: `✔ Minted \`${minted}\`: ${amount} ⚡, ${maxRedemptions} redemption${maxRedemptions === 1 ? '' : 's'}${expiresAt ? `, expires ${expiresAt.toISOString()}` : ''}${campaignId ? `, campaign \`${campaignId}\`` : ''}.`,
+        details: { codes: [minted] }
+      };
+    }
+  },
+  'code bulk': {
+    usage: `/kkadmin code bulk <count (max ${MAX_BULK_CODES})> <karma> [prefix=NAME] [campaign=ID] [max=N] [per-user=N] [expires=7d|2025-12-31]`,
+    parse: ([count, value, ...options]) => {
+      const codeCount = parseAmount(count);
+      const amount = parseAmount(value);
+      if (!codeCount || codeCount > MAX_BULK_CODES || !amount) throw new Error('USAGE');
+      const parsed = parseCodeOptions(options);
+      if (parsed.code) throw new Error('USAGE'); // Names are generated in bulk
+      return { codeCount, amount, ...parsed };
+    },
+    async run({ codeCount, amount, prefix, campaignId, maxRedemptions, perUserLimit, expiresAt }, { adminId, client, logger }) {
+      await requireCampaign(campaignId);
+      const details = { karmaValue: amount, maxRedemptions, perUserLimit, expiresAt, createdBy: adminId, ...(campaignId && { campaignId }) };
+      const mintedCodes = await getRepository().codes.mintMany(codeCount, details, { prefix });
+      const minted = mintedCodes.map(codeData => codeData.code);
+      const mintedText = `✔ Minted ${minted.length} codes worth ${amount} ⚡ each.`;
+      try {
+        await uploadCsv(client, adminId, `codes-${prefix.toLowerCase()}-${Date.now()}.csv`, formatCodesCsv(mintedCodes));
+      } catch (uploadError) {
+        // The codes are live either way: hand them over here instead
+        logger.error(`[kkadmin] CSV upload for ${minted.length} minted codes failed:`, uploadError);
+        return {
+          text: `${mintedText} CSV upload failed (${uploadError.data?.error || uploadError.message}), so here they are:\n${minted.map(code => `\`${code}\``).join(' ')}\n\`/kkadmin code list\` has them too.`,
+          details: { codes: minted, csvUploadError: uploadError.data?.error || uploadError.message }
+        };
+      }
+      return {
+        text: `${mintedText} CSV's in your DMs.`,
+        details: { codes: minted }
+      };
+    }
+  },
+  'code list': {
+    usage: '/kkadmin code list',
+    parse: () => ({}),
+    async run() {
+      const live = await getRepository().codes.list();
+      if (live.length === 0) return 'No live codes.';
+      const lines = live.slice(0, MAX_LISTED_CODES).map(formatCodeLine);
+      if (live.length > MAX_LISTED_CODES) lines.push(`…and ${live.length - MAX_LISTED_CODES} more. \`/kkadmin code export\` for all of them.`);
+      return [`*LIVE CODES* (${live.length})`, ...lines].join('\n');
+    }
+  },
+  'code deactivate': {
+    usage: '/kkadmin code deactivate <CODE>',
+    parse: ([code = '']) => {
+      if (!CODE_PATTERN.test(code.toUpperCase())) throw new Error('USAGE');
+      return { code: code.toUpperCase() };
+    },
+    async run({ code }, { adminId }) {
+      await getRepository().codes.deactivate(code, adminId);
+      return { text: `✔ \`${code}\` is dead. Past redemptions stand.`, details: { codes: [code] } };
+    }
+  },
+  'code export': {
+    usage: '/kkadmin code export [all]',
+    parse: ([scope = '']) => {
+      if (scope && scope.toLowerCase() !== 'all') throw new Error('USAGE');
+      return { includeInactive: Boolean(scope) };
+    },
+    async run({ includeInactive }, { adminId, client }) {
+      const codeList = await getRepository().codes.list({ includeInactive });
+      await uploadCsv(client, adminId, `codes-${includeInactive ? 'all' : 'live'}-${Date.now()}.csv`, formatCodesCsv(codeList));
+      return `✔ ${codeList.length} ${includeInactive ? '' : 'live '}codes exported. CSV's in your DMs.`;
+    }
+  },
+
+  // --- Redemption campaigns ---
+  'campaign create': {
+    usage: '/kkadmin campaign create <ID> [budget=N] [per-user=N] [starts=1d|2025-12-01] [ends=7d|2025-12-31] <name>',
+    parse: parseCampaignArgs,
+    async run({ campaignId, name, budget, perUserLimit, startsAt, endsAt }, { adminId }) {
+      await getRepository().campaigns.create(campaignId, { name, budget, perUserLimit, startsAt, endsAt, createdBy: adminId });
+      return `✔ Campaign \`${campaignId}\` (*${name}*) is up. Mint codes into it with \`campaign=${campaignId}\`.`;
+    }
+  },
+  'campaign list': {
+    usage: '/kkadmin campaign list',
+    parse: () => ({}),
+    async run() {
+      const campaignList = await getRepository().campaigns.list();
+      if (campaignList.length === 0) return 'No campaigns.';
+      return ['*CAMPAIGNS*', ...campaignList.map(formatCampaignLine)].join('\n');
+    }
+  },
+  'campaign report': {
+    usage: '/kkadmin campaign report <ID>',
+    parse: ([campaignId = '']) => {
+      if (!CODE_PATTERN.test(campaignId.toUpperCase())) throw new Error('USAGE');
+      return { campaignId: campaignId.toUpperCase() };
+    },
+    async run({ campaignId }) {
+      return formatCampaignReport(await getRepository().campaigns.report(campaignId));
+    }
+  },
+
+  // --- Bonus odds and happy hours (see lib/bonus-events.js) ---
+  'bonus odds': {
+    usage: '/kkadmin bonus odds',
+    parse: () => ({}),
+    async run() {
+      const { config, bonusEvents } = getRepository();
+      const [appSettings, liveEvents] = await Promise.all([config.get(), bonusEvents.listLive()]);
+      return [
+        `*BONUS ODDS*: ${formatBonusTable(getStandingBonusTable(appSettings))}${isValidBonusTable(appSettings.bonusTable) ? '' : ' (default)'}`,
+        ...(liveEvents.length ? liveEvents.map(event => formatBonusEventLine(event)) : ['No happy hour running.'])
+      ].join('\n');
+    }
+  },
+  'bonus set': {
+    usage: `/kkadmin bonus set <multiplier>x=<percent> ... (e.g. 3x=10 2x=10; 2x-${MAX_BONUS_MULTIPLIER}x, 100% max in total)`,
+    parse: (tokens) => {
+      const table = tokens.map(parseBonusRow);
+      if (!table.every(Boolean) || !isValidBonusTable(table)) throw new Error('USAGE');
+      return { table };
+    },
+    async run({ table }) {
+      await getRepository().config.update({ bonusTable: table });
+      return { text: `✔ Bonus odds are now ${formatBonusTable(table)}.`, details: { bonusTable: table } };
+    }
+  },
+  'bonus reset': {
+    usage: '/kkadmin bonus reset',
+    parse: () => ({}),
+    async run() {
+      await getRepository().config.update({ bonusTable: null });
+      return `✔ Bonus odds back to the default: ${formatBonusTable(getStandingBonusTable({}))}.`;
+    }
+  },
+  'event create': {
+    usage: '/kkadmin event create <ID> [starts=30m|2025-06-06T21:00Z] ends=2h|2025-06-06T23:00Z 3x=25 2x=25 [category=ESPRESSO,TEA] [location=4a,the_lookout] <name>',
+    parse: parseBonusEventArgs,
+    async run({ eventId, name, table, categories, locations, startsAt, endsAt }, { adminId }) {
+      await getRepository().bonusEvents.create(eventId, { name, table, categories, locations, startsAt, endsAt, createdBy: adminId });
+      const when = startsAt.getTime() <= Date.now() ? 'Live now' : `Starts ${startsAt.toISOString()}`;
+      return {
+        text: `✔ Happy hour \`${eventId}\` (*${name}*): ${formatBonusTable(table)} on ${formatEventScope({ categories, locations })}. ${when}, ends ${endsAt.toISOString()}. Banner goes up in the channel when it starts.`,
+        details: { eventId, bonusTable: table }
+      };
+    }
+  },
+  'event list': {
+    usage: '/kkadmin event list',
+    parse: () => ({}),
+    async run() {
+      const eventList = await getRepository().bonusEvents.list();
+      if (eventList.length === 0) return 'No happy hours.';
+      return ['*HAPPY HOURS*', ...eventList.map(event => formatBonusEventLine(event))].join('\n');
+    }
+  },
+  'event end': {
+    usage: '/kkadmin event end <ID>',
+    parse: ([eventId = '']) => {
+      if (!CODE_PATTERN.test(eventId.toUpperCase())) throw new Error('USAGE');
+      return { eventId: eventId.toUpperCase() };
+    },
+    async run({ eventId }, { adminId }) {
+      await getRepository().bonusEvents.end(eventId, adminId);
+      return { text: `✔ Happy hour \`${eventId}\` is over. Odds back to normal.`, details: { eventId } };
+    }
+  }
+};
+
+const ADMIN_ERROR_MESSAGES = {
+  PLAYER_NOT_FOUND: 'No such player. They need to use the app first.',
+  INSUFFICIENT_KARMA: 'Not enough Karma to take. Balance can\'t go below zero.',
+  REOPEN_INSUFFICIENT_KARMA: (error) => `<@${error.orderData.requesterId}> can't cover the ${error.karmaCost} ⚡ to reopen it. balance: ${error.currentKarma}.`,
+  ORDER_NOT_FOUND: 'No order with that ID.',
+  ORDER_NOT_ACTIVE: 'Only ordered or claimed orders can be expired.',
+  ORDER_NOT_CLAIMED: 'Only claimed orders can be delivered.',
+  ORDER_NOT_DELIVERED: 'Only delivered orders can be refunded. Expire live ones instead.',
+  ALREADY_REFUNDED: 'Already refunded.',
+  ORDER_NOT_CANCELLED: 'Only cancelled orders can be reopened.',
+  NOT_AN_ORDER: 'That\'s a runner offer, not an order.',
+  RUNNER_NOT_FOUND: 'Runner profile not found.',
+  REQUESTER_NOT_FOUND: 'Requester profile not found.',
+  CODE_EXISTS: 'Code name taken. Pick another.',
+  CODE_NOT_FOUND: 'No such code.',
+  CODE_DEACTIVATED: 'Code is already dead.',
+  CAMPAIGN_EXISTS: 'Campaign ID taken. Pick another.',
+  CAMPAIGN_NOT_FOUND: 'No such campaign. `/kkadmin campaign list` to see them.',
+  BONUS_EVENT_EXISTS: 'Happy hour ID taken. Pick another.',
+  BONUS_EVENT_NOT_FOUND: 'No such happy hour. `/kkadmin event list` to see them.',
+  BONUS_EVENT_OVER: 'That happy hour is already over.',
+  NOT_AN_ADMIN: 'Admins only.'
+};
+
+/**
+ * @returns {string} - Every subcommand's usage line.
+ */
+function formatAdminHelp() {
+  return [
+    '*KKADMIN*',
+    ...Object.values(ADMIN_ACTIONS).map(action => `\`${action.usage}\``),
+    `\`/kkadmin log [count]\` (last ${MAX_LOG_ENTRIES} max)`
+  ].join('\n');
+}
+
+/**
+ * @param {Array<object>} entries - Audit entries, newest first.
+ * @returns {string}
+ */
+function formatAuditLog(entries) {
+  if (entries.length === 0) return 'Audit log is empty.';
+  const lines = entries.map(entry => {
+    const when = entry.createdAt?.toMillis ? `<!date^${Math.floor(entry.createdAt.toMillis() / 1000)}^{date_short} {time}|${entry.createdAt.toDate().toISOString()}>` : '?';
+    const target = [entry.targetId && `<@${entry.targetId}>`, entry.orderId && `\`${entry.orderId}\``, entry.amount && `${entry.amount} ⚡`].filter(Boolean).join(' ');
+    const outcome = entry.outcome === 'ok' ? '' : ` — ${entry.outcome}${entry.error ? ` (${entry.error})` : ''}`;
+    return `${when} <@${entry.adminId}> *${entry.action}* ${target}${entry.note ? ` "${entry.note}"` : ''}${outcome}`;
+  });
+  return ['*AUDIT LOG*', ...lines].join('\n');
+}
+
+/**
+ * Write the audit entry for an attempt. Logged, never thrown: the action itself already happened (or didn't).
+ */
+async function recordAudit(entry, logger) {
+  try {
+    await getRepository().audit.record(entry);
+  } catch (auditError) {
+    logger.error(`[kkadmin] Failed to record audit entry for ${entry.action} by ${entry.adminId}:`, auditError);
+  }
+}
+
+export const adminHandler = (app) => {
+  /**
+   * Handle /kkadmin <subcommand> ...
+   * Replies are ephemeral via respond(), so it works in DMs too.
+   */
+  app.command('/kkadmin', async ({ command, ack, respond, client, logger }) => {
+    await ack();
+    const adminId = command.user_id;
+    const commandText = (command.text || '').trim();
+    const [subcommand = '', ...args] = commandText.split(/\s+/).filter(Boolean);
+    const actionName = GROUPED_ACTIONS.includes(subcommand.toLowerCase())
+      ? `${subcommand.toLowerCase()} ${(args.shift() || '').toLowerCase()}`
+      : subcommand.toLowerCase();
+    logger.info(`[kkadmin] ${adminId}: ${commandText || '(no args)'}`);
+
+    const reply = (text) => respond({ response_type: 'ephemeral', text })
+      .catch(respondError => logger.error('[kkadmin] Failed to respond:', respondError));
+
+    if (!isAdmin(adminId)) {
+      logger.warn(`[kkadmin] Non-admin ${adminId} tried /kkadmin ${commandText}`);
+      await recordAudit({ adminId, action: actionName || 'help', outcome: 'denied', commandText }, logger);
+      await reply(ADMIN_ERROR_MESSAGES.NOT_AN_ADMIN);
+      return;
+    }
+
+    if (actionName === 'log') {
+      const limit = Math.min(parseAmount(args[0]) || 10, MAX_LOG_ENTRIES);
+      try {
+        await reply(formatAuditLog(await getRepository().audit.listRecent(limit)));
+      } catch (error) {
+        logger.error('[kkadmin] Error reading audit log:', error);
+        await reply(`System choked reading the audit log. Error: ${error.message}`);
+      }
+      return;
+    }
+
+    const action = ADMIN_ACTIONS[actionName];
+    if (!action) {
+      await reply(formatAdminHelp());
+      return;
+    }
+
+    let params;
+    try {
+      params = action.parse(args);
+    } catch (parseError) {
+      await reply(`Usage: \`${action.usage}\``);
+      return;
+    }
+
+    const auditEntry = {
+      adminId,
+      action: actionName,
+      targetId: params.targetId || null,
+      orderId: params.orderId || null,
+      amount: params.amount || null,
+      note: params.note || null,
+      details: params.code || params.campaignId
+        ? { ...(params.code && { codes: [params.code] }), ...(params.campaignId && { campaignId: params.campaignId }) }
+        : null,
+      commandText
+    };
+    try {
+      const result = await action.run(params, { adminId, client, logger });
+      const { text, details = null } = typeof result === 'string' ? { text: result } : result;
+      await recordAudit({ ...auditEntry, details: details ? { ...auditEntry.details, ...details } : auditEntry.details, outcome: 'ok' }, logger);
+      await reply(text);
+    } catch (error) {
+      const code = error instanceof OrderTransitionError ? error.code : error.message;
+      const message = ADMIN_ERROR_MESSAGES[code];
+      const rejection = typeof message === 'function' ? message(error) : message;
+      if (rejection) {
+        logger.warn(`[kkadmin] ${actionName} by ${adminId} rejected: ${code}`);
+      } else {
+        logger.error(`[kkadmin] ${actionName} by ${adminId} failed:`, error);
+      }
+      await recordAudit({ ...auditEntry, outcome: 'rejected', error: code }, logger);
+      await reply(`REJECTED: ${rejection || `System choked. Error: ${error.message}`}`);
+    }
+  });
+
+  console.log('✅ Admin handler registered command: /kkadmin');
+};
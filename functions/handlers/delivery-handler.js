@@ -3,12 +3,12 @@
  * Handles the /deliver command and delivery availability interactions
  */
 import { ORDER_STATUS, DRINK_CATEGORIES, DELIVERY_DURATIONS } from '../utils/constants.js';
-import { database } from '../lib/firebase.js';
+import { getRepository } from '../utils/repository.js';
 import { buildDeliveryModal, buildOrderModal } from '../utils/modal-builder.js';
 import { formatRunnerMessage } from '../utils/message-formatter.js';
 import { getConfig } from '../utils/config.js';
-import admin from 'firebase-admin';
-import { FieldValue, Timestamp } from 'firebase-admin/firestore';
+import { transitionOrder, OrderTransitionError } from '../lib/order-state-machine.js';
+import { Timestamp } from 'firebase-admin/firestore';
 
 /**
  * Handle /deliver command
@@ -63,12 +63,12 @@ async function handleDeliverCommand({ ack, body, client, logger }) {
 
         // --- 2. Fetch player capabilities (can take longer now) --- 
         logger.debug(`Fetching capabilities for user ${userId}...`);
-        const { player } = await database.getOrCreatePlayer(userId, client);
+        const { player } = await getRepository().players.getOrCreate(userId, client);
         const currentCapabilities = player?.capabilities || []; // Default to empty array
         logger.debug(`Fetched capabilities: ${currentCapabilities.join(',') || 'None'}`);
 
-        // --- 3. Build the final modal view with capabilities --- 
-        const finalModalView = buildDeliveryModal(currentCapabilities);
+        // --- 3. Build the final modal view with capabilities and last known spot --- 
+        const finalModalView = buildDeliveryModal(currentCapabilities, player?.lastLocation || null);
 
         // --- 4. Update the modal with the final view --- 
         logger.info(`Updating modal ${viewId} with final content...`);
@@ -108,11 +108,12 @@ async function handleDeliverySubmission({ ack, body, view, client, logger }) {
         const values = view['state']['values'];
         const capabilitiesBlock = values['capabilities_block'];
         const durationBlock = values['duration_block'];
+        const runnerLocation = values['runner_location_block']?.['runner_location_select']?.selected_option?.value || null;
 
         const selectedCapabilities = capabilitiesBlock['capabilities_select']?.selected_options?.map(opt => opt.value) || [];
         const selectedDurationMinutes = parseInt(durationBlock['duration_select']?.selected_option?.value, 10) || 10; // Default 10
 
-        logger.debug(`Parsed submission: User=${userId}, Caps=${selectedCapabilities.join(',') || 'None'}, Duration=${selectedDurationMinutes}min`);
+        logger.debug(`Parsed submission: User=${userId}, Caps=${selectedCapabilities.join(',') || 'None'}, Duration=${selectedDurationMinutes}min, Location=${runnerLocation || 'None'}`);
 
         if (selectedCapabilities.length === 0) {
              logger.warn(`User ${userId} submitted delivery offer with no capabilities selected.`);
@@ -128,11 +129,12 @@ async function handleDeliverySubmission({ ack, body, view, client, logger }) {
         const userInfo = await client.users.info({ user: userId });
         runnerName = userInfo.user?.real_name || userInfo.user?.profile?.display_name || userId; // Prioritize real_name
 
-        // *** ENSURE CORRECT FUNCTION CALL IS USED ***
-        // Save capabilities to Firestore (fire and forget, log errors)
-        database.updatePlayerCapabilities(userId, selectedCapabilities) // Use the CORRECT function
-            .then(() => logger.info(`Successfully saved capabilities for user ${userId}`))
-            .catch(err => logger.error(`Failed to save capabilities for user ${userId}. Proceeding without guarantee.`, err));
+        // Save capabilities, and where they are so new orders can be matched to the nearest runner (fire and forget, log errors)
+        const playerUpdates = { capabilities: selectedCapabilities };
+        if (runnerLocation) playerUpdates.lastLocation = runnerLocation;
+        getRepository().players.update(userId, playerUpdates)
+            .then(() => logger.info(`Saved capabilities${runnerLocation ? ` and location ${runnerLocation}` : ''} for user ${userId}`))
+            .catch(err => logger.error(`Failed to save capabilities/location for user ${userId}. Proceeding without guarantee.`, err));
 
         // --- Post Placeholder Message --- 
         logger.debug(`Posting placeholder message for runner offer...`);
@@ -206,12 +208,12 @@ async function handleDeliverySubmission({ ack, body, view, client, logger }) {
         const runnerOfferData = {
             orderId: messageTs, // Use placeholder TS as unique ID for the offer
             createdAt: offerStartTimeTimestamp, // Use the timestamp from offer start
-            updatedAt: FieldValue.serverTimestamp(), // Add updatedAt
             initiatedBy: 'runner',
             runnerId: userId,
             runnerName: runnerName, // Store full name
             status: ORDER_STATUS.OFFERED, // Ensure status is OFFERED here too
             capabilities: selectedCapabilities, // Store capabilities
+            runnerLocation: runnerLocation, // Where the runner is, for nearest-runner matching
             durationMs: offerDurationMs, // Store duration
             expiryTimestamp: expiryTimestamp, // Store calculated expiry
             slackMessageTs: messageTs, // Store the Slack message TS
@@ -219,9 +221,8 @@ async function handleDeliverySubmission({ ack, body, view, client, logger }) {
             slackChannelName: slackChannelName // Store fetched channel name
         };
 
-        // Use set with the messageTs as the document ID
-        await admin.firestore().collection('orders').doc(messageTs).set(runnerOfferData);
-        logger.info(`Runner offer ${messageTs} logged successfully to Firestore.`);
+        // The messageTs is the offer's document ID
+        await getRepository().offers.create(messageTs, runnerOfferData);
 
         // --- Send DM Confirmation to Runner ---
         try {
@@ -292,57 +293,38 @@ async function handleCancelReadyOffer({ ack, body, client, logger }) {
      const targetChannelId = channelId || getConfig('KOFFEE_KARMA_CHANNEL_ID');
 
      try {
-        // 1. Fetch the offer data from Firestore using messageTs as orderId
-        const offerDocRef = admin.firestore().collection('orders').doc(messageTs);
-        const offerDoc = await offerDocRef.get();
-
-        if (!offerDoc.exists) {
-            logger.warn(`Cannot cancel offer ${messageTs}: Offer not found in Firestore.`);
-             await client.chat.postEphemeral({
-                channel: userId,
-                user: userId,
-                text: "Can't find that offer. Maybe it expired or got claimed/scrapped."
-            });
-            return;
-        }
-
-        const offerData = offerDoc.data();
-
-        // 2. Validate user is the original runner
-        if (offerData.runnerId !== userId) {
-            logger.warn(`User ${userId} attempted to cancel offer ${messageTs} belonging to ${offerData.runnerId}.`);
-            await client.chat.postEphemeral({
-                channel: body.container.channel_id, // Send ephemeral to the channel of interaction
-                user: userId,
-                text: "Not your offer to cancel."
-            });
-            return;
-        }
-
-        // 3. Validate status is 'offered'
-        if (offerData.status !== ORDER_STATUS.OFFERED) {
-             logger.warn(`Offer ${messageTs} is already in status ${offerData.status}, cannot cancel.`);
-             await client.chat.postEphemeral({
-                channel: userId,
-                user: userId,
-                text: "Too late. Offer isn't active anymore (status: ${offerData.status})."
-            });
-             // Attempt to update the message anyway to reflect the final state, in case it got stuck
-             // const finalBlocks = formatRunnerMessage({ ...offerData, status: offerData.status }, offerData.messageTs);
-             await client.chat.update({
-                channel: targetChannelId,
-                ts: messageTs,
-                blocks: [], // <<< REMOVE existing blocks
-                text: `Offer cancelled by ${offerData.runnerName}.` // Use full name
-             }).catch(e => logger.error(`Error updating Slack message for already processed offer ${messageTs}:`, e));
+        // 1. Withdraw through the state machine (must be the runner's own offer, still 'offered')
+        let withdrawal;
+        try {
+            withdrawal = await transitionOrder(messageTs, 'withdraw_offer', { actorId: userId });
+        } catch (transitionError) {
+            if (!(transitionError instanceof OrderTransitionError)) throw transitionError;
+            logger.warn(`User ${userId} could not cancel offer ${messageTs}: ${transitionError.code} (status: ${transitionError.fromStatus})`);
+            if (transitionError.code === 'ORDER_NOT_FOUND') {
+                await client.chat.postEphemeral({
+                    channel: userId,
+                    user: userId,
+                    text: "Can't find that offer. Maybe it expired or got claimed/scrapped."
+                });
+            } else if (transitionError.code === 'NOT_THE_RUNNER') {
+                await client.chat.postEphemeral({
+                    channel: body.container.channel_id, // Send ephemeral to the channel of interaction
+                    user: userId,
+                    text: "Not your offer to cancel."
+                });
+            } else {
+                await client.chat.postEphemeral({
+                    channel: userId,
+                    user: userId,
+                    text: `Too late. Offer isn't active anymore (status: ${transitionError.fromStatus}).`
+                });
+            }
             return;
         }
-
-        // 4. Update Firestore status to CANCELLED
-        await offerDocRef.update({ status: ORDER_STATUS.CANCELLED });
+        const offerData = withdrawal.orderData;
         logger.info(`Offer ${messageTs} status updated to CANCELLED in Firestore.`);
 
-        // 5. Update Slack Message to simple cancelled text
+        // 2. Update Slack Message to simple cancelled text
         const runnerName = offerData.runnerName || userId;
         await client.chat.update({
             channel: targetChannelId,
@@ -366,7 +348,7 @@ async function handleCancelReadyOffer({ ack, body, client, logger }) {
              logger.error(`Failed to send offer cancellation DM to user ${userId}:`, dmError);
         }
         
-        // 7. TODO: Cancel any scheduled timers (if separate timer mechanism used). 
+        // 3. TODO: Cancel any scheduled timers (if separate timer mechanism used). 
         // The main timer updater should stop processing it once status is cancelled.
 
      } catch (error) {
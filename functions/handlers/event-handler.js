@@ -3,9 +3,8 @@
  * Handles Slack events like member joining a channel.
  */
 import { getConfig } from '../utils/config.js';
-import { WELCOME_MESSAGES } from '../utils/constants.js';
-import { getOrCreatePlayer, updatePlayerKarma } from '../utils/database.js';
-import * as database from '../utils/database.js';
+import { WELCOME_MESSAGES, LEDGER_REASONS } from '../utils/constants.js';
+import { getRepository } from '../utils/repository.js';
 
 /**
  * Handles the 'member_joined_channel' event.
@@ -86,15 +85,16 @@ keep it simple. keep it moving. build your name one cup at a time.`;
 
         // 4. Create player and award initial Karma
         logger.info(`Ensuring player profile exists for joining user ${userId} and awarding initial karma if new.`);
-        const { isNew } = await getOrCreatePlayer(userId, client); // Wait for the result
+        const { players } = getRepository();
+        const { isNew } = await players.getOrCreate(userId, client); // Wait for the result
         
         if (isNew) {
             logger.info(`Created new player profile for ${userId}. Awarding 3 initial Karma.`);
-            const karmaAwardSuccess = await updatePlayerKarma(userId, 3);
-            if (karmaAwardSuccess) {
+            try {
+                await players.adjustKarma(userId, 3, { reason: LEDGER_REASONS.WELCOME_GRANT, actorId: 'system' });
                 logger.info(`Successfully awarded 3 initial Karma to new user ${userId}.`);
-            } else {
-                 logger.error(`Failed to award initial 3 karma to new user ${userId} (updatePlayerKarma returned false).`);
+            } catch (karmaError) {
+                logger.error(`Failed to award initial 3 karma to new user ${userId}:`, karmaError);
             }
         } else {
             logger.info(`Existing player profile found for joining user ${userId}. No initial Karma awarded.`);
@@ -0,0 +1,123 @@
+/**
+ * History Handler
+ * Handles the /history command for checking a player's recent orders and deliveries
+ */
+import { getRepository } from '../utils/repository.js';
+import { formatHistory } from '../utils/message-formatter.js';
+
+const HISTORY_PAGE_SIZE = 5;
+
+/**
+ * Fetch one page of a player's combined history (orders placed + orders run), newest first.
+ * Both sides are queried through orders.listForPlayer and merged in memory, since Firestore
+ * can't order a requesterId-OR-runnerId query by createdAt without extra indexes.
+ * @param {string} userId - Slack User ID.
+ * @param {number} page - Zero-based page index.
+ * @returns {Promise<{entries: Array<object>, hasMore: boolean}>}
+ */
+async function fetchHistoryPage(userId, page) {
+  const needed = (page + 1) * HISTORY_PAGE_SIZE + 1; // +1 tells us whether an older page exists
+  const [asRequester, asRunner] = await Promise.all([
+    getRepository().orders.listForPlayer(userId, { limit: needed, role: 'requester' }),
+    getRepository().orders.listForPlayer(userId, { limit: needed, role: 'runner' })
+  ]);
+
+  const toMillis = (order) => order.createdAt?.toMillis ? order.createdAt.toMillis() : new Date(order.createdAt || 0).getTime();
+  const seen = new Set();
+  const merged = [
+    ...asRequester.map(order => ({ ...order, role: 'requester' })),
+    // Runner offers nobody took aren't deliveries - skip them
+    ...asRunner.filter(order => order.requesterId).map(order => ({ ...order, role: 'runner' }))
+  ]
+    // Same doc can show up on both sides (developer self-delivery); keep the first
+    .filter(order => {
+      if (seen.has(order.id)) return false;
+      seen.add(order.id);
+      return true;
+    })
+    .sort((a, b) => toMillis(b) - toMillis(a));
+
+  const start = page * HISTORY_PAGE_SIZE;
+  return {
+    entries: merged.slice(start, start + HISTORY_PAGE_SIZE),
+    hasMore: merged.length > start + HISTORY_PAGE_SIZE
+  };
+}
+
+export const historyHandler = (app) => {
+  /**
+   * Handle /history command
+   */
+  app.command('/history', async ({ ack, body, client, logger }) => {
+    await ack();
+
+    // <<< DM Channel Check >>>
+    if (body.channel_name === 'directmessage') {
+      logger.warn(`User ${body.user_id} tried to use /history in a DM. Instructing to use channel.`);
+      await client.chat.postEphemeral({
+        channel: body.channel_id, // This will be the DM channel
+        user: body.user_id,
+        text: "COMMANDS IN THE CHANNEL, NOT HERE. USE <#C08K73A45NX|koffee-karma-sf>."
+      });
+      return;
+    }
+
+    const userId = body.user_id;
+    logger.info(`Received /history command from user ${userId}`);
+
+    try {
+      const { entries, hasMore } = await fetchHistoryPage(userId, 0);
+      await client.chat.postEphemeral({
+        channel: body.channel_id,
+        user: userId,
+        blocks: formatHistory(entries, 0, hasMore),
+        text: 'Your Koffee Karma history' // Fallback text
+      });
+      logger.info(`Posted /history page 0 for user ${userId} (${entries.length} entries, hasMore=${hasMore}).`);
+    } catch (error) {
+      logger.error('Error handling /history command:', error);
+      try {
+        await client.chat.postEphemeral({
+          channel: body.channel_id,
+          user: userId,
+          text: `System choked pulling your tab. Try again. Error: ${error.message}`
+        });
+      } catch (ephemeralError) {
+        logger.error('Failed to send ephemeral error message during /history catch block:', ephemeralError);
+      }
+    }
+  });
+
+  /**
+   * Handle paging buttons on the /history message.
+   * The message is ephemeral, so it is swapped in place through the response_url.
+   */
+  const handleHistoryPage = async ({ ack, body, action, respond, logger }) => {
+    await ack();
+    const userId = body.user.id;
+    const page = Math.max(0, parseInt(action.value, 10) || 0);
+    logger.info(`History page ${page} requested by user ${userId}`);
+
+    try {
+      const { entries, hasMore } = await fetchHistoryPage(userId, page);
+      await respond({
+        replace_original: true,
+        response_type: 'ephemeral',
+        blocks: formatHistory(entries, page, hasMore),
+        text: 'Your Koffee Karma history'
+      });
+    } catch (error) {
+      logger.error(`Error paging /history for user ${userId}:`, error);
+      await respond({
+        replace_original: false,
+        response_type: 'ephemeral',
+        text: `System choked pulling your tab. Try again. Error: ${error.message}`
+      });
+    }
+  };
+
+  app.action('history_page_newer', handleHistoryPage);
+  app.action('history_page_older', handleHistoryPage);
+
+  console.log("✅ History handler registered command: /history");
+};
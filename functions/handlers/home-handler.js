@@ -0,0 +1,100 @@
+/**
+ * Home Handler
+ * Publishes the personal Koffee Karma dashboard on the App Home tab
+ */
+import { getRepository } from '../utils/repository.js';
+import { formatLeaderboard } from '../utils/message-formatter.js';
+import { buildHomeView, buildOrderModal, buildDeliveryModal } from '../utils/modal-builder.js';
+import { ORDER_STATUS } from '../utils/constants.js';
+
+/**
+ * Fetch everything the Home tab shows and publish it for one user.
+ * @param {object} client - Slack WebClient instance.
+ * @param {string} userId - Slack User ID.
+ * @param {object} logger - Bolt's logger instance.
+ * @returns {Promise<void>}
+ */
+export async function publishHomeView(client, userId, logger) {
+  const { players, orders } = getRepository();
+  const [{ player }, scheduled, ordered, claimed, running, topPlayers] = await Promise.all([
+    players.getOrCreate(userId, client),
+    orders.listForPlayer(userId, { status: ORDER_STATUS.SCHEDULED, limit: 5 }),
+    orders.listForPlayer(userId, { status: ORDER_STATUS.ORDERED, limit: 5 }),
+    orders.listForPlayer(userId, { status: ORDER_STATUS.CLAIMED, limit: 5 }),
+    orders.listForPlayer(userId, { status: ORDER_STATUS.CLAIMED, limit: 5, role: 'runner' }),
+    players.listTop(5)
+  ]);
+
+  const view = buildHomeView({
+    player,
+    openOrders: [...claimed, ...ordered, ...scheduled],
+    runningOrders: running,
+    leaderboardBlocks: formatLeaderboard(topPlayers)
+  });
+
+  await client.views.publish({ user_id: userId, view });
+  logger.info(`[publishHomeView] Published Home tab for user ${userId}.`);
+}
+
+export const homeHandler = (app) => {
+  /**
+   * Handle app_home_opened event
+   */
+  app.event('app_home_opened', async ({ event, client, logger }) => {
+    // Only the Home tab has a view to publish; ignore the Messages tab
+    if (event.tab !== 'home') return;
+
+    const userId = event.user;
+    logger.info(`app_home_opened by user ${userId}`);
+    try {
+      await publishHomeView(client, userId, logger);
+    } catch (error) {
+      logger.error(`Error publishing Home tab for user ${userId}:`, error);
+      // Publish a minimal view so the tab isn't left blank
+      await client.views.publish({
+        user_id: userId,
+        view: {
+          type: 'home',
+          blocks: [{ type: 'section', text: { type: 'mrkdwn', text: `Bot tripped loading your stats. Reopen the tab. Error: ${error.message}` } }]
+        }
+      }).catch(publishError => logger.error('Failed to publish fallback Home tab:', publishError));
+    }
+  });
+
+  /**
+   * Handle PLACE AN ORDER button on the Home tab
+   */
+  app.action('home_open_order_modal', async ({ ack, body, client, logger }) => {
+    await ack();
+    try {
+      const favorites = await getRepository().players.getFavorites(body.user.id).catch(() => []);
+      // No originating channel from the Home tab; submission posts to the Koffee Karma channel
+      const modal = buildOrderModal({}, null, null, null, null, null, favorites);
+      await client.views.open({ trigger_id: body.trigger_id, view: modal });
+    } catch (error) {
+      logger.error(`Error opening order modal from Home tab for user ${body.user.id}:`, error);
+    }
+  });
+
+  /**
+   * Handle OFFER TO DELIVER button on the Home tab
+   */
+  app.action('home_open_delivery_modal', async ({ ack, body, client, logger }) => {
+    await ack();
+    const userId = body.user.id;
+    try {
+      // trigger_id expires in 3 seconds, so open the modal before fetching capabilities
+      const openResult = await client.views.open({ trigger_id: body.trigger_id, view: buildDeliveryModal([]) });
+      const { player } = await getRepository().players.getOrCreate(userId, client);
+      const currentCapabilities = player?.capabilities || [];
+      const lastLocation = player?.lastLocation || null;
+      if ((currentCapabilities.length > 0 || lastLocation) && openResult.view?.id) {
+        await client.views.update({ view_id: openResult.view.id, view: buildDeliveryModal(currentCapabilities, lastLocation) });
+      }
+    } catch (error) {
+      logger.error(`Error opening delivery modal from Home tab for user ${userId}:`, error);
+    }
+  });
+
+  console.log("✅ Home handler registered event: app_home_opened");
+};
@@ -2,7 +2,10 @@
  * Karma Handler
  * Handles the /karma command for checking a user's karma
  */
-import { database } from '../lib/firebase.js';
+import { getRepository } from '../utils/repository.js';
+import { getTeamName } from '../utils/teams.js';
+import { getPlayerAchievements, formatBadge } from '../lib/achievements.js';
+import { getCurrentStreak } from '../lib/streaks.js';
 
 export const karmaHandler = (app) => {
   /**
@@ -40,8 +43,8 @@ export const karmaHandler = (app) => {
 
       const userId = body.user_id;
 
-      // 2. Fetch player data using the imported database object
-      const { player: playerData, isNew } = await database.getOrCreatePlayer(userId, client);
+      // 2. Fetch player data (creating them on first use)
+      const { player: playerData, isNew } = await getRepository().players.getOrCreate(userId, client);
 
       // Log the fetched data for debugging
       logger.debug(`[Karma Command] Fetched playerData for ${userId}:`, JSON.stringify(playerData));
@@ -64,7 +67,12 @@ export const karmaHandler = (app) => {
 
       // 5. Format and post the final message directly
       const titleText = playerTitle ? playerTitle.toUpperCase() : 'UNKNOWN';
-      const messageText = `karma: \`${karma}\` / reputation: \`${reputation}\` / title: \`${titleText}\``;
+      const teamText = playerData.team ? ` / team: \`${getTeamName(playerData.team).toUpperCase()}\`` : '';
+      const badges = getPlayerAchievements(playerData);
+      const badgeText = badges.length > 0 ? badges.map(formatBadge).join(' · ') : 'none yet. go earn one.';
+      const streakDays = getCurrentStreak(playerData);
+      const streakText = `streak: \`${streakDays}\` working day${streakDays === 1 ? '' : 's'} / best: \`${playerData.streakBest || 0}\``;
+      const messageText = `karma: \`${karma}\` / reputation: \`${reputation}\` / title: \`${titleText}\`${teamText}\n${streakText}\nbadges: ${badgeText}`;
 
       await client.chat.postEphemeral({
           channel: body.channel_id,
@@ -1,11 +1,250 @@
 /**
  * Leaderboard Handler
- * Handles the /leaderboard command
+ * Handles the /leaderboard command (all-time, this season, last season, top runners and requesters,
+ * biggest bonus hits, fastest runners, teams) and posts the final standings when a season ends.
  */
 import { logger } from '../utils/logger.js';
-import { getLeaderboard } from '../utils/database.js';
+import { getRepository } from '../utils/repository.js';
 import { formatLeaderboard } from '../utils/message-formatter.js';
 import { getConfig } from '../utils/config.js';
+import { getSeasonId, getPreviousSeasonId, getSeasonLabel } from '../utils/seasons.js';
+import { getTeamName } from '../utils/teams.js';
+import { SEASON_STANDINGS_LIMIT, LEADERBOARD_WINDOW_DAYS, FASTEST_MIN_DELIVERIES } from '../utils/constants.js';
+
+const LEADERBOARD_SIZE = 5;
+const TEAM_TOP_CONTRIBUTORS = 3; // Players named per team in the teams breakdown
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Archived standings as players formatLeaderboard can show (season rep in the REPUTATION column).
+ * @param {Array<object>} standings - From an archived season.
+ * @returns {Array<object>}
+ */
+const standingsToPlayers = (standings) => standings.map(standing => ({
+  name: standing.name,
+  reputation: standing.seasonReputation,
+  title: standing.title
+}));
+
+/**
+ * Get a finished season's archive, closing it now if the season job hasn't yet.
+ * @param {string} seasonId
+ * @returns {Promise<object>} - Archived season.
+ */
+async function getClosedSeason(seasonId) {
+  const { seasons } = getRepository();
+  return (await seasons.get(seasonId)) || seasons.close(seasonId, SEASON_STANDINGS_LIMIT);
+}
+
+/**
+ * @param {Array<number>} values - Non-empty.
+ * @returns {number}
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * @param {number} ms
+ * @returns {string} - e.g. '4m 07s' or '1h 02m'.
+ */
+function formatDuration(ms) {
+  const totalSeconds = Math.round(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  return hours > 0
+    ? `${hours}h ${String(minutes).padStart(2, '0')}m`
+    : `${minutes}m ${String(seconds).padStart(2, '0')}s`;
+}
+
+/**
+ * Each runner's single biggest bonus payout (runnerReward x bonusMultiplier, multiplier > 1).
+ * @param {Array<object>} orders - Delivered orders.
+ * @returns {Array<{playerId: string, name: string, earnedKarma: number, bonusMultiplier: number}>} - Biggest first.
+ */
+function rankBonusHits(orders) {
+  const best = new Map(); // runnerId -> biggest hit
+  for (const order of orders) {
+    if (!order.runnerId || !(order.bonusMultiplier > 1)) continue;
+    const earnedKarma = (order.runnerReward ?? order.karmaCost ?? 0) * order.bonusMultiplier;
+    const current = best.get(order.runnerId);
+    if (!current || earnedKarma > current.earnedKarma) {
+      best.set(order.runnerId, { playerId: order.runnerId, name: order.runnerName, earnedKarma, bonusMultiplier: order.bonusMultiplier });
+    }
+  }
+  return [...best.values()].sort((a, b) => b.earnedKarma - a.earnedKarma || b.bonusMultiplier - a.bonusMultiplier);
+}
+
+/**
+ * Runners by median claim-to-deliver time, skipping anyone under FASTEST_MIN_DELIVERIES deliveries.
+ * @param {Array<object>} orders - Delivered orders.
+ * @returns {Array<{playerId: string, name: string, medianMs: number, deliveries: number}>} - Fastest first.
+ */
+function rankFastestRunners(orders) {
+  const durations = new Map(); // runnerId -> { name, times: [ms] }
+  for (const order of orders) {
+    const claimedMs = order.timeClaimed?.toMillis?.();
+    const deliveredMs = order.timeDelivered?.toMillis?.();
+    if (!order.runnerId || !claimedMs || !deliveredMs || deliveredMs < claimedMs) continue;
+    const runner = durations.get(order.runnerId) || { name: order.runnerName, times: [] };
+    runner.times.push(deliveredMs - claimedMs);
+    durations.set(order.runnerId, runner);
+  }
+  return [...durations]
+    .filter(([, { times }]) => times.length >= FASTEST_MIN_DELIVERIES)
+    .map(([playerId, { name, times }]) => ({ playerId, name, medianMs: median(times), deliveries: times.length }))
+    .sort((a, b) => a.medianMs - b.medianMs);
+}
+
+/**
+ * Top entries with the runner's current name and title from their player doc.
+ * @param {Array<object>} entries - Ranked entries with playerId and name.
+ * @returns {Promise<Array<object>>}
+ */
+async function withPlayerTitles(entries) {
+  const top = entries.slice(0, LEADERBOARD_SIZE);
+  const players = await Promise.all(top.map(entry => getRepository().players.get(entry.playerId)));
+  return top.map((entry, index) => ({ ...entry, name: players[index]?.name || entry.name, title: players[index]?.title }));
+}
+
+/**
+ * Total all-time reputation per team, with members sorted by their share.
+ * @param {Array<object>} members - Players with a team.
+ * @returns {Array<{teamKey: string, name: string, reputation: number, members: Array<object>}>} - Highest first.
+ */
+function rankTeams(members) {
+  const teams = new Map(); // teamKey -> standing
+  for (const member of members) {
+    const team = teams.get(member.team) || { teamKey: member.team, name: getTeamName(member.team), reputation: 0, members: [] };
+    team.reputation += member.reputation;
+    team.members.push(member);
+    teams.set(member.team, team);
+  }
+  return [...teams.values()]
+    .map(team => ({ ...team, members: team.members.sort((a, b) => b.reputation - a.reputation) }))
+    .sort((a, b) => b.reputation - a.reputation);
+}
+
+/**
+ * Per-team lines under the teams board: size, average and top contributors.
+ * @param {Array<object>} teams - From rankTeams().
+ * @returns {Array} - Slack blocks.
+ */
+function formatTeamBreakdown(teams) {
+  if (teams.length === 0) return [];
+  const lines = teams.map(team => {
+    const average = Math.round(team.reputation / team.members.length);
+    const topContributors = team.members
+      .slice(0, TEAM_TOP_CONTRIBUTORS)
+      .map(member => `${member.name || 'UNKNOWN'} ${member.reputation}`)
+      .join(' · ');
+    return `*${team.name}* — ${team.reputation} rep, ${team.members.length} player${team.members.length === 1 ? '' : 's'}, avg ${average}: ${topContributors}`;
+  });
+  return [{ type: 'section', text: { type: 'mrkdwn', text: lines.join('\n') } }];
+}
+
+/**
+ * Delivered orders in the last LEADERBOARD_WINDOW_DAYS.
+ * @returns {Promise<Array<object>>}
+ */
+const listRecentDeliveries = () => getRepository().orders.listDelivered({ since: new Date(Date.now() - LEADERBOARD_WINDOW_DAYS * DAY_MS) });
+
+/**
+ * Boards /leaderboard can show, keyed by the command argument.
+ * load() returns { players, heading } plus the score and title columns (valueLabel, formatValue,
+ * formatTitle) if they aren't reputation and title, and any extraBlocks to post under the board.
+ */
+const LEADERBOARD_VIEWS = {
+  'all-time': async () => ({
+    players: await getRepository().players.listTop(LEADERBOARD_SIZE),
+    heading: 'THE BREW SCROLL'
+  }),
+  'season': async () => {
+    const seasonId = getSeasonId();
+    const players = await getRepository().players.listSeasonTop(seasonId, LEADERBOARD_SIZE);
+    return {
+      players: players.map(player => ({ ...player, reputation: player.seasonReputation })),
+      heading: `SEASON ${getSeasonLabel(seasonId)}`
+    };
+  },
+  'last-season': async () => {
+    const seasonId = getPreviousSeasonId(getSeasonId());
+    const season = await getClosedSeason(seasonId);
+    return {
+      players: standingsToPlayers(season.standings.slice(0, LEADERBOARD_SIZE)),
+      heading: `FINAL: SEASON ${getSeasonLabel(seasonId)}`
+    };
+  },
+  'runners': async () => ({
+    players: await getRepository().players.listTop(LEADERBOARD_SIZE, 'deliveriesCompletedCount'),
+    heading: 'TOP RUNNERS',
+    valueLabel: 'DELIVERIES',
+    formatValue: player => String(player.deliveriesCompletedCount || 0)
+  }),
+  'requesters': async () => ({
+    players: await getRepository().players.listTop(LEADERBOARD_SIZE, 'ordersRequestedCount'),
+    heading: 'TOP REQUESTERS',
+    valueLabel: 'ORDERS',
+    formatValue: player => String(player.ordersRequestedCount || 0)
+  }),
+  'bonus': async () => ({
+    players: await withPlayerTitles(rankBonusHits(await listRecentDeliveries())),
+    heading: `BIGGEST BONUS HITS (${LEADERBOARD_WINDOW_DAYS} DAYS)`,
+    valueLabel: 'BONUS HIT',
+    formatValue: hit => `${hit.earnedKarma} (${hit.bonusMultiplier}x)`
+  }),
+  'fastest': async () => ({
+    players: await withPlayerTitles(rankFastestRunners(await listRecentDeliveries())),
+    heading: `FASTEST RUNNERS (${LEADERBOARD_WINDOW_DAYS} DAYS)`,
+    valueLabel: 'MEDIAN TIME',
+    formatValue: runner => formatDuration(runner.medianMs)
+  }),
+  'teams': async () => {
+    const teams = rankTeams(await getRepository().players.listWithTeam()).slice(0, LEADERBOARD_SIZE);
+    return {
+      players: teams,
+      heading: 'TEAM STANDINGS',
+      valueLabel: 'TEAM REP',
+      formatTitle: team => `${team.members.length} PLAYER${team.members.length === 1 ? '' : 'S'}`,
+      extraBlocks: formatTeamBreakdown(teams)
+    };
+  }
+};
+
+/**
+ * Archive last season's standings and post the winners, once. Run by the season job (see index.js);
+ * does nothing once the season is archived and announced.
+ * @param {object} client - Slack WebClient.
+ * @param {object} logger - Logger.
+ * @param {Date} [now=new Date()]
+ */
+export async function closeEndedSeason(client, logger, now = new Date()) {
+  const seasonId = getPreviousSeasonId(getSeasonId(now));
+  const season = await getClosedSeason(seasonId);
+  if (season.announcedAt) return;
+  if (season.standings.length === 0) {
+    logger.info(`[closeEndedSeason] Season ${seasonId} had no rep earned. Nothing to post.`);
+    await getRepository().seasons.claimAnnouncement(seasonId);
+    return;
+  }
+  if (!(await getRepository().seasons.claimAnnouncement(seasonId))) return;
+
+  const label = getSeasonLabel(seasonId);
+  const [winner] = season.standings;
+  const headline = `🏆 SEASON ${label} IS DEAD. <@${winner.playerId}> took the crown with ${winner.seasonReputation} rep. Final standings are frozen. New season, clean slate.`;
+  await client.chat.postMessage({
+    channel: getConfig('KOFFEE_KARMA_CHANNEL_ID'),
+    text: headline,
+    blocks: [
+      { type: 'section', text: { type: 'mrkdwn', text: headline } },
+      ...formatLeaderboard(standingsToPlayers(season.standings), { heading: `FINAL: SEASON ${label}` })
+    ]
+  });
+  logger.info(`[closeEndedSeason] Posted the winners of season ${seasonId}.`);
+}
 
 export const leaderboardHandler = (app) => {
   app.command('/leaderboard', async ({ ack, body, client, logger }) => {
@@ -26,6 +265,17 @@ export const leaderboardHandler = (app) => {
 
     logger.info(`Received /leaderboard command from user ${body.user_id}`);
 
+    const viewName = (body.text || '').trim().toLowerCase() || 'all-time'; // Same board as App Home
+    const loadView = LEADERBOARD_VIEWS[viewName];
+    if (!loadView) {
+      await client.chat.postEphemeral({
+        channel: body.channel_id,
+        user: body.user_id,
+        text: `Usage: \`/leaderboard [${Object.keys(LEADERBOARD_VIEWS).join(' | ')}]\`. No argument = all-time. \`fastest\` = median claim-to-drop time, min ${FASTEST_MIN_DELIVERIES} runs.`
+      });
+      return;
+    }
+
     // Post placeholder message immediately
     try {
       await client.chat.postEphemeral({
@@ -41,11 +291,11 @@ export const leaderboardHandler = (app) => {
     const channelId = getConfig('KOFFEE_KARMA_CHANNEL_ID');
 
     try {
-      // Fetch top players using the imported function
-      const topPlayers = await getLeaderboard(5); // CALL the imported function directly
+      // Fetch top players for the requested board
+      const { players: topPlayers, extraBlocks = [], ...boardOptions } = await loadView();
 
       // Format the leaderboard message
-      const leaderboardBlocks = formatLeaderboard(topPlayers);
+      const leaderboardBlocks = [...formatLeaderboard(topPlayers, boardOptions), ...extraBlocks];
 
       // Post the public message
       await client.chat.postMessage({
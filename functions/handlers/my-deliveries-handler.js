@@ -0,0 +1,146 @@
+/**
+ * My Deliveries Handler
+ * Handles the /mydeliveries command: a runner's dashboard of orders they've claimed
+ */
+import { getRepository } from '../utils/repository.js';
+import { formatMyDeliveries } from '../utils/message-formatter.js';
+import { planRoute, getNearbyOpenOrders } from '../utils/locations.js';
+import { deliverOrder, getDeliveryErrorMessage } from './order-handler.js';
+import { ORDER_STATUS } from '../utils/constants.js';
+
+const MAX_DASHBOARD_ORDERS = 10; // Keeps the message well under Slack's 50-block limit
+
+/**
+ * Build the dashboard blocks for a runner.
+ * MARK DELIVERED / CANCEL DELIVERY / CLAIM buttons reuse the deliver_order,
+ * cancel_claimed_order and claim_order actions registered in order-handler.js.
+ * @param {string} userId - Slack User ID of the runner.
+ * @returns {Promise<Array<object>>} - Slack Block Kit blocks.
+ */
+async function buildMyDeliveriesBlocks(userId) {
+  const claimedOrders = await getRepository().orders.listForPlayer(userId, { status: ORDER_STATUS.CLAIMED, limit: MAX_DASHBOARD_ORDERS, role: 'runner' });
+  // Soonest deadline first, then walk the rest by distance
+  claimedOrders.sort((a, b) => (a.claimedExpiryTimestamp?.toMillis?.() ?? Infinity) - (b.claimedExpiryTimestamp?.toMillis?.() ?? Infinity));
+  const route = planRoute(claimedOrders);
+  const nearbyOrders = await getNearbyOpenOrders(userId, claimedOrders);
+  return formatMyDeliveries(route, nearbyOrders);
+}
+
+export const myDeliveriesHandler = (app) => {
+  /**
+   * Handle /mydeliveries command
+   */
+  app.command('/mydeliveries', async ({ ack, body, client, logger }) => {
+    await ack();
+
+    // <<< DM Channel Check >>>
+    if (body.channel_name === 'directmessage') {
+      logger.warn(`User ${body.user_id} tried to use /mydeliveries in a DM. Instructing to use channel.`);
+      await client.chat.postEphemeral({
+        channel: body.channel_id, // This will be the DM channel
+        user: body.user_id,
+        text: "COMMANDS IN THE CHANNEL, NOT HERE. USE <#C08K73A45NX|koffee-karma-sf>."
+      });
+      return;
+    }
+
+    const userId = body.user_id;
+    logger.info(`Received /mydeliveries command from user ${userId}`);
+
+    try {
+      const blocks = await buildMyDeliveriesBlocks(userId);
+      await client.chat.postEphemeral({
+        channel: body.channel_id,
+        user: userId,
+        blocks,
+        text: 'Your claimed deliveries' // Fallback text
+      });
+      logger.info(`Posted /mydeliveries dashboard for user ${userId}.`);
+    } catch (error) {
+      logger.error('Error handling /mydeliveries command:', error);
+      try {
+        await client.chat.postEphemeral({
+          channel: body.channel_id,
+          user: userId,
+          text: `System choked pulling your runs. Try again. Error: ${error.message}`
+        });
+      } catch (ephemeralError) {
+        logger.error('Failed to send ephemeral error message during /mydeliveries catch block:', ephemeralError);
+      }
+    }
+  });
+
+  /**
+   * Handle the REFRESH button. The dashboard is ephemeral, so it is swapped in place via response_url.
+   */
+  app.action('mydeliveries_refresh', async ({ ack, body, respond, logger }) => {
+    await ack();
+    const userId = body.user.id;
+    try {
+      const blocks = await buildMyDeliveriesBlocks(userId);
+      await respond({
+        replace_original: true,
+        response_type: 'ephemeral',
+        blocks,
+        text: 'Your claimed deliveries'
+      });
+    } catch (error) {
+      logger.error(`Error refreshing /mydeliveries for user ${userId}:`, error);
+      await respond({
+        replace_original: false,
+        response_type: 'ephemeral',
+        text: `System choked pulling your runs. Try again. Error: ${error.message}`
+      });
+    }
+  });
+
+  /**
+   * Handle MARK ALL DELIVERED on the route view.
+   * Each order is delivered on its own (own transaction, own bonus roll), so one bad order
+   * doesn't block the rest of the run.
+   */
+  app.action('deliver_all_orders', async ({ ack, body, client, respond, logger }) => {
+    await ack();
+    const userId = body.user.id;
+    logger.info(`[deliver_all_orders] Batch delivery requested by runner ${userId}`);
+
+    try {
+      const claimedOrders = await getRepository().orders.listForPlayer(userId, { status: ORDER_STATUS.CLAIMED, limit: MAX_DASHBOARD_ORDERS, role: 'runner' });
+      let delivered = 0;
+      let totalKarma = 0;
+      const failures = [];
+      // One at a time: each delivery updates the runner's player doc
+      for (const order of claimedOrders) {
+        try {
+          const { earnedKarma } = await deliverOrder(order.id, userId, client, logger);
+          delivered++;
+          totalKarma += earnedKarma;
+        } catch (deliveryError) {
+          logger.error(`[deliver_all_orders] Failed to deliver order ${order.id} for runner ${userId}:`, deliveryError);
+          failures.push(`\`${order.drink}\`: ${getDeliveryErrorMessage(deliveryError)}`);
+        }
+      }
+      logger.info(`[deliver_all_orders] Runner ${userId} delivered ${delivered}/${claimedOrders.length} orders for ${totalKarma} Karma.`);
+
+      const summary = failures.length > 0
+        ? `RUN DONE. ${delivered} dropped, +${totalKarma} Karma. ${failures.length} didn't land:\n${failures.join('\n')}`
+        : `RUN DONE. ${delivered} dropped, +${totalKarma} Karma.`;
+      const blocks = await buildMyDeliveriesBlocks(userId);
+      await respond({
+        replace_original: true,
+        response_type: 'ephemeral',
+        blocks: [{ type: 'section', text: { type: 'mrkdwn', text: summary } }, ...blocks],
+        text: summary
+      });
+    } catch (error) {
+      logger.error(`[deliver_all_orders] Error batch delivering for runner ${userId}:`, error);
+      await respond({
+        replace_original: false,
+        response_type: 'ephemeral',
+        text: `System choked dropping your run. Try again. Error: ${error.message}`
+      });
+    }
+  });
+
+  console.log("✅ My deliveries handler registered command: /mydeliveries");
+};
@@ -2,42 +2,134 @@
  * Order Handler
  * Handles the /order command and order-related interactions
  */
-import { ORDER_STATUS, BONUS_CHANCES, DRINK_CATEGORIES, LOCATIONS, REPUTATION_TITLES } from '../utils/constants.js';
-import { db, database, getPlayerTitle } from '../lib/firebase.js'; // Import the main DB object and getPlayerTitle
-import { updatePlayerKarma, updatePlayerReputation, updatePlayerDeliveryCount, updatePlayerOrderCount } from '../utils/database.js'; // Import specific DB functions
-import { buildOrderModal } from '../utils/modal-builder.js';
+import { ORDER_STATUS, DRINK_CATEGORIES, LOCATIONS, REPUTATION_TITLES, DURATIONS, FAVORITES_LIMIT, GROUP_ORDER_CATEGORY, GROUP_ORDER_MIN_ITEMS, GROUP_ORDER_MAX_ITEMS, RUNNER_MATCH_LIMIT } from '../utils/constants.js';
+import { getRepository } from '../utils/repository.js';
+import { transitionOrder, OrderTransitionError } from '../lib/order-state-machine.js';
+import { buildOrderModal, buildGroupOrderModal, buildOrderPriceBlock } from '../utils/modal-builder.js';
 import { formatOrderMessage } from '../lib/messages/order-message.js';
+import { announceAchievements } from '../lib/achievements.js';
+import { rollDeliveryBonus } from '../lib/bonus-events.js';
+import { getBaseCost, quoteOrder, formatQuote, getQuoteFields, isDynamicPricingEnabled } from '../lib/pricing.js';
 import { 
   formatRunnerMessage,
   generateMap, 
   updateMessage,
-  postMessageToDesignatedChannel 
+  postMessageToDesignatedChannel,
+  formatNearbyOrders
 } from '../utils/message-formatter.js';
+import { getNearbyOpenOrders, rankRunnerOffers } from '../utils/locations.js';
 import { getConfig } from '../utils/config.js'; // Import shared config getter
-import admin from 'firebase-admin'; // Needed for Firestore serverTimestamp
 import { WebClient } from '@slack/web-api'; // Added top-level import
 import { Timestamp } from 'firebase-admin/firestore'; // Make sure Timestamp is required
 // Dynamic imports for timer scheduler
 
-// Define new status constants
-const STATUS_CANCELLED_RUNNER = 'CANCELLED_RUNNER';
-const STATUS_EXPIRED_CLAIMED = 'EXPIRED_CLAIMED';
+/**
+ * Read a text input whose block_id may carry the version suffix buildOrderModal adds
+ * when it rebuilds the modal from a favorite.
+ * @param {object} stateValues - view.state.values
+ * @param {string} blockId - Base block ID (e.g. 'drink_block').
+ * @param {string} actionId - Element action ID.
+ * @returns {string|undefined}
+ */
+function getVersionedInputValue(stateValues, blockId, actionId) {
+  const key = Object.keys(stateValues).find(k => k === blockId || k.startsWith(`${blockId}_v`));
+  return key ? stateValues[key]?.[actionId]?.value : undefined;
+}
 
 /**
- * Calculate bonus multiplier based on defined chances.
- * @returns {number} - The bonus multiplier (1, 2, or 3).
+ * @param {string|undefined} privateMetadata - A view's private_metadata.
+ * @returns {object} - Parsed metadata, or {} if there's none or it's broken.
  */
-function calculateBonus() {
-  const random = Math.random();
-  if (random < BONUS_CHANCES.TRIPLE) {
-    return 3; // 3x bonus
-  } else if (random < BONUS_CHANCES.TRIPLE + BONUS_CHANCES.DOUBLE) {
-    return 2; // 2x bonus
-  } else {
-    return 1; // 1x (no bonus)
+function parseModalMetadata(privateMetadata) {
+  try {
+    return JSON.parse(privateMetadata || '{}');
+  } catch (parseError) {
+    return {};
   }
 }
 
+/**
+ * What an order or group order modal prices right now.
+ * @param {object} view - Slack view from an action or submission payload.
+ * @param {object|null} [action=null] - The select that just changed; its new value wins over view.state.
+ * @returns {{category: string|null, location: string|null, items: Array<object>|null}} - For quoteOrder().
+ */
+function getModalPick(view, action = null) {
+  const values = view.state?.values || {};
+  const picked = (blockId, actionId) => (action?.block_id === blockId
+    ? action.selected_option?.value
+    : values[blockId]?.[actionId]?.selected_option?.value) || null;
+  const location = picked('location_block', 'location_select');
+  if (view.callback_id === 'group_order_modal') {
+    const itemCount = Math.min(parseModalMetadata(view.private_metadata).itemCount || GROUP_ORDER_MIN_ITEMS, GROUP_ORDER_MAX_ITEMS);
+    const items = Array.from({ length: itemCount }, (_, i) => picked(`group_item_${i}_category`, 'drink_category_select'))
+      .filter(Boolean)
+      .map(category => ({ category }));
+    return { category: GROUP_ORDER_CATEGORY, location, items };
+  }
+  return { category: picked('category_block', 'drink_category_select'), location, items: null };
+}
+
+/**
+ * Put a quote in a modal: the price line shows it and private_metadata.quote remembers it, so the
+ * submission charges what the requester saw. A view without a price line keeps its blocks and metadata.
+ * @param {object} view - Modal view (or view payload).
+ * @param {object|null} quote - From quoteOrder(); null until a drink is picked.
+ * @param {string|null} location - Picked LOCATIONS key.
+ * @param {string|null} [errorText=null] - Shown under the price line (price_error_block).
+ * @returns {object} - View payload for views.update or a response_action 'update' ack.
+ */
+function applyOrderQuote(view, quote, location, errorText = null) {
+  const { type, title, submit, close, callback_id, private_metadata } = view;
+  const blocks = view.blocks.filter(block => block.block_id !== 'price_error_block');
+  const priceIndex = blocks.findIndex(block => block.block_id === 'price_block');
+  if (priceIndex === -1) return { type, title, submit, close, callback_id, private_metadata, blocks };
+
+  let priceText = quote ? formatQuote(quote) : null;
+  if (priceText && !location && isDynamicPricingEnabled()) priceText = `${priceText} Far drops cost more: pick yours.`;
+  blocks.splice(priceIndex, 1, buildOrderPriceBlock(priceText),
+    ...(errorText ? [{ type: 'context', block_id: 'price_error_block', elements: [{ type: 'mrkdwn', text: errorText }] }] : []));
+  return {
+    type,
+    title,
+    submit,
+    close,
+    callback_id,
+    private_metadata: JSON.stringify({ ...parseModalMetadata(private_metadata), quote }),
+    blocks
+  };
+}
+
+/**
+ * Re-price a modal for its current pick.
+ * @param {object} view - Modal view (or view payload).
+ * @param {{category: string|null, location: string|null, items: Array<object>|null}} pick - From getModalPick().
+ * @returns {Promise<object>} - View payload (see applyOrderQuote).
+ */
+async function withOrderPrice(view, pick) {
+  const hasDrink = pick.items ? pick.items.length > 0 : Boolean(pick.category);
+  return applyOrderQuote(view, hasDrink ? await quoteOrder(pick) : null, pick.location);
+}
+
+/**
+ * Check the price a modal showed still holds at submission.
+ * @param {object} view - The submitted view.
+ * @param {{category: string, location: string, items: Array<object>|null}} pick - What was submitted.
+ * @returns {Promise<{quote: object, updatedView: object|null}>} - The quote to charge (the one shown), or
+ *   updatedView to ack with (response_action 'update') when the price moved, carrying the new price.
+ */
+async function confirmShownPrice(view, pick) {
+  const shownQuote = parseModalMetadata(view.private_metadata).quote || null;
+  const quote = await quoteOrder(pick);
+  const samePrice = shownQuote && shownQuote.karmaCost === quote.karmaCost && shownQuote.runnerReward === quote.runnerReward;
+  // Nothing shown means nothing to go back on while prices are fixed
+  if (samePrice || (!shownQuote && !isDynamicPricingEnabled())) {
+    return { quote: shownQuote || quote, updatedView: null };
+  }
+  const errorText = `△ Price moved. It's \`${quote.karmaCost}\` Karma now. LOCK IT IN again to pay that.`;
+  return { quote, updatedView: applyOrderQuote(view, quote, pick.location, errorText) };
+}
+
 /**
  * Handles the 'claim_order' button interaction.
  * @param {object} payload - The action payload.
@@ -54,7 +146,6 @@ export async function handleClaimOrder(payload) {
   const clickerId = body.user.id;
   const channelId = body.container?.channel_id;
   const messageTs = body.container?.message_ts; // Keep for updating the message
-  const developerSlackId = getConfig('DEVELOPER_SLACK_ID'); // Get developer ID from config
 
   logger.info(`'claim_order' action received for order ID: ${orderId} from user ${clickerId}`);
 
@@ -74,61 +165,12 @@ export async function handleClaimOrder(payload) {
   }
 
   try {
-    // 1. Fetch Order Data using the Firestore Document ID
-    logger.debug(`Fetching order data using Document ID: ${orderId}`);
-    const orderData = await database.getOrderById(orderId);
-
-    if (!orderData) {
-      logger.error(`Order document not found for ID: ${orderId}`);
-      await client.chat.postEphemeral({
-        channel: channelId,
-        user: clickerId,
-        text: 'Can\'t find that order. Maybe it rotted or someone else grabbed it.'
-      });
-      return;
-    }
-
-    const orderDbId = orderData.id; // Already have this from getOrderById
-    const orderMessageTs = orderData.slackMessageTs; // Use the TS stored in the DB
-    logger.debug(`Order data found (DB ID: ${orderDbId}):`, orderData);
-
-    // 2. Validate Status (Must be 'ordered')
-    if (orderData.status !== ORDER_STATUS.ORDERED) {
-      logger.warn(`User ${clickerId} tried to claim order ${orderDbId} which is already in status: ${orderData.status}`);
-      let statusText = 'claimed';
-      if (orderData.status === ORDER_STATUS.CANCELLED) statusText = 'cancelled';
-      else if (orderData.status === ORDER_STATUS.DELIVERED) statusText = 'delivered';
-      else if (orderData.status === ORDER_STATUS.EXPIRED) statusText = 'expired';
-      await client.chat.postEphemeral({
-        channel: channelId,
-        user: clickerId,
-        text: `Order\'s already ${statusText}. Too slow.`
-      });
-      return;
-    }
-
-    // 3. Validate Requester (Cannot claim own order, unless developer)
-    if (orderData.requesterId === clickerId) {
-      logger.warn(`User ${clickerId} attempted to claim their own order ${orderDbId}. Checking developer override...`);
-      if (clickerId !== developerSlackId) {
-        logger.warn(`Self-claim denied for user ${clickerId} (not developer ${developerSlackId}).`);
-        await client.chat.postEphemeral({
-          channel: channelId,
-          user: clickerId,
-          text: 'Can\'t claim your own order, slick.'
-        });
-        return;
-      } else {
-        logger.info(`Self-claim allowed for developer ${clickerId}. Proceeding...`);
-      }
-    }
-
-    // 4. Fetch Clicker (Runner) Info using getOrCreatePlayer
+    // 1. Fetch Clicker (Runner) Info using players.getOrCreate
     logger.debug(`Fetching player data for clicker (runner): ${clickerId}`);
-    // Reuse getOrCreatePlayer to ensure the runner exists in the system and get their name
-    const { player: runnerPlayer, playerRef: runnerRef } = await database.getOrCreatePlayer(clickerId, client);
+    // Reuse players.getOrCreate to ensure the runner exists in the system and get their name
+    const { player: runnerPlayer } = await getRepository().players.getOrCreate(clickerId, client);
     if (!runnerPlayer) {
-       // This shouldn\'t happen if getOrCreatePlayer works, but handle defensively
+       // This shouldn\'t happen if players.getOrCreate works, but handle defensively
        logger.error(`Could not get or create player for claiming user ${clickerId}.`);
        await client.chat.postEphemeral({
           channel: channelId,
@@ -141,40 +183,55 @@ export async function handleClaimOrder(payload) {
     const runnerName = runnerPlayer.name || clickerId;
     logger.debug(`Runner identified as: ${runnerName}`);
 
-    // 5. Update Order in Firestore using the DocumentReference
+    // 2. Claim through the state machine (checks it's still 'ordered' and not the clicker's own, in the transaction)
     const timeClaimed = Timestamp.now(); // Get current time as Timestamp
     const claimedExpiryTimestamp = Timestamp.fromMillis(timeClaimed.toMillis() + 10 * 60 * 1000); // Calculate 10 mins from now
-    const updateData = {
-      status: ORDER_STATUS.CLAIMED,
-      runnerId: clickerId,
-      runnerName: runnerName, // Use fetched name
-      timeClaimed: timeClaimed, // Store the exact claim time
-      claimedExpiryTimestamp: claimedExpiryTimestamp // Store the calculated expiry time
-    };
-    logger.info(`Updating order ${orderDbId} with claim data:`, updateData);
-    const orderRef = admin.firestore().collection('orders').doc(orderDbId);
-    await orderRef.update(updateData);
+    let claim;
+    try {
+      claim = await transitionOrder(orderId, 'claim', {
+        actorId: clickerId,
+        updates: {
+          runnerId: clickerId,
+          runnerName: runnerName, // Use fetched name
+          timeClaimed: timeClaimed, // Store the exact claim time
+          claimedExpiryTimestamp: claimedExpiryTimestamp // Store the calculated expiry time
+        }
+      });
+    } catch (transitionError) {
+      if (!(transitionError instanceof OrderTransitionError)) throw transitionError;
+      logger.warn(`User ${clickerId} could not claim order ${orderId}: ${transitionError.code} (status: ${transitionError.fromStatus})`);
+      await client.chat.postEphemeral({
+        channel: channelId,
+        user: clickerId,
+        text: getClaimErrorMessage(transitionError)
+      });
+      return;
+    }
+    const orderData = claim.orderData;
+    const orderDbId = orderId;
+    const orderMessageTs = orderData.slackMessageTs; // Use the TS stored in the DB
     logger.info(`Order ${orderDbId} successfully updated to CLAIMED.`);
 
-    // 6. Prepare Updated Message Blocks
-    // Fetch the latest order data *after* update to ensure we have claimedTime etc.
-    // Although update doesn\'t return the new doc, we can merge locally for the formatter
-    const updatedOrderData = { ...orderData, ...updateData, status: ORDER_STATUS.CLAIMED }; // Merge updates
+    // 3. Prepare Updated Message Blocks
+    // The transition hands back the order with the claim fields merged in
+    const updatedOrderData = orderData;
     logger.debug('Formatting updated message for CLAIMED state...');
     // Pass the orderMessageTs fetched from DB
     const messagePayload = formatOrderMessage(updatedOrderData, orderMessageTs);
 
-    // 7. Update Slack Message
-    logger.info(`Updating Slack message ${channelId}/${orderMessageTs}`);
+    // 4. Update Slack Message
+    // The button may live on a DM or the /mydeliveries dashboard, so target the order's own channel message
+    const orderChannelId = orderData.slackChannelId || channelId;
+    logger.info(`Updating Slack message ${orderChannelId}/${orderMessageTs}`);
     await client.chat.update({
-      channel: channelId,
+      channel: orderChannelId,
       ts: orderMessageTs,
       blocks: messagePayload.blocks,
       text: messagePayload.text
     });
     logger.info(`Slack message ${orderMessageTs} updated successfully.`);
 
-    // 8. TODO: Send DMs to Requester and Runner
+    // 5. Send DMs to Requester and Runner
     logger.info('Implementing DMs for claim confirmation.');
     try {
       // Use full real names fetched earlier
@@ -182,6 +239,11 @@ export async function handleClaimOrder(payload) {
       const locationDisplayName = orderData.locationDisplayName || orderData.location; // Use consistent variable
       const durationMinutes = (updatedOrderData.durationMs || 600000) / 60000; // Default to 10 mins if missing
       
+      // Other open orders near this run, so the runner can stack them (non-fatal if the lookup fails)
+      const nearbyOrders = await getNearbyOpenOrders(clickerId).catch(nearbyError => {
+        logger.warn(`Could not look up nearby orders for runner ${clickerId}:`, nearbyError);
+        return [];
+      });
       // DM to Runner: Use Block Kit
       await client.chat.postMessage({
           channel: clickerId,
@@ -191,7 +253,7 @@ export async function handleClaimOrder(payload) {
                   type: 'mrkdwn',
                   text: `CLAIMED ${orderData.requesterName}\'s order: \"${drinkName}\"\n→ drop: \`${locationDisplayName}\` | time: \`${durationMinutes}\` min` 
               }
-          }],
+          }, ...formatNearbyOrders(nearbyOrders)],
           text: `CLAIMED ${orderData.requesterName}\'s order: \"${drinkName}\"\n→ drop: ${locationDisplayName} | time: ${durationMinutes} min` // Fallback text
       });
       // DM to Requester: Use Block Kit
@@ -227,6 +289,137 @@ export async function handleClaimOrder(payload) {
   }
 }
 
+/**
+ * Mark one claimed order delivered: pay the runner (with its own bonus roll), credit the
+ * requester, refresh the order's channel message and send the DMs.
+ * Shared by MARK DELIVERED, the batch MARK ALL DELIVERED on /mydeliveries and /kkadmin deliver.
+ * @param {string} orderId - Firestore Document ID.
+ * @param {string} clickerId - Slack ID of the user marking it delivered.
+ * @param {object} client - Slack WebClient instance.
+ * @param {object} logger - Bolt's logger instance.
+ * @param {object} [options]
+ * @param {boolean} [options.asAdmin=false] - Deliver on the runner's behalf (admin_deliver transition).
+ * @param {string|null} [options.note=null] - Admin's reason, kept on the ledger entries.
+ * @returns {Promise<{orderData: object, earnedKarma: number, bonusMultiplier: number}>}
+ * @throws {OrderTransitionError} - ORDER_NOT_FOUND, ORDER_NOT_CLAIMED, NOT_THE_RUNNER (NOT_AN_ADMIN as admin), RUNNER_NOT_FOUND or REQUESTER_NOT_FOUND.
+ */
+export async function deliverOrder(orderId, clickerId, client, logger, { asAdmin = false, note = null } = {}) {
+  // Odds come from the standing bonus table or a live happy hour covering this order (lib/bonus-events.js)
+  const { multiplier: rolledMultiplier, event: bonusEvent } = await rollDeliveryBonus(await getRepository().orders.get(orderId));
+  // Status, runner check, karma/rep payouts and ledger entries all happen in the 'deliver' transition
+  const delivery = await transitionOrder(orderId, asAdmin ? 'admin_deliver' : 'deliver', {
+    actorId: clickerId,
+    bonusMultiplier: rolledMultiplier,
+    bonusEventId: bonusEvent?.id || null,
+    note
+  });
+
+  const { orderData: finalOrderData, earnedKarma, bonusMultiplier, unlockedAchievements, streakDays, streakBonus } = delivery;
+  const orderMessageTs = finalOrderData.slackMessageTs; // Use TS from DB
+  // The button may live on the /mydeliveries dashboard, so target the order's own channel message
+  const orderChannelId = finalOrderData.slackChannelId || getConfig('KOFFEE_KARMA_CHANNEL_ID');
+
+  logger.info(`Delivery transaction for order ${orderId} completed successfully.`);
+
+  // 1. Update Slack Message (uses finalOrderData, orderMessageTs)
+  logger.info(`Updating Slack message ${orderChannelId}/${orderMessageTs} for delivered order ${orderId}`);
+  
+  // <<< Add earnedKarma to the data object for the formatter >>>
+  const dataForMessageFormat = { ...finalOrderData, earnedKarma: earnedKarma };
+  
+  const messagePayload = formatOrderMessage(dataForMessageFormat, orderMessageTs);
+  await client.chat.update({
+    channel: orderChannelId,
+    ts: orderMessageTs,
+    blocks: messagePayload.blocks,
+    text: messagePayload.text
+  });
+  logger.info(`Slack message ${orderMessageTs} updated for delivery.`);
+
+  // 2. Send DMs
+  logger.info(`Sending delivery confirmation DMs for order ${orderId}.`);
+  // Fetch final balances AFTER transaction
+  const [finalRunnerData, finalRequesterData] = await Promise.all([
+      getRepository().players.get(finalOrderData.runnerId),
+      getRepository().players.get(finalOrderData.requesterId)
+  ]);
+  const runnerBalance = finalRunnerData?.karma ?? '??';
+  const runnerTitle = finalRunnerData?.title ?? ''; // Get updated title
+  const requesterTitle = finalRequesterData?.title ?? ''; // Get updated title
+  const requesterName = finalRequesterData?.name ?? finalOrderData.requesterId;
+  const runnerName = finalRunnerData?.name ?? finalOrderData.runnerId;
+  const drinkName = finalOrderData.drink || finalOrderData.notes || 'the order';
+  const streakLine = streakDays > 0
+    ? `\nstreak: ${streakDays} working day${streakDays === 1 ? '' : 's'}${streakBonus > 0 ? `. STREAK BONUS: +${streakBonus} Karma` : ''}`
+    : '';
+    
+  // Use Block Kit for DMs
+  const runnerDMBlocks = [{
+            type: 'section',
+            text: {
+                type: 'mrkdwn',
+          text: `DELIVERED: ${requesterName}'s order (\"${drinkName}\")\n+${earnedKarma} Karma earned. ${bonusMultiplier > 1 ? `(x${bonusMultiplier} ${bonusEvent ? 'HAPPY HOUR ' : ''}BONUS!) ` : ''}bal: ${runnerBalance}${streakLine}`
+      }
+  }];
+  const requesterDMBlocks = [{
+            type: 'section',
+            text: {
+                type: 'mrkdwn',
+          text: `DELIVERED: Your order (\"${drinkName}\") by ${runnerName}`
+      }
+  }, {
+      type: 'actions',
+      elements: [
+          { type: 'button', text: { type: 'plain_text', text: 'REORDER', emoji: false }, action_id: 'reorder_order', value: orderId }
+      ]
+  }];
+
+  await client.chat.postMessage({ channel: finalOrderData.runnerId, blocks: runnerDMBlocks, text: `Delivered order, +${earnedKarma} Karma` });
+  await client.chat.postMessage({ channel: finalOrderData.requesterId, blocks: requesterDMBlocks, text: `Your order was delivered by ${runnerName}` });
+
+  // 3. Post Public Bonus Message (if applicable)
+  if (bonusMultiplier > 1) {
+    // <<< Updated bonus message text >>>
+    const bonusMessage = `BONUS HIT: x${bonusMultiplier}. ${runnerName} scored ${earnedKarma} Karma ⚡ running for ${requesterName}.${bonusEvent ? ` (${bonusEvent.name})` : ''}`;
+    logger.info(`Posting public bonus message to ${orderChannelId} for order ${orderId}.`);
+    await client.chat.postMessage({ channel: orderChannelId, text: bonusMessage });
+  }
+
+  // 4. Shout out any badges the delivery unlocked
+  await announceAchievements(client, unlockedAchievements);
+
+  return { orderData: finalOrderData, earnedKarma, bonusMultiplier };
+}
+
+/**
+ * Map a failed 'claim' transition to the text shown to the clicker.
+ * @param {OrderTransitionError} error - Error thrown by transitionOrder.
+ * @returns {string}
+ */
+function getClaimErrorMessage(error) {
+  if (error.message === 'ORDER_NOT_FOUND') return 'Can\'t find that order. Maybe it rotted or someone else grabbed it.';
+  if (error.message === 'OWN_ORDER') return 'Can\'t claim your own order, slick.';
+  let statusText = 'claimed';
+  if (error.fromStatus === ORDER_STATUS.CANCELLED) statusText = 'cancelled';
+  else if (error.fromStatus === ORDER_STATUS.DELIVERED) statusText = 'delivered';
+  else if (error.fromStatus === ORDER_STATUS.EXPIRED) statusText = 'expired';
+  return `Order\'s already ${statusText}. Too slow.`;
+}
+
+/**
+ * Map a deliverOrder failure to the text shown to the clicker.
+ * @param {Error} error - Error thrown by deliverOrder.
+ * @returns {string}
+ */
+export function getDeliveryErrorMessage(error) {
+  if (error.message === 'ORDER_NOT_FOUND') return 'Cannot find that order.';
+  if (error.message === 'ORDER_NOT_CLAIMED') return 'Order hasn\'t been claimed yet.';
+  if (error.message === 'NOT_THE_RUNNER') return 'Only the runner who claimed this order can mark it delivered.';
+  if (error.message === 'RUNNER_NOT_FOUND') return 'Runner profile not found.';
+  if (error.message === 'REQUESTER_NOT_FOUND') return 'Requester profile not found.';
+  return 'Error delivering order. Please contact an admin.';
+}
+
 /**
  * Handles the 'deliver_order' button interaction.
  * @param {object} payload - The action payload.
@@ -240,8 +433,7 @@ export async function handleDeliverOrder({ ack, body, client, logger }) {
   const clickerId = body.user.id; // Should be the runner
   const channelId = body.container?.channel_id;
   const messageTs = body.container?.message_ts;
-  const developerSlackId = getConfig('DEVELOPER_SLACK_ID'); // Get developer ID
-  
+
   logger.info(`'deliver_order' action received for order ID: ${orderId} from user ${clickerId}`);
 
   if (!orderId || !channelId || !messageTs) {
@@ -250,183 +442,11 @@ export async function handleDeliverOrder({ ack, body, client, logger }) {
     return;
   }
 
-  const orderRef = admin.firestore().collection('orders').doc(orderId);
-
   try {
-    // <<< Capture the result of the ACTUAL transaction >>>
-    const transactionResult = await db.runTransaction(async (transaction) => {
-      // 1. Get Order Data
-      const orderDoc = await transaction.get(orderRef);
-      if (!orderDoc.exists) {
-        logger.error(`Order document not found for ID: ${orderId}`);
-        throw new Error('ORDER_NOT_FOUND'); // Throw specific error for handler
-      }
-      const orderData = orderDoc.data();
-      const orderMessageTs = orderData.slackMessageTs; // Use TS from DB
-
-    // 2. Validate Status (Must be 'claimed')
-    if (orderData.status !== ORDER_STATUS.CLAIMED) {
-        logger.warn(`User ${clickerId} tried to deliver order ${orderId} not in 'claimed' status (current: ${orderData.status})`);
-        throw new Error('ORDER_NOT_CLAIMED');
-    }
-
-      // 3. Validate User (Must be the assigned runner, unless developer)
-    if (orderData.runnerId !== clickerId) {
-        logger.warn(`User ${clickerId} attempted to deliver order ${orderId} assigned to ${orderData.runnerId}. Checking developer override...`);
-        if (clickerId !== developerSlackId) {
-            logger.warn(`Delivery denied for user ${clickerId} (not runner ${orderData.runnerId} or developer ${developerSlackId}).`);
-            throw new Error('NOT_THE_RUNNER');
-        } else {
-            logger.info(`Delivery allowed for developer ${clickerId} overriding runner ${orderData.runnerId}. Proceeding...`);
-        }
-      }
-
-      // 4. Fetch Runner and Requester Player Data within Transaction
-      const runnerRef = db.collection('players').doc(orderData.runnerId);
-      const requesterRef = db.collection('players').doc(orderData.requesterId);
-      const [runnerDoc, requesterDoc] = await Promise.all([
-        transaction.get(runnerRef),
-        transaction.get(requesterRef)
-      ]);
-
-      if (!runnerDoc.exists) {
-        logger.error(`Runner player document not found for ID: ${orderData.runnerId}`);
-        throw new Error('RUNNER_NOT_FOUND');
-    }
-      if (!requesterDoc.exists) {
-        logger.error(`Requester player document not found for ID: ${orderData.requesterId}`);
-        // Don't necessarily fail the whole delivery, but log it.
-        // Maybe proceed without requester reputation update? For now, throw.
-        throw new Error('REQUESTER_NOT_FOUND');
-      }
-      const runnerData = runnerDoc.data();
-      const requesterData = requesterDoc.data();
-
-      // 5. Calculate Karma & Reputation Awards
-    const bonusMultiplier = calculateBonus();
-      const baseKarma = orderData.karmaCost || 0;
-      const earnedKarma = baseKarma * bonusMultiplier;
-      const runnerReputationGain = earnedKarma; // Runner rep = earned karma
-      const requesterReputationGain = baseKarma; // Requester rep = base cost
-
-      logger.info(`Delivery calculation for order ${orderId}: BaseKarma=${baseKarma}, BonusMult=${bonusMultiplier}, EarnedKarma=${earnedKarma}, RunnerRep+=${runnerReputationGain}, ReqRep+=${requesterReputationGain}`);
-
-      // <<< Calculate New Titles >>>
-      const newRunnerReputation = (runnerData.reputation || 0) + runnerReputationGain;
-      const newRequesterReputation = (requesterData.reputation || 0) + requesterReputationGain;
-      const newRunnerTitle = getPlayerTitle(newRunnerReputation);
-      const newRequesterTitle = getPlayerTitle(newRequesterReputation);
-
-      logger.info(`Title calculation: Runner ${orderData.runnerId} (${runnerData.reputation || 0} + ${runnerReputationGain} -> ${newRunnerReputation}) Title: "${newRunnerTitle}"`);
-      logger.info(`Title calculation: Requester ${orderData.requesterId} (${requesterData.reputation || 0} + ${requesterReputationGain} -> ${newRequesterReputation}) Title: "${newRequesterTitle}"`);
-
-      // 6. Prepare Firestore Updates
-      const timeDelivered = admin.firestore.Timestamp.now(); // Use admin.firestore.Timestamp.now() for consistency
-      const orderUpdate = {
-      status: ORDER_STATUS.DELIVERED,
-      timeDelivered: timeDelivered,
-        bonusMultiplier: bonusMultiplier,
-        updatedAt: timeDelivered // Using the same Timestamp object is fine here
-      };
-      const runnerUpdate = {
-        karma: admin.firestore.FieldValue.increment(earnedKarma), // <<< Use admin.firestore.FieldValue >>>
-        reputation: admin.firestore.FieldValue.increment(runnerReputationGain), // <<< Use admin.firestore.FieldValue >>>
-        deliveriesCompletedCount: admin.firestore.FieldValue.increment(1), // <<< Use admin.firestore.FieldValue >>>
-        title: newRunnerTitle,
-        updatedAt: timeDelivered // Using the same Timestamp object is fine here
-      };
-      const requesterUpdate = {
-        reputation: admin.firestore.FieldValue.increment(requesterReputationGain), // <<< Use admin.firestore.FieldValue >>>
-        ordersRequestedCount: admin.firestore.FieldValue.increment(1), // <<< Use admin.firestore.FieldValue >>>
-        title: newRequesterTitle,
-        updatedAt: timeDelivered // Using the same Timestamp object is fine here
-      };
-
-      // 7. Perform Transaction Updates
-      logger.debug(`Applying updates in transaction for order ${orderId}`);
-      transaction.update(orderRef, orderUpdate);
-      transaction.update(runnerRef, runnerUpdate);
-      transaction.update(requesterRef, requesterUpdate);
-      logger.info(`Transaction updates prepared for order ${orderId}, runner ${orderData.runnerId}, requester ${orderData.requesterId}.`);
-
-      // Return necessary info for post-transaction actions
-      return { 
-          orderData: { ...orderData, ...orderUpdate }, // Merged order data
-          earnedKarma,
-          bonusMultiplier,
-          orderMessageTs // Pass this through
-      };
-    }); // <<< End of the ACTUAL transaction block >>>
-
-    // Transaction successful - Destructure results from the CAPTURED variable
-    const { orderData: finalOrderData, earnedKarma, bonusMultiplier, orderMessageTs } = transactionResult;
-
-    logger.info(`Delivery transaction for order ${orderId} completed successfully.`);
-
-    // 8. Update Slack Message (uses finalOrderData, orderMessageTs)
-    logger.info(`Updating Slack message ${channelId}/${orderMessageTs} for delivered order ${orderId}`);
-    
-    // <<< Add earnedKarma to the data object for the formatter >>>
-    const dataForMessageFormat = { ...finalOrderData, earnedKarma: earnedKarma };
-    
-    const messagePayload = formatOrderMessage(dataForMessageFormat, orderMessageTs);
-    await client.chat.update({
-      channel: channelId,
-      ts: orderMessageTs,
-      blocks: messagePayload.blocks,
-      text: messagePayload.text
-    });
-    logger.info(`Slack message ${orderMessageTs} updated for delivery.`);
-
-    // 9. Send DMs
-    logger.info(`Sending delivery confirmation DMs for order ${orderId}.`);
-    // Fetch final balances AFTER transaction
-    const [finalRunnerData, finalRequesterData] = await Promise.all([
-        database.getPlayerBySlackId(finalOrderData.runnerId),
-        database.getPlayerBySlackId(finalOrderData.requesterId)
-    ]);
-    const runnerBalance = finalRunnerData?.karma ?? '??';
-    const runnerTitle = finalRunnerData?.title ?? ''; // Get updated title
-    const requesterTitle = finalRequesterData?.title ?? ''; // Get updated title
-    const requesterName = finalRequesterData?.name ?? finalOrderData.requesterId;
-    const runnerName = finalRunnerData?.name ?? finalOrderData.runnerId;
-    const drinkName = finalOrderData.drink || finalOrderData.notes || 'the order';
-      
-    // Use Block Kit for DMs
-    const runnerDMBlocks = [{
-              type: 'section',
-              text: {
-                  type: 'mrkdwn',
-            text: `DELIVERED: ${requesterName}'s order (\"${drinkName}\")\n+${earnedKarma} Karma earned. ${bonusMultiplier > 1 ? `(x${bonusMultiplier} BONUS!) ` : ''}bal: ${runnerBalance}`
-        }
-    }];
-    const requesterDMBlocks = [{
-              type: 'section',
-              text: {
-                  type: 'mrkdwn',
-            text: `DELIVERED: Your order (\"${drinkName}\") by ${runnerName}`
-        }
-    }];
-
-    await client.chat.postMessage({ channel: finalOrderData.runnerId, blocks: runnerDMBlocks, text: `Delivered order, +${earnedKarma} Karma` });
-    await client.chat.postMessage({ channel: finalOrderData.requesterId, blocks: requesterDMBlocks, text: `Your order was delivered by ${runnerName}` });
-
-    // 10. Post Public Bonus Message (if applicable)
-    if (bonusMultiplier > 1) {
-      // <<< Updated bonus message text >>>
-      const bonusMessage = `BONUS HIT: x${bonusMultiplier}. ${runnerName} scored ${earnedKarma} Karma ⚡ running for ${requesterName}.`;
-      logger.info(`Posting public bonus message to ${channelId} for order ${orderId}.`);
-      await client.chat.postMessage({ channel: channelId, text: bonusMessage });
-    }
-
+    await deliverOrder(orderId, clickerId, client, logger);
   } catch (error) {
     logger.error(`Error in handleDeliverOrder for order ${orderId}:`, error);
-    let userMessage = 'Error delivering order. Please contact an admin.';
-    if (error.message === 'ORDER_NOT_FOUND') userMessage = 'Cannot find that order.';
-    else if (error.message === 'ORDER_NOT_CLAIMED') userMessage = 'Order hasn\'t been claimed yet.';
-    else if (error.message === 'NOT_THE_RUNNER') userMessage = 'Only the runner who claimed this order can mark it delivered.';
-    else if (error.message === 'RUNNER_NOT_FOUND') userMessage = 'Runner profile not found.';
-    else if (error.message === 'REQUESTER_NOT_FOUND') userMessage = 'Requester profile not found.';
+    const userMessage = getDeliveryErrorMessage(error);
 
     try {
     await client.chat.postEphemeral({
@@ -467,73 +487,23 @@ export async function handleCancelOrder({ ack, body, client, logger }) {
   }
 
   try {
-    // 1. Fetch Order Data using the new getOrderById function
-    logger.debug(`[cancel_order] Fetching order data using Document ID: ${orderId}`);
-    const orderData = await database.getOrderById(orderId);
-
-    if (!orderData) { // Check if orderData is null (not found)
-      logger.error(`Order ${orderId} not found for cancellation.`);
-      await client.chat.postEphemeral({ channel: channelId, user: clickerId, text: 'Can\'t find that order. Maybe it rotted or got claimed/scrapped.' });
-      return;
-    }
-
-    // Now orderData contains the order details (or was null if not found)
-    logger.debug(`[cancel_order] Order data found:`, orderData);
-
-    // 2. Validate Status (Must be 'ordered')
-    if (orderData.status !== ORDER_STATUS.ORDERED) {
-      logger.warn(`User ${clickerId} tried to cancel order ${orderId} which is already in status: ${orderData.status}`);
-      await client.chat.postEphemeral({
-        channel: channelId || clickerId,
-        user: clickerId,
-        text: 'Too late, order isn\'t pending anymore.'
-      });
-      return;
-    }
-
-    // 3. Validate Requester
-    if (orderData.requesterId !== clickerId) {
-      logger.warn(`User ${clickerId} attempted to cancel order ${orderId} requested by ${orderData.requesterId}.`);
-      await client.chat.postEphemeral({
-        channel: channelId || clickerId,
-        user: clickerId,
-        text: 'Not your order to cancel.'
-      });
+    // 1. Cancel through the state machine: must still be 'ordered' and the clicker's own; refunds in the same transaction
+    let cancellation;
+    try {
+      cancellation = await transitionOrder(orderId, 'cancel', { actorId: clickerId });
+    } catch (transitionError) {
+      if (!(transitionError instanceof OrderTransitionError)) throw transitionError;
+      logger.warn(`User ${clickerId} could not cancel order ${orderId}: ${transitionError.code} (status: ${transitionError.fromStatus})`);
+      let userMessage = 'Too late, order isn\'t pending anymore.';
+      if (transitionError.code === 'ORDER_NOT_FOUND') userMessage = 'Can\'t find that order. Maybe it rotted or got claimed/scrapped.';
+      else if (transitionError.code === 'NOT_THE_REQUESTER') userMessage = 'Not your order to cancel.';
+      await client.chat.postEphemeral({ channel: channelId || clickerId, user: clickerId, text: userMessage });
       return;
     }
+    const { orderData, refundAmount, karmaAfter } = cancellation;
+    logger.info(`Order ${orderId} successfully updated to CANCELLED, refunded ${refundAmount} karma.`);
 
-    // 4. Update Order Status in Firestore using the database utility function
-    logger.info(`Updating order ${orderId} status to CANCELLED.`);
-    const updateSuccess = await database.updateOrder(orderId, {
-      status: ORDER_STATUS.CANCELLED,
-      updatedAt: admin.firestore.FieldValue.serverTimestamp() // Use server timestamp
-    });
-    
-    if (!updateSuccess) {
-        logger.error(`[cancel_order] Failed to update order status for ${orderId} via database.updateOrder.`);
-        // Throw an error or send an ephemeral message? Send ephemeral for now.
-        await client.chat.postEphemeral({
-            channel: channelId || clickerId,
-            user: clickerId,
-            text: 'System choked trying to cancel. Try again or walk. Error: An error occurred while trying to cancel the order.'
-        });
-        return; // Stop processing if status update fails
-    }
-    logger.info(`Order ${orderId} successfully updated to CANCELLED.`);
-
-    // 5. Refund Karma Balance
-    if (orderData.karmaCost && orderData.karmaCost > 0) {
-      logger.info(`Refunding ${orderData.karmaCost} karma to user ${clickerId} for cancelled order ${orderId}.`);
-      const refundSuccess = await updatePlayerKarma(clickerId, orderData.karmaCost);
-      if (!refundSuccess) {
-        logger.error(`Failed to refund karma for cancelled order ${orderId}.`);
-        // Continue to update message, but maybe log error more prominently
-      }
-    } else {
-      logger.warn(`No karma cost found or karma cost is zero for cancelled order ${orderId}, skipping refund.`);
-    }
-
-    // 6. Update Slack Message
+    // 2. Update Slack Message
     if (channelId && messageTs) { // Ensure we have the message coordinates
         logger.info(`Updating Slack message ${channelId}/${messageTs} to reflect cancellation.`);
         const requesterNameToUse = orderData.requesterName || clickerId; // Fallback to clickerId if name missing
@@ -550,20 +520,9 @@ export async function handleCancelOrder({ ack, body, client, logger }) {
         logger.warn(`Could not update Slack message for cancelled order ${orderId} due to missing channelId or messageTs.`);
     }
 
-    // 7. Send DM Confirmation
+    // 3. Send DM Confirmation
     try {
-        const refundAmount = orderData.karmaCost || 0;
-        let newBalance = '???'; // Default if fetch fails
-        // Fetch updated player data to get the new balance
-        try {
-            const updatedPlayerData = await database.getPlayerBySlackId(clickerId);
-            if (updatedPlayerData) {
-                // Use karma field
-                newBalance = updatedPlayerData.karma ?? '???'; 
-            }
-        } catch (fetchError) {
-            logger.error(`[cancel_order] Failed to fetch updated player data for ${clickerId}:`, fetchError);
-        }
+        const newBalance = karmaAfter ?? '???'; // Balance as of the refund, from the transition
 
         // Format DM according to the new style
         // Removed orderId, added backticks
@@ -655,27 +614,31 @@ async function handleOrderSubmission({ ack, body, view, client, logger }) {
     const recipientActionId = 'recipient_select';
     const notesBlockId = 'notes_block';
     const notesActionId = 'notes_input';
+    const deliverAtBlockId = 'deliver_at_block';
+    const deliverAtActionId = 'deliver_at_input';
+    const favoriteNameBlockId = 'favorite_name_block';
+    const favoriteNameActionId = 'favorite_name_input';
 
     // Extract common modal values
     const stateValues = view.state.values;
     const selectedCategory = stateValues[categoryBlockId]?.[categoryActionId]?.selected_option?.value;
-    const drinkDetails = stateValues[drinkBlockId]?.[drinkActionId]?.value || '';
+    const drinkDetails = getVersionedInputValue(stateValues, drinkBlockId, drinkActionId) || '';
     const selectedLocation = stateValues[locationBlockId]?.[locationActionId]?.selected_option?.value;
     const recipientSlackId = stateValues[recipientBlockId]?.[recipientActionId]?.selected_user || null;
-    const notes = stateValues[notesBlockId]?.[notesActionId]?.value || '';
+    const notes = getVersionedInputValue(stateValues, notesBlockId, notesActionId) || '';
+    const deliverAtUnix = stateValues[deliverAtBlockId]?.[deliverAtActionId]?.selected_date_time || null; // Seconds, only on standard orders
+    const favoriteName = stateValues[favoriteNameBlockId]?.[favoriteNameActionId]?.value?.trim() || null; // Only on standard orders
     
     // --- Targeted Order Flow --- 
     if (isTargetedOrder) {
         logger.info(`[handleOrderSubmission-Targeted] Processing order from ${requesterId} for runner ${targetRunnerId}`);
         try {
             // 1. Fetch Runner Offer Status IMMEDIATELY
-            // Use getFirestore() directly as db might not be initialized here if called separately
-            const offerRef = admin.firestore().collection('orders').doc(originalRunnerMessageTs); 
-            const offerDoc = await offerRef.get();
+            const offer = await getRepository().offers.get(originalRunnerMessageTs);
 
             // Check if the offer exists and is still in the 'offered' state
-            if (!offerDoc.exists || offerDoc.data().status !== ORDER_STATUS.OFFERED) { // Use ORDER_STATUS.OFFERED
-                logger.warn(`[handleOrderSubmission-Targeted] Runner offer ${originalRunnerMessageTs} is not available (Status: ${offerDoc.data()?.status || 'Non-existent'}).`);
+            if (offer?.status !== ORDER_STATUS.OFFERED) {
+                logger.warn(`[handleOrderSubmission-Targeted] Runner offer ${originalRunnerMessageTs} is not available (Status: ${offer?.status || 'Non-existent'}).`);
                 
                 // <<< ACK HERE for failure case (no response_action needed, just close modal) >>>
                 await ack(); 
@@ -687,12 +650,11 @@ async function handleOrderSubmission({ ack, body, view, client, logger }) {
                 });
                 return; // Stop processing
             }
-            const offerData = offerDoc.data();
 
             // 2. Parse Modal Data (already done above)
 
             // 3. Runner Capability Validation 
-            const runnerData = await database.getPlayerBySlackId(targetRunnerId);
+            const runnerData = await getRepository().players.get(targetRunnerId);
             if (!runnerData) {
                  // ACK first, then throw for logging/handling if needed
                 await ack();
@@ -736,17 +698,25 @@ async function handleOrderSubmission({ ack, body, view, client, logger }) {
             }
             logger.info('[handleOrderSubmission-Targeted] Capability validation passed.');
 
+            // Charge what the modal showed; if the price moved, show the new one and keep the modal open
+            const { quote: orderQuote, updatedView: repricedView } = await confirmShownPrice(view, { category: selectedCategory, location: selectedLocation });
+            if (repricedView) {
+                logger.info(`[handleOrderSubmission-Targeted] Price moved for ${requesterId}; showing ${orderQuote.karmaCost} before charging.`);
+                await ack({ response_action: 'update', view: repricedView });
+                return;
+            }
+
             // --- Validation Passed - Ack to close modal before background processing --- 
             await ack(); // <<< ACK HERE for success case (close modal) >>>
             logger.info('[handleOrderSubmission-Targeted] Validation passed, view acknowledged (modal will close).');
             
             // --- Start Background Processing (Targeted) --- 
             // 4. Fetch Requester Info & Check Karma
-            const { player: requesterPlayer, playerRef: requesterRef } = await database.getOrCreatePlayer(requesterId, client);
+            const { player: requesterPlayer } = await getRepository().players.getOrCreate(requesterId, client);
             if (!requesterPlayer) throw new Error(`Could not get or create player for requester ${requesterId}`);
             const requesterRealName = requesterPlayer.name || requesterId;
             const currentKarma = requesterPlayer.karma; 
-            const karmaCost = DRINK_CATEGORIES[selectedCategory]?.cost || 2;
+            const karmaCost = orderQuote.karmaCost;
 
             // Check Karma Balance!
             if (currentKarma < karmaCost) {
@@ -774,17 +744,12 @@ async function handleOrderSubmission({ ack, body, view, client, logger }) {
                 } catch (userFetchError) { logger.warn(`[handleOrderSubmission-Targeted] Error fetching recipient info for ${recipientSlackId}: ${userFetchError.message}. Defaulting to requester.`); }
             }
 
-            // 6. Deduct Karma from Requester
-            const karmaUpdateSuccess = await updatePlayerKarma(requesterId, -karmaCost); 
-            logger.info(`[handleOrderSubmission-Targeted] Deducted ${karmaCost} karma balance from ${requesterId}.`);
-
-            // 7. Update the RUNNER OFFER document to CLAIMED status
-            // <<< GET current time and calculate claimed expiry >>>
+            // 6. Charge the requester and flip the RUNNER OFFER document to CLAIMED in one transition
+            // (re-checks the offer is still open and the balance covers it, inside the transaction)
             const timeClaimed = Timestamp.now(); 
             const claimedExpiryTimestamp = Timestamp.fromMillis(timeClaimed.toMillis() + 10 * 60 * 1000); // 10 mins from now
             
             const updateData = {
-                status: ORDER_STATUS.CLAIMED, // Change offer to claimed
                 requesterId: requesterId,
                 requesterName: requesterRealName,
                 recipientId: finalRecipientId,
@@ -793,25 +758,38 @@ async function handleOrderSubmission({ ack, body, view, client, logger }) {
                 drink: drinkDetails,
                 location: selectedLocation, // Store location from order modal
                 notes: notes,
-                karmaCost: karmaCost,
+                ...getQuoteFields(orderQuote),
                 timeClaimed: timeClaimed, // <<< Use the actual Timestamp object
                 claimedExpiryTimestamp: claimedExpiryTimestamp, // <<< ADD the expiry timestamp
                 // Keep original runnerId, runnerName, createdAt (offer time), expiryTimestamp from the offer
             };
-            logger.info(`[handleOrderSubmission-Targeted] Updating runner offer ${originalRunnerMessageTs} to CLAIMED with order details:`, updateData);
-            await offerRef.update(updateData); // Update the *offer* document
-            logger.info(`[handleOrderSubmission-Targeted] Runner offer ${originalRunnerMessageTs} successfully updated to CLAIMED.`);
+            logger.info(`[handleOrderSubmission-Targeted] Accepting runner offer ${originalRunnerMessageTs} with order details:`, updateData);
+            let acceptance;
+            try {
+                acceptance = await transitionOrder(originalRunnerMessageTs, 'accept_offer', { actorId: requesterId, updates: updateData });
+            } catch (transitionError) {
+                if (!(transitionError instanceof OrderTransitionError)) throw transitionError;
+                logger.warn(`[handleOrderSubmission-Targeted] Could not accept offer ${originalRunnerMessageTs}: ${transitionError.code}`);
+                const userMessage = transitionError.code === 'INSUFFICIENT_KARMA'
+                    ? `Not enough Karma. You got ${transitionError.currentKarma} ⚡, need ${karmaCost} ⚡. Burn it, you earn it.`
+                    : 'Offer gone. Too slow or already claimed.';
+                await client.chat.postEphemeral({
+                    channel: channelIdFromMetadata || channelIdFromConfig,
+                    user: requesterId,
+                    text: userMessage
+                });
+                return;
+            }
+            logger.info(`[handleOrderSubmission-Targeted] Runner offer ${originalRunnerMessageTs} successfully updated to CLAIMED; charged ${acceptance.chargedKarma} karma.`);
 
-            // 8. Format Updated Message for the *Original Runner Offer Message*
-            // Fetch the *updated* offer data to ensure we have the server timestamp for timeClaimed if needed
-            const updatedOfferDoc = await offerRef.get();
-            const updatedOfferData = updatedOfferDoc.exists ? { id: updatedOfferDoc.id, ...updatedOfferDoc.data() } : { ...offerData, ...updateData }; // Fallback to merged data
+            // 7. Format Updated Message for the *Original Runner Offer Message*
+            const updatedOfferData = { id: originalRunnerMessageTs, ...acceptance.orderData };
 
             logger.debug('[handleOrderSubmission-Targeted] Formatting updated message for CLAIMED state (from offer)...');
             // <<< Use formatOrderMessage for consistency >>>
             const messagePayload = formatOrderMessage(updatedOfferData, originalRunnerMessageTs); 
 
-            // 9. Update Slack Message (the original runner offer message)
+            // 8. Update Slack Message (the original runner offer message)
             logger.info(`[handleOrderSubmission-Targeted] Updating Slack message ${channelIdFromMetadata}/${originalRunnerMessageTs}`);
             await client.chat.update({
                 channel: channelIdFromMetadata,
@@ -821,7 +799,7 @@ async function handleOrderSubmission({ ack, body, view, client, logger }) {
             });
             logger.info(`[handleOrderSubmission-Targeted] Slack message ${originalRunnerMessageTs} updated successfully.`);
 
-            // 10. Send DMs 
+            // 9. Send DMs 
             logger.info('[handleOrderSubmission-Targeted] Sending DMs for claim confirmation.');
             try {
                 const runnerIdForDM = updatedOfferData.runnerId || targetRunnerId;
@@ -920,264 +898,80 @@ async function handleOrderSubmission({ ack, body, view, client, logger }) {
                 return; // Stop processing
             }
 
-            // --- Validation Passed - Ack to close modal before background processing --- 
-            await ack(); // <<< ACK HERE for success case (close modal) >>>
-            logger.info('[handleOrderSubmission-Standard] Validation passed, view acknowledged (modal will close).');
-
-            // --- Start Background Processing (Standard) --- 
-            let placeholderTs = null;
-            let placeholderChannel = null;
-            let orderDetailsForDb = {}; // Object to build for Firestore
-            let orderDbId = null; // Firestore auto-generated ID
-            let karmaCost = 0; // Define karmaCost for scope
-            let finalOrderData = {}; // <<< DECLARE finalOrderData HERE in higher scope
-
-            // --- 2. Post Placeholder Message ---
-            try {
-                // REMOVED: const requesterNameToUse = (await database.getPlayerBySlackId(requesterId))?.name || requesterId; // Fetch name for placeholder
-                const placeholderResult = await client.chat.postMessage({
-                    channel: channelIdFromConfig, // Post to the main channel
-                    text: `⏳ ORDER INCOMING... STANDBY.` 
-                    // No blocks needed for the placeholder
-                });
-
-                if (!placeholderResult.ok) {
-                     throw new Error(`Failed to post placeholder message: ${placeholderResult.error}`);
-                }
-                placeholderTs = placeholderResult.ts;
-                placeholderChannel = placeholderResult.channel;
-                logger.info(`[handleOrderSubmission-Standard] Posted placeholder message: ${placeholderChannel}/${placeholderTs}`);
-
-            } catch (placeholderError) {
-                logger.error('[handleOrderSubmission-Standard] CRITICAL: Failed to post placeholder message:', placeholderError);
-                 await client.chat.postEphemeral({
-                     channel: channelIdFromConfig, // Still need channel context
-                     user: requesterId,
-                     text: `🔥 Apologies, there was an error initiating your order request. Please try again. (Error: ${placeholderError.message})`
-                 });
-                 return; // Stop processing if placeholder fails
+            // Charge what the modal showed; if the price moved, show the new one and keep the modal open
+            const { quote: orderQuote, updatedView: repricedView } = await confirmShownPrice(view, { category: selectedCategory, location: selectedLocation });
+            if (repricedView) {
+                logger.info(`[handleOrderSubmission-Standard] Price moved for ${requesterId}; showing ${orderQuote.karmaCost} before charging.`);
+                await ack({ response_action: 'update', view: repricedView });
+                return; // Stop processing
             }
 
-            // --- 3. Process Order (Fetch info, Check Karma, DB operations) ---
-            try {
-                 // Fetch Requester Info & Karma
-                const { player: requesterPlayer, playerRef: requesterRef } = await database.getOrCreatePlayer(requesterId, client);
-                if (!requesterPlayer) throw new Error(`Could not get or create player for requester ${requesterId}`);
-                const requesterRealName = requesterPlayer.name || requesterId;
-                const currentKarma = requesterPlayer.karma; 
-                karmaCost = DRINK_CATEGORIES[selectedCategory]?.cost || 2; 
-                logger.info(`[handleOrderSubmission-Standard] Requester ${requesterId} karma: ${currentKarma}, Order cost: ${karmaCost}`);
-
-                 // Check Karma Balance
-                if (currentKarma < karmaCost) {
-                    logger.warn(`[handleOrderSubmission-Standard] User ${requesterId} has insufficient karma (${currentKarma}) for order costing ${karmaCost}.`);
-                    // <<< DELETE the public placeholder message >>>
-                    if (placeholderChannel && placeholderTs) {
-                        try {
-                            await client.chat.delete({
-                        channel: placeholderChannel,
-                                ts: placeholderTs
-                            });
-                            logger.info(`[handleOrderSubmission-Standard] Deleted placeholder message ${placeholderChannel}/${placeholderTs} due to insufficient karma.`);
-                        } catch (deleteError) {
-                            logger.error(`[handleOrderSubmission-Standard] Failed to delete placeholder message ${placeholderChannel}/${placeholderTs}:`, deleteError);
-                            // Continue to send ephemeral error even if delete fails
-                        }
-                    }
-                    await client.chat.postEphemeral({ // Send ephemeral
-                        channel: channelIdFromConfig, 
-                        user: requesterId,
-                        text: `😟 Sorry, you don\'t have enough Karma (${currentKarma}) to place this order (cost: ${karmaCost}).`
-                    });
-                    return; 
+            // Check "Deliver at" window (input block, so use inline errors)
+            if (deliverAtUnix) {
+                const leadSeconds = deliverAtUnix - Math.floor(Date.now() / 1000);
+                let deliverAtError = null;
+                if (leadSeconds < DURATIONS.SCHEDULE_MIN_LEAD) {
+                    deliverAtError = `△ Too soon. Pick a time at least ${DURATIONS.SCHEDULE_MIN_LEAD / 60} minutes out, or leave it blank for now.`;
+                } else if (leadSeconds > DURATIONS.SCHEDULE_MAX_LEAD) {
+                    deliverAtError = `△ Too far out. Keep it within ${DURATIONS.SCHEDULE_MAX_LEAD / 3600} hours.`;
                 }
+                if (deliverAtError) {
+                    logger.warn(`[handleOrderSubmission-Standard] Invalid deliver-at time ${deliverAtUnix} (lead ${leadSeconds}s).`);
+                    await ack({ response_action: 'errors', errors: { [deliverAtBlockId]: deliverAtError } });
+                    return; // Stop processing
+                }
+            }
 
-                // Fetch Channel Name with added logging
-                let slackChannelName = null;
+            // Save as favorite (inline error if the list is full)
+            if (favoriteName) {
                 try {
-                    logger.debug(`[handleOrderSubmission-Standard] Fetching channel info for: ${channelIdFromConfig}`);
-                    const channelInfo = await client.conversations.info({ channel: channelIdFromConfig });
-                    logger.debug('[handleOrderSubmission-Standard] conversations.info response:', JSON.stringify(channelInfo)); // Log the full response
-                    if (channelInfo.ok && channelInfo.channel?.name) {
-                        slackChannelName = `#${channelInfo.channel.name}`;
-                        logger.info(`[handleOrderSubmission-Standard] Successfully fetched channel name: ${slackChannelName}`);
-                    } else {
-                        logger.warn(`[handleOrderSubmission-Standard] Could not fetch channel name. OK: ${channelInfo.ok}, Error: ${channelInfo.error}, Channel Name: ${channelInfo.channel?.name}`);
+                    await getRepository().players.saveFavorite(requesterId, { name: favoriteName, category: selectedCategory, drink: drinkDetails, location: selectedLocation, notes });
+                } catch (favoriteError) {
+                    if (favoriteError.message === 'FAVORITES_FULL') {
+                        await ack({ response_action: 'errors', errors: { [favoriteNameBlockId]: `△ Favorites full (${FAVORITES_LIMIT}). Reuse a name to overwrite, or leave it blank.` } });
+                        return; // Stop processing
                     }
-                } catch (convError) {
-                    logger.error(`[handleOrderSubmission-Standard] Error during client.conversations.info for ${channelIdFromConfig}:`, convError);
+                    // Not worth failing the order over
+                    logger.error(`[handleOrderSubmission-Standard] Failed to save favorite "${favoriteName}" for ${requesterId}:`, favoriteError);
                 }
-
-                // --- ADDED BACK: Determine Recipient ID and Name ---
-                // Extract recipientSlackId from modal values (done earlier, ensure it's available here)
-                // const recipientSlackId = stateValues[recipientBlockId]?.[recipientActionId]?.selected_user || null;
-                // Need to re-extract or pass it down if scope changed. Assuming stateValues is still accessible:
-                const recipientSlackId = view.state.values[recipientBlockId]?.[recipientActionId]?.selected_user || null;
-                
-                let finalRecipientId = requesterId;
-                let finalRecipientName = requesterRealName; 
-                if (recipientSlackId && recipientSlackId !== requesterId) {
-                    logger.info(`[handleOrderSubmission-Standard] Order is a gift for ${recipientSlackId}. Fetching recipient info...`);
-                    try {
-                        const recipientInfo = await client.users.info({ user: recipientSlackId });
-                        if (recipientInfo.ok) {
-                            finalRecipientId = recipientSlackId;
-                            finalRecipientName = recipientInfo.user?.real_name || recipientInfo.user?.name || recipientSlackId;
-                            logger.info(`[handleOrderSubmission-Standard] Recipient info fetched: ${finalRecipientName} (${finalRecipientId})`);
-                        } else { 
-                            logger.warn(`[handleOrderSubmission-Standard] Could not fetch recipient info for ${recipientSlackId}: ${recipientInfo.error}. Defaulting to requester.`); 
-                            // Keep finalRecipientId/Name as the requester
-                        }
-                    } catch (userFetchError) { 
-                        logger.warn(`[handleOrderSubmission-Standard] Error fetching recipient info for ${recipientSlackId}: ${userFetchError.message}. Defaulting to requester.`); 
-                         // Keep finalRecipientId/Name as the requester
-                    }
-                } else {
-                    logger.info(`[handleOrderSubmission-Standard] Order is for self (${requesterId}).`);
-                }
-                // --- END ADDED BACK --- 
-
-                // Deduct Karma from Requester
-                 const karmaUpdateSuccess = await updatePlayerKarma(requesterId, -karmaCost);
-                 logger.info(`[handleOrderSubmission-Standard] Deducted ${karmaCost} karma from ${requesterId}.`);
-
-                // Create Order Document
-                 const orderTimestamp = admin.firestore.FieldValue.serverTimestamp();
-                 const durationMs = 10 * 60 * 1000; // Default 10 minutes
-                 const expiryTimestampJSDate = new Date(Date.now() + durationMs); 
-                 
-                 orderDetailsForDb = {
-                    orderId: '', // Will be set to doc ID after creation
-                    requesterId: requesterId,
-                    requesterName: requesterRealName,
-                    runnerId: null, // Not claimed yet
-                    runnerName: null, 
-                    // Use the determined recipient info
-                    recipientId: finalRecipientId, 
-                    recipientName: finalRecipientName,
-                    initiatedBy: 'requester', 
-                    category: selectedCategory,
-                    drink: drinkDetails,
-                    location: selectedLocation,
-                    locationDisplayName: LOCATIONS[selectedLocation]?.name || selectedLocation, // Add display name
-                    notes: notes,
-                    karmaCost: karmaCost,
-                    status: ORDER_STATUS.ORDERED, 
-                    bonusMultiplier: 1, 
-                    slackMessageTs: placeholderTs, 
-                    slackChannelId: channelIdFromConfig,
-                    slackChannelName: slackChannelName,
-                    timeClaimed: null,
-                    timeDelivered: null,
-                    durationMs: durationMs, 
-                    expiryTimestamp: expiryTimestampJSDate 
-                    // Firestore adds createdAt/updatedAt via createOrder
-                };
-
-                logger.debug('[handleOrderSubmission-Standard] Creating order document with data:', orderDetailsForDb);
-                const newOrderRef = await database.createOrder(orderDetailsForDb); 
-                orderDbId = newOrderRef.id; 
-                
-                await newOrderRef.update({ orderId: orderDbId }); 
-                
-                logger.info(`[handleOrderSubmission-Standard] Order document ${orderDbId} created successfully.`);
-                
-                // --- FETCH the created document to get server timestamps --- 
-                const createdOrderDoc = await newOrderRef.get();
-                if (!createdOrderDoc.exists) {
-                    throw new Error(`Failed to fetch newly created order document ${orderDbId}`);
-                }
-                // Assign to the higher-scoped variable
-                finalOrderData = createdOrderDoc.data(); 
-                
-                // Ensure essential fields are present after fetch
-                if (!finalOrderData.createdAt || !finalOrderData.expiryTimestamp) {
-                     console.error('[handleOrderSubmission-Standard] Fetched order data missing createdAt or expiryTimestamp!', finalOrderData);
-                     finalOrderData.createdAt = finalOrderData.createdAt || Timestamp.now(); 
-                     finalOrderData.expiryTimestamp = finalOrderData.expiryTimestamp || Timestamp.fromDate(expiryTimestampJSDate); 
-                }
-                
-            } catch (dbError) {
-                 logger.error('[handleOrderSubmission-Standard] Error during Firestore operations:', dbError);
-                 await client.chat.update({ // Update placeholder on DB Error
-                     channel: placeholderChannel,
-                     ts: placeholderTs,
-                     text: `🔥 ORDER FAILED <@${requesterId}>. SYSTEM GLITCH. TELL AN ADMIN.`
-                 }).catch(updateErr => logger.error('[handleOrderSubmission-Standard] Failed to update placeholder on DB error:', updateErr));
-                 await client.chat.postEphemeral({
-                     channel: channelIdFromConfig,
-                     user: requesterId,
-                     text: `🔥 Sorry, an internal error occurred while processing your order (${dbError.message}). Your karma was likely deducted but the order failed. Please contact an admin.`
-                 });
-                 return; // Stop processing
             }
 
-            // --- 4. Update Slack Message with Final Formatted Order --- 
-            try {
-                logger.debug('[handleOrderSubmission-Standard] Formatting final order message using fetched data...');
-                
-                // Create a temporary object mapping createdAt to startTimestamp
-                const dataForFormatter = {
-                    ...finalOrderData, // Spread the existing order data
-                    startTimestamp: finalOrderData.createdAt // Map createdAt to startTimestamp
-                };
-                
-                // Call formatOrderMessage with the modified data and the DB ID
-                const messagePayload = formatOrderMessage(dataForFormatter, orderDbId);
-                
-                // Validate the payload structure minimally
-                if (!messagePayload || !Array.isArray(messagePayload.blocks) || !messagePayload.text) {
-                    throw new Error('formatOrderMessage did not return a valid structure with blocks array and text.');
-                }
-
-                logger.info(`[handleOrderSubmission-Standard] Updating placeholder message ${placeholderChannel}/${placeholderTs} with final order details...`);
-                const updateResult = await client.chat.update({
-                    channel: placeholderChannel,
-                    ts: placeholderTs,
-                    blocks: messagePayload.blocks, 
-                    text: messagePayload.text 
-                });
-                logger.info(`[handleOrderSubmission-Standard] Slack message ${placeholderTs} updated successfully with final order.`);
-
-                // --- Update Firestore with final message TS --- 
-                if (updateResult.ok && updateResult.ts) {
-                    await database.updateOrder(orderDbId, { 
-                        slackMessageTs: updateResult.ts, 
-                        slackChannelId: updateResult.channel
-                    });
-                    logger.info(`[handleOrderSubmission-Standard] Successfully linked order ${orderDbId} with final Slack info ${updateResult.channel}/${updateResult.ts}.`);
-                } else {
-                     logger.error(`[handleOrderSubmission-Standard] Slack update succeeded but response missing ts/channel. Cannot link DB accurately for order ${orderDbId}. Update Result:`, updateResult);
-                }
-
-                // <<< ADD DM Confirmation to Requester >>>
-                try {
-                    const confirmationText = `Your order is live in <#${finalOrderData.slackChannelId}>.`; // REMOVED !
-                    await client.chat.postMessage({
-                        channel: finalOrderData.requesterId, // Use finalOrderData
-                        text: `Your order is live in ${finalOrderData.slackChannelName || '#unknown-channel'}.`, // Fallback text + REMOVED !
-                        blocks: [{
-                            type: 'section',
-                            text: { type: 'mrkdwn', text: confirmationText }
-                        }]
-                    });
-                    logger.info(`Sent order confirmation DM to requester ${finalOrderData.requesterId}`);
-                } catch (dmError) {
-                    logger.error(`Failed to send order confirmation DM to ${finalOrderData.requesterId}:`, dmError);
-                    // Do not re-throw, failure to DM should not break the order flow
-                }
-                // <<< END DM Confirmation >>>
+            // --- Validation Passed - Ack to close modal before background processing --- 
+            await ack(); // <<< ACK HERE for success case (close modal) >>>
+            logger.info('[handleOrderSubmission-Standard] Validation passed, view acknowledged (modal will close).');
 
-            } catch (slackUpdateError) {
-                logger.error('[handleOrderSubmission-Standard] CRITICAL: Failed to update placeholder message with final order blocks:', slackUpdateError);
-                const orderIdForError = orderDbId || 'Unknown'; 
-                await client.chat.postEphemeral({
-                    channel: channelIdFromConfig,
-                    user: requesterId, 
-                    text: `😬 Your order was created (ID: ${orderIdForError}), but there was an error updating the Slack message. Please check the channel or contact an admin. Error: ${slackUpdateError.message}`
+            // --- Scheduled Order: store it now, post + charge at the deliver-at time ---
+            if (deliverAtUnix) {
+                await scheduleOrderFromSubmission({
+                    requesterId,
+                    selectedCategory,
+                    drinkDetails,
+                    selectedLocation,
+                    recipientSlackId,
+                    notes,
+                    deliverAtMs: deliverAtUnix * 1000,
+                    channelId: channelIdFromConfig,
+                    quote: orderQuote,
+                    client,
+                    logger
                 });
+                return;
             }
 
+            // --- Start Background Processing (Standard) --- 
+            await placeStandardOrder({
+                requesterId,
+                selectedCategory,
+                drinkDetails,
+                selectedLocation,
+                recipientSlackId,
+                notes,
+                channelId: channelIdFromConfig,
+                quote: orderQuote,
+                client,
+                logger
+            });
+
         } catch (error) {
              logger.error('[handleOrderSubmission-Standard] Unhandled error processing standard order submission:', error);
              // Ack may or may not have happened depending on where error occurred.
@@ -1195,6 +989,792 @@ async function handleOrderSubmission({ ack, body, view, client, logger }) {
     } // End else (Standard Order Flow)
 } // End handleOrderSubmission
 
+/**
+ * DM the best-placed runners with an open offer about a newly live order, each with a CLAIM button.
+ * Runners are ranked by rankRunnerOffers (can make it, then grid distance from their spot).
+ * Non-fatal: failures are logged and the order stays up in the channel either way.
+ * @param {string} orderId - Firestore Document ID of the live order.
+ * @param {object} orderData - The order's data (location, category, items, requesterId...).
+ * @param {object} client - Slack WebClient instance.
+ * @param {object} logger - Logger instance.
+ * @returns {Promise<void>}
+ */
+async function notifyNearestRunners(orderId, orderData, client, logger) {
+    try {
+        const seenRunners = new Set();
+        const offers = (await getRepository().offers.listActive())
+            .filter(offer => offer.runnerId && offer.runnerId !== orderData.requesterId)
+            // Newest offer per runner only
+            .filter(offer => {
+                if (seenRunners.has(offer.runnerId)) return false;
+                seenRunners.add(offer.runnerId);
+                return true;
+            });
+
+        const matches = rankRunnerOffers(orderData, offers).slice(0, RUNNER_MATCH_LIMIT);
+        if (matches.length === 0) {
+            logger.info(`[notifyNearestRunners] No active runner offers to match order ${orderId} against.`);
+            return;
+        }
+
+        const locationDisplayName = LOCATIONS[orderData.location] || orderData.location;
+        for (const match of matches) {
+            const distanceText = match.distance === null ? 'distance unknown' : `${match.distance} ${match.distance === 1 ? 'step' : 'steps'} from you`;
+            const text = `OPEN ORDER NEAR YOU: \"${orderData.drink}\" → \`${locationDisplayName}\`\n${distanceText} · ${orderData.runnerReward ?? orderData.karmaCost ?? 0} Karma${match.canMake ? '' : ' · not on your list, but it\'s close'}`;
+            await client.chat.postMessage({
+                channel: match.runnerId,
+                text: `Open order near you: "${orderData.drink}" → ${locationDisplayName}`, // Fallback text
+                blocks: [
+                    { type: 'section', text: { type: 'mrkdwn', text } },
+                    {
+                        type: 'actions',
+                        block_id: `runner_match_actions_${orderId}`,
+                        elements: [
+                            { type: 'button', text: { type: 'plain_text', text: 'CLAIM', emoji: false }, style: 'primary', action_id: 'claim_order', value: orderId }
+                        ]
+                    }
+                ]
+            }).catch(dmError => logger.error(`[notifyNearestRunners] Failed to DM runner ${match.runnerId} about order ${orderId}:`, dmError));
+        }
+        logger.info(`[notifyNearestRunners] DM'd ${matches.length} runner(s) about order ${orderId}: ${matches.map(m => `${m.runnerId}(${m.distance ?? '?'}${m.canMake ? '' : ',cannot-make'})`).join(', ')}`);
+    } catch (error) {
+        logger.error(`[notifyNearestRunners] Failed to match runners for order ${orderId}:`, error);
+    }
+}
+
+/**
+ * Post, charge and store a standard (requester-initiated) order.
+ * Shared by the order modal and standing orders so both go through the same karma checks and messages.
+ * @param {object} params
+ * @param {string} params.requesterId - Slack ID of the player paying for the order.
+ * @param {string} params.selectedCategory - Key from DRINK_CATEGORIES.
+ * @param {string} params.drinkDetails - Free-text drink description.
+ * @param {string} params.selectedLocation - Key from LOCATIONS.
+ * @param {string|null} params.recipientSlackId - Gift recipient, or null for the requester.
+ * @param {string} params.notes - Optional notes.
+ * @param {string} params.channelId - Channel to post the order in.
+ * @param {string|null} [params.standingOrderId=null] - Standing order that placed this, if any.
+ * @param {Array<object>|null} [params.items=null] - Line items for a group order ({category, drink, recipientId, recipientName, karmaCost}).
+ * @param {object|null} [params.quote=null] - Price the requester was shown (quoteOrder()); quoted fresh otherwise.
+ * @param {object} params.client - Slack WebClient instance.
+ * @param {object} params.logger - Logger instance.
+ * @returns {Promise<string|null>} - The new order's Firestore ID, or null if it wasn't placed.
+ */
+export async function placeStandardOrder({ requesterId, selectedCategory, drinkDetails, selectedLocation, recipientSlackId, notes, channelId: channelIdFromConfig, standingOrderId = null, items = null, quote = null, client, logger }) {
+    let placeholderTs = null;
+    let placeholderChannel = null;
+    let orderDetailsForDb = {}; // Object to build for Firestore
+    let orderDbId = null; // Firestore auto-generated ID
+    let karmaCost = 0; // Define karmaCost for scope
+    let finalOrderData = {}; // <<< DECLARE finalOrderData HERE in higher scope
+
+    // --- 2. Post Placeholder Message ---
+    try {
+        const placeholderResult = await client.chat.postMessage({
+            channel: channelIdFromConfig, // Post to the main channel
+            text: `⏳ ORDER INCOMING... STANDBY.` 
+            // No blocks needed for the placeholder
+        });
+
+        if (!placeholderResult.ok) {
+             throw new Error(`Failed to post placeholder message: ${placeholderResult.error}`);
+        }
+        placeholderTs = placeholderResult.ts;
+        placeholderChannel = placeholderResult.channel;
+        logger.info(`[placeStandardOrder] Posted placeholder message: ${placeholderChannel}/${placeholderTs}`);
+
+    } catch (placeholderError) {
+        logger.error('[placeStandardOrder] CRITICAL: Failed to post placeholder message:', placeholderError);
+         await client.chat.postEphemeral({
+             channel: channelIdFromConfig, // Still need channel context
+             user: requesterId,
+             text: `🔥 Apologies, there was an error initiating your order request. Please try again. (Error: ${placeholderError.message})`
+         });
+         return null; // Stop processing if placeholder fails
+    }
+
+    // --- 3. Process Order (Fetch info, Check Karma, DB operations) ---
+    try {
+         // Fetch Requester Info & Karma
+        const { player: requesterPlayer } = await getRepository().players.getOrCreate(requesterId, client);
+        if (!requesterPlayer) throw new Error(`Could not get or create player for requester ${requesterId}`);
+        const requesterRealName = requesterPlayer.name || requesterId;
+        const currentKarma = requesterPlayer.karma; 
+        // Menu price (summed line items for a group order), adjusted by lib/pricing.js when dynamic pricing is on
+        const orderQuote = quote || await quoteOrder({ category: selectedCategory, location: selectedLocation, items });
+        karmaCost = orderQuote.karmaCost;
+        logger.info(`[placeStandardOrder] Requester ${requesterId} karma: ${currentKarma}, Order cost: ${karmaCost}`);
+
+        // Pull the placeholder and tell the requester they're short
+        const rejectInsufficientKarma = async (balance) => {
+            logger.warn(`[placeStandardOrder] User ${requesterId} has insufficient karma (${balance}) for order costing ${karmaCost}.`);
+            // <<< DELETE the public placeholder message >>>
+            if (placeholderChannel && placeholderTs) {
+                try {
+                    await client.chat.delete({
+                channel: placeholderChannel,
+                        ts: placeholderTs
+                    });
+                    logger.info(`[placeStandardOrder] Deleted placeholder message ${placeholderChannel}/${placeholderTs} due to insufficient karma.`);
+                } catch (deleteError) {
+                    logger.error(`[placeStandardOrder] Failed to delete placeholder message ${placeholderChannel}/${placeholderTs}:`, deleteError);
+                    // Continue to send ephemeral error even if delete fails
+                }
+            }
+            await client.chat.postEphemeral({ // Send ephemeral
+                channel: channelIdFromConfig, 
+                user: requesterId,
+                text: `😟 Sorry, you don\'t have enough Karma (${balance}) to place this order (cost: ${karmaCost}).`
+            });
+        };
+
+         // Check Karma Balance (early out; createCharged re-checks it inside the transaction)
+        if (currentKarma < karmaCost) {
+            await rejectInsufficientKarma(currentKarma);
+            return null; 
+        }
+
+        // Fetch Channel Name with added logging
+        let slackChannelName = null;
+        try {
+            logger.debug(`[placeStandardOrder] Fetching channel info for: ${channelIdFromConfig}`);
+            const channelInfo = await client.conversations.info({ channel: channelIdFromConfig });
+            logger.debug('[placeStandardOrder] conversations.info response:', JSON.stringify(channelInfo)); // Log the full response
+            if (channelInfo.ok && channelInfo.channel?.name) {
+                slackChannelName = `#${channelInfo.channel.name}`;
+                logger.info(`[placeStandardOrder] Successfully fetched channel name: ${slackChannelName}`);
+            } else {
+                logger.warn(`[placeStandardOrder] Could not fetch channel name. OK: ${channelInfo.ok}, Error: ${channelInfo.error}, Channel Name: ${channelInfo.channel?.name}`);
+            }
+        } catch (convError) {
+            logger.error(`[placeStandardOrder] Error during client.conversations.info for ${channelIdFromConfig}:`, convError);
+        }
+
+        // --- Determine Recipient ID and Name ---
+        let finalRecipientId = requesterId;
+        let finalRecipientName = requesterRealName; 
+        if (recipientSlackId && recipientSlackId !== requesterId) {
+            logger.info(`[placeStandardOrder] Order is a gift for ${recipientSlackId}. Fetching recipient info...`);
+            try {
+                const recipientInfo = await client.users.info({ user: recipientSlackId });
+                if (recipientInfo.ok) {
+                    finalRecipientId = recipientSlackId;
+                    finalRecipientName = recipientInfo.user?.real_name || recipientInfo.user?.name || recipientSlackId;
+                    logger.info(`[placeStandardOrder] Recipient info fetched: ${finalRecipientName} (${finalRecipientId})`);
+                } else { 
+                    logger.warn(`[placeStandardOrder] Could not fetch recipient info for ${recipientSlackId}: ${recipientInfo.error}. Defaulting to requester.`); 
+                    // Keep finalRecipientId/Name as the requester
+                }
+            } catch (userFetchError) { 
+                logger.warn(`[placeStandardOrder] Error fetching recipient info for ${recipientSlackId}: ${userFetchError.message}. Defaulting to requester.`); 
+                 // Keep finalRecipientId/Name as the requester
+            }
+        } else {
+            logger.info(`[placeStandardOrder] Order is for self (${requesterId}).`);
+        }
+        // --- END ADDED BACK --- 
+
+        // Reserve the order ID up front so the karma ledger entry can point at it
+         const reservedOrderId = getRepository().orders.newId();
+
+        // Create Order Document
+         const durationMs = 10 * 60 * 1000; // Default 10 minutes
+         const expiryTimestampJSDate = new Date(Date.now() + durationMs); 
+         
+         orderDetailsForDb = {
+            orderId: reservedOrderId,
+            requesterId: requesterId,
+            requesterName: requesterRealName,
+            runnerId: null, // Not claimed yet
+            runnerName: null, 
+            // Use the determined recipient info
+            recipientId: finalRecipientId, 
+            recipientName: finalRecipientName,
+            initiatedBy: 'requester', 
+            category: selectedCategory,
+            drink: drinkDetails,
+            location: selectedLocation,
+            locationDisplayName: LOCATIONS[selectedLocation] || selectedLocation,
+            notes: notes,
+            ...getQuoteFields(orderQuote),
+            status: ORDER_STATUS.ORDERED, 
+            bonusMultiplier: 1, 
+            slackMessageTs: placeholderTs, 
+            slackChannelId: channelIdFromConfig,
+            slackChannelName: slackChannelName,
+            timeClaimed: null,
+            timeDelivered: null,
+            durationMs: durationMs, 
+            expiryTimestamp: expiryTimestampJSDate, 
+            ...(standingOrderId && { standingOrderId }), // Set when a standing order placed this
+            ...(items && { items, isGroupOrder: true })
+            // orders.createCharged adds createdAt/updatedAt
+        };
+
+        logger.debug('[placeStandardOrder] Creating order document with data:', orderDetailsForDb);
+        // Charge and create in one transaction, so overlapping orders can't overdraw and a failed create charges nothing
+        try {
+            // Comes back with the server timestamps filled in
+            ({ order: finalOrderData } = await getRepository().orders.createCharged(orderDetailsForDb, reservedOrderId));
+        } catch (chargeError) {
+            if (chargeError.message !== 'INSUFFICIENT_KARMA') throw chargeError;
+            await rejectInsufficientKarma(chargeError.currentKarma);
+            return null;
+        }
+        orderDbId = finalOrderData.id;
+        logger.info(`[placeStandardOrder] Order document ${orderDbId} created and ${karmaCost} karma charged to ${requesterId}.`);
+        
+        // Ensure essential fields are present after fetch
+        if (!finalOrderData.createdAt || !finalOrderData.expiryTimestamp) {
+             console.error('[placeStandardOrder] Fetched order data missing createdAt or expiryTimestamp!', finalOrderData);
+             finalOrderData.createdAt = finalOrderData.createdAt || Timestamp.now(); 
+             finalOrderData.expiryTimestamp = finalOrderData.expiryTimestamp || Timestamp.fromDate(expiryTimestampJSDate); 
+        }
+        
+    } catch (dbError) {
+         logger.error('[placeStandardOrder] Error during Firestore operations:', dbError);
+         await client.chat.update({ // Update placeholder on DB Error
+             channel: placeholderChannel,
+             ts: placeholderTs,
+             text: `🔥 ORDER FAILED <@${requesterId}>. SYSTEM GLITCH. TELL AN ADMIN.`
+         }).catch(updateErr => logger.error('[placeStandardOrder] Failed to update placeholder on DB error:', updateErr));
+         await client.chat.postEphemeral({
+             channel: channelIdFromConfig,
+             user: requesterId,
+             text: `🔥 Sorry, an internal error occurred while processing your order (${dbError.message}). No karma was charged. Please try again or contact an admin.`
+         });
+         return null; // Stop processing
+    }
+
+    // --- 4. Update Slack Message with Final Formatted Order --- 
+    try {
+        logger.debug('[placeStandardOrder] Formatting final order message using fetched data...');
+        
+        // Create a temporary object mapping createdAt to startTimestamp
+        const dataForFormatter = {
+            ...finalOrderData, // Spread the existing order data
+            startTimestamp: finalOrderData.createdAt // Map createdAt to startTimestamp
+        };
+        
+        // Call formatOrderMessage with the modified data and the DB ID
+        const messagePayload = formatOrderMessage(dataForFormatter, orderDbId);
+        
+        // Validate the payload structure minimally
+        if (!messagePayload || !Array.isArray(messagePayload.blocks) || !messagePayload.text) {
+            throw new Error('formatOrderMessage did not return a valid structure with blocks array and text.');
+        }
+
+        logger.info(`[placeStandardOrder] Updating placeholder message ${placeholderChannel}/${placeholderTs} with final order details...`);
+        const updateResult = await client.chat.update({
+            channel: placeholderChannel,
+            ts: placeholderTs,
+            blocks: messagePayload.blocks, 
+            text: messagePayload.text 
+        });
+        logger.info(`[placeStandardOrder] Slack message ${placeholderTs} updated successfully with final order.`);
+
+        // --- Update Firestore with final message TS --- 
+        if (updateResult.ok && updateResult.ts) {
+            await getRepository().orders.update(orderDbId, { 
+                slackMessageTs: updateResult.ts, 
+                slackChannelId: updateResult.channel
+            });
+            logger.info(`[placeStandardOrder] Successfully linked order ${orderDbId} with final Slack info ${updateResult.channel}/${updateResult.ts}.`);
+        } else {
+             logger.error(`[placeStandardOrder] Slack update succeeded but response missing ts/channel. Cannot link DB accurately for order ${orderDbId}. Update Result:`, updateResult);
+        }
+
+        // <<< ADD DM Confirmation to Requester >>>
+        try {
+            const confirmationText = `Your order is live in <#${finalOrderData.slackChannelId}>.`; // REMOVED !
+            await client.chat.postMessage({
+                channel: finalOrderData.requesterId, // Use finalOrderData
+                text: `Your order is live in ${finalOrderData.slackChannelName || '#unknown-channel'}.`, // Fallback text + REMOVED !
+                blocks: [{
+                    type: 'section',
+                    text: { type: 'mrkdwn', text: confirmationText }
+                }]
+            });
+            logger.info(`Sent order confirmation DM to requester ${finalOrderData.requesterId}`);
+        } catch (dmError) {
+            logger.error(`Failed to send order confirmation DM to ${finalOrderData.requesterId}:`, dmError);
+            // Do not re-throw, failure to DM should not break the order flow
+        }
+        // <<< END DM Confirmation >>>
+
+        await notifyNearestRunners(orderDbId, finalOrderData, client, logger);
+
+    } catch (slackUpdateError) {
+        logger.error('[placeStandardOrder] CRITICAL: Failed to update placeholder message with final order blocks:', slackUpdateError);
+        const orderIdForError = orderDbId || 'Unknown'; 
+        await client.chat.postEphemeral({
+            channel: channelIdFromConfig,
+            user: requesterId, 
+            text: `😬 Your order was created (ID: ${orderIdForError}), but there was an error updating the Slack message. Please check the channel or contact an admin. Error: ${slackUpdateError.message}`
+        });
+    }
+
+    return orderDbId;
+}
+
+/**
+ * Store a standard order for a future "deliver at" time.
+ * Nothing is posted or charged yet; releaseScheduledOrder does both when the timer fires.
+ * @param {object} params - Parsed modal values plus Slack context.
+ * @param {object|null} [params.quote=null] - Price the modal showed (quoteOrder()); quoted fresh otherwise.
+ * @returns {Promise<void>}
+ */
+async function scheduleOrderFromSubmission({ requesterId, selectedCategory, drinkDetails, selectedLocation, recipientSlackId, notes, deliverAtMs, channelId, quote = null, client, logger }) {
+    logger.info(`[scheduleOrderFromSubmission] Scheduling order from ${requesterId} for ${new Date(deliverAtMs).toISOString()}`);
+    try {
+        const { player: requesterPlayer } = await getRepository().players.getOrCreate(requesterId, client);
+        if (!requesterPlayer) throw new Error(`Could not get or create player for requester ${requesterId}`);
+        const requesterRealName = requesterPlayer.name || requesterId;
+        // Priced now (the price they saw in the modal) and charged at release
+        const orderQuote = quote || await quoteOrder({ category: selectedCategory, location: selectedLocation });
+        const karmaCost = orderQuote.karmaCost;
+
+        // Charged later, but don't let people queue orders they can't cover today
+        if (requesterPlayer.karma < karmaCost) {
+            logger.warn(`[scheduleOrderFromSubmission] User ${requesterId} has insufficient karma (${requesterPlayer.karma}) for scheduled order costing ${karmaCost}.`);
+            await client.chat.postEphemeral({
+                channel: channelId,
+                user: requesterId,
+                text: `Not enough Karma. You got ${requesterPlayer.karma} ⚡, need ${karmaCost} ⚡. Burn it, you earn it.`
+            });
+            return;
+        }
+
+        let finalRecipientId = requesterId;
+        let finalRecipientName = requesterRealName;
+        if (recipientSlackId && recipientSlackId !== requesterId) {
+            try {
+                const recipientInfo = await client.users.info({ user: recipientSlackId });
+                if (recipientInfo.ok) {
+                    finalRecipientId = recipientSlackId;
+                    finalRecipientName = recipientInfo.user?.real_name || recipientInfo.user?.name || recipientSlackId;
+                } else { logger.warn(`[scheduleOrderFromSubmission] Could not fetch recipient info for ${recipientSlackId}: ${recipientInfo.error}. Defaulting to requester.`); }
+            } catch (userFetchError) { logger.warn(`[scheduleOrderFromSubmission] Error fetching recipient info for ${recipientSlackId}: ${userFetchError.message}. Defaulting to requester.`); }
+        }
+
+        const orderId = getRepository().orders.newId();
+        await getRepository().orders.create({
+            orderId: orderId,
+            requesterId: requesterId,
+            requesterName: requesterRealName,
+            runnerId: null,
+            runnerName: null,
+            recipientId: finalRecipientId,
+            recipientName: finalRecipientName,
+            initiatedBy: 'requester',
+            category: selectedCategory,
+            drink: drinkDetails,
+            location: selectedLocation,
+            locationDisplayName: LOCATIONS[selectedLocation] || selectedLocation,
+            notes: notes,
+            ...getQuoteFields(orderQuote),
+            status: ORDER_STATUS.SCHEDULED,
+            scheduledFor: Timestamp.fromMillis(deliverAtMs),
+            bonusMultiplier: 1,
+            slackMessageTs: null, // Posted on release
+            slackChannelId: channelId,
+            timeClaimed: null,
+            timeDelivered: null,
+            durationMs: DURATIONS.ORDER_EXPIRY * 1000,
+            expiryTimestamp: null // Set on release
+        }, orderId);
+        logger.info(`[scheduleOrderFromSubmission] Scheduled order ${orderId} stored.`);
+
+        // Dynamic import keeps the Cloud Scheduler client off the cold-start path of every request
+        const { scheduleOrderRelease } = await import('../utils/timer-scheduler.js');
+        const jobName = await scheduleOrderRelease(orderId, deliverAtMs);
+        if (!jobName) {
+            // orderTimerUpdater also sweeps overdue scheduled orders, so this isn't fatal
+            logger.warn(`[scheduleOrderFromSubmission] Release job not created for ${orderId}; relying on timer sweep.`);
+        } else {
+            // Kept so a cancel can delete this exact job instead of listing them all
+            await getRepository().orders.update(orderId, { releaseJobName: jobName });
+        }
+
+        const deliverAtUnix = Math.floor(deliverAtMs / 1000);
+        const dmText = `QUEUED: \`${drinkDetails || DRINK_CATEGORIES[selectedCategory]?.name || 'drink'}\` drops into <#${channelId}> at <!date^${deliverAtUnix}^{time}|${new Date(deliverAtMs).toISOString()}>.\n${karmaCost} Karma charged then, not now.`;
+        await client.chat.postMessage({
+            channel: requesterId,
+            text: `Order queued for later. ${karmaCost} Karma charged when it drops.`,
+            blocks: [
+                { type: 'section', text: { type: 'mrkdwn', text: dmText } },
+                {
+                    type: 'actions',
+                    elements: [
+                        { type: 'button', text: { type: 'plain_text', text: 'CANCEL ORDER', emoji: false }, style: 'danger', action_id: 'cancel_scheduled_order', value: orderId }
+                    ]
+                }
+            ]
+        });
+    } catch (error) {
+        logger.error('[scheduleOrderFromSubmission] Error scheduling order:', error);
+        await client.chat.postEphemeral({
+            channel: channelId,
+            user: requesterId,
+            text: `System choked queueing your order. Try again or walk. Error: ${error.message}`
+        }).catch(e => logger.error('Ephemeral error failed:', e));
+    }
+}
+
+/**
+ * Release a scheduled order: charge the requester, flip it to ORDERED, and post it to the channel.
+ * Safe to call more than once (Pub/Sub redelivery, timer sweep) - only a SCHEDULED order is released.
+ * @param {string} orderId - Firestore Document ID.
+ * @param {object} client - Slack WebClient instance.
+ * @param {object} logger - Logger instance.
+ * @returns {Promise<boolean>} - True if the order went live.
+ */
+export async function releaseScheduledOrder(orderId, client, logger) {
+    const now = new Date();
+    let outcome;
+    try {
+        // Charges the requester in the same transaction; rejects unless it's still SCHEDULED
+        const release = await transitionOrder(orderId, 'release', {
+            now,
+            updates: (orderData) => ({
+                createdAt: Timestamp.fromDate(now), // Countdown starts when it goes live
+                expiryTimestamp: Timestamp.fromMillis(now.getTime() + (orderData.durationMs || DURATIONS.ORDER_EXPIRY * 1000))
+            })
+        });
+        outcome = { released: true, orderData: release.orderData };
+    } catch (error) {
+        if (!(error instanceof OrderTransitionError)) {
+            logger.error(`[releaseScheduledOrder] Transaction failed for order ${orderId}:`, error);
+            throw error;
+        }
+        outcome = { released: false, reason: error.code === 'INSUFFICIENT_KARMA' ? 'INSUFFICIENT_KARMA' : 'NOT_SCHEDULED', orderData: error.orderData, currentKarma: error.currentKarma };
+    }
+
+    if (outcome.reason === 'INSUFFICIENT_KARMA') {
+        // Nothing was charged; scrap it so the sweep stops retrying. Lost a race with a cancel? Then it's already settled.
+        try {
+            await transitionOrder(orderId, 'scrap_scheduled', { now });
+        } catch (scrapError) {
+            if (!(scrapError instanceof OrderTransitionError)) throw scrapError;
+            outcome.reason = 'NOT_SCHEDULED';
+        }
+    }
+
+    if (!outcome.released) {
+        if (outcome.reason === 'INSUFFICIENT_KARMA') {
+            logger.warn(`[releaseScheduledOrder] Scheduled order ${orderId} scrapped: requester has ${outcome.currentKarma}, needs ${outcome.orderData.karmaCost}.`);
+            const dmText = `✖ Scheduled order scrapped.\nNot enough Karma when it was due. You got ${outcome.currentKarma} ⚡, needed ${outcome.orderData.karmaCost} ⚡.`;
+            await client.chat.postMessage({
+                channel: outcome.orderData.requesterId,
+                text: dmText,
+                blocks: [{ type: 'section', text: { type: 'mrkdwn', text: dmText } }]
+            }).catch(dmError => logger.error(`[releaseScheduledOrder] Failed to DM ${outcome.orderData.requesterId}:`, dmError));
+        } else {
+            logger.info(`[releaseScheduledOrder] Order ${orderId} is no longer scheduled. Skipping.`);
+        }
+        return false;
+    }
+
+    const orderData = outcome.orderData;
+    const channelId = orderData.slackChannelId || getConfig('KOFFEE_KARMA_CHANNEL_ID');
+    logger.info(`[releaseScheduledOrder] Order ${orderId} is live. Posting to ${channelId}.`);
+    const messagePayload = formatOrderMessage({ ...orderData, orderId, startTimestamp: orderData.createdAt });
+    const postResult = await client.chat.postMessage({
+        channel: channelId,
+        blocks: messagePayload.blocks,
+        text: messagePayload.text
+    });
+    await getRepository().orders.update(orderId, { slackMessageTs: postResult.ts, slackChannelId: postResult.channel });
+
+    try {
+        const confirmationText = `Your scheduled order is live in <#${postResult.channel}>.`;
+        await client.chat.postMessage({
+            channel: orderData.requesterId,
+            text: confirmationText,
+            blocks: [{ type: 'section', text: { type: 'mrkdwn', text: confirmationText } }]
+        });
+    } catch (dmError) {
+        logger.error(`[releaseScheduledOrder] Failed to send live DM to ${orderData.requesterId}:`, dmError);
+    }
+
+    await notifyNearestRunners(orderId, orderData, client, logger);
+    return true;
+}
+
+/**
+ * Handles the 'cancel_scheduled_order' button on the "QUEUED" DM.
+ * Nothing was charged yet, so there's nothing to refund.
+ */
+async function handleCancelScheduledOrder({ ack, body, client, logger }) {
+    await ack();
+    const orderId = body.actions[0].value;
+    const clickerId = body.user.id;
+    const dmChannelId = body.container?.channel_id;
+    const dmMessageTs = body.container?.message_ts;
+    logger.info(`'cancel_scheduled_order' action received for order ID: ${orderId} from user ${clickerId}`);
+
+    try {
+        // The transition also deletes the pending release timer once it commits
+        await transitionOrder(orderId, 'cancel_scheduled', { actorId: clickerId });
+
+        const text = '✖ Scheduled order scrapped. Nothing charged.';
+        if (dmChannelId && dmMessageTs) {
+            await client.chat.update({ channel: dmChannelId, ts: dmMessageTs, text, blocks: [{ type: 'section', text: { type: 'mrkdwn', text } }] });
+        }
+    } catch (error) {
+        logger.error(`Error cancelling scheduled order ${orderId}:`, error);
+        let userMessage = `System choked trying to cancel. Try again or walk. Error: ${error.message}`;
+        if (error.message === 'ORDER_NOT_FOUND') userMessage = 'Can\'t find that order.';
+        else if (error.message === 'NOT_THE_REQUESTER') userMessage = 'Not your order to cancel.';
+        else if (error.message === 'ORDER_NOT_SCHEDULED') userMessage = 'Too late, it already dropped. Cancel it from the channel.';
+        await client.chat.postMessage({ channel: clickerId, text: userMessage })
+            .catch(e => logger.error('Failed to send cancel_scheduled_order error DM:', e));
+    }
+}
+
+/**
+ * Handles the 'switch_to_group_order' button in the order modal.
+ * Swaps the modal for the group order form, keeping the originating channel metadata.
+ */
+async function handleSwitchToGroupOrder({ ack, body, client, logger }) {
+    await ack();
+    const currentView = body.view;
+    let metadata = {};
+    try {
+        metadata = JSON.parse(currentView.private_metadata || '{}');
+    } catch (parseError) {
+        logger.warn('[handleSwitchToGroupOrder] Could not parse private_metadata, continuing without it.');
+    }
+    try {
+        await client.views.update({
+            view_id: currentView.id,
+            hash: currentView.hash,
+            view: buildGroupOrderModal({ privateMetadata: { ...metadata, quote: null } }) // The single drink's quote doesn't price the group
+        });
+    } catch (error) {
+        logger.error(`[handleSwitchToGroupOrder] Error opening group order form for ${body.user.id}:`, error);
+    }
+}
+
+/**
+ * Handles '+ ADD DRINK' in the group order modal.
+ * Row block IDs are stable, so whatever was already typed is kept by Slack across the update.
+ */
+async function handleGroupOrderAddItem({ ack, body, client, logger }) {
+    await ack();
+    const currentView = body.view;
+    try {
+        const metadata = JSON.parse(currentView.private_metadata || '{}');
+        const itemCount = (metadata.itemCount || GROUP_ORDER_MIN_ITEMS) + 1;
+        // The rebuild resets the price line; the new row is blank, so the drinks picked so far still price it
+        const view = await withOrderPrice(buildGroupOrderModal({ itemCount, privateMetadata: metadata }), getModalPick(currentView));
+        await client.views.update({
+            view_id: currentView.id,
+            hash: currentView.hash,
+            view
+        });
+    } catch (error) {
+        logger.error(`[handleGroupOrderAddItem] Error adding a line item for ${body.user.id}:`, error);
+    }
+}
+
+/**
+ * Handles group order modal submission.
+ * Validates the line items, then charges the summed cost and posts one card via placeStandardOrder.
+ */
+async function handleGroupOrderSubmission({ ack, body, view, client, logger }) {
+    const requesterId = body.user.id;
+    const channelIdFromConfig = getConfig('KOFFEE_KARMA_CHANNEL_ID');
+    const stateValues = view.state.values;
+    let metadata = {};
+    try {
+        metadata = JSON.parse(view.private_metadata || '{}');
+    } catch (parseError) {
+        logger.warn('[handleGroupOrderSubmission] Could not parse private_metadata, continuing without it.');
+    }
+    const itemCount = Math.min(metadata.itemCount || GROUP_ORDER_MIN_ITEMS, GROUP_ORDER_MAX_ITEMS);
+    logger.info(`[handleGroupOrderSubmission] Processing group order from ${requesterId} (${itemCount} rows)`);
+
+    // --- Parse and validate line items ---
+    const errors = {};
+    const rawItems = [];
+    for (let i = 0; i < itemCount; i++) {
+        const category = stateValues[`group_item_${i}_category`]?.drink_category_select?.selected_option?.value || null;
+        const drink = stateValues[`group_item_${i}_drink`]?.drink_input?.value?.trim() || '';
+        const recipientId = stateValues[`group_item_${i}_recipient`]?.recipient_select?.selected_user || null;
+        if (!category && !drink) continue; // Blank optional row
+        if (!category) {
+            errors[`group_item_${i}_category`] = '△ Pick a drink type.';
+            continue;
+        }
+        if (!drink) {
+            errors[`group_item_${i}_drink`] = '△ Name the drink.';
+            continue;
+        }
+        rawItems.push({ category, drink, recipientId: recipientId || requesterId });
+    }
+    if (Object.keys(errors).length === 0 && rawItems.length < GROUP_ORDER_MIN_ITEMS) {
+        errors.group_item_1_category = `△ Group orders need at least ${GROUP_ORDER_MIN_ITEMS} drinks. One drink? Use a normal order.`;
+    }
+    const selectedLocation = stateValues.location_block?.location_select?.selected_option?.value;
+    const notes = stateValues.notes_block?.notes_input?.value || '';
+
+    if (Object.keys(errors).length > 0) {
+        logger.warn(`[handleGroupOrderSubmission] Validation failed for ${requesterId}: ${JSON.stringify(errors)}`);
+        await ack({ response_action: 'errors', errors });
+        return;
+    }
+
+    // Charge what the modal showed; if the price moved, show the new one and keep the modal open
+    let orderQuote;
+    try {
+        const confirmation = await confirmShownPrice(view, { category: GROUP_ORDER_CATEGORY, location: selectedLocation, items: rawItems });
+        if (confirmation.updatedView) {
+            logger.info(`[handleGroupOrderSubmission] Price moved for ${requesterId}; showing ${confirmation.quote.karmaCost} before charging.`);
+            await ack({ response_action: 'update', view: confirmation.updatedView });
+            return;
+        }
+        orderQuote = confirmation.quote;
+    } catch (quoteError) {
+        // placeStandardOrder quotes it again
+        logger.error('[handleGroupOrderSubmission] Could not check the price:', quoteError);
+    }
+    await ack();
+
+    try {
+        // Resolve recipient names once per person
+        const recipientIds = [...new Set(rawItems.map(item => item.recipientId))];
+        const recipientNames = {};
+        await Promise.all(recipientIds.map(async (userId) => {
+            try {
+                const userInfo = await client.users.info({ user: userId });
+                recipientNames[userId] = userInfo.user?.real_name || userInfo.user?.name || userId;
+            } catch (userFetchError) {
+                logger.warn(`[handleGroupOrderSubmission] Could not fetch user info for ${userId}: ${userFetchError.message}`);
+                recipientNames[userId] = userId;
+            }
+        }));
+
+        const items = rawItems.map(item => ({
+            ...item,
+            recipientName: recipientNames[item.recipientId],
+            karmaCost: getBaseCost(item.category)
+        }));
+
+        await placeStandardOrder({
+            requesterId,
+            selectedCategory: GROUP_ORDER_CATEGORY,
+            drinkDetails: `${items.length} drinks`,
+            selectedLocation,
+            recipientSlackId: null,
+            notes,
+            channelId: channelIdFromConfig,
+            items,
+            quote: orderQuote,
+            client,
+            logger
+        });
+    } catch (error) {
+        logger.error('[handleGroupOrderSubmission] Unhandled error processing group order:', error);
+        await client.chat.postEphemeral({
+            channel: channelIdFromConfig,
+            user: requesterId,
+            text: `System choked processing group order. Try again or walk. Error: ${error.message}`
+        }).catch(ephemeralError => logger.error('[handleGroupOrderSubmission] Failed to send ephemeral error:', ephemeralError));
+    }
+}
+
+/**
+ * Handles the 'favorite_select' picker in the order modal.
+ * Rebuilds the modal pre-filled from the chosen favorite, keeping its channel metadata.
+ */
+async function handleFavoriteSelect({ ack, body, client, logger }) {
+    await ack();
+    const userId = body.user.id;
+    const favoriteIndex = parseInt(body.actions[0].selected_option.value, 10);
+    const currentView = body.view;
+    logger.info(`[handleFavoriteSelect] User ${userId} picked favorite #${favoriteIndex}`);
+
+    try {
+        const favorites = await getRepository().players.getFavorites(userId);
+        const favorite = favorites[favoriteIndex];
+        if (!favorite) {
+            logger.warn(`[handleFavoriteSelect] Favorite #${favoriteIndex} not found for ${userId}.`);
+            return;
+        }
+        let metadata = {};
+        try {
+            metadata = JSON.parse(currentView.private_metadata || '{}');
+        } catch (parseError) {
+            logger.warn('[handleFavoriteSelect] Could not parse private_metadata, continuing without it.');
+        }
+        const modal = buildOrderModal(
+            { ...favorite, favoriteIndex, inputVersion: Date.now().toString(36) },
+            null,
+            null,
+            metadata.originatingChannelId || null,
+            metadata.originatingChannelName || null,
+            metadata,
+            favorites
+        );
+        const pricedModal = await withOrderPrice(modal, { category: favorite.category, location: favorite.location, items: null });
+        await client.views.update({ view_id: currentView.id, hash: currentView.hash, view: pricedModal });
+    } catch (error) {
+        logger.error(`[handleFavoriteSelect] Error applying favorite for ${userId}:`, error);
+    }
+}
+
+/**
+ * Handles the 'reorder_order' button on the "DELIVERED" DM.
+ * Opens the order modal pre-filled with the delivered order so it's one click to lock in again.
+ */
+async function handleReorder({ ack, body, client, logger }) {
+    await ack();
+    const orderId = body.actions[0].value;
+    const userId = body.user.id;
+    logger.info(`'reorder_order' action received for order ID: ${orderId} from user ${userId}`);
+
+    try {
+        // trigger_id expires in 3 seconds; both reads are single docs
+        const [orderData, favorites] = await Promise.all([
+            getRepository().orders.get(orderId),
+            getRepository().players.getFavorites(userId).catch(() => [])
+        ]);
+        if (!orderData) throw new Error('ORDER_NOT_FOUND');
+        const isGroupOrder = Array.isArray(orderData.items) && orderData.items.length > 0;
+        const modal = isGroupOrder
+            // Group order: same drinks, same people, same drop
+            ? buildGroupOrderModal({ items: orderData.items, initialValues: { location: orderData.location, notes: orderData.notes } })
+            : buildOrderModal(
+                {
+                    category: orderData.category,
+                    drink: orderData.drink,
+                    location: orderData.location,
+                    notes: orderData.notes
+                },
+                null,
+                null,
+                null,
+                null,
+                null,
+                favorites
+            );
+        const { view } = await client.views.open({ trigger_id: body.trigger_id, view: modal });
+        // Quoting reads open orders, too slow to fit in the trigger_id window: price it once it's open
+        const pick = isGroupOrder
+            ? { category: GROUP_ORDER_CATEGORY, location: orderData.location, items: orderData.items.map(({ category }) => ({ category })) }
+            : { category: orderData.category, location: orderData.location, items: null };
+        const pricedModal = await withOrderPrice(modal, pick);
+        await client.views.update({ view_id: view.id, hash: view.hash, view: pricedModal })
+            .catch(updateError => logger.warn(`[handleReorder] Could not price reorder modal for ${orderId}:`, updateError));
+    } catch (error) {
+        logger.error(`Error opening reorder modal for order ${orderId}:`, error);
+        const userMessage = error.message === 'ORDER_NOT_FOUND' ? 'Can\'t find that order anymore. Use /order.' : `Couldn't reload that order. Use /order. Error: ${error.message}`;
+        await client.chat.postMessage({ channel: userId, text: userMessage })
+            .catch(e => logger.error('Failed to send reorder error DM:', e));
+    }
+}
+
 /**
  * Handle /order command
  * Opens modal for placing an order
@@ -1222,8 +1802,14 @@ export const orderHandler = (app) => {
       const originatingChannelName = body.channel_name;
       logger.info(`Received /order from channel: ${originatingChannelName} (${originatingChannelId})`);
 
+      // Favorites are a nice-to-have; don't let a failed read block the modal
+      const favorites = await getRepository().players.getFavorites(body.user_id).catch(favError => {
+        logger.warn(`Could not load favorites for ${body.user_id}: ${favError.message}`);
+        return [];
+      });
+
       // Open the order modal, passing channel info
-      const modal = buildOrderModal({}, null, null, originatingChannelId, originatingChannelName);
+      const modal = buildOrderModal({}, null, null, originatingChannelId, originatingChannelName, null, favorites);
 
       await client.views.open({
         trigger_id: body.trigger_id,
@@ -1248,9 +1834,15 @@ export const orderHandler = (app) => {
   app.action('claim_order', handleClaimOrder);
   app.action('cancel_order', handleCancelOrder);
   app.action('deliver_order', handleDeliverOrder);
+  app.action('cancel_scheduled_order', handleCancelScheduledOrder);
+  app.action('reorder_order', handleReorder);
+  app.action('favorite_select', handleFavoriteSelect);
+  app.action('switch_to_group_order', handleSwitchToGroupOrder);
+  app.action('group_order_add_item', handleGroupOrderAddItem);
 
   // Register generic view submission handler
   app.view('koffee_request_modal', handleOrderSubmission);
+  app.view('group_order_modal', handleGroupOrderSubmission);
 
   // <<< ADDED location_select handler >>>
   // Handle location selection in the modal
@@ -1259,7 +1851,6 @@ export const orderHandler = (app) => {
     const selectedLocation = body.actions[0].selected_option.value;
     const viewId = body.view.id;
     const currentView = body.view; // Get the current view object
-    const originalPrivateMetadata = currentView.private_metadata; // Get existing metadata
 
     logger.info(`Location selected: ${selectedLocation}`);
 
@@ -1277,22 +1868,14 @@ export const orderHandler = (app) => {
           ...updatedBlocks[mapBlockIndex], // Keep existing block properties
           text: { type: 'mrkdwn', text: `\`\`\`${newMapText}\`\`\`` },
         };
-      } else {
+      } else if (currentView.callback_id !== 'group_order_modal') { // The group form has no map
         logger.warn('Map block not found in modal view, cannot update.');
       }
 
-      // Construct the updated view payload PRESERVING METADATA
+      // Re-price for the new drop; keeps the rest of the metadata (and callback_id)
       const updatedView = {
         view_id: viewId,
-        view: { 
-          type: currentView.type,
-          title: currentView.title,
-          submit: currentView.submit,
-          close: currentView.close,
-          callback_id: currentView.callback_id, // Preserve original callback_id
-          private_metadata: originalPrivateMetadata, // <<< Preserve original metadata
-          blocks: updatedBlocks, 
-        },
+        view: await withOrderPrice({ ...currentView, blocks: updatedBlocks }, getModalPick(currentView, body.actions[0]))
       };
 
       await client.views.update(updatedView);
@@ -1308,7 +1891,6 @@ export const orderHandler = (app) => {
     await ack();
     const viewId = body.view.id;
     const currentView = body.view;
-    const originalPrivateMetadata = currentView.private_metadata; // Get existing metadata
 
     logger.info('[drink_category_select] Action received. Attempting ack and error clear.');
     
@@ -1319,21 +1901,16 @@ export const orderHandler = (app) => {
             block.block_id !== 'category_error_block' && 
             block.block_id !== 'category_runner_error_block' // <<< ADDED runner error block ID
         );
-        const blocksChanged = blocksWithoutError.length < originalBlockCount;
+        // Re-price: the order modal's drink or one of the group order's rows changed
+        const hasPriceLine = blocksWithoutError.some(block => block.block_id === 'price_block');
+        const blocksChanged = blocksWithoutError.length < originalBlockCount || hasPriceLine;
 
-        // Only update if an error block was actually removed
+        // Only update if an error block was removed or there's a price to refresh
         if (blocksChanged) {
              const updatedViewPayload = {
                 view_id: viewId,
-                view: {
-                    type: currentView.type,
-                    title: currentView.title,
-                    submit: currentView.submit,
-                    close: currentView.close,
-                    callback_id: currentView.callback_id, // Preserve original callback_id
-                    private_metadata: originalPrivateMetadata, // <<< Preserve original metadata
-                    blocks: blocksWithoutError,
-                 },
+                // Keeps the rest of the metadata (and callback_id)
+                view: await withOrderPrice({ ...currentView, blocks: blocksWithoutError }, getModalPick(currentView, body.actions[0]))
              };
              logger.debug(`[drink_category_select] Calling views.update for view ${viewId} to remove errors.`);
              await client.views.update(updatedViewPayload);
@@ -1374,79 +1951,31 @@ async function handleCancelClaimedOrder(payload) {
   }
 
   try {
-    const orderData = await database.getOrderById(orderId);
-    const orderDbId = orderData?.id; // Use the ID returned by getOrderById
-
-    if (!orderData || !orderDbId) {
-      logger.error(`[handleCancelClaimedOrder] Order document not found for ID: ${orderId}`);
-      await client.chat.postEphemeral({ channel: channelId, user: clickerId, text: 'Order not found. Maybe it was already dealt with?' });
-      return;
-    }
-     logger.debug(`[handleCancelClaimedOrder] Order data found:`, orderData);
-
-
-    // Validate Status & User
-    if (orderData.status !== ORDER_STATUS.CLAIMED) {
-      logger.warn(`User ${clickerId} tried to cancel order ${orderDbId} which is not 'claimed' (status: ${orderData.status})`);
-      await client.chat.postEphemeral({ channel: channelId, user: clickerId, text: 'Can only cancel a claimed order you are running.' });
-      return;
-    }
-    if (orderData.runnerId !== clickerId) {
-      // If the clicker is not the runner, check if they are the requester
-      if (orderData.requesterId === clickerId) {
-        logger.warn(`Requester ${clickerId} tried to use 'CANCEL DELIVERY' on their own claimed order ${orderDbId}.`);
-        await client.chat.postEphemeral({
-            channel: channelId, 
-            user: clickerId,
-            text: "ORDER CLAIMED. Can't scrap it now. Wait for your runner or ping 'em."
-        });
-      } else {
-        // Clicker is neither the runner nor the requester
-        logger.warn(`User ${clickerId} (not runner or requester) tried to cancel order ${orderDbId} they are not running (runner: ${orderData.runnerId})`);
-        await client.chat.postEphemeral({ 
-            channel: channelId, 
-            user: clickerId, 
-            text: 'Not your delivery to cancel.' 
-        });
+    // Runner check, CANCELLED_RUNNER and the requester's refund, in one transition
+    let cancellation;
+    try {
+      cancellation = await transitionOrder(orderId, 'cancel_claimed', { actorId: clickerId });
+    } catch (transitionError) {
+      if (!(transitionError instanceof OrderTransitionError)) throw transitionError;
+      logger.warn(`User ${clickerId} could not cancel claimed order ${orderId}: ${transitionError.code} (status: ${transitionError.fromStatus})`);
+      let userMessage = 'Can only cancel a claimed order you are running.';
+      if (transitionError.code === 'ORDER_NOT_FOUND') {
+        userMessage = 'Order not found. Maybe it was already dealt with?';
+      } else if (transitionError.code === 'NOT_THE_RUNNER') {
+        // The requester sees this button too
+        userMessage = transitionError.orderData?.requesterId === clickerId
+          ? "ORDER CLAIMED. Can't scrap it now. Wait for your runner or ping 'em."
+          : 'Not your delivery to cancel.';
       }
+      await client.chat.postEphemeral({ channel: channelId, user: clickerId, text: userMessage });
       return;
     }
-
-    // Update Firestore Order Status & Refund Karma to Requester
+    const orderData = cancellation.orderData;
+    const orderDbId = orderId;
     const requesterId = orderData.requesterId;
     const karmaCost = orderData.karmaCost;
-    logger.info(`[handleCancelClaimedOrder] Updating order ${orderDbId} to ${STATUS_CANCELLED_RUNNER}, refunding ${karmaCost} karma to requester ${requesterId}`);
-
-    const orderRef = admin.firestore().collection('orders').doc(orderDbId);
-    const orderUpdatePromise = orderRef.update({ status: STATUS_CANCELLED_RUNNER });
-    // Refund karma atomically to the *requester*
-    const refundPromise = updatePlayerKarma(requesterId, karmaCost); // Pass positive value
-
-    const [orderUpdateResult, refundResult] = await Promise.allSettled([orderUpdatePromise, refundPromise]);
-    let refundSuccess = false;
-
-    if (orderUpdateResult.status === 'rejected') {
-      logger.error(`[handleCancelClaimedOrder] Failed to update order ${orderDbId} status:`, orderUpdateResult.reason);
-      await client.chat.postEphemeral({ channel: channelId, user: clickerId, text: 'Failed to update the order status. Contact admin.' });
-      return; // Stop if order update fails
-    } else {
-        logger.info(`[handleCancelClaimedOrder] Order ${orderDbId} status updated successfully.`);
-    }
-
-    if (refundResult.status === 'rejected') {
-      logger.error(`[handleCancelClaimedOrder] Failed to refund karma to requester ${requesterId} for order ${orderDbId}:`, refundResult.reason);
-      await client.chat.postEphemeral({ channel: channelId, user: clickerId, text: 'Failed to refund karma to the requester. Please notify them and contact an admin.' }); // REMOVED !
-      // Don't set refundSuccess to true, but continue to update message
-    } else {
-      refundSuccess = refundResult.value; // Assuming updatePlayerKarma returns true/false
-      if (refundSuccess) {
-        logger.info(`[handleCancelClaimedOrder] Karma refund successful for requester ${requesterId}.`);
-      } else {
-        logger.warn(`[handleCancelClaimedOrder] Karma refund function returned false for order ${orderDbId}, requester ${requesterId}. DB inconsistency?`);
-        await client.chat.postEphemeral({ channel: channelId, user: clickerId, text: 'Karma refund processed for requester, but there might be an issue with their account. Notify admin.' });
-      }
-    }
-
+    const refundSuccess = cancellation.refundAmount > 0;
+    logger.info(`[handleCancelClaimedOrder] Order ${orderDbId} is now ${ORDER_STATUS.CANCELLED_RUNNER}; refunded ${cancellation.refundAmount} karma to requester ${requesterId}.`);
 
     // Update Slack Message
     // Use the reference style for runner cancellation message, using full name
@@ -1460,15 +1989,18 @@ async function handleCancelClaimedOrder(payload) {
     }
 
     // Use Block Kit for the final message
-    logger.info(`[handleCancelClaimedOrder] Updating Slack message ${channelId}/${messageTs} to cancelled state.`);
+    // The button may live on the /mydeliveries dashboard, so target the order's own channel message
+    const orderChannelId = orderData.slackChannelId || channelId;
+    const orderMessageTs = orderData.slackMessageTs || messageTs;
+    logger.info(`[handleCancelClaimedOrder] Updating Slack message ${orderChannelId}/${orderMessageTs} to cancelled state.`);
     try {
         await client.chat.update({
-            channel: channelId,
-            ts: messageTs,
+            channel: orderChannelId,
+            ts: orderMessageTs,
             blocks: [], // Remove blocks for cancelled state
             text: finalMessageText // Use the constructed text
         });
-        logger.info(`[handleCancelClaimedOrder] Slack message ${messageTs} updated successfully.`);
+        logger.info(`[handleCancelClaimedOrder] Slack message ${orderMessageTs} updated successfully.`);
     } catch (slackError) {
         logger.error(`[handleCancelClaimedOrder] Failed to update Slack message for cancelled order:`, slackError);
         // Fallback ephemeral if update fails
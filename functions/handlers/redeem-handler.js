@@ -2,11 +2,25 @@
  * Redeem Handler
  * Handles the /redeem command for redeeming bonus Karma codes
  */
-import admin from 'firebase-admin';
 // import axios from 'axios'; // No longer needed
-import { getOrCreatePlayer, redeemCode, updatePlayerKarma } from '../utils/database.js';
 import { logger } from '../utils/logger.js';
-import { db } from '../lib/firebase.js';
+import { getRepository } from '../utils/repository.js';
+import { announceAchievements } from '../lib/achievements.js';
+
+// What to tell the user for each codes.redeem() rejection
+const REDEEM_ERROR_MESSAGES = {
+  CODE_NOT_FOUND: "That code doesn't seem to exist. Check for typos? 🤔",
+  CODE_DEACTIVATED: "That code's been pulled. Dead on arrival. 💀",
+  CODE_NOT_ACTIVE: "Hold your horses! That code isn't active just yet.",
+  CODE_EXPIRED: "Too slow! That code has expired. 💀",
+  CODE_EXHAUSTED: "This code has reached its maximum redemption limit. Bummer.",
+  CODE_ALREADY_REDEEMED: "Looks like you've already used this code the maximum number of times allowed.",
+  CAMPAIGN_NOT_FOUND: "That code's campaign is gone. Nothing to cash in. 💀",
+  CAMPAIGN_NOT_STARTED: "Hold your horses! That code's campaign hasn't kicked off yet.",
+  CAMPAIGN_ENDED: "Too slow! That code's campaign is over. 💀",
+  CAMPAIGN_BUDGET_SPENT: "That campaign's Karma pot is empty. Bummer.",
+  CAMPAIGN_LIMIT_REACHED: "You've hit your limit for this campaign. Leave some for the rest."
+};
 
 export const redeemHandler = (app) => {
   /**
@@ -85,100 +99,12 @@ export const redeemHandler = (app) => {
       return;
     }
 
-    const codeRef = db.collection('redemptionCodes').doc(providedCode);
-    const playerRef = db.collection('players').doc(userId);
-
     try {
-      const awardedKarma = await db.runTransaction(async (transaction) => {
-        const codeDoc = await transaction.get(codeRef);
-
-        // 1. Validation: Code Existence
-        if (!codeDoc.exists) {
-          logger.warn(`Redeem attempt by ${userId} failed: Code '${providedCode}' not found.`);
-          throw new Error("That code doesn't seem to exist. Check for typos? 🤔");
-        }
-
-        const codeData = codeDoc.data();
-        const now = admin.firestore.Timestamp.now();
-
-        // 2. Validation: Active From
-        if (codeData.activeFrom && codeData.activeFrom > now) {
-          logger.warn(`Redeem attempt by ${userId} failed: Code '${providedCode}' not yet active.`);
-          throw new Error("Hold your horses! That code isn't active just yet.");
-        }
-
-        // 3. Validation: Expires At
-        if (codeData.expiresAt && codeData.expiresAt < now) {
-          logger.warn(`Redeem attempt by ${userId} failed: Code '${providedCode}' has expired.`);
-          throw new Error("Too slow! That code has expired. 💀");
-        }
-
-        // 4. Validation: Max Redemptions
-        if (codeData.redeemedCount >= codeData.maxRedemptions) {
-          logger.warn(`Redeem attempt by ${userId} failed: Code '${providedCode}' max redemptions reached.`);
-          throw new Error("This code has reached its maximum redemption limit. Bummer.");
-        }
-
-        // 5. Validation: Per User Limit
-        const userRedemptionCount = codeData.redeemers.filter(r => r.userId === userId).length;
-        const perUserLimit = codeData.perUserLimit || 1; // Default to 1 if not set
-        if (userRedemptionCount >= perUserLimit) {
-          logger.warn(`Redeem attempt by ${userId} failed: User already redeemed '${providedCode}' ${userRedemptionCount}/${perUserLimit} times.`);
-          throw new Error("Looks like you've already used this code the maximum number of times allowed.");
-        }
-
-        // --- If all validations pass --- 
-        logger.info(`Validation passed for code '${providedCode}' by user ${userId}. Proceeding with redemption.`);
-
-        const playerDoc = await transaction.get(playerRef);
-        let playerData;
-        if (!playerDoc.exists) {
-          logger.info(`Player ${userId} not found, creating new player document.`);
-          playerData = {
-            userId: userId,
-            name: userRealName,
-            karma: 0, // Initial karma
-            reputation: 0,
-            ordersRequestedCount: 0,
-            deliveriesCompletedCount: 0,
-            title: 'Newcomer', // Default title or fetch from constants
-            capabilities: [],
-            createdAt: now,
-            updatedAt: now
-          };
-          transaction.set(playerRef, playerData); // Set the new player data in the transaction
-        } else {
-          playerData = playerDoc.data();
-        }
-
-        const newRedeemer = {
-          userId: userId,
-          name: userRealName,
-          timestamp: now
-        };
-
-        // Update Code Document
-        transaction.update(codeRef, {
-          redeemedCount: admin.firestore.FieldValue.increment(1),
-          redeemers: admin.firestore.FieldValue.arrayUnion(newRedeemer),
-          updatedAt: now
-        });
-
-        // Update Player Document
-        const karmaToAward = codeData.karmaValue;
-        transaction.update(playerRef, {
-          karma: admin.firestore.FieldValue.increment(karmaToAward),
-          updatedAt: now
-        });
-
-        logger.info(`Transaction prepared for code '${providedCode}' redemption by ${userId}. Awarding ${karmaToAward} Karma.`);
-        return karmaToAward;
+      const { karmaValue: awardedKarma, karmaAfter: finalKarma, unlockedAchievements } = await getRepository().codes.redeem(providedCode, {
+        playerId: userId,
+        playerName: userRealName
       });
 
-      // Transaction successful
-      const playerDocAfter = await playerRef.get(); // Get updated player data
-      const finalKarma = playerDocAfter.data().karma;
-
       logger.info(`Successfully redeemed code '${providedCode}' for user ${userId}. Awarded ${awardedKarma} Karma. New total: ${finalKarma}`);
 
       // <<< Use client.chat.postEphemeral for Success Message >>>
@@ -187,16 +113,18 @@ export const redeemHandler = (app) => {
         user: userId,
         text: `Ledger updated. \`${providedCode}\` burned for ${awardedKarma} Karma ⚡. Balance: ${finalKarma}`
       });
+      await announceAchievements(client, { [userId]: unlockedAchievements });
 
     } catch (error) {
       // Handle errors (including validation errors thrown inside the transaction)
       logger.error(`Error during redemption transaction for code '${providedCode}' by user ${userId}: ${error.message}`);
+      const rejection = REDEEM_ERROR_MESSAGES[error.message] || "Something broke. Try again in a bit.";
       try {
         // <<< Use client.chat.postEphemeral for Error Message >>>
         await client.chat.postEphemeral({
           channel: channelId,
           user: userId,
-          text: `REJECTED: ${error.message}`
+          text: `REJECTED: ${rejection}`
         });
       } catch (postError) {
         logger.error(`Failed to post final ephemeral error message: ${postError}`);
@@ -0,0 +1,283 @@
+/**
+ * Standing Order Handler
+ * Handles the /standing command: recurring orders that drop on set days at a set time
+ */
+import { getRepository } from '../utils/repository.js';
+import { formatStandingOrders, formatStandingOrderDays } from '../utils/message-formatter.js';
+import { buildStandingOrderModal } from '../utils/modal-builder.js';
+import { placeStandardOrder } from './order-handler.js';
+import { getConfig } from '../utils/config.js';
+import { quoteOrder, getBaseCost, isDynamicPricingEnabled } from '../lib/pricing.js';
+import {
+  LOCATIONS,
+  DURATIONS,
+  STANDING_ORDER_LIMIT,
+  OFFICE_TIMEZONE
+} from '../utils/constants.js';
+import { getOfficeClock } from '../utils/office-clock.js';
+
+/**
+ * Convert an "HH:mm" string to minutes past midnight.
+ * @param {string} time - Time from the timepicker.
+ * @returns {number}
+ */
+function timeToMinutes(time) {
+  const [hours, minutes] = String(time || '0:0').split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Whether a standing order should drop right now.
+ * Orders fire from their set time until STANDING_ORDER_WINDOW has passed, once per office day.
+ * @param {object} standingOrder - Standing order data.
+ * @param {{day: number, date: string, minutes: number}} clock - From getOfficeClock (utils/office-clock.js).
+ * @returns {boolean}
+ */
+function isStandingOrderDue(standingOrder, clock) {
+  if (standingOrder.paused) return false;
+  if (!(standingOrder.days || []).map(Number).includes(clock.day)) return false;
+  if (standingOrder.lastRunDate === clock.date) return false;
+  const lateBy = clock.minutes - timeToMinutes(standingOrder.time);
+  return lateBy >= 0 && lateBy <= DURATIONS.STANDING_ORDER_WINDOW / 60;
+}
+
+/**
+ * Place every standing order that is due. Called by the standingOrderRunner Pub/Sub function.
+ * Each order is claimed for the day in a transaction first, so overlapping runs can't double-place it.
+ * @param {object} client - Slack WebClient instance.
+ * @param {object} logger - Logger instance.
+ * @param {Date} [now=new Date()] - Current time.
+ * @returns {Promise<{placed: number, skipped: number}>}
+ */
+export async function runDueStandingOrders(client, logger, now = new Date()) {
+  const clock = getOfficeClock(now);
+  const { players, standingOrders: standingOrderStore } = getRepository();
+  const standingOrders = await standingOrderStore.listActive();
+  const dueOrders = standingOrders.filter(standingOrder => isStandingOrderDue(standingOrder, clock));
+  logger.info(`[runDueStandingOrders] ${dueOrders.length} of ${standingOrders.length} active standing orders due at ${clock.date} ${Math.floor(clock.minutes / 60)}:${String(clock.minutes % 60).padStart(2, '0')}.`);
+
+  const channelId = getConfig('KOFFEE_KARMA_CHANNEL_ID');
+  let placed = 0;
+  let skipped = 0;
+
+  for (const standingOrder of dueOrders) {
+    try {
+      const claimed = await standingOrderStore.claimRun(standingOrder.id, clock.date);
+      if (!claimed) {
+        logger.info(`[runDueStandingOrders] Standing order ${standingOrder.id} already handled today. Skipping.`);
+        continue;
+      }
+
+      // Check karma before posting anything so a broke owner gets a DM, not a dead placeholder
+      const { player } = await players.getOrCreate(standingOrder.ownerId, client);
+      const quote = await quoteOrder({ category: standingOrder.category, location: standingOrder.location });
+      const karmaCost = quote.karmaCost;
+      const currentKarma = player?.karma ?? 0;
+      if (currentKarma < karmaCost) {
+        logger.warn(`[runDueStandingOrders] Skipping standing order ${standingOrder.id}: owner ${standingOrder.ownerId} has ${currentKarma}, needs ${karmaCost}.`);
+        skipped++;
+        await standingOrderStore.update(standingOrder.id, { lastResult: 'skipped_karma' });
+        const skipText = `⊘ Standing order skipped: \`${standingOrder.drink}\` → ${LOCATIONS[standingOrder.location] || standingOrder.location}.\nYou got ${currentKarma} ⚡, need ${karmaCost} ⚡. Run something.`;
+        await client.chat.postMessage({
+          channel: standingOrder.ownerId,
+          text: skipText,
+          blocks: [{ type: 'section', text: { type: 'mrkdwn', text: skipText } }]
+        }).catch(dmError => logger.error(`[runDueStandingOrders] Failed to DM skip notice to ${standingOrder.ownerId}:`, dmError));
+        continue;
+      }
+
+      const orderId = await placeStandardOrder({
+        requesterId: standingOrder.ownerId,
+        selectedCategory: standingOrder.category,
+        drinkDetails: standingOrder.drink,
+        selectedLocation: standingOrder.location,
+        recipientSlackId: standingOrder.recipientId || null,
+        notes: standingOrder.notes || '',
+        channelId,
+        standingOrderId: standingOrder.id,
+        quote,
+        client,
+        logger
+      });
+      await standingOrderStore.update(standingOrder.id, { lastResult: orderId ? 'placed' : 'failed', lastOrderId: orderId });
+      if (orderId) placed++;
+      else skipped++;
+    } catch (error) {
+      skipped++;
+      logger.error(`[runDueStandingOrders] Error running standing order ${standingOrder.id}:`, error);
+    }
+  }
+
+  logger.info(`[runDueStandingOrders] Done. Placed ${placed}, skipped ${skipped}.`);
+  return { placed, skipped };
+}
+
+export const standingOrderHandler = (app) => {
+  /**
+   * Handle /standing command
+   */
+  app.command('/standing', async ({ ack, body, client, logger }) => {
+    await ack();
+
+    // <<< DM Channel Check >>>
+    if (body.channel_name === 'directmessage') {
+      logger.warn(`User ${body.user_id} tried to use /standing in a DM. Instructing to use channel.`);
+      await client.chat.postEphemeral({
+        channel: body.channel_id, // This will be the DM channel
+        user: body.user_id,
+        text: "COMMANDS IN THE CHANNEL, NOT HERE. USE <#C08K73A45NX|koffee-karma-sf>."
+      });
+      return;
+    }
+
+    const userId = body.user_id;
+    logger.info(`Received /standing command from user ${userId}`);
+
+    try {
+      const standingOrders = await getRepository().standingOrders.listForOwner(userId);
+      await client.chat.postEphemeral({
+        channel: body.channel_id,
+        user: userId,
+        blocks: formatStandingOrders(standingOrders),
+        text: 'Your standing orders' // Fallback text
+      });
+    } catch (error) {
+      logger.error('Error handling /standing command:', error);
+      try {
+        await client.chat.postEphemeral({
+          channel: body.channel_id,
+          user: userId,
+          text: `System choked pulling your standing orders. Try again. Error: ${error.message}`
+        });
+      } catch (ephemeralError) {
+        logger.error('Failed to send ephemeral error message during /standing catch block:', ephemeralError);
+      }
+    }
+  });
+
+  /**
+   * Handle NEW STANDING ORDER button
+   */
+  app.action('standing_order_new', async ({ ack, body, client, logger }) => {
+    await ack();
+    try {
+      await client.views.open({ trigger_id: body.trigger_id, view: buildStandingOrderModal() });
+    } catch (error) {
+      logger.error(`Error opening standing order modal for user ${body.user.id}:`, error);
+    }
+  });
+
+  /**
+   * Handle PAUSE/RESUME and DELETE buttons.
+   * The list is ephemeral, so it is swapped in place via response_url.
+   */
+  const handleStandingOrderChange = async ({ ack, body, action, respond, logger }) => {
+    await ack();
+    const userId = body.user.id;
+    const standingOrderId = action.value;
+    logger.info(`${action.action_id} on standing order ${standingOrderId} by user ${userId}`);
+
+    try {
+      const standingOrders = await getRepository().standingOrders.listForOwner(userId);
+      const standingOrder = standingOrders.find(so => so.id === standingOrderId);
+      if (!standingOrder) {
+        await respond({ replace_original: false, response_type: 'ephemeral', text: 'Not yours, or already gone.' });
+        return;
+      }
+
+      if (action.action_id === 'standing_order_delete') {
+        await getRepository().standingOrders.delete(standingOrderId);
+      } else {
+        await getRepository().standingOrders.update(standingOrderId, { paused: !standingOrder.paused });
+      }
+
+      await respond({
+        replace_original: true,
+        response_type: 'ephemeral',
+        blocks: formatStandingOrders(await getRepository().standingOrders.listForOwner(userId)),
+        text: 'Your standing orders'
+      });
+    } catch (error) {
+      logger.error(`Error changing standing order ${standingOrderId} for user ${userId}:`, error);
+      await respond({
+        replace_original: false,
+        response_type: 'ephemeral',
+        text: `System choked updating that standing order. Try again. Error: ${error.message}`
+      });
+    }
+  };
+
+  app.action('standing_order_toggle', handleStandingOrderChange);
+  app.action('standing_order_delete', handleStandingOrderChange);
+
+  /**
+   * Handle standing order modal submission
+   */
+  app.view('standing_order_modal', async ({ ack, body, view, client, logger }) => {
+    const userId = body.user.id;
+    const values = view.state.values;
+    const category = values.standing_category_block?.standing_category_select?.selected_option?.value;
+    const drink = values.standing_drink_block?.standing_drink_input?.value?.trim() || '';
+    const location = values.standing_location_block?.standing_location_select?.selected_option?.value;
+    const recipientId = values.standing_recipient_block?.standing_recipient_select?.selected_user || null;
+    const days = (values.standing_days_block?.standing_days_select?.selected_options || []).map(option => Number(option.value));
+    const time = values.standing_time_block?.standing_time_select?.selected_time;
+    const notes = values.standing_notes_block?.standing_notes_input?.value || '';
+
+    const errors = {};
+    if (days.length === 0) errors.standing_days_block = 'Pick at least one day.';
+    if (!time) errors.standing_time_block = 'Pick a time.';
+
+    let existing = [];
+    try {
+      existing = await getRepository().standingOrders.listForOwner(userId);
+    } catch (error) {
+      logger.error(`Error counting standing orders for user ${userId}:`, error);
+    }
+    if (existing.length >= STANDING_ORDER_LIMIT) {
+      errors.standing_category_block = `Maxed out at ${STANDING_ORDER_LIMIT} standing orders. Delete one first.`;
+    }
+
+    if (Object.keys(errors).length > 0) {
+      await ack({ response_action: 'errors', errors });
+      return;
+    }
+    await ack();
+
+    try {
+      // Don't fire today if the slot already went by while the form was being filled in
+      const clock = getOfficeClock(new Date());
+      const alreadyPassedToday = days.includes(clock.day) && clock.minutes > timeToMinutes(time);
+
+      await getRepository().standingOrders.create({
+        ownerId: userId,
+        category,
+        drink,
+        location,
+        recipientId: recipientId && recipientId !== userId ? recipientId : null,
+        notes,
+        days,
+        time,
+        timezone: OFFICE_TIMEZONE,
+        lastRunDate: alreadyPassedToday ? clock.date : null
+      });
+
+      const cost = getBaseCost(category);
+      // Dynamic pricing reprices every drop, so only the floor is known now
+      const confirmText = `STANDING ORDER SET: \`${drink}\` → ${LOCATIONS[location] || location}, ${formatStandingOrderDays(days)} at ${time}.\n${cost}${isDynamicPricingEnabled() ? '+' : ''} Karma charged each time it drops. /standing to pause or kill it.`;
+      await client.chat.postMessage({
+        channel: userId,
+        text: confirmText,
+        blocks: [{ type: 'section', text: { type: 'mrkdwn', text: confirmText } }]
+      });
+    } catch (error) {
+      logger.error(`Error saving standing order for user ${userId}:`, error);
+      await client.chat.postMessage({
+        channel: userId,
+        text: `System choked saving your standing order. Try again. Error: ${error.message}`
+      }).catch(dmError => logger.error('Failed to DM standing order error:', dmError));
+    }
+  });
+
+  console.log("✅ Standing order handler registered command: /standing");
+};
@@ -0,0 +1,79 @@
+/**
+ * Team Handler
+ * Handles the /team command: join a studio, practice or floor team, or leave it.
+ * Teams come from the LOCATIONS keys (see utils/teams.js); /leaderboard teams ranks them.
+ */
+import { getRepository } from '../utils/repository.js';
+import { TEAMS, findTeam, getTeamName } from '../utils/teams.js';
+
+const TEAM_LIST_TEXT = Object.keys(TEAMS).map(teamKey => `\`${teamKey}\``).join(' ');
+
+export const teamHandler = (app) => {
+  /**
+   * Handle /team [team | leave]
+   */
+  app.command('/team', async ({ ack, body, client, logger }) => {
+    await ack();
+
+    const reply = (text) => client.chat.postEphemeral({
+      channel: body.channel_id,
+      user: body.user_id,
+      text,
+      blocks: [{ type: 'section', text: { type: 'mrkdwn', text } }]
+    });
+
+    if (body.channel_name === 'directmessage') {
+      logger.warn(`User ${body.user_id} tried to use /team in a DM. Instructing to use channel.`);
+      await reply("COMMANDS IN THE CHANNEL, NOT HERE. USE <#C08K73A45NX|koffee-karma-sf>.");
+      return;
+    }
+
+    const userId = body.user_id;
+    const input = (body.text || '').trim();
+    logger.info(`Received /team command from user ${userId}: "${input}"`);
+
+    try {
+      const { players } = getRepository();
+      const { player } = await players.getOrCreate(userId, client);
+
+      if (!input) {
+        const current = player.team ? `You rep *${getTeamName(player.team)}*.` : 'No team. Lone wolf.';
+        await reply(`${current}\n\`/team <team or your spot>\` to join, \`/team leave\` to go solo.\nTeams: ${TEAM_LIST_TEXT}`);
+        return;
+      }
+
+      if (input.toLowerCase() === 'leave') {
+        if (!player.team) {
+          await reply('No team to leave.');
+          return;
+        }
+        await players.update(userId, { team: null });
+        logger.info(`[team] ${userId} left ${player.team}.`);
+        await reply(`Left *${getTeamName(player.team)}*. Your rep goes with you.`);
+        return;
+      }
+
+      const teamKey = findTeam(input);
+      if (!teamKey) {
+        await reply(`No team called \`${input}\`. Try a team or your spot (e.g. \`4b\`, \`redwood_2\`).\nTeams: ${TEAM_LIST_TEXT}`);
+        return;
+      }
+      if (teamKey === player.team) {
+        await reply(`Already repping *${getTeamName(teamKey)}*.`);
+        return;
+      }
+      await players.update(userId, { team: teamKey });
+      logger.info(`[team] ${userId} joined ${teamKey} (was ${player.team || 'none'}).`);
+      await reply(`You're *${getTeamName(teamKey)}* now. Your rep counts for the team. \`/leaderboard teams\` to see the fight.`);
+    } catch (error) {
+      logger.error('Error handling /team command:', error);
+      try {
+        await reply(`System choked setting your team. Try again. Error: ${error.message}`);
+      } catch (ephemeralError) {
+        logger.error('Failed to send ephemeral error message during /team catch block:', ephemeralError);
+      }
+    }
+  });
+
+  console.log("✅ Team handler registered command: /team");
+};
@@ -6,7 +6,7 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import bodyParser from 'body-parser';
 import { onMessagePublished } from 'firebase-functions/v2/pubsub';
-import { getFirestore, FieldValue } from 'firebase-admin/firestore';
+import { Timestamp } from 'firebase-admin/firestore';
 
 // --- ADD core functions import ---
 // import * as functions from 'firebase-functions'; 
@@ -24,12 +24,13 @@ import express from 'express';
 import { getConfig } from './utils/config.js';
 import { logger } from './utils/logger.js';
 // --- Database Imports ---
-import * as database from './utils/database.js'; // Using namespace import for DB
+import { getRepository } from './utils/repository.js';
 // --- Constants Imports ---
 import { 
   DRINK_CATEGORIES, 
   LOCATIONS, 
-  ORDER_STATUS 
+  ORDER_STATUS,
+  COUNTDOWN_SWEEP
 } from './utils/constants.js';
 // --- Message Formatter Imports ---
 import { formatOrderMessage } from './lib/messages/order-message.js'; // <<< CORRECT PATH FOR NEW FORMATTER >>>
@@ -151,19 +152,39 @@ export const slack = onRequest(
 // --- RESTORE HANDLER IMPORT/REGISTRATION --- 
 console.log('*** Importing handlers... ***');
 import { karmaHandler } from './handlers/karma-handler.js';
-import { orderHandler } from './handlers/order-handler.js';
+import { orderHandler, releaseScheduledOrder } from './handlers/order-handler.js';
 import { deliveryHandler, handleOpenOrderModalForRunner } from './handlers/delivery-handler.js';
-import { leaderboardHandler } from './handlers/leaderboard-handler.js';
+import { leaderboardHandler, closeEndedSeason } from './handlers/leaderboard-handler.js';
 import { eventHandler } from './handlers/event-handler.js';
 import { redeemHandler } from './handlers/redeem-handler.js';
+import { historyHandler } from './handlers/history-handler.js';
+import { myDeliveriesHandler } from './handlers/my-deliveries-handler.js';
+import { homeHandler } from './handlers/home-handler.js';
+import { standingOrderHandler, runDueStandingOrders } from './handlers/standing-order-handler.js';
+import { adminHandler } from './handlers/admin-handler.js';
+import { teamHandler } from './handlers/team-handler.js';
+import { registerTimerHandler } from './utils/timer-scheduler.js';
+import { runRateLimited } from './utils/slack-throttle.js';
+import { transitionOrder, OrderTransitionError } from './lib/order-state-machine.js';
+import { nudgeExpiringStreaks } from './lib/streaks.js';
+import { announceBonusEvents } from './lib/bonus-events.js';
 
 karmaHandler(app); // Handles /karma
 orderHandler(app); // Should handle /order, claim, cancel, deliver, order_modal view, location_select action
 deliveryHandler(app); // Should handle /deliver, order_now, cancel_ready_offer, delivery_modal view
 leaderboardHandler(app);
 redeemHandler(app);
+historyHandler(app); // Handles /history and its paging buttons
+myDeliveriesHandler(app); // Handles /mydeliveries runner dashboard
+homeHandler(app); // Handles app_home_opened and Home tab buttons
+standingOrderHandler(app); // Handles /standing and the standing order modal
+adminHandler(app); // Handles /kkadmin (ADMIN_SLACK_IDS only)
+teamHandler(app); // Handles /team
 eventHandler(app);
 
+// In-process timers (TIMER_BACKEND=memory) skip Pub/Sub, so wire their topics straight to the handlers
+registerTimerHandler('release-scheduled-order', ({ orderId }) => releaseScheduledOrder(orderId, app.client, app.logger));
+
 // TODO: Implement handlers for /leaderboard, /redeem, and member_joined_channel event
 // Placeholder text for when these are added:
 
@@ -223,9 +244,12 @@ console.log('*** index.js restored version finished executing global scope ***')
 
 const ORDER_TIMER_TOPIC = 'check-order-timers'; // Define topic name
 
-// Add region to orderTimerUpdater export
+// The one countdown sweeper: published every minute by a Cloud Scheduler cron job (see README).
+// Refreshes every live order/offer message, expires what's overdue, releases due scheduled orders
+// and posts happy hour start/end banners.
+// Timeout leaves room for the rate-limited chat.update batch (COUNTDOWN_SWEEP.MAX_UPDATES x UPDATE_SPACING_MS).
 export const orderTimerUpdater = onMessagePublished(
-    { topic: ORDER_TIMER_TOPIC, region: 'us-west1' }, 
+    { topic: ORDER_TIMER_TOPIC, region: 'us-west1', timeoutSeconds: 120 }, 
     async (event) => {
         console.log(`[${ORDER_TIMER_TOPIC}] Received Pub/Sub message:`, event.id);
         
@@ -238,102 +262,80 @@ export const orderTimerUpdater = onMessagePublished(
         const logger = tempApp.logger; 
 
         const now = new Date();
-        const nowTimestamp = admin.firestore.Timestamp.fromDate(now);
-        const ordersRef = admin.firestore().collection('orders'); // Base collection ref
+        const nowTimestamp = Timestamp.fromDate(now);
+        const { orders } = getRepository();
 
         logger.info(`[${ORDER_TIMER_TOPIC}] Running timer check at ${now.toISOString()}`);
 
         try {
             // --- Process Active Orders (Unclaimed and Claimed) with correct timestamps ---
-            const activeUnclaimedOrdersQuery = ordersRef
-                .where('status', '==', ORDER_STATUS.ORDERED)
-                .where('expiryTimestamp', '>', nowTimestamp);
-
-            const activeClaimedOrdersQuery = ordersRef
-                .where('status', '==', ORDER_STATUS.CLAIMED)
-                .where('claimedExpiryTimestamp', '>', nowTimestamp); // Use claimedExpiryTimestamp here
-
-            const [activeUnclaimedSnapshot, activeClaimedSnapshot] = await Promise.all([
-                activeUnclaimedOrdersQuery.get(),
-                activeClaimedOrdersQuery.get()
+            const [activeUnclaimedOrders, activeClaimedOrders] = await Promise.all([
+                orders.listByDeadline({ status: ORDER_STATUS.ORDERED, field: 'expiryTimestamp', after: nowTimestamp }),
+                orders.listByDeadline({ status: ORDER_STATUS.CLAIMED, field: 'claimedExpiryTimestamp', after: nowTimestamp }) // Use claimedExpiryTimestamp here
             ]);
 
-            logger.info(`[${ORDER_TIMER_TOPIC}] Found ${activeUnclaimedSnapshot.size} active unclaimed and ${activeClaimedSnapshot.size} active claimed orders to potentially update.`);
+            logger.info(`[${ORDER_TIMER_TOPIC}] Found ${activeUnclaimedOrders.length} active unclaimed and ${activeClaimedOrders.length} active claimed orders to potentially update.`);
 
-            const activeItemUpdatePromises = [];
-            const allActiveDocs = [...activeUnclaimedSnapshot.docs, ...activeClaimedSnapshot.docs];
-
-            allActiveDocs.forEach(doc => {
-                const itemId = doc.id;
-                const item = doc.data();
-                logger.debug(`[Order Timer] Processing active item ${itemId} (status: ${item.status}) for message update.`);
-
-                const orderDetails = { ...item, orderId: itemId };
-                try {
-                    const messagePayload = formatOrderMessage(orderDetails); // formatOrderMessage should correctly use expiryTimestamp or claimedExpiryTimestamp based on status
-                    if (messagePayload && item.slackChannelId && item.slackMessageTs) {
-                        logger.debug(`[Order Timer] Updating msg ${item.slackMessageTs} for order ${itemId} (${item.status})`);
-                        activeItemUpdatePromises.push(
-                            client.chat.update({
-                                channel: item.slackChannelId,
-                                ts: item.slackMessageTs,
-                                blocks: messagePayload.blocks,
-                                text: messagePayload.text,
-                            }).catch(err => {
-                                logger.error(`[Order Timer] Failed Slack update for ${itemId}:`, err);
-                            })
-                        );
-                    } else {
-                        logger.warn(`[Order Timer] Skipping Slack message update for ${itemId}: Missing payload, channelId, or slackMessageTs.`);
-                    }
-                } catch (error) {
-                    logger.error(`[Order Timer] Error formatting message for active order ${itemId}:`, error);
-                }
-            });
+            const orderRefreshes = collectActiveOrderRefreshes([...activeUnclaimedOrders, ...activeClaimedOrders], client, logger);
 
             // --- Process Active Runner Offers --- 
-            const activeOffersQuery = ordersRef
-                .where('status', '==', ORDER_STATUS.OFFERED) 
-                .where('initiatedBy', '==', 'runner')
-                .where('expiryTimestamp', '>', nowTimestamp);
-            const activeOffersSnapshot = await activeOffersQuery.get();
-            logger.info(`[${ORDER_TIMER_TOPIC}] Found ${activeOffersSnapshot.size} active runner offers to potentially update.`);
-            const activeOfferUpdatePromises = processActiveRunnerOffers(activeOffersSnapshot, client, logger); // Existing call, ensure this function is correct
+            const activeOffers = await orders.listByDeadline({ status: ORDER_STATUS.OFFERED, initiatedBy: 'runner', field: 'expiryTimestamp', after: nowTimestamp });
+            logger.info(`[${ORDER_TIMER_TOPIC}] Found ${activeOffers.length} active runner offers to potentially update.`);
+            const offerRefreshes = collectActiveRunnerOfferRefreshes(activeOffers, client, logger);
 
             // --- Process Expired Orders --- 
-            const expiredOrdersQuery = ordersRef
-                .where('status', '==', ORDER_STATUS.ORDERED)
-                .where('expiryTimestamp', '<=', nowTimestamp);
-            const expiredOrdersSnapshot = await expiredOrdersQuery.get();
-            logger.info(`[${ORDER_TIMER_TOPIC}] Found ${expiredOrdersSnapshot.size} expired orders to process.`);
-            const expiredOrderPromises = processExpiredOrders(expiredOrdersSnapshot, client, logger);
+            const expiredOrders = await orders.listByDeadline({ status: ORDER_STATUS.ORDERED, field: 'expiryTimestamp', before: nowTimestamp });
+            logger.info(`[${ORDER_TIMER_TOPIC}] Found ${expiredOrders.length} expired orders to process.`);
+            const expiredOrderPromises = processExpiredOrders(expiredOrders, client, logger);
 
             // --- Process Expired Runner Offers --- 
-            const expiredOffersQuery = ordersRef
-                .where('status', '==', ORDER_STATUS.OFFERED)
-                .where('initiatedBy', '==', 'runner')
-                .where('expiryTimestamp', '<=', nowTimestamp);
-            const expiredOffersSnapshot = await expiredOffersQuery.get();
-            logger.info(`[${ORDER_TIMER_TOPIC}] Found ${expiredOffersSnapshot.size} newly expired runner offers.`);
-            const expiredOfferPromises = processExpiredRunnerOffers(expiredOffersSnapshot, client, logger);
+            const expiredOffers = await orders.listByDeadline({ status: ORDER_STATUS.OFFERED, initiatedBy: 'runner', field: 'expiryTimestamp', before: nowTimestamp });
+            logger.info(`[${ORDER_TIMER_TOPIC}] Found ${expiredOffers.length} newly expired runner offers.`);
+            const expiredOfferPromises = processExpiredRunnerOffers(expiredOffers, client, logger);
 
             // --- Process Expired CLAIMED Orders --- 
-            const expiredClaimedQuery = ordersRef
-                .where('status', '==', ORDER_STATUS.CLAIMED)
-                .where('claimedExpiryTimestamp', '<=', nowTimestamp);
-            const expiredClaimedSnapshot = await expiredClaimedQuery.get();
-            logger.info(`[${ORDER_TIMER_TOPIC}] Found ${expiredClaimedSnapshot.size} expired claimed orders to process.`);
-            const resolvedExpiredClaimedPromises = await processExpiredClaimedOrders(expiredClaimedSnapshot, client, logger);
-
-            // Wait for all updates and expirations to complete
+            const expiredClaimedOrders = await orders.listByDeadline({ status: ORDER_STATUS.CLAIMED, field: 'claimedExpiryTimestamp', before: nowTimestamp });
+            logger.info(`[${ORDER_TIMER_TOPIC}] Found ${expiredClaimedOrders.length} expired claimed orders to process.`);
+            const resolvedExpiredClaimedPromises = await processExpiredClaimedOrders(expiredClaimedOrders, client, logger);
+
+            // --- Release Overdue Scheduled Orders ---
+            // Safety net for release jobs that never fired; releaseScheduledOrder skips anything already live
+            const dueScheduledOrders = await orders.listByDeadline({ status: ORDER_STATUS.SCHEDULED, field: 'scheduledFor', before: nowTimestamp });
+            logger.info(`[${ORDER_TIMER_TOPIC}] Found ${dueScheduledOrders.length} overdue scheduled orders to release.`);
+            const scheduledReleasePromises = dueScheduledOrders.map(order =>
+                releaseScheduledOrder(order.id, client, logger)
+                    .catch(err => logger.error(`[Order Timer] Failed to release scheduled order ${order.id}:`, err))
+            );
+
+            // Expirations and releases first: they change state, countdown refreshes are cosmetic
             await Promise.all([
-                ...activeItemUpdatePromises, // Use the new combined list for active orders/claimed items
-                ...activeOfferUpdatePromises,
                 ...expiredOrderPromises,
                 ...expiredOfferPromises,
-                ...resolvedExpiredClaimedPromises
+                ...resolvedExpiredClaimedPromises,
+                ...scheduledReleasePromises
             ]);
-            logger.info(`[${ORDER_TIMER_TOPIC}] Finished processing updates and expirations.`);
+
+            // --- Happy Hour Banners ---
+            const bannersPosted = await announceBonusEvents(client, now)
+                .catch(err => {
+                    logger.error(`[${ORDER_TIMER_TOPIC}] Failed to post happy hour banners:`, err);
+                    return 0;
+                });
+
+            // --- Refresh Countdowns in One Rate-Limited Batch ---
+            // Soonest deadline first, capped so the sweep (plus the expiry messages above) stays under
+            // Slack's chat.update limit. Anything cut gets refreshed on the next sweep.
+            const stateChangeCount = expiredOrders.length + expiredOffers.length + expiredClaimedOrders.length + dueScheduledOrders.length + bannersPosted;
+            const refreshBudget = Math.max(0, COUNTDOWN_SWEEP.MAX_UPDATES - stateChangeCount);
+            const countdownRefreshes = [...orderRefreshes, ...offerRefreshes].sort((a, b) => a.deadlineMs - b.deadlineMs);
+            if (countdownRefreshes.length > refreshBudget) {
+                logger.warn(`[${ORDER_TIMER_TOPIC}] ${countdownRefreshes.length} countdowns to refresh, budget ${refreshBudget}. Deferring ${countdownRefreshes.length - refreshBudget} to the next sweep.`);
+            }
+            const { succeeded, failed } = await runRateLimited(
+                countdownRefreshes.slice(0, refreshBudget).map(refresh => refresh.run),
+                { spacingMs: COUNTDOWN_SWEEP.UPDATE_SPACING_MS, label: ORDER_TIMER_TOPIC }
+            );
+            logger.info(`[${ORDER_TIMER_TOPIC}] Finished processing. Expirations/releases/banners: ${stateChangeCount}, countdowns refreshed: ${succeeded}, failed: ${failed}.`);
 
         } catch (error) {
             logger.error(`[${ORDER_TIMER_TOPIC}] Error executing timer update function:`, error);
@@ -342,12 +344,161 @@ export const orderTimerUpdater = onMessagePublished(
     }
 );
 
-// --- Helper function to process active runner offers ---
-function processActiveRunnerOffers(snapshot, client, logger) {
-    const promises = [];
-    snapshot.forEach(doc => {
-        const offerId = doc.id;
-        const offerData = doc.data();
+// ==========================================================================
+// === Pub/Sub Triggered Function for Scheduled Order Release ===
+// ==========================================================================
+
+const SCHEDULED_RELEASE_TOPIC = 'release-scheduled-order';
+
+// Fired by the one-off Cloud Scheduler job created in scheduleOrderRelease()
+export const scheduledOrderReleaser = onMessagePublished(
+    { topic: SCHEDULED_RELEASE_TOPIC, region: 'us-west1' },
+    async (event) => {
+        console.log(`[${SCHEDULED_RELEASE_TOPIC}] Received Pub/Sub message:`, event.id);
+
+        const orderId = event.data?.message?.json?.orderId;
+        if (!orderId) {
+            console.error(`[${SCHEDULED_RELEASE_TOPIC}] Message ${event.id} has no orderId. Dropping.`);
+            return;
+        }
+
+        const tempApp = new App({
+            token: getConfig('SLACK_BOT_TOKEN'),
+            signingSecret: getConfig('SLACK_SIGNING_SECRET'),
+            logLevel: LogLevel.DEBUG
+        });
+
+        try {
+            await releaseScheduledOrder(orderId, tempApp.client, tempApp.logger);
+        } catch (error) {
+            tempApp.logger.error(`[${SCHEDULED_RELEASE_TOPIC}] Error releasing scheduled order ${orderId}:`, error);
+            throw error;
+        }
+    }
+);
+
+// ==========================================================================
+// === Pub/Sub Triggered Function for Standing Orders ===
+// ==========================================================================
+
+const STANDING_ORDERS_TOPIC = 'run-standing-orders';
+
+// Published every minute by a Cloud Scheduler cron job (see README)
+export const standingOrderRunner = onMessagePublished(
+    { topic: STANDING_ORDERS_TOPIC, region: 'us-west1' },
+    async (event) => {
+        console.log(`[${STANDING_ORDERS_TOPIC}] Received Pub/Sub message:`, event.id);
+
+        const tempApp = new App({
+            token: getConfig('SLACK_BOT_TOKEN'),
+            signingSecret: getConfig('SLACK_SIGNING_SECRET'),
+            logLevel: LogLevel.DEBUG
+        });
+
+        try {
+            await runDueStandingOrders(tempApp.client, tempApp.logger);
+        } catch (error) {
+            tempApp.logger.error(`[${STANDING_ORDERS_TOPIC}] Error running standing orders:`, error);
+            throw error;
+        }
+    }
+);
+
+// ==========================================================================
+// === Pub/Sub Triggered Function for Leaderboard Seasons ===
+// ==========================================================================
+
+const SEASONS_TOPIC = 'close-seasons';
+
+// Published every hour by a Cloud Scheduler cron job (see README).
+// Archives last season's standings and posts the winners; a no-op once that's done.
+export const seasonCloser = onMessagePublished(
+    { topic: SEASONS_TOPIC, region: 'us-west1' },
+    async (event) => {
+        console.log(`[${SEASONS_TOPIC}] Received Pub/Sub message:`, event.id);
+
+        const tempApp = new App({
+            token: getConfig('SLACK_BOT_TOKEN'),
+            signingSecret: getConfig('SLACK_SIGNING_SECRET'),
+            logLevel: LogLevel.DEBUG
+        });
+
+        try {
+            await closeEndedSeason(tempApp.client, tempApp.logger);
+        } catch (error) {
+            tempApp.logger.error(`[${SEASONS_TOPIC}] Error closing the season:`, error);
+            throw error;
+        }
+    }
+);
+
+// ==========================================================================
+// === Pub/Sub Triggered Function for Streak Nudges ===
+// ==========================================================================
+
+const STREAK_NUDGE_TOPIC = 'nudge-streaks';
+
+// Published once each weekday afternoon (office time) by a Cloud Scheduler cron job (see README).
+// DMs runners whose delivery streak ends today unless they run something.
+export const streakNudger = onMessagePublished(
+    { topic: STREAK_NUDGE_TOPIC, region: 'us-west1', timeoutSeconds: 300 },
+    async (event) => {
+        console.log(`[${STREAK_NUDGE_TOPIC}] Received Pub/Sub message:`, event.id);
+
+        const tempApp = new App({
+            token: getConfig('SLACK_BOT_TOKEN'),
+            signingSecret: getConfig('SLACK_SIGNING_SECRET'),
+            logLevel: LogLevel.DEBUG
+        });
+
+        try {
+            const nudged = await nudgeExpiringStreaks(tempApp.client);
+            tempApp.logger.info(`[${STREAK_NUDGE_TOPIC}] Nudged ${nudged} runners.`);
+        } catch (error) {
+            tempApp.logger.error(`[${STREAK_NUDGE_TOPIC}] Error nudging streaks:`, error);
+            throw error;
+        }
+    }
+);
+
+// --- Helper function to collect countdown refreshes for active orders ---
+// Returns { deadlineMs, run } entries; the sweep decides how many to run and how fast.
+function collectActiveOrderRefreshes(activeOrders, client, logger) {
+    const refreshes = [];
+    activeOrders.forEach(({ id: itemId, ...item }) => {
+        logger.debug(`[Order Timer] Processing active item ${itemId} (status: ${item.status}) for message update.`);
+
+        const orderDetails = { ...item, orderId: itemId };
+        try {
+            const messagePayload = formatOrderMessage(orderDetails); // formatOrderMessage should correctly use expiryTimestamp or claimedExpiryTimestamp based on status
+            if (messagePayload && item.slackChannelId && item.slackMessageTs) {
+                const deadline = item.status === ORDER_STATUS.CLAIMED ? item.claimedExpiryTimestamp : item.expiryTimestamp;
+                refreshes.push({
+                    deadlineMs: deadline?.toMillis ? deadline.toMillis() : Infinity,
+                    run: () => {
+                        logger.debug(`[Order Timer] Updating msg ${item.slackMessageTs} for order ${itemId} (${item.status})`);
+                        return client.chat.update({
+                            channel: item.slackChannelId,
+                            ts: item.slackMessageTs,
+                            blocks: messagePayload.blocks,
+                            text: messagePayload.text,
+                        });
+                    }
+                });
+            } else {
+                logger.warn(`[Order Timer] Skipping Slack message update for ${itemId}: Missing payload, channelId, or slackMessageTs.`);
+            }
+        } catch (error) {
+            logger.error(`[Order Timer] Error formatting message for active order ${itemId}:`, error);
+        }
+    });
+    return refreshes;
+}
+
+// --- Helper function to collect countdown refreshes for active runner offers ---
+function collectActiveRunnerOfferRefreshes(activeOffers, client, logger) {
+    const refreshes = [];
+    activeOffers.forEach(({ id: offerId, ...offerData }) => {
         if (!offerData.slackChannelId || !offerData.slackMessageTs || !offerData.createdAt || !offerData.durationMs) {
             logger.warn(`[Runner Timer] Skipping active offer ${offerId} due to missing fields (checked slackChannelId, slackMessageTs, createdAt, durationMs).`);
             return;
@@ -362,16 +513,17 @@ function processActiveRunnerOffers(snapshot, client, logger) {
             messageTs: offerData.slackMessageTs // Pass messageTs for button value
         };
         const updatedBlocks = formatRunnerMessage(formatData, offerData.slackMessageTs);
-        promises.push(
-            client.chat.update({
+        refreshes.push({
+            deadlineMs: offerData.expiryTimestamp?.toMillis ? offerData.expiryTimestamp.toMillis() : Infinity,
+            run: () => client.chat.update({
                 channel: offerData.slackChannelId,
                 ts: offerData.slackMessageTs,
                 blocks: updatedBlocks,
                 text: `Runner ${formatData.runnerName} is still available.` // Use formatted name
-            }).catch(error => logger.error(`[Runner Timer] Failed update for active offer ${offerId} (${offerData.slackMessageTs}):`, error))
-        );
+            })
+        });
     });
-    return promises;
+    return refreshes;
 }
 
 // --- Helper function to process expired orders ---
@@ -391,56 +543,37 @@ function formatExpiredOrderMessage(orderData, refundMessage) {
   return finalMessage;
 }
 
-function processExpiredOrders(snapshot, client, logger) {
-    const promises = [];
-    snapshot.forEach(async (doc) => {
-        const orderData = doc.data();
-        const orderId = doc.id;
-
-        // Skip processing if already expired or in another non-refundable state
-        if (orderData.status !== ORDER_STATUS.ORDERED) {
-            logger.warn(`[Order Timer] Skipping order ${orderId} as it's not in 'ordered' status (current: ${orderData.status}).`);
-            return; // Skip this iteration
-        }
-        logger.info(`[Order Timer] Expiring order ${orderId} (${orderData.slackMessageTs})`);
-        const updateData = {
-            status: ORDER_STATUS.EXPIRED, // Use correct constant
-            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-        };
-
-        // Handle karma refund separately after order update
-        let refundAmount = 0;
-        if (orderData.requesterId && orderData.karmaCost > 0) {
-            refundAmount = orderData.karmaCost;
-        }
+// Each doc goes through the 'expire' transition, which re-checks the order in a transaction.
+// Slack is only touched when that call actually expired the order, so a repeat sweep or an
+// order delivered after the query ran gets no second refund and no "rotted" message.
+/**
+ * Run an expiry transition, treating a rejection (already settled elsewhere, not due yet) as a skip.
+ * @returns {Promise<object|null>} - The transition result, or null if nothing changed.
+ */
+async function expireOrSkip(orderId, transition, logger) {
+    try {
+        return await transitionOrder(orderId, transition);
+    } catch (error) {
+        if (!(error instanceof OrderTransitionError)) throw error;
+        logger.warn(`[Order Timer] Skipping ${orderId}: ${error.code} (status: ${error.fromStatus || 'n/a'}).`);
+        return null;
+    }
+}
 
+function processExpiredOrders(expiredOrders, client, logger) {
+    return expiredOrders.map(async (order) => {
+        const orderId = order.id;
         try {
-            // First, update the order status using the CORRECT function
-            // <<< FIX: Use database.updateOrder instead of database.updateOrderStatus >>>
-            await database.updateOrder(orderId, updateData);
-            logger.info(`[Order Timer] Updated order ${orderId} status to EXPIRED.`);
-
-            // Second, if applicable, attempt the refund
-            let refundSuccess = true;
-            let refundMessage = '';
-            if (refundAmount > 0) {
-                // FIX: Update logging/messages
-                logger.info(`[Order Timer] Attempting refund of ${refundAmount} karma to ${orderData.requesterId} for expired order ${orderId}.`);
-                try {
-                    refundSuccess = await database.updatePlayerKarma(orderData.requesterId, refundAmount);
-                    refundMessage = refundSuccess
-                        ? ` YOUR ${refundAmount} KARMA HAS BEEN REFUNDED.` // Uppercase
-                        : ` THERE WAS AN ISSUE REFUNDING YOUR ${refundAmount} KARMA. PLEASE CONTACT AN ADMIN.`; // Uppercase
-                    logger.info(`[Order Timer] Karma refund ${refundSuccess ? 'successful' : 'failed'} for order ${orderId}.`);
-                } catch (refundError) {
-                    refundSuccess = false;
-                    logger.error(`[Order Timer] Error refunding karma for order ${orderId}:`, refundError);
-                    refundMessage = ` AN ERROR OCCURRED WHILE TRYING TO REFUND YOUR ${refundAmount} KARMA. PLEASE CONTACT AN ADMIN.`; // Uppercase
-                }
-            }
+            const outcome = await expireOrSkip(orderId, 'expire', logger);
+            if (!outcome) return;
+            const { orderData, refundAmount, karmaAfter } = outcome;
+            logger.info(`[Order Timer] Expired order ${orderId} (${orderData.slackMessageTs}).`);
 
-            // Third, update the Slack message
-            // <<< FIX: Pass orderId to formatExpiredOrderMessage >>>
+            const refundMessage = refundAmount > 0
+                ? ` YOUR ${refundAmount} KARMA HAS BEEN REFUNDED.` // Uppercase
+                : '';
+
+            // Update the Slack message
             const finalMessage = formatExpiredOrderMessage({ ...orderData, orderId: orderId }, refundMessage); // Pass ID
             if (orderData.slackChannelId && orderData.slackMessageTs) { // Check coords
                 await client.chat.update({
@@ -454,118 +587,70 @@ function processExpiredOrders(snapshot, client, logger) {
                 logger.warn(`[Order Timer] Could not update Slack message for expired order ${orderId}: Missing channel or ts.`);
             }
 
-            // Fourth, if applicable, notify the recipient via DM
-            if (orderData.requesterId && refundAmount > 0) { // Notify requester
+            // If refunded, notify the requester via DM
+            if (orderData.requesterId && refundAmount > 0) {
                 logger.info(`[Order Timer] Notifying requester ${orderData.requesterId} about expired order ${orderId}.`);
-                
-                let newBalance = '???'; // Default if fetch fails
-                // Fetch updated player data to get the new balance
-                // Only do this if the refund was potentially successful (even if updatePlayerKarma returned false)
-                if (refundSuccess !== false) { // Attempt fetch if refund didn't error out
-                    try {
-                        const updatedPlayerData = await database.getPlayerBySlackId(orderData.requesterId);
-                        if (updatedPlayerData) {
-                            newBalance = updatedPlayerData.karma;
-                        }
-                    } catch (fetchError) {
-                        logger.error(`[Order Timer - Expired] Failed to fetch updated player data for ${orderData.requesterId}:`, fetchError);
-                    }
-                }
-                
                 // Format DM according to the punk style
-                const dmText = `✖ ORDER scrapped.\n${refundAmount} Karma refunded. balance: ${newBalance}`;
-
+                const dmText = `✖ ORDER scrapped.\n${refundAmount} Karma refunded. balance: ${karmaAfter ?? '???'}`;
                 await client.chat.postMessage({
                     channel: orderData.requesterId, // DM the Requester
-                    text: dmText // Use the new formatted message
+                    text: dmText
                 });
             }
 
         } catch (error) {
-            logger.error(`[Order Timer] Error during expiration chain for order ${orderId} (${orderData.slackMessageTs || 'No TS'}):`, error);
+            logger.error(`[Order Timer] Error during expiration chain for order ${orderId} (${order.slackMessageTs || 'No TS'}):`, error);
         }
     });
-    return promises;
 }
 
 // --- Helper function to process expired runner offers ---
-function processExpiredRunnerOffers(snapshot, client, logger) {
-    const promises = [];
-    snapshot.forEach(doc => {
-        const offerId = doc.id;
-        const offerData = doc.data();
-        if (!offerData.slackChannelId || !offerData.slackMessageTs || !offerData.createdAt || !offerData.durationMs) {
-            logger.warn(`[Runner Timer] Skipping formatting for expired offer ${offerId} due to potentially missing fields (checked slackChannelId, slackMessageTs, createdAt, durationMs). Will still attempt update.`);
-            // Don't return here, still attempt the basic update below
+function processExpiredRunnerOffers(expiredOffers, client, logger) {
+    return expiredOffers.map(async (offer) => {
+        const offerId = offer.id;
+        try {
+            const outcome = await expireOrSkip(offerId, 'expire_offer', logger);
+            if (!outcome) return;
+            const offerData = outcome.orderData;
+            logger.info(`[Runner Timer] Expired runner offer ${offerId} (${offerData.slackMessageTs})`);
+            if (!offerData.slackChannelId || !offerData.slackMessageTs) {
+                logger.warn(`[Runner Timer] Could not update Slack message for expired offer ${offerId}: Missing channel or ts.`);
+                return;
+            }
+            const runnerName = offerData.runnerName || 'Unknown Runner';
+            // Use punk style text, use full name
+            const expiredText = `⌛ Offer from ${runnerName} expired.`;
+            logger.info(`[Runner Timer] Updating Slack message ${offerData.slackMessageTs} for expired offer ${offerId}.`);
+            await client.chat.update({
+                channel: offerData.slackChannelId,
+                ts: offerData.slackMessageTs,
+                blocks: [], // <<< SEND EMPTY BLOCKS to remove old content
+                text: expiredText // <<< SEND SIMPLE TEXT
+            });
+        } catch (error) {
+            logger.error(`[Runner Timer] Error during expiration chain for offer ${offerId} (${offer.slackMessageTs}):`, error);
         }
-        logger.info(`[Runner Timer] Expiring runner offer ${offerId} (${offerData.slackMessageTs})`);
-        promises.push(
-            doc.ref.update({ status: ORDER_STATUS.EXPIRED_OFFER }) // <<< Use EXPIRED_OFFER constant
-                .then(() => {
-                    // <<< REMOVED call to formatRunnerMessage and block generation >>>
-                    const runnerName = offerData.runnerName || 'Unknown Runner';
-                    // Use punk style text, use full name
-                    const expiredText = `⌛ Offer from ${runnerName} expired.`;
-                    logger.info(`[Runner Timer] Updating Slack message ${offerData.slackMessageTs} for expired offer ${offerId}.`);
-                    return client.chat.update({
-                        channel: offerData.slackChannelId,
-                        ts: offerData.slackMessageTs,
-                        blocks: [], // <<< SEND EMPTY BLOCKS to remove old content
-                        text: expiredText // <<< SEND SIMPLE TEXT
-                    });
-                })
-                .catch(error => logger.error(`[Runner Timer] Error during expiration chain for offer ${offerId} (${offerData.slackMessageTs}):`, error))
-        );
     });
-    return promises;
 }
 
 // --- Helper function to process expired CLAIMED orders ---
-async function processExpiredClaimedOrders(snapshot, client, logger) {
-    const promises = [];
-    snapshot.forEach(async (doc) => {
-        const orderData = doc.data();
-        const orderId = doc.id;
-        const { requesterId, runnerId, karmaCost, slackChannelId, slackMessageTs, runnerName = 'Unknown Runner' } = orderData;
-
-        logger.info(`[Order Timer] Expiring CLAIMED order ${orderId} (${slackMessageTs}) - Runner timeout.`);
-        
-        const updateData = {
-            status: ORDER_STATUS.EXPIRED_CLAIMED,
-            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-        };
-
-        // Handle karma refund to requester
-        let refundAmount = 0;
-        if (requesterId && karmaCost > 0) {
-            refundAmount = karmaCost;
-        }
-
+// Same transactional guard as processExpiredOrders: no refund or DMs unless this call expired it.
+async function processExpiredClaimedOrders(expiredClaimedOrders, client, logger) {
+    return expiredClaimedOrders.map(async (order) => {
+        const orderId = order.id;
         try {
-            // 1. Update the order status
-            await database.updateOrder(orderId, updateData);
-            logger.info(`[Order Timer] Updated claimed order ${orderId} status to EXPIRED_CLAIMED.`);
-
-            // 2. Attempt refund to requester
-            let refundSuccess = true;
-            let refundMessage = '';
-            if (refundAmount > 0) {
-                logger.info(`[Order Timer] Attempting refund of ${refundAmount} karma to requester ${requesterId} for expired claimed order ${orderId}.`);
-                try {
-                    refundSuccess = await database.updatePlayerKarma(requesterId, refundAmount);
-                    refundMessage = refundSuccess
-                        ? ` YOUR ${refundAmount} KARMA HAS BEEN REFUNDED.`
-                        : ` THERE WAS AN ISSUE REFUNDING YOUR ${refundAmount} KARMA. PLEASE CONTACT AN ADMIN.`;
-                    logger.info(`[Order Timer] Karma refund to requester ${refundSuccess ? 'successful' : 'failed'} for order ${orderId}.`);
-                } catch (refundError) {
-                    refundSuccess = false;
-                    logger.error(`[Order Timer] Error refunding karma to requester for expired claimed order ${orderId}:`, refundError);
-                    refundMessage = ` AN ERROR OCCURRED WHILE TRYING TO REFUND YOUR ${refundAmount} KARMA. PLEASE CONTACT AN ADMIN.`;
-                }
-            }
-
-            // 3. Update the Slack message (Use helper function)
-            const finalMessage = formatExpiredOrderMessage({ ...orderData, status: ORDER_STATUS.EXPIRED_CLAIMED, orderId: orderId }, refundMessage);
+            const outcome = await expireOrSkip(orderId, 'expire', logger);
+            if (!outcome) return;
+            const { orderData, refundAmount } = outcome;
+            const { requesterId, runnerId, slackChannelId, slackMessageTs } = orderData;
+            logger.info(`[Order Timer] Expired CLAIMED order ${orderId} (${slackMessageTs}) - Runner timeout.`);
+
+            const refundMessage = refundAmount > 0
+                ? ` YOUR ${refundAmount} KARMA HAS BEEN REFUNDED.`
+                : '';
+
+            // 1. Update the Slack message (Use helper function)
+            const finalMessage = formatExpiredOrderMessage({ ...orderData, orderId: orderId }, refundMessage);
             if (slackChannelId && slackMessageTs) {
                 await client.chat.update({
                     channel: slackChannelId,
@@ -578,49 +663,40 @@ async function processExpiredClaimedOrders(snapshot, client, logger) {
                 logger.warn(`[Order Timer] Could not update Slack message for expired claimed order ${orderId}: Missing channel or ts.`);
             }
 
-            // 4. Send DMs
+            // 2. Send DMs
             // Use punk style text and full names
-            let requesterNameToUse = '???';
-            let newBalance = '???';
-            // Fetch requester data for name and updated balance
-            if (requesterId) {
+            let requesterNameToUse = orderData.requesterName || requesterId;
+            if (requesterId && !orderData.requesterName) {
                  try {
-                     const updatedPlayerData = await database.getPlayerBySlackId(requesterId);
-                     if (updatedPlayerData) {
-                         requesterNameToUse = updatedPlayerData.name || requesterId;
-                         newBalance = updatedPlayerData.karma;
-                     } else {
-                         requesterNameToUse = requesterId; // Fallback if fetch fails
-                     }
+                     const requesterData = await getRepository().players.get(requesterId);
+                     requesterNameToUse = requesterData?.name || requesterId;
                  } catch (fetchError) {
-                     logger.error(`[Order Timer - Expired Claimed] Failed to fetch updated player data for ${requesterId}:`, fetchError);
-                     requesterNameToUse = requesterId; // Fallback
+                     logger.error(`[Order Timer - Expired Claimed] Failed to fetch player data for ${requesterId}:`, fetchError);
                  }
             }
-            
+
             // Runner Name - Use from orderData or fallback
             const runnerNameToUseForDM = orderData.runnerName || runnerId;
-            const refundAmountForDM = karmaCost || 0;
 
             // Format DMs
             const runnerDMText = `⚠ you missed the mark on an order.\nrep not earned. thread's broken.`;
             let requesterDMText = `⚠ runner ${runnerNameToUseForDM} timed out on your order.`;
-            if (refundAmountForDM > 0) { // Add refund info if applicable
-                 requesterDMText += `\nkarma refunded to ${requesterNameToUse} (${refundAmountForDM})`;
-                 // Optionally add balance if desired, although not in example
+            if (refundAmount > 0) { // Add refund info if applicable
+                 requesterDMText += `\nkarma refunded to ${requesterNameToUse} (${refundAmount})`;
             }
-            
+
             // Send DMs
+            const dmPromises = [];
             if (requesterId) {
-                promises.push(client.chat.postMessage({ channel: requesterId, text: requesterDMText }).catch(e => logger.error(`Failed DM to requester ${requesterId} for expired claimed order ${orderId}:`, e)));
+                dmPromises.push(client.chat.postMessage({ channel: requesterId, text: requesterDMText }).catch(e => logger.error(`Failed DM to requester ${requesterId} for expired claimed order ${orderId}:`, e)));
             }
             if (runnerId) {
-                promises.push(client.chat.postMessage({ channel: runnerId, text: runnerDMText }).catch(e => logger.error(`Failed DM to runner ${runnerId} for expired claimed order ${orderId}:`, e)));
+                dmPromises.push(client.chat.postMessage({ channel: runnerId, text: runnerDMText }).catch(e => logger.error(`Failed DM to runner ${runnerId} for expired claimed order ${orderId}:`, e)));
             }
+            await Promise.all(dmPromises);
 
         } catch (error) {
-            logger.error(`[Order Timer] Error during expiration chain for claimed order ${orderId} (${slackMessageTs || 'No TS'}):`, error);
+            logger.error(`[Order Timer] Error during expiration chain for claimed order ${orderId} (${order.slackMessageTs || 'No TS'}):`, error);
         }
     });
-    return promises;
 }
\ No newline at end of file
@@ -0,0 +1,186 @@
+/**
+ * Achievements
+ * Badges players unlock on top of their reputation title. Every delivery, delivered order and code
+ * redemption is an event: applyAchievementEvents() folds it into the player's achievementStats and
+ * returns the fields to write plus any badges that just unlocked. Callers write those fields in the
+ * same transaction as the karma/rep change, so a badge can't unlock twice, then announce the unlocks
+ * once it commits.
+ *
+ * Events:
+ *   { type: 'delivery', location, category, categories, bonusMultiplier, at }  - runner side of a delivery
+ *       (categories: every drink's category, so a group order counts each of its drinks; defaults to [category])
+ *   { type: 'order', at }                                           - requester side of a delivery
+ *   { type: 'redemption', code, at }                                - /redeem
+ */
+import { DRINK_CATEGORIES } from '../utils/constants.js';
+import { getOfficeHour } from '../utils/office-clock.js';
+import { getConfig } from '../utils/config.js';
+import { logger } from '../utils/logger.js';
+
+const EARLY_BIRD_HOUR = 8; // Deliveries before this hour (office time) count for DAWN PATROL
+
+/**
+ * Every badge. unlocked(player) gets the player's fields after the event (counts and achievementStats).
+ * Add new ones at the end; ids are stored on players, so never rename one.
+ */
+export const ACHIEVEMENTS = [
+    {
+        id: 'first_delivery',
+        emoji: '☕',
+        name: 'FIRST RUN',
+        description: 'Deliver your first drink.',
+        unlocked: (player) => (player.deliveriesCompletedCount || 0) >= 1
+    },
+    {
+        id: 'deliveries_25',
+        emoji: '🏃',
+        name: 'WORKHORSE',
+        description: 'Deliver 25 drinks.',
+        unlocked: (player) => (player.deliveriesCompletedCount || 0) >= 25
+    },
+    {
+        id: 'lookout_10',
+        emoji: '🔭',
+        name: 'LOOKOUT LIFER',
+        description: 'Deliver 10 drinks to The Lookout.',
+        unlocked: (player) => (player.achievementStats?.deliveriesByLocation?.the_lookout || 0) >= 10
+    },
+    {
+        id: 'first_bonus',
+        emoji: '🎰',
+        name: 'LUCKY STRIKE',
+        description: 'Hit a bonus multiplier on a delivery.',
+        unlocked: (player) => Object.values(player.achievementStats?.bonusHits || {}).some(count => count > 0)
+    },
+    {
+        id: 'triple_x3',
+        emoji: '🔥',
+        name: 'TRIPLE TRIPLE',
+        description: 'Hit three 3x bonuses.',
+        unlocked: (player) => (player.achievementStats?.bonusHits?.['3x'] || 0) >= 3
+    },
+    {
+        id: 'full_menu',
+        emoji: '🍱',
+        name: 'FULL MENU',
+        description: 'Deliver every drink category.',
+        unlocked: (player) => Object.keys(DRINK_CATEGORIES)
+            .every(category => (player.achievementStats?.categoriesDelivered || []).includes(category))
+    },
+    {
+        id: 'early_bird',
+        emoji: '🌅',
+        name: 'DAWN PATROL',
+        description: `Deliver a drink before ${EARLY_BIRD_HOUR}am.`,
+        unlocked: (player) => (player.achievementStats?.earlyDeliveries || 0) >= 1
+    },
+    {
+        id: 'first_order',
+        emoji: '🥤',
+        name: 'FIRST SIP',
+        description: 'Get your first order delivered.',
+        unlocked: (player) => (player.ordersRequestedCount || 0) >= 1
+    },
+    {
+        id: 'orders_25',
+        emoji: '🧃',
+        name: 'CAFFEINE DEPENDENT',
+        description: 'Get 25 orders delivered.',
+        unlocked: (player) => (player.ordersRequestedCount || 0) >= 25
+    },
+    {
+        id: 'first_redemption',
+        emoji: '🎟️',
+        name: 'CODE CRACKER',
+        description: 'Redeem a karma code.',
+        unlocked: (player) => (player.achievementStats?.codesRedeemed || 0) >= 1
+    }
+];
+
+const ACHIEVEMENTS_BY_ID = Object.fromEntries(ACHIEVEMENTS.map(achievement => [achievement.id, achievement]));
+
+// How each event type moves achievementStats
+const STAT_UPDATES = {
+    delivery: (stats, { location, category, categories = [category], bonusMultiplier, at }) => {
+        const categoriesDelivered = [...new Set([
+            ...(stats.categoriesDelivered || []),
+            ...categories.map(drinkCategory => (drinkCategory || '').toUpperCase()).filter(Boolean)
+        ])];
+        const bonusKey = `${bonusMultiplier}x`;
+        return {
+            ...stats,
+            deliveriesByLocation: location
+                ? { ...stats.deliveriesByLocation, [location]: (stats.deliveriesByLocation?.[location] || 0) + 1 }
+                : stats.deliveriesByLocation || {},
+            categoriesDelivered,
+            bonusHits: bonusMultiplier > 1
+                ? { ...stats.bonusHits, [bonusKey]: (stats.bonusHits?.[bonusKey] || 0) + 1 }
+                : stats.bonusHits || {},
+            earlyDeliveries: (stats.earlyDeliveries || 0) + (getOfficeHour(at) < EARLY_BIRD_HOUR ? 1 : 0)
+        };
+    },
+    order: (stats) => stats,
+    redemption: (stats) => ({ ...stats, codesRedeemed: (stats.codesRedeemed || 0) + 1 })
+};
+
+/**
+ * Fold events into a player's stats and check every badge they don't have yet.
+ * @param {object} playerData - Player fields after the change that caused the events (counts already bumped).
+ * @param {Array<object>} events - See the event shapes at the top of this file.
+ * @returns {{fields: {achievementStats: object, achievements: object}, unlocked: Array<string>}} - Fields to
+ *   merge into the player's update, and ids of the badges that just unlocked.
+ */
+export function applyAchievementEvents(playerData, events) {
+    const achievementStats = events.reduce(
+        (stats, event) => STAT_UPDATES[event.type](stats, event),
+        playerData.achievementStats || {}
+    );
+    const player = { ...playerData, achievementStats };
+    const achievements = { ...playerData.achievements };
+    const unlockedAt = events[events.length - 1]?.at || new Date();
+    const unlocked = ACHIEVEMENTS
+        .filter(achievement => !achievements[achievement.id] && achievement.unlocked(player))
+        .map(achievement => achievement.id);
+    unlocked.forEach(id => { achievements[id] = unlockedAt; });
+    return { fields: { achievementStats, achievements }, unlocked };
+}
+
+/**
+ * Badges a player has, in unlock order.
+ * @param {object} player - Player with an achievements map ({ id: Timestamp }).
+ * @returns {Array<object>} - Achievements from ACHIEVEMENTS.
+ */
+export function getPlayerAchievements(player) {
+    return Object.entries(player?.achievements || {})
+        .filter(([id]) => ACHIEVEMENTS_BY_ID[id])
+        .sort(([, a], [, b]) => (a?.toMillis?.() || 0) - (b?.toMillis?.() || 0))
+        .map(([id]) => ACHIEVEMENTS_BY_ID[id]);
+}
+
+/**
+ * @param {object} achievement - From ACHIEVEMENTS.
+ * @returns {string} - e.g. '☕ FIRST RUN'.
+ */
+export const formatBadge = (achievement) => `${achievement.emoji} ${achievement.name}`;
+
+/**
+ * Post newly unlocked badges to the channel. Never throws: a failed shout-out shouldn't fail the delivery or redemption.
+ * @param {object} client - Slack WebClient.
+ * @param {Object<string, Array<string>>} unlockedByPlayer - Slack ID -> achievement ids.
+ */
+export async function announceAchievements(client, unlockedByPlayer = {}) {
+    for (const [playerId, ids] of Object.entries(unlockedByPlayer)) {
+        const badges = ids.map(id => ACHIEVEMENTS_BY_ID[id]).filter(Boolean);
+        if (badges.length === 0) continue;
+        const text = `🏅 <@${playerId}> unlocked ${badges.map(badge => `*${formatBadge(badge)}*`).join(', ')}. ${badges.map(badge => badge.description).join(' ')}`;
+        try {
+            await client.chat.postMessage({
+                channel: getConfig('KOFFEE_KARMA_CHANNEL_ID'),
+                text,
+                blocks: [{ type: 'section', text: { type: 'mrkdwn', text } }]
+            });
+        } catch (error) {
+            logger.error(`[announceAchievements] Failed to announce ${ids.join(', ')} for ${playerId}:`, error);
+        }
+    }
+}
@@ -0,0 +1,160 @@
+/**
+ * Bonus tables and happy hours
+ * Every delivery rolls its multiplier from a bonus table: rows of { multiplier, chance }, chances adding
+ * up to at most 1, with whatever's left paying 1x. The standing table is BONUS_CHANCES unless an admin
+ * saved one as `bonusTable` in the config/appSettings doc (/kkadmin bonus set).
+ *
+ * A happy hour (bonusEvents collection, /kkadmin event create) swaps in its own table for a time window,
+ * optionally only for some drink categories or locations. If more than one is live for an order, the
+ * richest table wins. The minute sweep in index.js posts a channel banner when one starts and when it ends.
+ */
+import { BONUS_CHANCES, MAX_BONUS_MULTIPLIER, DRINK_CATEGORIES, LOCATIONS } from '../utils/constants.js';
+import { getRepository } from '../utils/repository.js';
+import { getConfig } from '../utils/config.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Check a bonus table: whole multipliers from 2 to MAX_BONUS_MULTIPLIER, each listed once, chances
+ * above 0 adding up to at most 1.
+ * @param {*} table
+ * @returns {boolean}
+ */
+export function isValidBonusTable(table) {
+    if (!Array.isArray(table) || table.length === 0) return false;
+    const multipliers = table.map(row => row?.multiplier);
+    const total = table.reduce((sum, row) => sum + (Number(row?.chance) || 0), 0);
+    return table.every(row => Number.isInteger(row?.multiplier)
+            && row.multiplier >= 2 && row.multiplier <= MAX_BONUS_MULTIPLIER
+            && typeof row.chance === 'number' && row.chance > 0)
+        && new Set(multipliers).size === multipliers.length
+        && total <= 1 + 1e-9;
+}
+
+/**
+ * @param {object} [appSettings] - The config/appSettings doc.
+ * @returns {Array<{multiplier: number, chance: number}>} - The saved table, or BONUS_CHANCES if there's none (or it's broken).
+ */
+export function getStandingBonusTable(appSettings) {
+    const saved = appSettings?.bonusTable;
+    if (saved && !isValidBonusTable(saved)) {
+        logger.warn('[getStandingBonusTable] Ignoring invalid bonusTable in config/appSettings.');
+    }
+    return isValidBonusTable(saved) ? saved : BONUS_CHANCES;
+}
+
+/**
+ * @param {Array<{multiplier: number, chance: number}>} table
+ * @param {number} [random=Math.random()] - 0 <= random < 1.
+ * @returns {number} - The multiplier rolled (1 if no row hit).
+ */
+export function rollBonus(table, random = Math.random()) {
+    let threshold = 0;
+    for (const { multiplier, chance } of [...table].sort((a, b) => b.multiplier - a.multiplier)) {
+        threshold += chance;
+        if (random < threshold) return multiplier;
+    }
+    return 1;
+}
+
+/**
+ * @param {Array<{multiplier: number, chance: number}>} table
+ * @returns {number} - Average multiplier the table pays.
+ */
+const expectedMultiplier = (table) => table.reduce((sum, { multiplier, chance }) => sum + (multiplier - 1) * chance, 1);
+
+/**
+ * @param {object} event - From bonusEvents.
+ * @param {object} order - Order with category and location (and items for a group order).
+ * @returns {boolean} - The event covers this order. A group order is covered if any of its drinks is.
+ */
+function eventApplies(event, order) {
+    const categories = (order?.items?.length ? order.items : [order])
+        .map(drink => (drink?.category || '').toUpperCase());
+    return (!event.categories?.length || categories.some(category => event.categories.includes(category)))
+        && (!event.locations?.length || event.locations.includes(order?.location));
+}
+
+/**
+ * Roll the bonus for delivering an order, using the best live happy hour that covers it or the standing table.
+ * @param {object|null} order - Order data (category, location); null rolls the standing table.
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<{multiplier: number, event: object|null}>} - The multiplier and the happy hour that set the odds, if any.
+ */
+export async function rollDeliveryBonus(order, now = new Date()) {
+    const { config, bonusEvents } = getRepository();
+    const [appSettings, liveEvents] = await Promise.all([config.get(), bonusEvents.listLive(now)]);
+    const event = liveEvents
+        .filter(liveEvent => isValidBonusTable(liveEvent.table) && eventApplies(liveEvent, order))
+        .sort((a, b) => expectedMultiplier(b.table) - expectedMultiplier(a.table))[0] || null;
+    return { multiplier: rollBonus(event ? event.table : getStandingBonusTable(appSettings)), event };
+}
+
+/**
+ * @param {Array<{multiplier: number, chance: number}>} table
+ * @returns {string} - e.g. '3x 10% / 2x 10% / 1x 80%'.
+ */
+export function formatBonusTable(table) {
+    const rows = [...table].sort((a, b) => b.multiplier - a.multiplier);
+    const rest = 1 - rows.reduce((sum, { chance }) => sum + chance, 0);
+    const percent = (chance) => `${Math.round(chance * 1000) / 10}%`;
+    return [...rows.map(({ multiplier, chance }) => `${multiplier}x ${percent(chance)}`), `1x ${percent(Math.max(0, rest))}`].join(' / ');
+}
+
+/**
+ * @param {object} event - From bonusEvents.
+ * @returns {string} - Which drinks and spots it covers, e.g. 'Espresso Drinks at 4A, The Lookout'.
+ */
+export function formatEventScope(event) {
+    const drinks = event.categories?.length
+        ? event.categories.map(category => DRINK_CATEGORIES[category]?.name || category).join(', ')
+        : 'every drink';
+    const spots = event.locations?.length
+        ? ` at ${event.locations.map(location => LOCATIONS[location] || location).join(', ')}`
+        : '';
+    return `${drinks}${spots}`;
+}
+
+/**
+ * @param {object} timestamp - Firestore Timestamp.
+ * @returns {string} - Slack date token in the reader's own time zone.
+ */
+const slackTime = (timestamp) => `<!date^${Math.floor(timestamp.toMillis() / 1000)}^{date_short_pretty} {time}|${timestamp.toDate().toISOString()}>`;
+
+/**
+ * Post start banners for happy hours that just went live and end banners for ones that just finished.
+ * Runs every minute from the timer sweep; the claims keep a banner from going out twice. An event that
+ * ends before its start banner went out is closed quietly.
+ * @param {object} client - Slack WebClient.
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<number>} - Banners posted.
+ */
+export async function announceBonusEvents(client, now = new Date()) {
+    const { bonusEvents } = getRepository();
+    const nowMs = now.getTime();
+    let posted = 0;
+    for (const event of await bonusEvents.listUnannounced()) {
+        const started = event.startsAt.toMillis() <= nowMs;
+        const ended = event.endsAt.toMillis() <= nowMs;
+        let text = null;
+        if (ended) {
+            if (!(await bonusEvents.claimBanner(event.id, 'end'))) continue;
+            if (!event.startAnnouncedAt) continue;
+            text = `⌛ HAPPY HOUR OVER: *${event.name}*. Odds back to normal.`;
+        } else if (started && !event.startAnnouncedAt) {
+            if (!(await bonusEvents.claimBanner(event.id, 'start'))) continue;
+            text = `🚨 HAPPY HOUR: *${event.name}*. ${formatBonusTable(event.table)} on ${formatEventScope(event)} until ${slackTime(event.endsAt)}. Go run. /deliver`;
+        }
+        if (!text) continue;
+        try {
+            await client.chat.postMessage({
+                channel: getConfig('KOFFEE_KARMA_CHANNEL_ID'),
+                text,
+                blocks: [{ type: 'section', text: { type: 'mrkdwn', text } }]
+            });
+            posted++;
+        } catch (error) {
+            logger.error(`[announceBonusEvents] Failed to post the banner for ${event.id}:`, error);
+        }
+    }
+    return posted;
+}
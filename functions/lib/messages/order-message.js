@@ -25,12 +25,21 @@ function formatDetailsBlockLines(order) {
 
     lines.push(`| ${'DROP ID:'.padEnd(14, ' ')}${(order.slackMessageTs || order.orderId || 'Pending...').toUpperCase().padEnd(contentWidth-14, ' ')} |`); // Reverting pending state
     lines.push(formatLine('FROM:', order.requesterName));
-    lines.push(formatLine('TO:', recipientText));
-    lines.push(formatLine('CATEGORY:', order.category));
-    lines.push(formatLine('DRINK:', order.drink));
+    if (Array.isArray(order.items) && order.items.length > 0) {
+        // Group order: one line per drink instead of TO/CATEGORY/DRINK
+        lines.push(formatLine('GROUP:', `${order.items.length} DRINKS`));
+        order.items.forEach((item, index) => {
+            const forName = (item.recipientName || order.requesterName || '?').split(' ')[0];
+            lines.push(formatLine(`  ${index + 1}.`, `${item.drink} → ${forName}`));
+        });
+    } else {
+        lines.push(formatLine('TO:', recipientText));
+        lines.push(formatLine('CATEGORY:', order.category));
+        lines.push(formatLine('DRINK:', order.drink));
+    }
     lines.push(formatLine('LOCATION:', order.locationDisplayName || order.location));
     lines.push(formatLine('NOTES:', notes));
-    lines.push(formatLine('BASE REWARD:', `${order.karmaCost} KARMA`)); // Reverting label and removing emoji
+    lines.push(formatLine('BASE REWARD:', `${order.runnerReward ?? order.karmaCost} KARMA`)); // Reverting label and removing emoji
     return lines;
 }
 
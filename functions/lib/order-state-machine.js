@@ -0,0 +1,546 @@
+/**
+ * Order State Machine
+ * Every order/offer status change goes through transitionOrder(). Each transition declares the
+ * statuses it may start from, its guards (who may trigger it, whether it's due) and its effects
+ * (charges, refunds, delivery karma/reputation, timers). The status write, the effects and an
+ * orderEvents record commit in one repository transaction.
+ *
+ * Only the admin `reopen` leads back to an earlier status, so each transition can happen at most
+ * once per order (per reopen: reopening bumps the order's reopenCount, which is part of the event ID).
+ * A repeat (double click, Pub/Sub redelivery, overlapping sweep) is rejected with an
+ * OrderTransitionError instead of charging, paying or refunding twice.
+ */
+import { Timestamp } from 'firebase-admin/firestore';
+import { ORDER_STATUS, LEDGER_REASONS, DURATIONS } from '../utils/constants.js';
+import { recordLedgerEntry } from '../utils/ledger.js';
+import { getRepository } from '../utils/repository.js';
+import { getPlayerTitle } from '../utils/repositories/create-repository.js';
+import { getConfig } from '../utils/config.js';
+import { isAdmin } from '../utils/admin.js';
+import { addSeasonReputation } from '../utils/seasons.js';
+import { applyAchievementEvents } from './achievements.js';
+import { advanceStreak, getStreakBonus } from './streaks.js';
+import { logger } from '../utils/logger.js';
+
+// One document per transition: '<orderId>_<transition>' (e.g. 'abc123_expire'), '_r<n>' appended after a reopen
+export const ORDER_EVENTS_COLLECTION = 'orderEvents';
+
+/**
+ * Thrown when a transition isn't allowed. `message` is the code (e.g. 'ORDER_NOT_CLAIMED'),
+ * so handlers can keep mapping `error.message` to their user-facing text.
+ */
+export class OrderTransitionError extends Error {
+    /**
+     * @param {string} code - Rejection code.
+     * @param {object} [details]
+     * @param {string} [details.transition] - Transition that was attempted.
+     * @param {string} [details.orderId] - Firestore Document ID.
+     * @param {string} [details.fromStatus] - Status the order was in.
+     * @param {object} [details.orderData] - The order as read inside the transaction.
+     */
+    constructor(code, { transition = null, orderId = null, fromStatus = null, orderData = null, ...extra } = {}) {
+        super(code);
+        this.name = 'OrderTransitionError';
+        this.code = code;
+        this.transition = transition;
+        this.orderId = orderId;
+        this.fromStatus = fromStatus;
+        this.orderData = orderData;
+        Object.assign(this, extra);
+    }
+}
+
+// --- Guards ---
+// Called with the transition context; throw an OrderTransitionError to reject.
+
+function isDeveloper(actorId) {
+    const developerSlackId = getConfig('DEVELOPER_SLACK_ID');
+    return Boolean(developerSlackId) && actorId === developerSlackId;
+}
+
+const requireRunner = ({ allowDeveloper = false } = {}) => (ctx) => {
+    if (ctx.order.runnerId === ctx.actorId) return;
+    if (allowDeveloper && isDeveloper(ctx.actorId)) {
+        logger.info(`[order-state] Developer ${ctx.actorId} overriding runner ${ctx.order.runnerId} on ${ctx.transition} of ${ctx.orderId}.`);
+        return;
+    }
+    throw ctx.reject('NOT_THE_RUNNER');
+};
+
+const requireRequester = (ctx) => {
+    if (ctx.order.requesterId !== ctx.actorId) throw ctx.reject('NOT_THE_REQUESTER');
+};
+
+const forbidOwnOrder = (ctx) => {
+    if (ctx.order.requesterId !== ctx.actorId) return;
+    if (isDeveloper(ctx.actorId)) {
+        logger.info(`[order-state] Self-claim allowed for developer ${ctx.actorId} on ${ctx.orderId}.`);
+        return;
+    }
+    throw ctx.reject('OWN_ORDER');
+};
+
+const requireAdmin = (ctx) => {
+    if (!isAdmin(ctx.actorId)) throw ctx.reject('NOT_AN_ADMIN');
+};
+
+// Runner offers have no requester, so there's nothing to reopen
+const requireRequesterOrder = (ctx) => {
+    if (!ctx.order.requesterId) throw ctx.reject('NOT_AN_ORDER');
+};
+
+const forbidRefunded = (ctx) => {
+    if (ctx.order.refundedAt) throw ctx.reject('ALREADY_REFUNDED');
+};
+
+// The timer that applies to the current status must have run out
+const requireDeadlinePassed = (ctx) => {
+    const deadline = ctx.fromStatus === ORDER_STATUS.CLAIMED ? ctx.order.claimedExpiryTimestamp : ctx.order.expiryTimestamp;
+    if (deadline?.toMillis && deadline.toMillis() > ctx.now.toMillis()) throw ctx.reject('NOT_DUE');
+};
+
+// --- Effects ---
+// prepare(transaction, ctx) does its reads and returns { orderUpdates, result, write(transaction) }.
+// Transactions need every read before any write, so writes run only after all effects are prepared.
+// Balances are written as absolute values from those reads; the transaction retries if they change.
+
+/**
+ * Charge the requester the order's karmaCost. Rejects with INSUFFICIENT_KARMA if they can't cover it.
+ */
+const chargeRequester = async (transaction, ctx) => {
+    const { order } = ctx;
+    const cost = Number(order.karmaCost) || 0;
+    const requesterData = await transaction.get('players', order.requesterId);
+    const currentKarma = Number(requesterData?.karma ?? 0);
+    if (!requesterData || currentKarma < cost) {
+        throw ctx.reject('INSUFFICIENT_KARMA', { currentKarma, karmaCost: cost });
+    }
+    return {
+        result: { chargedKarma: cost, karmaAfter: currentKarma - cost },
+        write(tx) {
+            tx.update('players', order.requesterId, { karma: currentKarma - cost, updatedAt: ctx.now });
+            recordLedgerEntry(tx, {
+                playerId: order.requesterId,
+                actorId: ctx.actorId,
+                counterpartyId: ctx.toStatus === ORDER_STATUS.CLAIMED ? order.runnerId : null, // A reopened order's old runner isn't part of the new charge
+                orderId: ctx.orderId,
+                reason: LEDGER_REASONS.ORDER_PLACED,
+                note: ctx.options.note || null,
+                karmaDelta: -cost,
+                karmaAfter: currentKarma - cost
+            });
+        }
+    };
+};
+
+/**
+ * Give the requester back the order's karmaCost.
+ * A missing requester doesn't block the transition; the refund is skipped and logged.
+ * @param {string} reason - LEDGER_REASONS value for the refund.
+ */
+const refundRequester = (reason) => async (transaction, ctx) => {
+    const { order } = ctx;
+    const refundAmount = order.requesterId && order.karmaCost > 0 ? Number(order.karmaCost) : 0;
+    if (refundAmount === 0) return { result: { refundAmount: 0, karmaAfter: null } };
+
+    const requesterData = await transaction.get('players', order.requesterId);
+    if (!requesterData) {
+        logger.error(`[order-state] Requester ${order.requesterId} not found; ${ctx.transition} of ${ctx.orderId} goes ahead without a refund.`);
+        return { result: { refundAmount: 0, karmaAfter: null } };
+    }
+    const karmaAfter = Number(requesterData.karma ?? 0) + refundAmount;
+    return {
+        result: { refundAmount, karmaAfter },
+        write(tx) {
+            tx.update('players', order.requesterId, { karma: karmaAfter, updatedAt: ctx.now });
+            recordLedgerEntry(tx, {
+                playerId: order.requesterId,
+                actorId: ctx.actorId,
+                counterpartyId: order.runnerId || null,
+                orderId: ctx.orderId,
+                reason,
+                note: ctx.options.note || null,
+                karmaDelta: refundAmount,
+                karmaAfter
+            });
+        }
+    };
+};
+
+/**
+ * Pay the runner runnerReward (karmaCost on orders priced before lib/pricing.js) x bonus (karma and rep),
+ * give the requester karmaCost rep,
+ * and refresh both titles, season rep, achievements and the runner's streak (plus any streak
+ * milestone bonus). Pass the rolled multiplier as options.bonusMultiplier, and the happy hour that
+ * set the odds (if any) as options.bonusEventId.
+ * result.unlockedAchievements maps player ID -> newly unlocked badge ids (see lib/achievements.js).
+ */
+const payDelivery = async (transaction, ctx) => {
+    const { order } = ctx;
+    const [runnerData, requesterData, appSettings] = await Promise.all([
+        transaction.get('players', order.runnerId),
+        transaction.get('players', order.requesterId),
+        transaction.get('config', 'appSettings')
+    ]);
+    if (!runnerData) throw ctx.reject('RUNNER_NOT_FOUND');
+    if (!requesterData) throw ctx.reject('REQUESTER_NOT_FOUND');
+
+    const bonusMultiplier = ctx.options.bonusMultiplier || 1;
+    const baseKarma = order.karmaCost || 0;
+    const earnedKarma = (order.runnerReward ?? baseKarma) * bonusMultiplier;
+    const runnerReputationGain = earnedKarma; // Runner rep = earned karma
+    const requesterReputationGain = baseKarma; // Requester rep = base cost
+    // A developer delivering their own order is both players: stack the gains on one doc
+    const selfDelivery = order.runnerId === order.requesterId;
+    const deliveredAt = ctx.now.toDate();
+    const streak = advanceStreak(runnerData, deliveredAt);
+    const streakBonus = streak.extended ? getStreakBonus(streak.streakDays, appSettings?.streakBonuses) : 0;
+    const newRunnerKarma = (runnerData.karma || 0) + earnedKarma;
+    const finalRunnerKarma = newRunnerKarma + streakBonus;
+    const newRunnerReputation = (runnerData.reputation || 0) + runnerReputationGain + (selfDelivery ? requesterReputationGain : 0);
+    const newRequesterReputation = selfDelivery ? newRunnerReputation : (requesterData.reputation || 0) + requesterReputationGain;
+    const runnerSeason = addSeasonReputation(runnerData, runnerReputationGain + (selfDelivery ? requesterReputationGain : 0), deliveredAt);
+    const requesterSeason = selfDelivery ? runnerSeason : addSeasonReputation(requesterData, requesterReputationGain, deliveredAt);
+
+    logger.info(`[order-state] Delivery of ${ctx.orderId}: BaseKarma=${baseKarma}, BonusMult=${bonusMultiplier}, EarnedKarma=${earnedKarma}, RunnerRep ${runnerData.reputation || 0} -> ${newRunnerReputation}, ReqRep ${requesterData.reputation || 0} -> ${newRequesterReputation}`);
+
+    const runnerUpdate = {
+        karma: finalRunnerKarma,
+        reputation: newRunnerReputation,
+        ...runnerSeason,
+        ...streak.fields,
+        deliveriesCompletedCount: (runnerData.deliveriesCompletedCount || 0) + 1,
+        title: getPlayerTitle(newRunnerReputation),
+        updatedAt: ctx.now
+    };
+    const requesterUpdate = {
+        reputation: newRequesterReputation,
+        ...requesterSeason,
+        ordersRequestedCount: (requesterData.ordersRequestedCount || 0) + 1,
+        title: getPlayerTitle(newRequesterReputation),
+        updatedAt: ctx.now
+    };
+    const runnerEvent = {
+        type: 'delivery',
+        location: order.location,
+        category: order.category,
+        categories: (order.items?.length ? order.items : [order]).map(drink => drink.category), // A group order's drinks, not GROUP
+        bonusMultiplier,
+        at: deliveredAt
+    };
+    const requesterEvent = { type: 'order', at: deliveredAt };
+    const runnerAchievements = applyAchievementEvents(
+        { ...runnerData, ...(selfDelivery ? requesterUpdate : {}), ...runnerUpdate },
+        selfDelivery ? [runnerEvent, requesterEvent] : [runnerEvent]
+    );
+    const requesterAchievements = selfDelivery ? null : applyAchievementEvents({ ...requesterData, ...requesterUpdate }, [requesterEvent]);
+    const unlockedAchievements = {};
+    if (runnerAchievements.unlocked.length) unlockedAchievements[order.runnerId] = runnerAchievements.unlocked;
+    if (requesterAchievements?.unlocked.length) unlockedAchievements[order.requesterId] = requesterAchievements.unlocked;
+
+    return {
+        orderUpdates: { timeDelivered: ctx.now, bonusMultiplier, bonusEventId: ctx.options.bonusEventId || null },
+        result: { earnedKarma, bonusMultiplier, unlockedAchievements, streakDays: streak.streakDays, streakBonus },
+        write(tx) {
+            if (selfDelivery) {
+                tx.update('players', order.runnerId, { ...requesterUpdate, ...runnerUpdate, ...runnerAchievements.fields });
+            } else {
+                tx.update('players', order.runnerId, { ...runnerUpdate, ...runnerAchievements.fields });
+                tx.update('players', order.requesterId, { ...requesterUpdate, ...requesterAchievements.fields });
+            }
+            recordLedgerEntry(tx, {
+                playerId: order.runnerId,
+                actorId: ctx.actorId,
+                counterpartyId: order.requesterId,
+                orderId: ctx.orderId,
+                reason: LEDGER_REASONS.DELIVERY_EARNED,
+                note: ctx.options.note || null,
+                karmaDelta: earnedKarma,
+                reputationDelta: runnerReputationGain,
+                karmaAfter: newRunnerKarma,
+                reputationAfter: newRunnerReputation
+            });
+            if (streakBonus > 0) {
+                recordLedgerEntry(tx, {
+                    playerId: order.runnerId,
+                    actorId: 'system',
+                    orderId: ctx.orderId,
+                    reason: LEDGER_REASONS.STREAK_BONUS,
+                    note: `${streak.streakDays}-day streak`,
+                    karmaDelta: streakBonus,
+                    karmaAfter: finalRunnerKarma,
+                    reputationAfter: newRunnerReputation
+                });
+            }
+            recordLedgerEntry(tx, {
+                playerId: order.requesterId,
+                actorId: ctx.actorId,
+                counterpartyId: order.runnerId,
+                orderId: ctx.orderId,
+                reason: LEDGER_REASONS.DELIVERY_RECEIVED,
+                note: ctx.options.note || null,
+                reputationDelta: requesterReputationGain,
+                karmaAfter: selfDelivery ? finalRunnerKarma : requesterData.karma || 0,
+                reputationAfter: newRequesterReputation
+            });
+        }
+    };
+};
+
+// --- After-commit effects ---
+// Run once the transaction has committed; failures are logged, the transition stands.
+
+const cancelReleaseTimer = async (ctx) => {
+    const { cancelOrderRelease } = await import('../utils/timer-scheduler.js');
+    await cancelOrderRelease(ctx.orderId, ctx.order.releaseJobName || null);
+};
+
+/**
+ * Allowed transitions.
+ * from: statuses it may start from; to: target status (or a map keyed by from-status);
+ * rejectCode: error code when the order isn't in a `from` status; guards; effects; afterCommit;
+ * updates: extra order fields the transition always sets.
+ */
+export const ORDER_TRANSITIONS = {
+    // Runner claims an open order
+    claim: {
+        from: [ORDER_STATUS.ORDERED],
+        to: ORDER_STATUS.CLAIMED,
+        rejectCode: 'ORDER_NOT_OPEN',
+        guards: [forbidOwnOrder]
+    },
+    // Requester orders through a runner's /deliver offer (charged here, unlike a standard order)
+    accept_offer: {
+        from: [ORDER_STATUS.OFFERED],
+        to: ORDER_STATUS.CLAIMED,
+        rejectCode: 'OFFER_NOT_AVAILABLE',
+        effects: [chargeRequester]
+    },
+    // Scheduled order goes live and is charged
+    release: {
+        from: [ORDER_STATUS.SCHEDULED],
+        to: ORDER_STATUS.ORDERED,
+        rejectCode: 'ORDER_NOT_SCHEDULED',
+        effects: [chargeRequester],
+        updates: ({ now }) => ({ releasedAt: now })
+    },
+    // Scheduled order couldn't be paid for when it was due (nothing was charged)
+    scrap_scheduled: {
+        from: [ORDER_STATUS.SCHEDULED],
+        to: ORDER_STATUS.CANCELLED,
+        rejectCode: 'ORDER_NOT_SCHEDULED',
+        updates: () => ({ cancelReason: 'insufficient_karma' })
+    },
+    // Requester drops a scheduled order before it goes live (nothing was charged)
+    cancel_scheduled: {
+        from: [ORDER_STATUS.SCHEDULED],
+        to: ORDER_STATUS.CANCELLED,
+        rejectCode: 'ORDER_NOT_SCHEDULED',
+        guards: [requireRequester],
+        afterCommit: [cancelReleaseTimer]
+    },
+    // Requester scraps an open order
+    cancel: {
+        from: [ORDER_STATUS.ORDERED],
+        to: ORDER_STATUS.CANCELLED,
+        rejectCode: 'ORDER_NOT_PENDING',
+        guards: [requireRequester],
+        effects: [refundRequester(LEDGER_REASONS.ORDER_CANCELLED)]
+    },
+    // Runner bails on an order they claimed
+    cancel_claimed: {
+        from: [ORDER_STATUS.CLAIMED],
+        to: ORDER_STATUS.CANCELLED_RUNNER,
+        rejectCode: 'ORDER_NOT_CLAIMED',
+        guards: [requireRunner()],
+        effects: [refundRequester(LEDGER_REASONS.RUNNER_CANCELLED)]
+    },
+    // Runner marks a claimed order delivered
+    deliver: {
+        from: [ORDER_STATUS.CLAIMED],
+        to: ORDER_STATUS.DELIVERED,
+        rejectCode: 'ORDER_NOT_CLAIMED',
+        guards: [requireRunner({ allowDeveloper: true })],
+        effects: [payDelivery]
+    },
+    // Timer sweep: nobody claimed it, or the runner ran out of time
+    expire: {
+        from: [ORDER_STATUS.ORDERED, ORDER_STATUS.CLAIMED],
+        to: {
+            [ORDER_STATUS.ORDERED]: ORDER_STATUS.EXPIRED,
+            [ORDER_STATUS.CLAIMED]: ORDER_STATUS.EXPIRED_CLAIMED
+        },
+        rejectCode: 'ORDER_NOT_ACTIVE',
+        guards: [requireDeadlinePassed],
+        effects: [refundRequester(LEDGER_REASONS.ORDER_EXPIRED)],
+        updates: ({ now }) => ({ expiredAt: now })
+    },
+    // Timer sweep: a runner's /deliver offer ran out
+    expire_offer: {
+        from: [ORDER_STATUS.OFFERED],
+        to: ORDER_STATUS.EXPIRED_OFFER,
+        rejectCode: 'OFFER_NOT_AVAILABLE',
+        guards: [requireDeadlinePassed]
+    },
+    // Runner pulls their own /deliver offer
+    withdraw_offer: {
+        from: [ORDER_STATUS.OFFERED],
+        to: ORDER_STATUS.CANCELLED,
+        rejectCode: 'OFFER_NOT_AVAILABLE',
+        guards: [requireRunner()]
+    },
+
+    // --- Admin overrides (/kkadmin) ---
+    // Expire now, whatever the timer says
+    admin_expire: {
+        from: [ORDER_STATUS.ORDERED, ORDER_STATUS.CLAIMED],
+        to: {
+            [ORDER_STATUS.ORDERED]: ORDER_STATUS.EXPIRED,
+            [ORDER_STATUS.CLAIMED]: ORDER_STATUS.EXPIRED_CLAIMED
+        },
+        rejectCode: 'ORDER_NOT_ACTIVE',
+        guards: [requireAdmin],
+        effects: [refundRequester(LEDGER_REASONS.ORDER_EXPIRED)],
+        updates: ({ now }) => ({ expiredAt: now })
+    },
+    // Deliver on the runner's behalf (they get paid as usual)
+    admin_deliver: {
+        from: [ORDER_STATUS.CLAIMED],
+        to: ORDER_STATUS.DELIVERED,
+        rejectCode: 'ORDER_NOT_CLAIMED',
+        guards: [requireAdmin],
+        effects: [payDelivery]
+    },
+    // Give the requester their karma back for a delivered order; the runner keeps theirs.
+    // Stays DELIVERED: refundedAt (and its orderEvents record) is what stops a second refund.
+    admin_refund: {
+        from: [ORDER_STATUS.DELIVERED],
+        to: ORDER_STATUS.DELIVERED,
+        rejectCode: 'ORDER_NOT_DELIVERED',
+        guards: [requireAdmin, forbidRefunded],
+        effects: [refundRequester(LEDGER_REASONS.ADMIN_REFUND)],
+        updates: ({ now, actorId }) => ({ refundedAt: now, refundedBy: actorId })
+    },
+    // Put a cancelled order back up, charged again and with a fresh countdown
+    reopen: {
+        from: [ORDER_STATUS.CANCELLED, ORDER_STATUS.CANCELLED_RUNNER],
+        to: ORDER_STATUS.ORDERED,
+        rejectCode: 'ORDER_NOT_CANCELLED',
+        guards: [requireAdmin, requireRequesterOrder],
+        effects: [chargeRequester],
+        updates: ({ now, order }) => ({
+            runnerId: null,
+            runnerName: null,
+            timeClaimed: null,
+            claimedExpiryTimestamp: null,
+            cancelReason: null,
+            createdAt: now,
+            expiryTimestamp: Timestamp.fromMillis(now.toMillis() + (order.durationMs || DURATIONS.ORDER_EXPIRY * 1000)),
+            reopenCount: (order.reopenCount || 0) + 1,
+            reopenedAt: now
+        })
+    }
+};
+
+/**
+ * Whether a transition may start from a status (ignores guards).
+ * @param {string} transition - Key of ORDER_TRANSITIONS.
+ * @param {string} status - Current order status.
+ * @returns {boolean}
+ */
+export function canTransition(transition, status) {
+    return Boolean(ORDER_TRANSITIONS[transition]?.from.includes(status));
+}
+
+/**
+ * Apply a transition to an order in one transaction.
+ * @param {string} orderId - Firestore Document ID.
+ * @param {string} transition - Key of ORDER_TRANSITIONS.
+ * @param {object} [options]
+ * @param {string} [options.actorId='system'] - Slack ID of whoever triggered it ('system' for timers).
+ * @param {object|function(object): object} [options.updates] - Extra order fields to set (or a function of the current order).
+ *   Guards and effects see the order with these applied, e.g. the requester on accept_offer.
+ * @param {Date} [options.now=new Date()] - Time to stamp and check deadlines against.
+ * @param {number} [options.bonusMultiplier] - deliver only: the rolled bonus.
+ * @param {string|null} [options.bonusEventId] - deliver only: the happy hour whose table was rolled.
+ * @param {string|null} [options.note] - Free-text reason for the ledger entries (admin actions).
+ * @returns {Promise<object>} - { orderId, transition, fromStatus, toStatus, orderData } plus the effects'
+ *   results (refundAmount, chargedKarma, karmaAfter, earnedKarma, bonusMultiplier, unlockedAchievements,
+ *   streakDays, streakBonus).
+ * @throws {OrderTransitionError} - ORDER_NOT_FOUND, the transition's rejectCode, or a guard/effect code.
+ */
+export async function transitionOrder(orderId, transition, options = {}) {
+    const definition = ORDER_TRANSITIONS[transition];
+    if (!definition) throw new Error(`Unknown order transition: ${transition}`);
+    const { actorId = 'system', updates = {}, now: nowDate = new Date() } = options;
+    const now = Timestamp.fromDate(nowDate);
+    const outcome = await getRepository().runTransaction(async (transaction) => {
+        const orderData = await transaction.get('orders', orderId);
+        if (!orderData) {
+            throw new OrderTransitionError('ORDER_NOT_FOUND', { transition, orderId });
+        }
+        const fromStatus = orderData.status;
+        const reject = (code, extra = {}) => new OrderTransitionError(code, { transition, orderId, fromStatus, orderData, ...extra });
+        if (!definition.from.includes(fromStatus)) throw reject(definition.rejectCode);
+
+        const toStatus = typeof definition.to === 'string' ? definition.to : definition.to[fromStatus];
+        const callerUpdates = typeof updates === 'function' ? updates(orderData) : updates;
+        const ctx = {
+            orderId,
+            transition,
+            fromStatus,
+            toStatus,
+            actorId,
+            now,
+            options,
+            order: { ...orderData, ...callerUpdates },
+            reject
+        };
+
+        (definition.guards || []).forEach(guard => guard(ctx));
+
+        // Reads first (inside each prepare), then every write
+        const prepared = [];
+        for (const effect of definition.effects || []) {
+            prepared.push(await effect(transaction, ctx));
+        }
+
+        const orderUpdate = {
+            ...callerUpdates,
+            ...(definition.updates ? definition.updates(ctx) : {}),
+            ...Object.assign({}, ...prepared.map(p => p.orderUpdates || {})),
+            status: toStatus,
+            updatedAt: now
+        };
+        transaction.update('orders', orderId, orderUpdate);
+        prepared.forEach(p => p.write?.(transaction));
+        const results = Object.assign({}, ...prepared.map(p => p.result || {}));
+
+        // create() fails if this transition was already recorded for the order (since its last reopen)
+        const eventId = orderData.reopenCount ? `${orderId}_${transition}_r${orderData.reopenCount}` : `${orderId}_${transition}`;
+        transaction.create(ORDER_EVENTS_COLLECTION, eventId, {
+            orderId,
+            type: transition,
+            fromStatus,
+            toStatus,
+            actorId,
+            requesterId: ctx.order.requesterId || null,
+            runnerId: ctx.order.runnerId || null,
+            effects: results, // e.g. { refundAmount, karmaAfter } or { earnedKarma, bonusMultiplier }
+            createdAt: transaction.timestamp()
+        });
+
+        return { orderId, transition, fromStatus, toStatus, orderData: { ...orderData, ...orderUpdate }, ...results };
+    });
+
+    logger.info(`[transitionOrder] ${transition} on ${orderId}: ${outcome.fromStatus} -> ${outcome.toStatus} (by ${actorId}).`);
+
+    for (const hook of definition.afterCommit || []) {
+        try {
+            await hook({ orderId, transition, actorId, order: outcome.orderData });
+        } catch (hookError) {
+            logger.error(`[transitionOrder] After-commit step of ${transition} on ${orderId} failed:`, hookError);
+        }
+    }
+    return outcome;
+}
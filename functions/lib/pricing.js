@@ -0,0 +1,139 @@
+/**
+ * Order pricing
+ * By default an order costs its DRINK_CATEGORIES cost (summed for a group order) and the runner's
+ * reward matches it. With the DYNAMIC_PRICING config value set to 'true', quoteOrder() adjusts both:
+ *   - distance: drops far from the café (map_coordinates.json) cost and pay more
+ *   - demand: lots of open orders per active runner offer cost and pay more
+ *   - peak hours: runners earn extra at rush hour, paid by the house rather than the requester
+ * The quote is shown in the order modal (and charged as shown) and stored on the order as karmaCost (what the requester pays),
+ * runnerReward (what the runner earns before any bonus multiplier) and pricing (the breakdown).
+ */
+import { DRINK_CATEGORIES, ORDER_STATUS, PRICING } from '../utils/constants.js';
+import { getConfig } from '../utils/config.js';
+import { getRepository } from '../utils/repository.js';
+import { getLocationDistance } from '../utils/locations.js';
+import { getOfficeHour } from '../utils/office-clock.js';
+import { logger } from '../utils/logger.js';
+
+const DEFAULT_COST = 2; // For a category that's no longer on the menu
+
+/**
+ * @returns {boolean} - The DYNAMIC_PRICING config value is 'true'.
+ */
+export function isDynamicPricingEnabled() {
+    return String(getConfig('DYNAMIC_PRICING') || '').toLowerCase() === 'true';
+}
+
+/**
+ * @param {string} category - Key from DRINK_CATEGORIES.
+ * @param {Array<object>|null} [items=null] - Group order line items ({category}); their costs are summed instead.
+ * @returns {number} - Menu price before any adjustment.
+ */
+export function getBaseCost(category, items = null) {
+    if (items?.length) return items.reduce((sum, item) => sum + getBaseCost(item.category), 0);
+    return DRINK_CATEGORIES[category]?.cost || DEFAULT_COST;
+}
+
+/**
+ * @param {string} location - Key from LOCATIONS.
+ * @returns {number} - Karma added for the walk from the café; 0 if the drop isn't on the map.
+ */
+export function getDistanceSurcharge(location) {
+    const distance = getLocationDistance(PRICING.ORIGIN, location);
+    if (distance === null) return 0;
+    return Math.min(PRICING.MAX_DISTANCE_SURCHARGE, Math.floor(distance / PRICING.CELLS_PER_KARMA));
+}
+
+/**
+ * @param {number} openOrders - Orders waiting for a runner, counting the one being priced.
+ * @param {number} activeRunners - Open runner offers.
+ * @returns {number} - Karma added for demand.
+ */
+export function getDemandSurcharge(openOrders, activeRunners) {
+    const ratio = openOrders / Math.max(1, activeRunners);
+    return PRICING.DEMAND_STEPS.reduce((surcharge, step) => (ratio >= step.ratio ? step.surcharge : surcharge), 0);
+}
+
+/**
+ * @param {Date} date
+ * @returns {number} - Extra runner reward if it's peak time on the office clock.
+ */
+export function getPeakReward(date) {
+    const hour = getOfficeHour(date);
+    return PRICING.PEAK_HOURS.some(([start, end]) => hour >= start && hour < end) ? PRICING.PEAK_REWARD : 0;
+}
+
+/**
+ * Price an order.
+ * @param {object} order
+ * @param {string} order.category - Key from DRINK_CATEGORIES (GROUP_ORDER_CATEGORY for a group order).
+ * @param {string} order.location - Key from LOCATIONS.
+ * @param {Array<object>|null} [order.items=null] - Group order line items.
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<{karmaCost: number, runnerReward: number, baseCost: number, adjustments: Array<object>}>} - What
+ *   the requester pays, what the runner earns before bonus, the menu price and the adjustments
+ *   ({ reason: 'distance'|'demand'|'peak', cost, reward }) that got there. No adjustments when dynamic pricing is off.
+ */
+export async function quoteOrder({ category, location, items = null }, now = new Date()) {
+    const baseCost = getBaseCost(category, items);
+    if (!isDynamicPricingEnabled()) {
+        return { karmaCost: baseCost, runnerReward: baseCost, baseCost, adjustments: [] };
+    }
+
+    const { orders, offers } = getRepository();
+    const nowMs = now.getTime();
+    let demandSurcharge = 0;
+    try {
+        const [openOrders, activeOffers] = await Promise.all([
+            orders.listByStatus(ORDER_STATUS.ORDERED),
+            offers.listActive(nowMs)
+        ]);
+        const liveOrders = openOrders.filter(order => !order.expiryTimestamp?.toMillis || order.expiryTimestamp.toMillis() > nowMs);
+        demandSurcharge = getDemandSurcharge(liveOrders.length + 1, activeOffers.length);
+    } catch (error) {
+        // Price without demand rather than block the order
+        logger.error('[quoteOrder] Could not read demand, pricing without it:', error);
+    }
+
+    const distanceSurcharge = location ? getDistanceSurcharge(location) : 0;
+    const peakReward = getPeakReward(now);
+    const adjustments = [
+        { reason: 'distance', cost: distanceSurcharge, reward: distanceSurcharge },
+        { reason: 'demand', cost: demandSurcharge, reward: demandSurcharge },
+        { reason: 'peak', cost: 0, reward: peakReward }
+    ].filter(adjustment => adjustment.cost > 0 || adjustment.reward > 0);
+    return {
+        karmaCost: baseCost + distanceSurcharge + demandSurcharge,
+        runnerReward: baseCost + distanceSurcharge + demandSurcharge + peakReward,
+        baseCost,
+        adjustments
+    };
+}
+
+const ADJUSTMENT_LABELS = {
+    distance: 'far drop',
+    demand: 'rush',
+    peak: 'peak hour'
+};
+
+/**
+ * @param {object} quote - From quoteOrder().
+ * @returns {string} - e.g. '`4` Karma (2 base +1 far drop +1 rush). Runner earns `5` (+1 peak hour).'
+ */
+export function formatQuote({ karmaCost, runnerReward, baseCost, adjustments }) {
+    const costParts = adjustments.filter(adjustment => adjustment.cost > 0).map(adjustment => `+${adjustment.cost} ${ADJUSTMENT_LABELS[adjustment.reason]}`);
+    const rewardOnly = adjustments.filter(adjustment => adjustment.reward > adjustment.cost)
+        .map(adjustment => `+${adjustment.reward - adjustment.cost} ${ADJUSTMENT_LABELS[adjustment.reason]}`);
+    const costText = costParts.length ? `\`${karmaCost}\` Karma (${baseCost} base ${costParts.join(' ')})` : `\`${karmaCost}\` Karma`;
+    const rewardText = rewardOnly.length ? ` Runner earns \`${runnerReward}\` (${rewardOnly.join(' ')}).` : '';
+    return `${costText}.${rewardText}`;
+}
+
+/**
+ * Order fields for a quote, to spread into the order document.
+ * @param {object} quote - From quoteOrder().
+ * @returns {object} - { karmaCost, runnerReward, pricing }
+ */
+export function getQuoteFields({ karmaCost, runnerReward, baseCost, adjustments }) {
+    return { karmaCost, runnerReward, pricing: { baseCost, adjustments } };
+}
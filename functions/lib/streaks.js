@@ -0,0 +1,111 @@
+/**
+ * Delivery streaks
+ * A streak is the run of consecutive working days (Mon-Fri, office clock) on which a player delivered
+ * at least one order. Weekend deliveries don't extend or break it. Hitting a milestone length pays a
+ * karma bonus (STREAK_BONUSES, overridable with `streakBonuses` in the config/appSettings doc), and
+ * runners whose streak ends today unless they deliver get a nudge in the afternoon.
+ *
+ * Player fields: streakDays, streakLastDate (office date of the last counted delivery), streakBest,
+ * streakNudgedDate (office date of the last nudge).
+ */
+import { STREAK_BONUSES, STREAK_NUDGE_MIN_DAYS } from '../utils/constants.js';
+import { getOfficeDate } from '../utils/office-clock.js';
+import { getRepository } from '../utils/repository.js';
+import { runRateLimited } from '../utils/slack-throttle.js';
+import { logger } from '../utils/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @param {string} officeDate - YYYY-MM-DD.
+ * @returns {boolean} - Monday to Friday.
+ */
+export function isWorkingDay(officeDate) {
+    const day = new Date(`${officeDate}T00:00:00Z`).getUTCDay();
+    return day >= 1 && day <= 5;
+}
+
+/**
+ * @param {string} officeDate - YYYY-MM-DD.
+ * @returns {string} - The working day before it (Friday for a Monday).
+ */
+export function getPreviousWorkingDay(officeDate) {
+    let time = new Date(`${officeDate}T00:00:00Z`).getTime();
+    do {
+        time -= DAY_MS;
+    } while (!isWorkingDay(new Date(time).toISOString().slice(0, 10)));
+    return new Date(time).toISOString().slice(0, 10);
+}
+
+/**
+ * A player's streak as of now: 0 once they've missed a working day.
+ * @param {object} playerData - Stored player fields.
+ * @param {Date} [now=new Date()]
+ * @returns {number}
+ */
+export function getCurrentStreak(playerData, now = new Date()) {
+    const { streakDays = 0, streakLastDate = null } = playerData || {};
+    if (!streakLastDate) return 0;
+    const today = getOfficeDate(now);
+    // Alive through the weekend if it reached Friday
+    const alive = streakLastDate === today || streakLastDate === getPreviousWorkingDay(today);
+    return alive ? streakDays : 0;
+}
+
+/**
+ * Count a delivery towards the runner's streak.
+ * @param {object} playerData - Stored runner fields.
+ * @param {Date} deliveredAt
+ * @returns {{fields: object, streakDays: number, extended: boolean}} - Fields to merge into the runner's
+ *   update (empty if the delivery doesn't change the streak), the streak after it, and whether it grew today.
+ */
+export function advanceStreak(playerData, deliveredAt) {
+    const today = getOfficeDate(deliveredAt);
+    const { streakDays = 0, streakLastDate = null, streakBest = 0 } = playerData;
+    if (!isWorkingDay(today) || streakLastDate === today) {
+        return { fields: {}, streakDays: getCurrentStreak(playerData, deliveredAt), extended: false };
+    }
+    const nextStreak = streakLastDate === getPreviousWorkingDay(today) ? streakDays + 1 : 1;
+    return {
+        fields: { streakDays: nextStreak, streakLastDate: today, streakBest: Math.max(streakBest, nextStreak) },
+        streakDays: nextStreak,
+        extended: true
+    };
+}
+
+/**
+ * @param {number} streakDays - Streak length just reached.
+ * @param {object} [bonuses] - Length -> karma, e.g. { "5": 5 }. Defaults to STREAK_BONUSES.
+ * @returns {number} - Karma bonus for reaching this length, or 0.
+ */
+export function getStreakBonus(streakDays, bonuses) {
+    const table = bonuses && Object.keys(bonuses).length > 0 ? bonuses : STREAK_BONUSES;
+    return Number(table[streakDays]) || 0;
+}
+
+/**
+ * DM runners whose streak dies today unless they deliver. Runs once each working afternoon (see index.js);
+ * streakNudgedDate keeps a retried run from nudging twice.
+ * @param {object} client - Slack WebClient.
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<number>} - Nudges sent.
+ */
+export async function nudgeExpiringStreaks(client, now = new Date()) {
+    const today = getOfficeDate(now);
+    if (!isWorkingDay(today)) return 0;
+    const { players } = getRepository();
+    const atRisk = (await players.listByStreakDate(getPreviousWorkingDay(today)))
+        .filter(player => (player.streakDays || 0) >= STREAK_NUDGE_MIN_DAYS && player.streakNudgedDate !== today);
+    logger.info(`[nudgeExpiringStreaks] ${atRisk.length} streaks end today.`);
+
+    const { succeeded } = await runRateLimited(atRisk.map(player => async () => {
+        const text = `🔥 Your ${player.streakDays}-day delivery streak dies today. One run keeps it alive. /deliver`;
+        await client.chat.postMessage({
+            channel: player.id,
+            text,
+            blocks: [{ type: 'section', text: { type: 'mrkdwn', text } }]
+        });
+        await players.update(player.id, { streakNudgedDate: today });
+    }), { label: 'nudgeExpiringStreaks' });
+    return succeeded;
+}
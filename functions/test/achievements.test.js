@@ -0,0 +1,28 @@
+/**
+ * Achievement tests
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyAchievementEvents } from '../lib/achievements.js';
+import { GROUP_ORDER_CATEGORY } from '../utils/constants.js';
+
+const at = new Date('2026-03-03T18:00:00Z'); // 10am office time
+
+test('a single delivery counts its category', () => {
+    const { fields } = applyAchievementEvents({}, [{ type: 'delivery', location: '4a', category: 'drip', bonusMultiplier: 1, at }]);
+    assert.deepEqual(fields.achievementStats.categoriesDelivered, ['DRIP']);
+});
+
+test('a group delivery counts every drink toward FULL MENU', () => {
+    const runner = { deliveriesCompletedCount: 2, achievementStats: { categoriesDelivered: ['WATER', 'TEA'] } };
+    const { fields, unlocked } = applyAchievementEvents(runner, [{
+        type: 'delivery',
+        location: '4a',
+        category: GROUP_ORDER_CATEGORY,
+        categories: ['DRIP', 'ESPRESSO', 'DRIP'],
+        bonusMultiplier: 1,
+        at
+    }]);
+    assert.deepEqual(fields.achievementStats.categoriesDelivered, ['WATER', 'TEA', 'DRIP', 'ESPRESSO']);
+    assert.ok(unlocked.includes('full_menu'));
+});
@@ -0,0 +1,45 @@
+/**
+ * Happy hour matching tests, against createInMemoryRepository().
+ */
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createInMemoryRepository } from '../utils/repositories/in-memory.js';
+import { setRepository } from '../utils/repository.js';
+import { rollDeliveryBonus } from '../lib/bonus-events.js';
+import { GROUP_ORDER_CATEGORY } from '../utils/constants.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const now = new Date();
+
+beforeEach(async () => {
+    const repository = createInMemoryRepository();
+    setRepository(repository);
+    // Always pays 3x on espresso drinks
+    await repository.bonusEvents.create('ESPRESSO-HOUR', {
+        name: 'Espresso Hour',
+        table: [{ multiplier: 3, chance: 1 }],
+        categories: ['ESPRESSO'],
+        startsAt: new Date(now.getTime() - HOUR_MS),
+        endsAt: new Date(now.getTime() + HOUR_MS),
+        createdBy: 'UADMIN'
+    });
+});
+
+test('a category happy hour covers a single order in that category', async () => {
+    const { multiplier, event } = await rollDeliveryBonus({ category: 'ESPRESSO', location: '4a' }, now);
+    assert.equal(multiplier, 3);
+    assert.equal(event.id, 'ESPRESSO-HOUR');
+});
+
+test('a category happy hour covers a group order with a drink in that category', async () => {
+    const order = { category: GROUP_ORDER_CATEGORY, location: '4a', items: [{ category: 'TEA' }, { category: 'ESPRESSO' }] };
+    const { multiplier, event } = await rollDeliveryBonus(order, now);
+    assert.equal(multiplier, 3);
+    assert.equal(event.id, 'ESPRESSO-HOUR');
+});
+
+test('a category happy hour skips a group order with no drink in that category', async () => {
+    const order = { category: GROUP_ORDER_CATEGORY, location: '4a', items: [{ category: 'TEA' }, { category: 'DRIP' }] };
+    const { event } = await rollDeliveryBonus(order, now);
+    assert.equal(event, null);
+});
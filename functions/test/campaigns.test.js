@@ -0,0 +1,44 @@
+/**
+ * Campaign budget and per-player limit tests, against createInMemoryRepository().
+ */
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createInMemoryRepository } from '../utils/repositories/in-memory.js';
+
+let repository;
+
+beforeEach(async () => {
+    repository = createInMemoryRepository();
+    await repository.campaigns.create('LAUNCH', { name: 'Launch week', budget: 10, perUserLimit: 2, createdBy: 'UADMIN' });
+});
+
+/**
+ * @param {string} code
+ * @param {number} karmaValue
+ */
+const mintCampaignCode = (code, karmaValue) =>
+    repository.codes.create(code, { karmaValue, maxRedemptions: 10, campaignId: 'LAUNCH' });
+
+test('a player can only redeem a campaign\'s codes up to its per-player limit', async () => {
+    await mintCampaignCode('LAUNCH-A', 1);
+    await mintCampaignCode('LAUNCH-B', 1);
+    await mintCampaignCode('LAUNCH-C', 1);
+    await repository.codes.redeem('LAUNCH-A', { playerId: 'U1' });
+    await repository.codes.redeem('LAUNCH-B', { playerId: 'U1' });
+
+    await assert.rejects(repository.codes.redeem('LAUNCH-C', { playerId: 'U1' }), { message: 'CAMPAIGN_LIMIT_REACHED' });
+    await repository.codes.redeem('LAUNCH-C', { playerId: 'U2' });
+    assert.equal((await repository.players.get('U1')).karma, 2);
+});
+
+test('redemptions stop once they would go over the campaign budget', async () => {
+    await mintCampaignCode('LAUNCH-BIG', 4);
+    await repository.codes.redeem('LAUNCH-BIG', { playerId: 'U1' });
+    await repository.codes.redeem('LAUNCH-BIG', { playerId: 'U2' });
+
+    await assert.rejects(repository.codes.redeem('LAUNCH-BIG', { playerId: 'U3' }), { message: 'CAMPAIGN_BUDGET_SPENT' });
+    const campaign = await repository.campaigns.get('LAUNCH');
+    assert.equal(campaign.karmaRedeemed, 8);
+    assert.equal(campaign.redemptionCount, 2);
+    assert.equal(await repository.players.get('U3'), null);
+});
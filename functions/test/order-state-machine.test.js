@@ -0,0 +1,154 @@
+/**
+ * Order state machine tests
+ * Runs transitions against createInMemoryRepository(), so no Firestore or emulator is needed:
+ *   npm test
+ */
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createInMemoryRepository } from '../utils/repositories/in-memory.js';
+import { setRepository } from '../utils/repository.js';
+import { transitionOrder } from '../lib/order-state-machine.js';
+import { ORDER_STATUS, LEDGER_REASONS, GROUP_ORDER_CATEGORY } from '../utils/constants.js';
+
+const ADMIN_ID = 'UADMIN';
+const REQUESTER_ID = 'UREQ';
+const RUNNER_ID = 'URUN';
+const OTHER_RUNNER_ID = 'URUN2';
+
+process.env.ADMIN_SLACK_IDS = ADMIN_ID;
+
+let repository;
+
+beforeEach(async () => {
+    repository = createInMemoryRepository({
+        players: {
+            [REQUESTER_ID]: { name: 'Requester', karma: 0, reputation: 0 },
+            [RUNNER_ID]: { name: 'Runner', karma: 0, reputation: 0 },
+            [OTHER_RUNNER_ID]: { name: 'Other Runner', karma: 0, reputation: 0 }
+        }
+    });
+    setRepository(repository);
+    // Starting karma goes through the ledger so rebuildBalance can account for it
+    await repository.players.adjustKarma(REQUESTER_ID, 10, { reason: LEDGER_REASONS.ADMIN_GRANT, actorId: ADMIN_ID });
+});
+
+/**
+ * Place a charged order for REQUESTER_ID, the way placeStandardOrder does.
+ * @param {object} [fields] - Order fields to override.
+ * @returns {Promise<string>} - Order ID.
+ */
+async function placeOrder(fields = {}) {
+    const orderId = repository.orders.newId();
+    await repository.orders.createCharged({
+        requesterId: REQUESTER_ID,
+        requesterName: 'Requester',
+        status: ORDER_STATUS.ORDERED,
+        category: 'DRIP',
+        location: '4a',
+        karmaCost: 2,
+        expiryTimestamp: new Date(Date.now() + 10 * 60 * 1000),
+        ...fields
+    }, orderId);
+    return orderId;
+}
+
+/**
+ * @param {Promise<any>} promise
+ * @param {string} code - Expected OrderTransitionError code.
+ */
+async function assertRejects(promise, code) {
+    await assert.rejects(promise, (error) => {
+        assert.equal(error.code, code);
+        return true;
+    });
+}
+
+test('placing an order charges the requester and records it', async () => {
+    await placeOrder();
+    assert.equal((await repository.players.get(REQUESTER_ID)).karma, 8);
+    assert.equal((await repository.ledger.rebuildBalance(REQUESTER_ID)).karma, 8);
+});
+
+test('expiring an order twice refunds once', async () => {
+    const orderId = await placeOrder({ expiryTimestamp: new Date(Date.now() - 1000) });
+
+    const first = await transitionOrder(orderId, 'expire');
+    assert.equal(first.toStatus, ORDER_STATUS.EXPIRED);
+    assert.equal(first.refundAmount, 2);
+
+    await assertRejects(transitionOrder(orderId, 'expire'), 'ORDER_NOT_ACTIVE');
+    assert.equal((await repository.players.get(REQUESTER_ID)).karma, 10);
+});
+
+test('refunding a delivered order twice refunds once', async () => {
+    const orderId = await placeOrder();
+    await transitionOrder(orderId, 'claim', { actorId: RUNNER_ID, updates: { runnerId: RUNNER_ID, runnerName: 'Runner' } });
+    await transitionOrder(orderId, 'deliver', { actorId: RUNNER_ID, bonusMultiplier: 1 });
+
+    const first = await transitionOrder(orderId, 'admin_refund', { actorId: ADMIN_ID });
+    assert.equal(first.refundAmount, 2);
+
+    await assertRejects(transitionOrder(orderId, 'admin_refund', { actorId: ADMIN_ID }), 'ALREADY_REFUNDED');
+    assert.equal((await repository.players.get(REQUESTER_ID)).karma, 10);
+});
+
+test('two runners claiming at once: one wins, the other is told it is taken', async () => {
+    const orderId = await placeOrder();
+    const claimAs = (runnerId) => transitionOrder(orderId, 'claim', { actorId: runnerId, updates: { runnerId } });
+
+    const results = await Promise.allSettled([claimAs(RUNNER_ID), claimAs(OTHER_RUNNER_ID)]);
+    const won = results.filter(result => result.status === 'fulfilled');
+    const lost = results.filter(result => result.status === 'rejected');
+    assert.equal(won.length, 1);
+    assert.equal(lost.length, 1);
+    assert.equal(lost[0].reason.code, 'ORDER_NOT_OPEN');
+
+    const order = await repository.orders.get(orderId);
+    assert.equal(order.status, ORDER_STATUS.CLAIMED);
+    assert.equal(order.runnerId, won[0].value.orderData.runnerId);
+});
+
+test('delivery pays the runner and the ledger rebuilds every balance', async () => {
+    const orderId = await placeOrder({ karmaCost: 3, runnerReward: 4 });
+    await transitionOrder(orderId, 'claim', { actorId: RUNNER_ID, updates: { runnerId: RUNNER_ID, runnerName: 'Runner' } });
+    const delivered = await transitionOrder(orderId, 'deliver', { actorId: RUNNER_ID, bonusMultiplier: 2 });
+    assert.equal(delivered.earnedKarma, 8);
+
+    const runner = await repository.players.get(RUNNER_ID);
+    const requester = await repository.players.get(REQUESTER_ID);
+    assert.equal(runner.karma, 8 + delivered.streakBonus);
+    assert.equal(runner.reputation, 8);
+    assert.equal(requester.karma, 7);
+    assert.equal(requester.reputation, 3);
+
+    for (const player of [runner, requester]) {
+        const rebuilt = await repository.ledger.rebuildBalance(player.id);
+        assert.equal(rebuilt.karma, player.karma, `${player.id} karma`);
+        assert.equal(rebuilt.reputation, player.reputation, `${player.id} reputation`);
+    }
+});
+
+test('delivering a group order records each drink category, not GROUP', async () => {
+    const orderId = await placeOrder({
+        category: GROUP_ORDER_CATEGORY,
+        karmaCost: 5,
+        items: [{ category: 'TEA', karmaCost: 2 }, { category: 'ESPRESSO', karmaCost: 3 }],
+        isGroupOrder: true
+    });
+    await transitionOrder(orderId, 'claim', { actorId: RUNNER_ID, updates: { runnerId: RUNNER_ID, runnerName: 'Runner' } });
+    await transitionOrder(orderId, 'deliver', { actorId: RUNNER_ID, bonusMultiplier: 1 });
+
+    const runner = await repository.players.get(RUNNER_ID);
+    assert.deepEqual(runner.achievementStats.categoriesDelivered, ['TEA', 'ESPRESSO']);
+});
+
+test('an admin refund keeps its reason on the ledger entry', async () => {
+    const orderId = await placeOrder();
+    await transitionOrder(orderId, 'claim', { actorId: RUNNER_ID, updates: { runnerId: RUNNER_ID, runnerName: 'Runner' } });
+    await transitionOrder(orderId, 'deliver', { actorId: RUNNER_ID, bonusMultiplier: 1 });
+    await transitionOrder(orderId, 'admin_refund', { actorId: ADMIN_ID, note: 'cold coffee' });
+
+    const [refund] = await repository.ledger.listForPlayer(REQUESTER_ID, 1);
+    assert.equal(refund.reason, LEDGER_REASONS.ADMIN_REFUND);
+    assert.equal(refund.note, 'cold coffee');
+});
@@ -0,0 +1,62 @@
+/**
+ * Order pricing tests, against createInMemoryRepository().
+ */
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createInMemoryRepository } from '../utils/repositories/in-memory.js';
+import { setRepository } from '../utils/repository.js';
+import { quoteOrder } from '../lib/pricing.js';
+import { ORDER_STATUS, GROUP_ORDER_CATEGORY } from '../utils/constants.js';
+
+const offPeak = new Date('2026-03-03T19:00:00Z'); // 11am office time
+const peak = new Date('2026-03-03T17:00:00Z'); // 9am office time
+
+let repository;
+
+beforeEach(() => {
+    process.env.DYNAMIC_PRICING = 'true';
+    repository = createInMemoryRepository();
+    setRepository(repository);
+});
+
+test('with dynamic pricing off an order costs and pays its menu price', async () => {
+    process.env.DYNAMIC_PRICING = 'false';
+    const quote = await quoteOrder({ category: 'ESPRESSO', location: '4a' }, peak);
+    assert.deepEqual(quote, { karmaCost: 3, runnerReward: 3, baseCost: 3, adjustments: [] });
+});
+
+test('a group order is priced at the sum of its drinks', async () => {
+    process.env.DYNAMIC_PRICING = 'false';
+    const items = [{ category: 'WATER' }, { category: 'TEA' }, { category: 'ESPRESSO' }];
+    const quote = await quoteOrder({ category: GROUP_ORDER_CATEGORY, location: '4a', items }, offPeak);
+    assert.equal(quote.karmaCost, 6);
+});
+
+test('a drop next to the café costs the menu price', async () => {
+    const quote = await quoteOrder({ category: 'DRIP', location: 'the_jam' }, offPeak);
+    assert.equal(quote.karmaCost, 2);
+    assert.deepEqual(quote.adjustments, []);
+});
+
+test('a far drop costs and pays more, up to the cap', async () => {
+    const near = await quoteOrder({ category: 'DRIP', location: '4d' }, offPeak);
+    assert.equal(near.karmaCost, 3);
+    const far = await quoteOrder({ category: 'DRIP', location: '4i' }, offPeak);
+    assert.equal(far.karmaCost, 4);
+    assert.equal(far.runnerReward, 4);
+    assert.deepEqual(far.adjustments, [{ reason: 'distance', cost: 2, reward: 2 }]);
+});
+
+test('open orders with no runners around add a rush surcharge', async () => {
+    await repository.orders.create({ requesterId: 'U1', status: ORDER_STATUS.ORDERED, category: 'TEA', location: 'the_jam' });
+    await repository.orders.create({ requesterId: 'U2', status: ORDER_STATUS.ORDERED, category: 'TEA', location: 'the_jam' });
+    const quote = await quoteOrder({ category: 'DRIP', location: 'the_jam' }, offPeak);
+    assert.equal(quote.karmaCost, 3);
+    assert.deepEqual(quote.adjustments, [{ reason: 'demand', cost: 1, reward: 1 }]);
+});
+
+test('peak hour pays the runner extra without charging the requester', async () => {
+    const quote = await quoteOrder({ category: 'DRIP', location: 'the_jam' }, peak);
+    assert.equal(quote.karmaCost, 2);
+    assert.equal(quote.runnerReward, 3);
+});
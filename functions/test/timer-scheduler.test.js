@@ -0,0 +1,40 @@
+/**
+ * Timer scheduler tests, on the memory backend.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { getTimerBackend, registerTimerHandler, scheduleOrderRelease, cancelOrderRelease } from '../utils/timer-scheduler.js';
+
+process.env.TIMER_BACKEND = 'memory';
+
+const released = [];
+registerTimerHandler('release-scheduled-order', async ({ orderId }) => {
+    released.push(orderId);
+});
+
+test('picks the memory backend from TIMER_BACKEND', async () => {
+    assert.equal((await getTimerBackend()).name, 'memory');
+});
+
+test('a scheduled release fires its handler with the order ID', async () => {
+    const jobName = await scheduleOrderRelease('ORDER-FIRE', Date.now() + 20);
+    assert.ok(jobName.startsWith('kk-release-scheduled-order-scheduled-ORDER-FIRE-'));
+    assert.ok((await getTimerBackend()).getPendingJobIds().includes(jobName));
+
+    await sleep(60);
+    assert.deepEqual(released.filter(orderId => orderId === 'ORDER-FIRE'), ['ORDER-FIRE']);
+    assert.ok(!(await getTimerBackend()).getPendingJobIds().includes(jobName));
+});
+
+test('a cancelled release never fires, by job name or by prefix', async () => {
+    const jobName = await scheduleOrderRelease('ORDER-BY-NAME', Date.now() + 20);
+    await scheduleOrderRelease('ORDER-BY-PREFIX', Date.now() + 20);
+    await cancelOrderRelease('ORDER-BY-NAME', jobName);
+    await cancelOrderRelease('ORDER-BY-PREFIX');
+    assert.deepEqual((await getTimerBackend()).getPendingJobIds(), []);
+
+    await sleep(60);
+    assert.ok(!released.includes('ORDER-BY-NAME'));
+    assert.ok(!released.includes('ORDER-BY-PREFIX'));
+});
@@ -0,0 +1,26 @@
+/**
+ * Admin access for Koffee Karma
+ * Admins are listed in the ADMIN_SLACK_IDS config value (comma separated Slack IDs).
+ * DEVELOPER_SLACK_ID is always treated as an admin so existing setups keep working.
+ */
+import { getConfig } from './config.js';
+
+/**
+ * @returns {Array<string>} - Slack IDs allowed to use /kkadmin.
+ */
+export function getAdminIds() {
+    const listed = (getConfig('ADMIN_SLACK_IDS') || '')
+        .split(',')
+        .map(id => id.trim())
+        .filter(Boolean);
+    const developerSlackId = getConfig('DEVELOPER_SLACK_ID');
+    return developerSlackId && !listed.includes(developerSlackId) ? [...listed, developerSlackId] : listed;
+}
+
+/**
+ * @param {string} userId - Slack User ID.
+ * @returns {boolean}
+ */
+export function isAdmin(userId) {
+    return Boolean(userId) && getAdminIds().includes(userId);
+}
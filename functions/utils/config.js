@@ -11,6 +11,13 @@ import { defineString } from 'firebase-functions/params';
 const SLACK_BOT_TOKEN = defineString('SLACK_BOT_TOKEN');
 const SLACK_SIGNING_SECRET = defineString('SLACK_SIGNING_SECRET');
 const KOFFEE_KARMA_CHANNEL_ID = defineString('KOFFEE_KARMA_CHANNEL_ID');
+const ADMIN_SLACK_IDS = defineString('ADMIN_SLACK_IDS', { default: '' }); // Comma separated, see utils/admin.js
+const SEASON_LENGTH = defineString('SEASON_LENGTH', { default: 'monthly' }); // 'monthly' or 'quarterly', see utils/seasons.js
+const DYNAMIC_PRICING = defineString('DYNAMIC_PRICING', { default: 'false' }); // 'true' turns on lib/pricing.js adjustments
+const TIMER_BACKEND = defineString('TIMER_BACKEND', { default: '' }); // Empty picks per environment, see utils/timer-scheduler.js
+const TIMER_TASKS_QUEUE = defineString('TIMER_TASKS_QUEUE', { default: 'koffee-karma-timers' }); // cloud-tasks backend only
+const TIMER_TASKS_SERVICE_ACCOUNT = defineString('TIMER_TASKS_SERVICE_ACCOUNT', { default: '' }); // cloud-tasks backend only
+const REPOSITORY = defineString('REPOSITORY', { default: 'firestore' }); // 'firestore' or 'memory', see utils/repository.js
 // Define other parameters as needed, e.g.:
 // const GOOGLE_APPLICATION_CREDENTIALS = defineString('GOOGLE_APPLICATION_CREDENTIALS');
 
@@ -35,6 +42,27 @@ export const getConfig = (key, fallback = null) => {
     case 'KOFFEE_KARMA_CHANNEL_ID':
       param = KOFFEE_KARMA_CHANNEL_ID;
       break;
+    case 'ADMIN_SLACK_IDS':
+      param = ADMIN_SLACK_IDS;
+      break;
+    case 'SEASON_LENGTH':
+      param = SEASON_LENGTH;
+      break;
+    case 'DYNAMIC_PRICING':
+      param = DYNAMIC_PRICING;
+      break;
+    case 'TIMER_BACKEND':
+      param = TIMER_BACKEND;
+      break;
+    case 'TIMER_TASKS_QUEUE':
+      param = TIMER_TASKS_QUEUE;
+      break;
+    case 'TIMER_TASKS_SERVICE_ACCOUNT':
+      param = TIMER_TASKS_SERVICE_ACCOUNT;
+      break;
+    case 'REPOSITORY':
+      param = REPOSITORY;
+      break;
     // Add cases for other defined parameters
     // case 'GOOGLE_APPLICATION_CREDENTIALS':
     //   param = GOOGLE_APPLICATION_CREDENTIALS;
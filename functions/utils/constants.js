@@ -5,6 +5,7 @@
 // Order status constants
 export const ORDER_STATUS = {
   ORDERED: 'ordered',     // Replaced PENDING with ORDERED
+  SCHEDULED: 'scheduled', // Queued for a future "deliver at" time; not posted or charged yet
   OFFERED: 'offered',     // Initial state after runner availability
   CLAIMED: 'claimed',     // Order has been claimed by a runner
   DELIVERED: 'delivered', // Order has been delivered
@@ -130,14 +131,81 @@ export const DELIVERY_DURATIONS = [
 export const DURATIONS = {
   ORDER_EXPIRY: 600,        // 10 minutes for orders
   RUNNER_AVAILABILITY: 600, // 10 minutes for runner offers
-  UPDATE_INTERVAL: 60      // Update countdown every minute
+  UPDATE_INTERVAL: 60,     // Update countdown every minute
+  SCHEDULE_MIN_LEAD: 300,  // Scheduled orders must be at least 5 minutes out
+  SCHEDULE_MAX_LEAD: 86400, // ...and no more than 24 hours out
+  STANDING_ORDER_WINDOW: 1800 // Standing orders fire up to 30 minutes late, then wait for the next day
 };
 
-// Bonus multiplier probabilities
-export const BONUS_CHANCES = {
-  TRIPLE: 0.10,  // 10% chance of 3x
-  DOUBLE: 0.10,  // 10% chance of 2x
-  // NORMAL: 0.80   // Calculated implicitly
+// Countdown sweep (orderTimerUpdater) pacing. Slack's chat.update is Tier 3 (~50/min per workspace),
+// and button clicks share that budget, so the sweep keeps well under it.
+export const COUNTDOWN_SWEEP = {
+  MAX_UPDATES: 40,         // chat.update calls per sweep, expiry messages included
+  UPDATE_SPACING_MS: 1200  // Gap between countdown refreshes
+};
+
+// Group (multi-drink) orders
+export const GROUP_ORDER_CATEGORY = 'GROUP'; // Stored as the order's category; per-drink categories live on items
+export const GROUP_ORDER_MIN_ITEMS = 2;
+export const GROUP_ORDER_MAX_ITEMS = 8;
+
+// Runner batching
+export const BATCH_RADIUS = 4; // Max map cells (walking distance) an open order can be from a runner's held drop
+export const BATCH_SUGGESTION_LIMIT = 5; // Max nearby open orders offered to a runner at once
+
+// Nearest-runner matching
+export const RUNNER_MATCH_LIMIT = 3; // Runners with an open offer who get DM'd about a new order
+
+// Saved favorite drinks
+export const FAVORITES_LIMIT = 5; // Max named favorites per player
+
+// Leaderboards
+export const SEASON_STANDINGS_LIMIT = 10; // Players frozen into a season's archived standings (see utils/seasons.js)
+export const LEADERBOARD_WINDOW_DAYS = 30; // Delivered orders the bonus and fastest boards look back over
+export const FASTEST_MIN_DELIVERIES = 3; // Deliveries in the window before a runner's median time counts
+
+// Delivery streaks (see lib/streaks.js)
+// Karma bonus for reaching each streak length (working days). Override with `streakBonuses` in config/appSettings.
+export const STREAK_BONUSES = { 3: 3, 5: 5, 10: 10, 20: 20 };
+export const STREAK_NUDGE_MIN_DAYS = 2; // Streaks shorter than this don't get a "your streak ends today" DM
+
+// Office clock (see utils/office-clock.js): standing order times, streak days, seasons, peak hours
+export const OFFICE_TIMEZONE = 'America/Los_Angeles';
+
+// Standing (recurring) orders
+export const STANDING_ORDER_LIMIT = 5; // Max standing orders per player
+// Days a standing order can repeat on. Values match Date.getDay().
+export const WEEKDAYS = [
+  { text: 'Mon', value: '1' },
+  { text: 'Tue', value: '2' },
+  { text: 'Wed', value: '3' },
+  { text: 'Thu', value: '4' },
+  { text: 'Fri', value: '5' },
+  { text: 'Sat', value: '6' },
+  { text: 'Sun', value: '0' }
+];
+
+// Bonus multiplier probabilities: the default bonus table (see lib/bonus-events.js).
+// Admins can replace it with `bonusTable` in config/appSettings (/kkadmin bonus set).
+export const BONUS_CHANCES = [
+  { multiplier: 3, chance: 0.10 },  // 10% chance of 3x
+  { multiplier: 2, chance: 0.10 }   // 10% chance of 2x
+  // 1x: whatever's left (80%)
+];
+export const MAX_BONUS_MULTIPLIER = 5; // Highest multiplier a bonus table or happy hour can pay
+
+// Dynamic pricing (see lib/pricing.js). Off unless the DYNAMIC_PRICING config value is 'true'.
+export const PRICING = {
+  ORIGIN: 'cafe',               // map_coordinates.json key every drink starts from
+  CELLS_PER_KARMA: 8,           // +1 Karma per this many map cells between the café and the drop
+  MAX_DISTANCE_SURCHARGE: 2,
+  // Open orders (counting the new one) per active runner offer -> surcharge. Highest matching step wins.
+  DEMAND_STEPS: [
+    { ratio: 3, surcharge: 1 },
+    { ratio: 5, surcharge: 2 }
+  ],
+  PEAK_HOURS: [[8, 10], [13, 15]], // Office-clock [start, end) hours when runners earn PEAK_REWARD extra, on the house
+  PEAK_REWARD: 1
 };
 
 // Bot messages - Keep these simple, formatting is done elsewhere
@@ -191,6 +259,24 @@ export const WELCOME_MESSAGES = [
   '<@${userId}> joined the waiting list for regret'
 ];
 
+// Reasons recorded on karmaLedger entries
+export const LEDGER_REASONS = {
+  ORDER_PLACED: 'order_placed',           // Requester paid for an order
+  ORDER_CANCELLED: 'order_cancelled',     // Requester scrapped their own order
+  ORDER_EXPIRED: 'order_expired',         // Order timed out, cost refunded
+  RUNNER_CANCELLED: 'runner_cancelled',   // Runner dropped a claimed order, cost refunded
+  DELIVERY_EARNED: 'delivery_earned',     // Runner paid for a delivery (incl. bonus)
+  DELIVERY_RECEIVED: 'delivery_received', // Requester reputation for a completed order
+  STREAK_BONUS: 'streak_bonus',           // Runner hit a delivery streak milestone
+  CODE_REDEEMED: 'code_redeemed',         // Redemption code burned
+  WELCOME_GRANT: 'welcome_grant',         // Starting karma for new members
+  ADMIN_GRANT: 'admin_grant',             // /kkadmin grant
+  ADMIN_DEDUCT: 'admin_deduct',           // /kkadmin deduct
+  ADMIN_REFUND: 'admin_refund',           // /kkadmin refund of a delivered order
+  ADMIN_RESET: 'admin_reset',             // /kkadmin reset zeroed the player
+  ADJUSTMENT: 'adjustment'                // Anything else (manual fixes, scripts)
+};
+
 export const ORDER_INITIATOR = {
   REQUESTER: 'requester',
   RUNNER: 'runner'
@@ -0,0 +1,63 @@
+/**
+ * Karma Ledger
+ * Append-only history of every karma and reputation change.
+ * Entries are written inside the same transaction as the balance update they describe,
+ * so a player's balance can always be rebuilt from their ledger (repository.ledger.rebuildBalance).
+ */
+import { logger } from './logger.js';
+
+export const LEDGER_COLLECTION = 'karmaLedger';
+
+/**
+ * Queue a ledger entry on an open repository transaction.
+ * Call this alongside the tx.update() that changes the player's balance.
+ * @param {object} transaction - The active transaction (the tx passed to repository.runTransaction).
+ * @param {object} entry - Ledger entry details.
+ * @param {string} entry.playerId - Slack ID of the player whose balance changed.
+ * @param {string} entry.reason - Why the balance changed (from LEDGER_REASONS).
+ * @param {number} [entry.karmaDelta=0] - Karma change (negative for spends).
+ * @param {number} [entry.reputationDelta=0] - Reputation change.
+ * @param {number|null} [entry.karmaAfter=null] - Karma balance after the change.
+ * @param {number|null} [entry.reputationAfter=null] - Reputation after the change.
+ * @param {string|null} [entry.actorId=null] - Who triggered the change ('system' for timers). Defaults to playerId.
+ * @param {string|null} [entry.counterpartyId=null] - The other player involved, if any.
+ * @param {string|null} [entry.orderId=null] - Related order ID, if any.
+ * @param {string|null} [entry.code=null] - Related redemption code, if any.
+ * @param {string|null} [entry.note=null] - Free-text reason (admin adjustments).
+ * @returns {string} - ID of the queued ledger document.
+ */
+export function recordLedgerEntry(transaction, {
+    playerId,
+    reason,
+    karmaDelta = 0,
+    reputationDelta = 0,
+    karmaAfter = null,
+    reputationAfter = null,
+    actorId = null,
+    counterpartyId = null,
+    orderId = null,
+    code = null,
+    note = null
+}) {
+    if (!playerId || !reason) {
+        // Throwing here aborts the surrounding transaction, which is what we want:
+        // a balance change without a ledger row is exactly what this module prevents.
+        throw new Error(`Ledger entry requires playerId and reason (got playerId=${playerId}, reason=${reason})`);
+    }
+    const entryId = transaction.create(LEDGER_COLLECTION, null, {
+        playerId,
+        actorId: actorId || playerId,
+        counterpartyId,
+        orderId,
+        code,
+        reason,
+        note,
+        karmaDelta: Number(karmaDelta) || 0,
+        reputationDelta: Number(reputationDelta) || 0,
+        karmaAfter,
+        reputationAfter,
+        createdAt: transaction.timestamp()
+    });
+    logger.debug(`[recordLedgerEntry] Queued ${reason} for ${playerId}: karma ${karmaDelta} -> ${karmaAfter}, rep ${reputationDelta} -> ${reputationAfter}`);
+    return entryId;
+}
@@ -0,0 +1,138 @@
+/**
+ * Location geometry
+ * Distances between drop spots, measured on the same grid the ASCII studio map uses.
+ */
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { ORDER_STATUS, BATCH_RADIUS, BATCH_SUGGESTION_LIMIT } from './constants.js';
+import { getRepository } from './repository.js';
+import { logger } from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const coordinatesPath = path.join(path.resolve(__dirname, '..'), 'assets', 'map_coordinates.json');
+
+let coordinatesCache = null;
+
+/**
+ * Load map_coordinates.json once per instance.
+ * @returns {object} - Map of location key -> { x, y } grid cell. Empty if the file can't be read.
+ */
+export function getLocationCoordinates() {
+  if (coordinatesCache) return coordinatesCache;
+  try {
+    coordinatesCache = JSON.parse(fs.readFileSync(coordinatesPath, 'utf8'));
+  } catch (error) {
+    logger.error(`[getLocationCoordinates] Could not read ${coordinatesPath}:`, error);
+    return {};
+  }
+  return coordinatesCache;
+}
+
+/**
+ * Walking distance between two locations, in map cells.
+ * Manhattan distance, since runners follow hallways rather than cutting through walls.
+ * @param {string} fromKey - Location key (e.g. 'nw_studio').
+ * @param {string} toKey - Location key.
+ * @returns {number|null} - Distance, or null if either location isn't on the map.
+ */
+export function getLocationDistance(fromKey, toKey) {
+  const coordinates = getLocationCoordinates();
+  const from = coordinates[fromKey];
+  const to = coordinates[toKey];
+  if (!from || !to) return null;
+  return Math.abs(from.x - to.x) + Math.abs(from.y - to.y);
+}
+
+/**
+ * Pick the open orders that sit near any of a runner's current drops.
+ * @param {Array<string>} anchorLocations - Location keys of the orders the runner already holds.
+ * @param {Array<object>} orders - Candidate orders (must have a location).
+ * @param {number} [radius=BATCH_RADIUS] - Max distance in map cells.
+ * @returns {Array<object>} - Matching orders with a `distance` field, closest first.
+ */
+export function findNearbyOrders(anchorLocations, orders, radius = BATCH_RADIUS) {
+  return orders
+    .map(order => {
+      const distances = anchorLocations
+        .map(anchor => getLocationDistance(anchor, order.location))
+        .filter(distance => distance !== null);
+      return { ...order, distance: distances.length > 0 ? Math.min(...distances) : null };
+    })
+    .filter(order => order.distance !== null && order.distance <= radius)
+    .sort((a, b) => a.distance - b.distance);
+}
+
+/**
+ * Order a runner's drops into a walking route.
+ * Greedy nearest-neighbour: start at the drop with the soonest deadline, then always walk to
+ * the closest remaining one. Drops that aren't on the map go last, in their original order.
+ * @param {Array<object>} orders - Orders to visit, soonest deadline first.
+ * @returns {Array<object>} - The same orders in route order.
+ */
+export function planRoute(orders) {
+  const coordinates = getLocationCoordinates();
+  const remaining = orders.filter(order => coordinates[order.location]);
+  const offMap = orders.filter(order => !coordinates[order.location]);
+  const route = [];
+
+  let current = remaining.shift();
+  while (current) {
+    route.push(current);
+    if (remaining.length === 0) break;
+    let nextIndex = 0;
+    remaining.forEach((order, index) => {
+      if (getLocationDistance(current.location, order.location) < getLocationDistance(current.location, remaining[nextIndex].location)) {
+        nextIndex = index;
+      }
+    });
+    current = remaining.splice(nextIndex, 1)[0];
+  }
+
+  return route.concat(offMap);
+}
+
+/**
+ * Rank runner offers for an order: runners who can make every drink first, then closest first.
+ * Offers without a known runner location sort after the ones with one.
+ * @param {object} order - The order (uses location, category and, for group orders, items).
+ * @param {Array<object>} offers - Active runner offers (status 'offered').
+ * @returns {Array<object>} - Offers with `canMake` and `distance` fields, best match first.
+ */
+export function rankRunnerOffers(order, offers) {
+  const categories = order.items?.length > 0
+    ? [...new Set(order.items.map(item => item.category))]
+    : [order.category];
+  const sortDistance = (distance) => distance ?? Number.MAX_SAFE_INTEGER;
+
+  return offers
+    .map(offer => ({
+      ...offer,
+      canMake: categories.every(category => (offer.capabilities || []).includes(category)),
+      distance: getLocationDistance(offer.runnerLocation, order.location)
+    }))
+    .sort((a, b) => (Number(b.canMake) - Number(a.canMake)) || (sortDistance(a.distance) - sortDistance(b.distance)));
+}
+
+/**
+ * Open orders a runner could stack onto the run they already hold.
+ * Skips the runner's own requests and orders whose timer already ran out but haven't been swept yet.
+ * @param {string} runnerId - Slack User ID of the runner.
+ * @param {Array<object>|null} [heldOrders=null] - The runner's claimed orders, if already fetched.
+ * @param {number} [limit=BATCH_SUGGESTION_LIMIT] - Max orders to return.
+ * @returns {Promise<Array<object>>} - Nearby open orders with a `distance` field, closest first.
+ */
+export async function getNearbyOpenOrders(runnerId, heldOrders = null, limit = BATCH_SUGGESTION_LIMIT) {
+  const held = heldOrders || await getRepository().orders.listForPlayer(runnerId, { status: ORDER_STATUS.CLAIMED, limit: 10, role: 'runner' });
+  if (held.length === 0) return [];
+
+  const now = Date.now();
+  const openOrders = (await getRepository().orders.listByStatus(ORDER_STATUS.ORDERED))
+    .filter(order => order.requesterId !== runnerId)
+    .filter(order => !order.expiryTimestamp?.toMillis || order.expiryTimestamp.toMillis() > now);
+
+  const nearby = findNearbyOrders(held.map(order => order.location), openOrders).slice(0, limit);
+  logger.debug(`[getNearbyOpenOrders] ${nearby.length} of ${openOrders.length} open orders near runner ${runnerId}'s ${held.length} drops.`);
+  return nearby;
+}
@@ -1,7 +1,7 @@
 /**
  * Utility functions for formatting Slack Block Kit messages
  */
-import { ORDER_STATUS, LOCATIONS, DRINK_CATEGORIES } from './constants.js';
+import { ORDER_STATUS, LOCATIONS, DRINK_CATEGORIES, WEEKDAYS, STANDING_ORDER_LIMIT, OFFICE_TIMEZONE } from './constants.js';
 import { getConfig } from './config.js'; // Import shared config getter
 import path from 'path'; // Needed for map generation file path
 import fs from 'fs';     // Needed for map generation file read
@@ -667,9 +667,19 @@ export function formatRunnerMessage(runnerData, messageTs) {
 /**
  * Format the leaderboard message
  * @param {Array<Object>} players - Sorted array of player objects
+ * @param {Object} [options]
+ * @param {string} [options.heading='THE BREW SCROLL'] - Text in the top border (e.g. the season)
+ * @param {string} [options.valueLabel='REPUTATION'] - Header of the score column (14 chars max)
+ * @param {function(Object): string} [options.formatValue] - Score column text for a player; defaults to reputation
+ * @param {function(Object): string} [options.formatTitle] - Title column text for a player; defaults to their title
  * @returns {Array} - Slack blocks for the message
  */
-export function formatLeaderboard(players) {
+export function formatLeaderboard(players, {
+  heading = 'THE BREW SCROLL',
+  valueLabel = 'REPUTATION',
+  formatValue = (player) => String(player.reputation || 0),
+  formatTitle = (player) => player.title || 'ROOKIE'
+} = {}) {
   const totalWidth = 80; // Target width
   // Define column widths based on user example
   const rankColWidth = 8;
@@ -678,9 +688,13 @@ export function formatLeaderboard(players) {
   const titleColWidth = 24;
 
   // Use exact strings from user example
-  const titleLine = `+=============================[ THE BREW SCROLL ]==============================+`;
+  const headingText = `[ ${heading} ]`;
+  const headingPadLeft = Math.floor((totalWidth - 2 - headingText.length) / 2); // 29 for THE BREW SCROLL
+  const titleLine = `+${'='.repeat(headingPadLeft)}${headingText}${'='.repeat(totalWidth - 2 - headingText.length - headingPadLeft)}+`;
   const subDivide = `+------------------------------------------------------------------------------+`; 
-  const header = `|  RANK  |           NAME              |  REPUTATION  |         TITLE          |`;
+  const valuePadLeft = Math.floor((repColWidth - valueLabel.length) / 2);
+  const valueHeader = `${' '.repeat(valuePadLeft)}${valueLabel}${' '.repeat(repColWidth - valueLabel.length - valuePadLeft)}`;
+  const header = `|  RANK  |           NAME              |${valueHeader}|         TITLE          |`;
   const separator = `|--------|-----------------------------|--------------|------------------------|`;
   const bottomBorder = `+==============================================================================+`;
 
@@ -714,14 +728,14 @@ export function formatLeaderboard(players) {
     const nameStr = ' ' + (player.name || 'UNKNOWN').toUpperCase(); // Add leading space
     const namePadded = nameStr.padEnd(nameColWidth).substring(0, nameColWidth);
     
-    // Center Reputation in 14 chars
-    const repStr = String(player.reputation || 0);
+    // Center the score (reputation by default) in 14 chars
+    const repStr = formatValue(player).substring(0, repColWidth);
     const repPadLeft = Math.floor((repColWidth - repStr.length) / 2);
     const repPadRight = Math.ceil((repColWidth - repStr.length) / 2);
     const repPadded = `${ ' '.repeat(repPadLeft)}${repStr}${' '.repeat(repPadRight)}`;
 
     // Pad Title to 24 chars WITH leading space
-    const titleStr = ' ' + (player.title || 'ROOKIE').toUpperCase(); // Add leading space
+    const titleStr = ' ' + formatTitle(player).toUpperCase(); // Add leading space
     const titlePadded = titleStr.padEnd(titleColWidth).substring(0, titleColWidth);
     
     // Construct the row string precisely based on column widths
@@ -750,9 +764,376 @@ export function formatLeaderboard(players) {
   ];
 }
 
+/**
+ * Short status labels for the /history table (keeps the STATUS column narrow).
+ */
+const HISTORY_STATUS_LABELS = {
+  [ORDER_STATUS.ORDERED]: 'OPEN',
+  [ORDER_STATUS.SCHEDULED]: 'QUEUED',
+  [ORDER_STATUS.OFFERED]: 'OFFERED',
+  [ORDER_STATUS.CLAIMED]: 'CLAIMED',
+  [ORDER_STATUS.DELIVERED]: 'DELIVERED',
+  [ORDER_STATUS.EXPIRED]: 'EXPIRED',
+  [ORDER_STATUS.CANCELLED]: 'SCRAPPED',
+  [ORDER_STATUS.FAILED]: 'FAILED',
+  [ORDER_STATUS.EXPIRED_OFFER]: 'NO TAKERS',
+  [ORDER_STATUS.CANCELLED_RUNNER]: 'DROPPED',
+  [ORDER_STATUS.EXPIRED_CLAIMED]: 'TIMED OUT'
+};
+
+// Statuses where the requester's karma came back to them
+const REFUNDED_STATUSES = [
+  ORDER_STATUS.EXPIRED,
+  ORDER_STATUS.CANCELLED,
+  ORDER_STATUS.CANCELLED_RUNNER,
+  ORDER_STATUS.EXPIRED_CLAIMED
+];
+
+/**
+ * Format the /history table for one page of a player's orders and deliveries.
+ * @param {Array<object>} entries - Orders for this page, each with an added `role` ('requester' | 'runner').
+ * @param {number} page - Zero-based page index.
+ * @param {boolean} hasMore - Whether an older page exists.
+ * @returns {Array<object>} - Slack Block Kit blocks (table + paging buttons).
+ */
+export function formatHistory(entries, page, hasMore) {
+  const titleLine = `+================================[ YOUR TAB ]==================================+`;
+  const header =    `| WHEN        ROLE  DRINK @ LOCATION        WITH          STATUS         KARMA |`;
+  const separator = `|------------------------------------------------------------------------------|`;
+  const bottomBorder = `+==============================================================================+`;
+
+  if (!entries || entries.length === 0) {
+    return [
+      {
+        type: 'section',
+        text: { type: 'mrkdwn', text: page === 0 ? 'Tab\'s empty. Nothing ordered, nothing run.' : 'End of the tab. Nothing older.' }
+      }
+    ];
+  }
+
+  const rows = entries.map(order => {
+    const isRunner = order.role === 'runner';
+    const createdAtMs = order.createdAt?.toMillis ? order.createdAt.toMillis() : new Date(order.createdAt || Date.now()).getTime();
+    const when = new Date(createdAtMs).toLocaleString('en-US', {
+      timeZone: OFFICE_TIMEZONE,
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).replace(',', '');
+
+    const role = isRunner ? 'RAN' : 'ORDER';
+    const location = LOCATIONS[order.location] || order.location || '?';
+    const drinkAndLocation = `${order.drink || order.category || '?'} @ ${location}`.toUpperCase();
+    const counterparty = (isRunner ? order.requesterName : order.runnerName) || '-';
+    const status = HISTORY_STATUS_LABELS[order.status] || String(order.status || '?').toUpperCase();
+
+    const cost = Number(order.karmaCost || 0);
+    const reward = Number(order.runnerReward ?? order.karmaCost ?? 0); // What the runner was paid before bonus
+    const bonus = Number(order.bonusMultiplier || 1);
+    let karma;
+    if (isRunner) {
+      karma = order.status === ORDER_STATUS.DELIVERED
+        ? `+${reward * bonus}${bonus > 1 ? ` x${bonus}` : ''}`
+        : '0';
+    } else {
+      if (order.status === ORDER_STATUS.SCHEDULED) {
+        karma = 'PENDING';
+      } else if (order.scheduledFor && !order.releasedAt) {
+        karma = '0'; // Scrapped before it went live, never charged
+      } else {
+        // An admin refund leaves the order DELIVERED with refundedAt set
+        karma = REFUNDED_STATUSES.includes(order.status) || order.refundedAt ? 'REFUND' : `-${cost}`;
+      }
+    }
+
+    return `| ${when.padEnd(11).substring(0, 11)} ${role.padEnd(5)} ${drinkAndLocation.padEnd(23).substring(0, 23)} ${counterparty.toUpperCase().padEnd(13).substring(0, 13)} ${status.padEnd(10).substring(0, 10)} ${karma.padStart(9).substring(0, 9)} |`;
+  });
+
+  const table = [titleLine, header, separator, ...rows, bottomBorder].join('\n');
+
+  const blocks = [
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text: `\`\`\`\n${table}\n\`\`\`` }
+    }
+  ];
+
+  const pagingButtons = [];
+  if (page > 0) {
+    pagingButtons.push({
+      type: 'button',
+      text: { type: 'plain_text', text: '< NEWER', emoji: true },
+      action_id: 'history_page_newer',
+      value: String(page - 1)
+    });
+  }
+  if (hasMore) {
+    pagingButtons.push({
+      type: 'button',
+      text: { type: 'plain_text', text: 'OLDER >', emoji: true },
+      action_id: 'history_page_older',
+      value: String(page + 1)
+    });
+  }
+  if (pagingButtons.length > 0) {
+    blocks.push({ type: 'actions', block_id: 'history_paging', elements: pagingButtons });
+  }
+
+  return blocks;
+}
+
+/**
+ * Format the /mydeliveries dashboard: one card per claimed order with a map and
+ * the same MARK DELIVERED / CANCEL DELIVERY actions as the channel message.
+ * With more than one claimed, a numbered route map and MARK ALL DELIVERED go on top.
+ * @param {Array<object>} orders - Orders currently claimed by the runner, in route order.
+ * @param {Array<object>} [nearbyOrders=[]] - Open orders near the runner's drops (from findNearbyOrders).
+ * @returns {Array<object>} - Slack Block Kit blocks.
+ */
+export function formatMyDeliveries(orders, nearbyOrders = []) {
+  const cardWidth = 50;
+  const contentWidth = cardWidth - 4;
+  const refreshBlock = {
+    type: 'actions',
+    block_id: 'mydeliveries_refresh_block',
+    elements: [
+      { type: 'button', text: { type: 'plain_text', text: 'REFRESH', emoji: false }, action_id: 'mydeliveries_refresh', value: 'refresh' }
+    ]
+  };
+
+  if (!orders || orders.length === 0) {
+    return [
+      {
+        type: 'section',
+        text: { type: 'mrkdwn', text: 'No runs on your plate. Claim one in the channel or /deliver.' }
+      }
+    ];
+  }
+
+  const formatLine = (label, value) => {
+    const paddedLabel = label.padEnd(14);
+    const valueStr = String(value ?? '').toUpperCase();
+    const maxValue = contentWidth - paddedLabel.length;
+    const truncated = valueStr.length > maxValue ? valueStr.substring(0, maxValue - 1) + '…' : valueStr;
+    return `| ${paddedLabel}${truncated.padEnd(maxValue)} |`;
+  };
+
+  const blocks = [
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text: `*YOUR RUNS* — ${orders.length} claimed. Drop 'em before the clock does.` }
+    }
+  ];
+
+  // Holding more than one: show the whole run as one numbered route
+  if (orders.length > 1) {
+    const stopLines = [
+      `+${'-'.repeat(cardWidth - 2)}+`,
+      formatLine('ROUTE:', `${orders.length} STOPS`),
+      `| ${'-'.repeat(contentWidth)} |`,
+      ...orders.map((order, index) => formatLine(
+        `${Math.min(index + 1, 9)}.`,
+        `${order.locationDisplayName || LOCATIONS[order.location] || order.location} - ${order.drink}`
+      )),
+      `+${'-'.repeat(cardWidth - 2)}+`
+    ];
+    const routeMapLines = generateMap(orders.map(order => order.location), { includeLegend: false }).split('\n');
+    const routeRows = [];
+    for (let i = 0; i < Math.max(stopLines.length, routeMapLines.length); i++) {
+      routeRows.push(`${stopLines[i] || ' '.repeat(cardWidth)}  ${routeMapLines[i] || ''}`);
+    }
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: `\`\`\`\n${routeRows.join('\n')}\n\`\`\`` }
+    });
+    blocks.push({
+      type: 'actions',
+      block_id: 'mydeliveries_route_actions',
+      elements: [
+        { type: 'button', text: { type: 'plain_text', text: 'MARK ALL DELIVERED', emoji: false }, style: 'primary', action_id: 'deliver_all_orders', value: 'all' }
+      ]
+    });
+  }
+
+  orders.forEach(order => {
+    const orderId = order.orderId || order.id;
+    const isGift = order.recipientId && order.recipientId !== order.requesterId;
+    const dropFor = isGift ? `${order.recipientName} (GIFT)` : order.requesterName;
+
+    let timeText = 'TIMER UNAVAILABLE';
+    if (order.timeClaimed instanceof Timestamp && order.claimedExpiryTimestamp instanceof Timestamp) {
+      const totalDurationMs = order.claimedExpiryTimestamp.toMillis() - order.timeClaimed.toMillis();
+      if (totalDurationMs > 0) {
+        timeText = formatTimeRemainingUtil(order.timeClaimed, totalDurationMs, 'DELIVER', 10);
+      }
+    }
+
+    const cardLines = [
+      `+${'-'.repeat(cardWidth - 2)}+`,
+      formatLine('DROP ID:', order.slackMessageTs || orderId),
+      formatLine('FOR:', dropFor),
+      formatLine('DRINK:', order.drink),
+      formatLine('LOCATION:', order.locationDisplayName || LOCATIONS[order.location] || order.location),
+      formatLine('NOTES:', order.notes || 'NONE'),
+      formatLine('REWARD:', `${order.runnerReward ?? order.karmaCost ?? 0} KARMA`),
+      `| ${'-'.repeat(contentWidth)} |`,
+      `| ${timeText.padEnd(contentWidth).substring(0, contentWidth)} |`,
+      `+${'-'.repeat(cardWidth - 2)}+`
+    ];
+
+    // Map on the right, card on the left (same layout as the channel order message)
+    const mapLines = generateMap(order.location, { includeLegend: false }).split('\n');
+    const rowCount = Math.max(cardLines.length, mapLines.length);
+    const merged = [];
+    for (let i = 0; i < rowCount; i++) {
+      const left = cardLines[i] || ' '.repeat(cardWidth);
+      const right = mapLines[i] || '';
+      merged.push(`${left}  ${right}`);
+    }
+
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: `\`\`\`\n${merged.join('\n')}\n\`\`\`` }
+    });
+    blocks.push({
+      type: 'actions',
+      block_id: `mydeliveries_actions_${orderId}`,
+      elements: [
+        { type: 'button', text: { type: 'plain_text', text: 'MARK DELIVERED', emoji: false }, style: 'primary', action_id: 'deliver_order', value: orderId },
+        { type: 'button', text: { type: 'plain_text', text: 'CANCEL DELIVERY', emoji: false }, style: 'danger', action_id: 'cancel_claimed_order', value: orderId }
+      ]
+    });
+  });
+
+  if (nearbyOrders.length > 0) {
+    blocks.push({ type: 'divider' });
+    blocks.push(...formatNearbyOrders(nearbyOrders));
+  }
+
+  blocks.push({ type: 'divider' });
+  blocks.push(refreshBlock);
+  return blocks;
+}
+
+/**
+ * Format open orders near a runner's current drops, each with a CLAIM button.
+ * CLAIM reuses the claim_order action registered in order-handler.js.
+ * @param {Array<object>} nearbyOrders - Open orders with a `distance` field (from findNearbyOrders).
+ * @returns {Array<object>} - Slack Block Kit blocks (empty if there's nothing nearby).
+ */
+export function formatNearbyOrders(nearbyOrders) {
+  if (!nearbyOrders || nearbyOrders.length === 0) return [];
+
+  const blocks = [
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text: `*ON YOUR WAY* — ${nearbyOrders.length} open ${nearbyOrders.length === 1 ? 'order' : 'orders'} near your drops. Stack 'em.` }
+    }
+  ];
+
+  nearbyOrders.forEach(order => {
+    const orderId = order.orderId || order.id;
+    const location = order.locationDisplayName || LOCATIONS[order.location] || order.location;
+    blocks.push({
+      type: 'section',
+      block_id: `nearby_order_${orderId}`,
+      text: {
+        type: 'mrkdwn',
+        text: `\`${order.drink}\` → ${location} for ${order.recipientName || order.requesterName} · ${order.runnerReward ?? order.karmaCost ?? 0} Karma · ${order.distance} ${order.distance === 1 ? 'step' : 'steps'} off your route`
+      }
+    });
+    blocks.push({
+      type: 'actions',
+      block_id: `nearby_order_actions_${orderId}`,
+      elements: [
+        { type: 'button', text: { type: 'plain_text', text: 'CLAIM', emoji: false }, style: 'primary', action_id: 'claim_order', value: orderId }
+      ]
+    });
+  });
+
+  return blocks;
+}
+
+/**
+ * Describe a standing order's repeat days, e.g. "WEEKDAYS" or "MON WED FRI".
+ * @param {Array<number>} days - Days of the week (Date.getDay() values).
+ * @returns {string}
+ */
+export function formatStandingOrderDays(days = []) {
+  const daySet = new Set(days.map(Number));
+  if (daySet.size === 7) return 'DAILY';
+  if (daySet.size === 5 && [1, 2, 3, 4, 5].every(d => daySet.has(d))) return 'WEEKDAYS';
+  if (daySet.size === 2 && daySet.has(0) && daySet.has(6)) return 'WEEKENDS';
+  return WEEKDAYS.filter(d => daySet.has(Number(d.value))).map(d => d.text.toUpperCase()).join(' ');
+}
+
+/**
+ * Format the /standing list: one line per standing order with PAUSE/RESUME and DELETE buttons.
+ * @param {Array<object>} standingOrders - The player's standing orders.
+ * @returns {Array<object>} - Slack Block Kit blocks.
+ */
+export function formatStandingOrders(standingOrders) {
+  const newButtonBlock = {
+    type: 'actions',
+    block_id: 'standing_order_new_block',
+    elements: [
+      { type: 'button', text: { type: 'plain_text', text: 'NEW STANDING ORDER', emoji: false }, style: 'primary', action_id: 'standing_order_new', value: 'new' }
+    ]
+  };
+
+  if (!standingOrders || standingOrders.length === 0) {
+    return [
+      {
+        type: 'section',
+        text: { type: 'mrkdwn', text: 'No standing orders. Set one up and the same drink drops on the same days, same time.' }
+      },
+      newButtonBlock
+    ];
+  }
+
+  const blocks = [
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text: `*YOUR STANDING ORDERS* — ${standingOrders.length}/${STANDING_ORDER_LIMIT}. Karma's charged each time one drops.` }
+    }
+  ];
+
+  standingOrders.forEach(standingOrder => {
+    const location = LOCATIONS[standingOrder.location] || standingOrder.location;
+    const cost = DRINK_CATEGORIES[standingOrder.category]?.cost || 2;
+    const forText = standingOrder.recipientId && standingOrder.recipientId !== standingOrder.ownerId ? ` for <@${standingOrder.recipientId}>` : '';
+    const state = standingOrder.paused ? ' · *PAUSED*' : '';
+    blocks.push({
+      type: 'section',
+      block_id: `standing_order_${standingOrder.id}`,
+      text: {
+        type: 'mrkdwn',
+        text: `\`${standingOrder.drink}\` → ${location}${forText}\n${formatStandingOrderDays(standingOrder.days)} at ${standingOrder.time} · ${cost} Karma${state}`
+      }
+    });
+    blocks.push({
+      type: 'actions',
+      block_id: `standing_order_actions_${standingOrder.id}`,
+      elements: [
+        { type: 'button', text: { type: 'plain_text', text: standingOrder.paused ? 'RESUME' : 'PAUSE', emoji: false }, action_id: 'standing_order_toggle', value: standingOrder.id },
+        { type: 'button', text: { type: 'plain_text', text: 'DELETE', emoji: false }, style: 'danger', action_id: 'standing_order_delete', value: standingOrder.id }
+      ]
+    });
+  });
+
+  blocks.push({ type: 'divider' });
+  if (standingOrders.length < STANDING_ORDER_LIMIT) {
+    blocks.push(newButtonBlock);
+  }
+  return blocks;
+}
+
 /**
  * Generate ASCII map with marker and legend (optional)
- * @param {string} locationKey - Location key (e.g., nw_studio)
+ * Pass an array of keys to plot a route: stops are numbered 1-9 in array order.
+ * @param {string|Array<string>} locationKey - Location key (e.g., nw_studio), or route stops
  * @param {object} [options] - Options object
  * @param {boolean} [options.includeLegend=true] - Whether to include the legend side-by-side
  * @returns {string} - Formatted ASCII map string (with or without legend)
@@ -789,32 +1170,40 @@ export function generateMap(locationKey, options = { includeLegend: true }) {
     const template = fs.readFileSync(mapTemplatePath, 'utf8');
     const coordinatesData = JSON.parse(fs.readFileSync(coordinatesPath, 'utf8'));
 
-    // Get coordinates using the locationKey directly (matching map_coordinates.json structure)
-    const coords = coordinatesData[locationKey];
+    // Single drop gets the ✗; a route gets numbered stops
+    const isRoute = Array.isArray(locationKey);
+    const stops = (isRoute ? locationKey : [locationKey]).map((key, index) => ({
+        key,
+        marker: isRoute ? String(Math.min(index + 1, 9)) : marker
+    }));
 
-    // Place marker
+    // Place markers
     let mapLines = template.split('\n');
-    if (coords) {
-        try {
-            const y = parseInt(coords.y, 10);
-            const x = parseInt(coords.x, 10);
-            if (!isNaN(y) && !isNaN(x) && y >= 0 && y < mapLines.length) {
-                let line = mapLines[y].split('');
-                if (x >= 0 && x < line.length) {
-                    line[x] = marker;
-                    mapLines[y] = line.join('');
+    stops.forEach(stop => {
+        // Get coordinates using the location key directly (matching map_coordinates.json structure)
+        const coords = coordinatesData[stop.key];
+        if (coords) {
+            try {
+                const y = parseInt(coords.y, 10);
+                const x = parseInt(coords.x, 10);
+                if (!isNaN(y) && !isNaN(x) && y >= 0 && y < mapLines.length) {
+                    let line = mapLines[y].split('');
+                    if (x >= 0 && x < line.length) {
+                        line[x] = stop.marker;
+                        mapLines[y] = line.join('');
+                    } else {
+                         console.warn(`X-coord ${x} out of bounds`);
+                    }
                 } else {
-                     console.warn(`X-coord ${x} out of bounds`);
+                    console.warn(`Y-coord ${y} out of bounds`);
                 }
-            } else {
-                console.warn(`Y-coord ${y} out of bounds`);
+            } catch (e) {
+                 console.error(`Coord parse error: ${e}`);
             }
-        } catch (e) {
-             console.error(`Coord parse error: ${e}`);
+        } else if (stop.key && stop.key !== 'loc_default') {
+            console.warn(`Coords not found: ${stop.key}`);
         }
-    } else if (locationKey && locationKey !== 'loc_default') {
-        console.warn(`Coords not found: ${locationKey}`);
-    }
+    });
 
     // --- Prepare Map Component --- 
     const mapWidth = 26; // Width of the map part
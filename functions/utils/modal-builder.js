@@ -1,7 +1,10 @@
 /**
  * Utility functions for building Slack modals
  */
-import { DRINK_CATEGORIES, LOCATIONS, DELIVERY_DURATIONS } from './constants.js'; // Use DELIVERY_DURATIONS
+import { DRINK_CATEGORIES, LOCATIONS, DELIVERY_DURATIONS, REPUTATION_TITLES, WEEKDAYS, FAVORITES_LIMIT, GROUP_ORDER_MIN_ITEMS, GROUP_ORDER_MAX_ITEMS } from './constants.js'; // Use DELIVERY_DURATIONS
+import { generateProgressBar } from '../lib/utils.js';
+import { ACHIEVEMENTS, getPlayerAchievements, formatBadge } from '../lib/achievements.js';
+import { isDynamicPricingEnabled } from '../lib/pricing.js';
 import { generateMap } from './message-formatter.js';
 import { logger } from './logger.js';
 import { fileURLToPath } from 'url';
@@ -11,14 +14,32 @@ import path from 'path';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+/**
+ * The order and group order modals' price line. The order handler swaps it in (block_id price_block)
+ * whenever a drink or the drop changes.
+ * @param {string|null} [priceText=null] - From formatQuote(); null until a drink is picked.
+ * @returns {Object} - Context block.
+ */
+export function buildOrderPriceBlock(priceText = null) {
+  return {
+    type: "context",
+    block_id: "price_block",
+    elements: [{
+      type: "mrkdwn",
+      text: priceText ? `*PRICE:* ${priceText}` : "*PRICE:* pick a drink and a drop to see it."
+    }]
+  };
+}
+
 /**
  * Build the order modal
- * @param {Object} [initialValues={}] - Initial values to pre-populate fields
+ * @param {Object} [initialValues={}] - Initial values to pre-populate fields (priceText fills the price line)
  * @param {string|null} [viewId=null] - The view ID if updating an existing modal.
  * @param {Array<string>|null} [runnerCapabilities=null] - Array of category keys the target runner CAN make.
  * @param {string|null} [originatingChannelId=null] - ID of the channel where /order was invoked.
  * @param {string|null} [originatingChannelName=null] - Name of the channel where /order was invoked.
  * @param {Object|null} [privateMetadata=null] - Additional metadata to store.
+ * @param {Array<Object>} [favorites=[]] - Player's saved favorites, offered in a picker at the top.
  * @returns {Object} - Slack modal view payload
  */
 export function buildOrderModal(
@@ -27,13 +48,28 @@ export function buildOrderModal(
     runnerCapabilities = null, 
     originatingChannelId = null,
     originatingChannelName = null,
-    privateMetadata = null // <<< Corrected parameter name
+    privateMetadata = null, // <<< Corrected parameter name
+    favorites = []
 ) {
   // <<< Fix the debug log >>>
   logger.debug(`[buildOrderModal] Received runnerCapabilities: ${runnerCapabilities ? JSON.stringify(runnerCapabilities) : 'null'}`);
   
   const callbackId = 'koffee_request_modal'; 
   const initialMap = generateMap(initialValues.location || null, { includeLegend: true });
+  // Slack keeps typed input over initial_value when a block_id is reused on views.update,
+  // so a pre-filled rebuild (favorites picker) versions the input block IDs.
+  const inputSuffix = initialValues.inputVersion ? `_v${initialValues.inputVersion}` : '';
+  const favoriteOptions = favorites.slice(0, FAVORITES_LIMIT).map((favorite, index) => ({
+    text: { type: "plain_text", text: favorite.name.substring(0, 75), emoji: true },
+    value: String(index)
+  }));
+  const locationOptions = Object.entries(LOCATIONS)
+    .filter(([key, text]) => key !== 'loc_default') // Exclude default from dropdown
+    .sort(([, textA], [, textB]) => textA.localeCompare(textB)) // Sort alphabetically by display name
+    .map(([key, text]) => ({
+      text: {type: "plain_text", text: text, emoji: true},
+      value: key // Use the location key (e.g., nw_studio)
+    }));
 
   // Generate category options dynamically, applying formatting based on runnerCapabilities
   const categoryOptions = Object.entries(DRINK_CATEGORIES).map(([key, { name, cost }]) => {
@@ -50,7 +86,7 @@ export function buildOrderModal(
     if (!canRunnerMake) {
         optionText = `⊘ ${name.toUpperCase()} ⊘`; // Keep disabled style
     } else {
-        optionText = `${name} – ${cost} Karma`; // Use reference format
+        optionText = `${name} – ${cost}${isDynamicPricingEnabled() ? '+' : ''} Karma`; // Use reference format; dynamic pricing only adds
     }
     // <<< Correct the log message to log the actual variable >>>
     logger.debug(`[buildOrderModal] Generated option for ${key}: text='${optionText}', canRunnerMake=${canRunnerMake}`);
@@ -93,6 +129,29 @@ export function buildOrderModal(
     },
     private_metadata: JSON.stringify(finalMetadata), // Store combined metadata
     blocks: [
+      // Favorites picker (only when the player has some)
+      ...(favoriteOptions.length > 0 ? [{
+        type: "section",
+        block_id: "favorite_block",
+        text: {
+          type: "mrkdwn",
+          text: "*The usual?*"
+        },
+        accessory: {
+          type: "static_select",
+          action_id: "favorite_select",
+          placeholder: {
+            type: "plain_text",
+            text: "Pick a favorite",
+            emoji: true
+          },
+          options: favoriteOptions,
+          ...(initialValues.favoriteIndex !== undefined && favoriteOptions[initialValues.favoriteIndex] && {
+            initial_option: favoriteOptions[initialValues.favoriteIndex]
+          })
+        }
+      }] : []),
+
       // Drink Category Selection
       {
         type: "section",
@@ -120,7 +179,7 @@ export function buildOrderModal(
       // Drink Details Input
       {
         type: "input",
-        block_id: "drink_block",
+        block_id: `drink_block${inputSuffix}`,
         element: {
           type: "plain_text_input",
           action_id: "drink_input",
@@ -154,13 +213,10 @@ export function buildOrderModal(
             text: "Select your location",
             emoji: true
           },
-          options: Object.entries(LOCATIONS)
-            .filter(([key, text]) => key !== 'loc_default') // Exclude default from dropdown
-            .sort(([, textA], [, textB]) => textA.localeCompare(textB)) // Sort alphabetically by display name
-            .map(([key, text]) => ({
-              text: {type: "plain_text", text: text, emoji: true},
-              value: key // Use the location key (e.g., nw_studio)
-            }))
+          options: locationOptions,
+          ...(locationOptions.some(opt => opt.value === initialValues.location) && {
+             initial_option: locationOptions.find(opt => opt.value === initialValues.location)
+           })
         }
       },
       
@@ -173,6 +229,9 @@ export function buildOrderModal(
           text: `\`\`\`${initialMap}\`\`\``
         }
       },
+
+      // Price for the picked drink and drop (lib/pricing.js)
+      buildOrderPriceBlock(initialValues.priceText || null),
       
       // Optional Recipient Selection (Converted to Input Block)
       {
@@ -197,10 +256,57 @@ export function buildOrderModal(
         }
       },
       
+      // Optional "Deliver at" time for scheduled orders (not offered on runner-targeted orders)
+      ...(runnerCapabilities === null ? [{
+        type: "input",
+        block_id: "deliver_at_block",
+        optional: true,
+        label: {
+          type: "plain_text",
+          text: "Deliver at (leave blank for now)",
+          emoji: true
+        },
+        element: {
+          type: "datetimepicker",
+          action_id: "deliver_at_input"
+        },
+        hint: {
+          type: "plain_text",
+          text: "Order drops into the channel and charges your Karma at this time.",
+          emoji: true
+        }
+      }] : []),
+
+      // Optional: save this order as a named favorite (not offered on runner-targeted orders)
+      ...(runnerCapabilities === null ? [{
+        type: "input",
+        block_id: "favorite_name_block",
+        optional: true,
+        label: {
+          type: "plain_text",
+          text: "Save as favorite (name it)",
+          emoji: true
+        },
+        element: {
+          type: "plain_text_input",
+          action_id: "favorite_name_input",
+          placeholder: {
+            type: "plain_text",
+            text: "e.g., Morning fix"
+          },
+          max_length: 30
+        },
+        hint: {
+          type: "plain_text",
+          text: `Up to ${FAVORITES_LIMIT}. Reuse a name to overwrite it.`,
+          emoji: true
+        }
+      }] : []),
+
       // Optional Notes
       {
         type: "input",
-        block_id: "notes_block",
+        block_id: `notes_block${inputSuffix}`,
         optional: true,
         element: {
           type: "plain_text_input",
@@ -217,6 +323,141 @@ export function buildOrderModal(
           text: "Say less...",
           emoji: true
         }
+      },
+
+      // Switch to the group order modal (not offered on runner-targeted orders)
+      ...(runnerCapabilities === null ? [{
+        type: "actions",
+        block_id: "group_order_switch_block",
+        elements: [
+          { type: "button", text: { type: "plain_text", text: "ORDERING FOR A CREW? GO GROUP", emoji: false }, action_id: "switch_to_group_order", value: "group" }
+        ]
+      }] : [])
+    ]
+  };
+}
+
+/**
+ * Build the group order modal: several drinks, one drop spot, one runner.
+ * Each line item gets its own block IDs (group_item_<n>_...) so rows survive views.update
+ * when "+ ADD DRINK" grows the form.
+ * @param {Object} [options]
+ * @param {number} [options.itemCount=GROUP_ORDER_MIN_ITEMS] - Number of line item rows to show.
+ * @param {Array<Object>} [options.items=[]] - Initial line items ({category, drink, recipientId}), e.g. for a reorder.
+ * @param {Object} [options.initialValues={}] - Initial location/notes (priceText fills the price line).
+ * @param {Object} [options.privateMetadata={}] - Metadata to carry (originating channel).
+ * @returns {Object} - Slack modal view payload
+ */
+export function buildGroupOrderModal({ itemCount = GROUP_ORDER_MIN_ITEMS, items = [], initialValues = {}, privateMetadata = {} } = {}) {
+  const rowCount = Math.min(Math.max(itemCount, items.length, GROUP_ORDER_MIN_ITEMS), GROUP_ORDER_MAX_ITEMS);
+  const categoryOptions = Object.entries(DRINK_CATEGORIES).map(([key, { name, cost }]) => ({
+    text: { type: "plain_text", text: `${name} – ${cost}${isDynamicPricingEnabled() ? '+' : ''} Karma`, emoji: true }, // Dynamic pricing only adds
+    value: key
+  }));
+  const locationOptions = Object.entries(LOCATIONS)
+    .filter(([key]) => key !== 'loc_default')
+    .sort(([, textA], [, textB]) => textA.localeCompare(textB))
+    .map(([key, text]) => ({ text: { type: "plain_text", text, emoji: true }, value: key }));
+
+  const itemBlocks = [];
+  for (let i = 0; i < rowCount; i++) {
+    const item = items[i] || {};
+    const required = i < GROUP_ORDER_MIN_ITEMS;
+    const initialCategory = categoryOptions.find(opt => opt.value === item.category);
+    itemBlocks.push(
+      { type: "divider" },
+      {
+        type: "input",
+        block_id: `group_item_${i}_category`,
+        dispatch_action: true, // Re-prices the order on pick
+        optional: !required,
+        label: { type: "plain_text", text: `Drink ${i + 1}`, emoji: true },
+        element: {
+          type: "static_select",
+          action_id: "drink_category_select",
+          placeholder: { type: "plain_text", text: "Select a drink type", emoji: true },
+          options: categoryOptions,
+          ...(initialCategory && { initial_option: initialCategory })
+        }
+      },
+      {
+        type: "input",
+        block_id: `group_item_${i}_drink`,
+        optional: !required,
+        label: { type: "plain_text", text: "What is it?", emoji: true },
+        element: {
+          type: "plain_text_input",
+          action_id: "drink_input",
+          placeholder: { type: "plain_text", text: "e.g., Large latte with oat milk" },
+          initial_value: item.drink || "",
+          max_length: 30
+        }
+      },
+      {
+        type: "input",
+        block_id: `group_item_${i}_recipient`,
+        optional: true,
+        label: { type: "plain_text", text: "Who's it for? (leave blank for yourself)", emoji: true },
+        element: {
+          type: "users_select",
+          action_id: "recipient_select",
+          placeholder: { type: "plain_text", text: "Pick a name... or don't", emoji: true },
+          ...(item.recipientId && { initial_user: item.recipientId })
+        }
+      }
+    );
+  }
+
+  return {
+    type: "modal",
+    callback_id: "group_order_modal",
+    title: { type: "plain_text", text: "GROUP ORDER", emoji: true },
+    submit: { type: "plain_text", text: "LOCK IT IN", emoji: true },
+    close: { type: "plain_text", text: "SCRAP IT", emoji: true },
+    private_metadata: JSON.stringify({ ...privateMetadata, itemCount: rowCount }),
+    blocks: [
+      {
+        type: "context",
+        elements: [{ type: "mrkdwn", text: "One drop, one runner. You pay for every drink; the runner earns the lot." }]
+      },
+      ...itemBlocks,
+      ...(rowCount < GROUP_ORDER_MAX_ITEMS ? [{
+        type: "actions",
+        block_id: "group_order_add_item_block",
+        elements: [
+          { type: "button", text: { type: "plain_text", text: "+ ADD DRINK", emoji: false }, action_id: "group_order_add_item", value: String(rowCount) }
+        ]
+      }] : []),
+      { type: "divider" },
+      {
+        type: "input",
+        block_id: "location_block",
+        dispatch_action: true, // Re-prices the order on pick
+        label: { type: "plain_text", text: "Where's the drop?", emoji: true },
+        element: {
+          type: "static_select",
+          action_id: "location_select",
+          placeholder: { type: "plain_text", text: "Select your location", emoji: true },
+          options: locationOptions,
+          ...(locationOptions.some(opt => opt.value === initialValues.location) && {
+            initial_option: locationOptions.find(opt => opt.value === initialValues.location)
+          })
+        }
+      },
+      // Price for every drink at this drop (lib/pricing.js)
+      buildOrderPriceBlock(initialValues.priceText || null),
+      {
+        type: "input",
+        block_id: "notes_block",
+        optional: true,
+        label: { type: "plain_text", text: "Say less...", emoji: true },
+        element: {
+          type: "plain_text_input",
+          action_id: "notes_input",
+          placeholder: { type: "plain_text", text: "Any special instructions?" },
+          initial_value: initialValues.notes || "",
+          max_length: 30
+        }
       }
     ]
   };
@@ -225,11 +466,19 @@ export function buildOrderModal(
 /**
  * Build the delivery modal
  * @param {Array<string>} [initialCapabilities] - Initial capabilities (keys from DRINK_CATEGORIES) to pre-select
+ * @param {string|null} [currentLocation=null] - Runner's last known location key, pre-selected in "Where you at?"
  * @returns {Object} - Slack modal view payload
  */
-export function buildDeliveryModal(currentCapabilities = []) {
+export function buildDeliveryModal(currentCapabilities = [], currentLocation = null) {
     const callbackId = 'delivery_modal_submit';
 
+    // Where the runner is now; used to match them with nearby orders
+    const locationOptions = Object.entries(LOCATIONS)
+        .filter(([key]) => key !== 'loc_default')
+        .sort(([, textA], [, textB]) => textA.localeCompare(textB))
+        .map(([key, text]) => ({ text: { type: 'plain_text', text, emoji: true }, value: key }));
+    const initialLocationOption = locationOptions.find(opt => opt.value === currentLocation);
+
     // Build capability options
     const capabilityOptions = Object.entries(DRINK_CATEGORIES).map(([key, { name }]) => ({
         text: {
@@ -320,11 +569,260 @@ export function buildDeliveryModal(currentCapabilities = []) {
                     initial_option: initialDurationOption || durationOptions[0]
                 },
                 optional: false
+            },
+            {
+                type: 'input',
+                block_id: 'runner_location_block',
+                label: {
+                    type: 'plain_text',
+                    text: 'Where you at?',
+                    emoji: true
+                },
+                hint: {
+                    type: 'plain_text',
+                    text: 'Orders near you get sent your way first.',
+                    emoji: true
+                },
+                element: {
+                    type: 'static_select',
+                    action_id: 'runner_location_select',
+                    placeholder: {
+                        type: 'plain_text',
+                        text: 'Pick your spot',
+                        emoji: true
+                    },
+                    options: locationOptions,
+                    ...(initialLocationOption && { initial_option: initialLocationOption })
+                },
+                optional: false
             }
         ]
     };
 }
 
+/**
+ * Build the standing order modal
+ * All fields are input blocks so validation errors can be shown inline.
+ * @returns {Object} - Slack modal view payload
+ */
+export function buildStandingOrderModal() {
+  const categoryOptions = Object.entries(DRINK_CATEGORIES).map(([key, { name, cost }]) => ({
+    text: { type: "plain_text", text: `${name} – ${cost}${isDynamicPricingEnabled() ? '+' : ''} Karma`, emoji: true }, // Dynamic pricing only adds
+    value: key
+  }));
+  const locationOptions = Object.entries(LOCATIONS)
+    .filter(([key]) => key !== 'loc_default')
+    .sort(([, textA], [, textB]) => textA.localeCompare(textB))
+    .map(([key, text]) => ({ text: { type: "plain_text", text, emoji: true }, value: key }));
+  const dayOptions = WEEKDAYS.map(({ text, value }) => ({ text: { type: "plain_text", text, emoji: true }, value }));
+
+  return {
+    type: "modal",
+    callback_id: "standing_order_modal",
+    title: { type: "plain_text", text: "STANDING ORDER", emoji: true },
+    submit: { type: "plain_text", text: "LOCK IT IN", emoji: true },
+    close: { type: "plain_text", text: "SCRAP IT", emoji: true },
+    blocks: [
+      {
+        type: "input",
+        block_id: "standing_category_block",
+        label: { type: "plain_text", text: "Pick your poison", emoji: true },
+        element: {
+          type: "static_select",
+          action_id: "standing_category_select",
+          placeholder: { type: "plain_text", text: "Select a drink type", emoji: true },
+          options: categoryOptions
+        }
+      },
+      {
+        type: "input",
+        block_id: "standing_drink_block",
+        label: { type: "plain_text", text: "What are they drinking?", emoji: true },
+        element: {
+          type: "plain_text_input",
+          action_id: "standing_drink_input",
+          placeholder: { type: "plain_text", text: "e.g., Oat latte" },
+          max_length: 30
+        }
+      },
+      {
+        type: "input",
+        block_id: "standing_location_block",
+        label: { type: "plain_text", text: "Where's the drop?", emoji: true },
+        element: {
+          type: "static_select",
+          action_id: "standing_location_select",
+          placeholder: { type: "plain_text", text: "Select your location", emoji: true },
+          options: locationOptions
+        }
+      },
+      {
+        type: "input",
+        block_id: "standing_recipient_block",
+        optional: true,
+        label: { type: "plain_text", text: "Who's it for? (leave blank for yourself)", emoji: true },
+        element: {
+          type: "users_select",
+          action_id: "standing_recipient_select",
+          placeholder: { type: "plain_text", text: "Pick a name... or don't", emoji: true }
+        }
+      },
+      {
+        type: "input",
+        block_id: "standing_days_block",
+        label: { type: "plain_text", text: "Which days?", emoji: true },
+        element: {
+          type: "checkboxes",
+          action_id: "standing_days_select",
+          options: dayOptions,
+          initial_options: dayOptions.filter(option => !['0', '6'].includes(option.value)) // Weekdays
+        }
+      },
+      {
+        type: "input",
+        block_id: "standing_time_block",
+        label: { type: "plain_text", text: "What time? (office time)", emoji: true },
+        element: {
+          type: "timepicker",
+          action_id: "standing_time_select",
+          initial_time: "10:00"
+        }
+      },
+      {
+        type: "input",
+        block_id: "standing_notes_block",
+        optional: true,
+        label: { type: "plain_text", text: "Say less...", emoji: true },
+        element: {
+          type: "plain_text_input",
+          action_id: "standing_notes_input",
+          placeholder: { type: "plain_text", text: "Any special instructions?" },
+          max_length: 30
+        }
+      }
+    ]
+  };
+}
+
+/**
+ * Work out where a reputation score sits between REPUTATION_TITLES thresholds.
+ * @param {number} reputation - Player's reputation.
+ * @returns {{next: object|null, repToGo: number, percentage: number}} - Next title (null at the top) and progress toward it.
+ */
+function getTitleProgress(reputation) {
+  const rep = Number(reputation) || 0;
+  const nextIndex = REPUTATION_TITLES.findIndex(t => t.minReputation > rep);
+  if (nextIndex === -1) {
+    return { next: null, repToGo: 0, percentage: 100 };
+  }
+  const next = REPUTATION_TITLES[nextIndex];
+  const floor = nextIndex > 0 ? REPUTATION_TITLES[nextIndex - 1].minReputation : 0;
+  const span = Math.max(1, next.minReputation - floor);
+  return {
+    next,
+    repToGo: next.minReputation - rep,
+    percentage: Math.round(((rep - floor) / span) * 100)
+  };
+}
+
+/**
+ * Format a short one-line summary of an order for the Home tab lists.
+ * @param {Object} order - Order document data.
+ * @param {'requester'|'runner'} role - Which side of the order the viewer is on.
+ * @returns {string} - mrkdwn line.
+ */
+function formatHomeOrderLine(order, role) {
+  const location = order.locationDisplayName || LOCATIONS[order.location] || order.location || '?';
+  const drink = order.drink || order.category || '?';
+  if (role === 'runner') {
+    return `• \`${drink}\` → ${location} for <@${order.recipientId || order.requesterId}> · ${order.karmaCost || 0} Karma`;
+  }
+  let status = order.status === 'claimed' ? `CLAIMED BY <@${order.runnerId}>` : 'WAITING ON A RUNNER';
+  if (order.status === 'scheduled') {
+    const dropUnix = Math.floor((order.scheduledFor?.toMillis?.() ?? 0) / 1000);
+    status = `QUEUED FOR <!date^${dropUnix}^{time}|later>`;
+  }
+  return `• \`${drink}\` → ${location} · ${status}`;
+}
+
+/**
+ * Build the App Home tab view
+ * @param {Object} params
+ * @param {Object} params.player - Player data (karma, reputation, title, achievements).
+ * @param {Array<Object>} [params.openOrders=[]] - Orders the player placed that are still live.
+ * @param {Array<Object>} [params.runningOrders=[]] - Orders the player has claimed as a runner.
+ * @param {Array<Object>} [params.leaderboardBlocks=[]] - Pre-formatted leaderboard blocks (from formatLeaderboard).
+ * @returns {Object} - Slack home view payload for views.publish
+ */
+export function buildHomeView({ player, openOrders = [], runningOrders = [], leaderboardBlocks = [] }) {
+  const karma = player?.karma ?? 0;
+  const reputation = player?.reputation ?? 0;
+  const title = (player?.title || REPUTATION_TITLES[0].title).toUpperCase();
+  const { next, repToGo, percentage } = getTitleProgress(reputation);
+
+  const statLines = [
+    `KARMA:        ${karma}`,
+    `REPUTATION:   ${reputation}`,
+    `TITLE:        ${title}`,
+    next
+      ? `NEXT:         ${next.title.toUpperCase()} @ ${next.minReputation} REP`
+      : `NEXT:         NOTHING LEFT. YOU ARE THE TOP.`,
+    `${generateProgressBar(percentage, 20)}  ${next ? `${repToGo} REP TO GO` : 'MAXED'}`
+  ];
+  const badges = getPlayerAchievements(player);
+
+  return {
+    type: 'home',
+    callback_id: 'koffee_home',
+    blocks: [
+      {
+        type: 'header',
+        text: { type: 'plain_text', text: 'KOFFEE KARMA', emoji: true }
+      },
+      {
+        type: 'section',
+        block_id: 'home_stats_block',
+        text: { type: 'mrkdwn', text: `\`\`\`\n${statLines.join('\n')}\n\`\`\`` }
+      },
+      {
+        type: 'section',
+        block_id: 'home_badges_block',
+        text: {
+          type: 'mrkdwn',
+          text: `*BADGES* (${badges.length}/${ACHIEVEMENTS.length})\n${badges.length > 0 ? badges.map(formatBadge).join(' · ') : '_None yet. Run something._'}`
+        }
+      },
+      {
+        type: 'actions',
+        block_id: 'home_actions_block',
+        elements: [
+          { type: 'button', text: { type: 'plain_text', text: 'PLACE AN ORDER', emoji: false }, style: 'primary', action_id: 'home_open_order_modal', value: 'order' },
+          { type: 'button', text: { type: 'plain_text', text: 'OFFER TO DELIVER', emoji: false }, action_id: 'home_open_delivery_modal', value: 'deliver' }
+        ]
+      },
+      { type: 'divider' },
+      {
+        type: 'section',
+        block_id: 'home_open_orders_block',
+        text: {
+          type: 'mrkdwn',
+          text: `*YOUR OPEN ORDERS*\n${openOrders.length > 0 ? openOrders.map(o => formatHomeOrderLine(o, 'requester')).join('\n') : '_Nothing brewing. Place one._'}`
+        }
+      },
+      {
+        type: 'section',
+        block_id: 'home_running_orders_block',
+        text: {
+          type: 'mrkdwn',
+          text: `*YOU'RE RUNNING*\n${runningOrders.length > 0 ? runningOrders.map(o => formatHomeOrderLine(o, 'runner')).join('\n') : '_Hands empty. Go claim something._'}`
+        }
+      },
+      { type: 'divider' },
+      ...leaderboardBlocks
+    ]
+  };
+}
+
 /**
  * Update an existing modal view to change the map block.
  * @param {Object} currentView - The existing view payload from the interaction body.
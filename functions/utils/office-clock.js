@@ -0,0 +1,48 @@
+/**
+ * Office clock
+ * Everything that goes by the office's wall clock rather than UTC reads it here, in OFFICE_TIMEZONE:
+ * standing order times, streak working days, seasons, peak pricing hours and early-bird deliveries.
+ */
+import { OFFICE_TIMEZONE } from './constants.js';
+
+const SHORT_DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const clockFormat = new Intl.DateTimeFormat('en-US', {
+    timeZone: OFFICE_TIMEZONE,
+    weekday: 'short',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+});
+
+/**
+ * Read the office wall clock for a moment in time.
+ * @param {Date} [date=new Date()]
+ * @returns {{day: number, date: string, hour: number, minutes: number}} - Day of week (0 = Sun), YYYY-MM-DD,
+ *   hour (0-23) and minutes past midnight.
+ */
+export function getOfficeClock(date = new Date()) {
+    const parts = Object.fromEntries(clockFormat.formatToParts(date).map(part => [part.type, part.value]));
+    const hour = Number(parts.hour);
+    return {
+        day: SHORT_DAY_NAMES.indexOf(parts.weekday),
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        hour,
+        minutes: hour * 60 + Number(parts.minute)
+    };
+}
+
+/**
+ * @param {Date} [date=new Date()]
+ * @returns {string} - Office date, YYYY-MM-DD.
+ */
+export const getOfficeDate = (date = new Date()) => getOfficeClock(date).date;
+
+/**
+ * @param {Date} [date=new Date()]
+ * @returns {number} - Hour (0-23) on the office clock.
+ */
+export const getOfficeHour = (date = new Date()) => getOfficeClock(date).hour;
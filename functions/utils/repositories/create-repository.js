@@ -0,0 +1,1144 @@
+/**
+ * Repository API
+ * One data API for players, orders, runner offers, redemption codes and campaigns, standing orders,
+ * leaderboard seasons, happy hour bonus events, config and the karma ledger. It's built on a small document store (see firestore.js and in-memory.js), so
+ * the rules - player shape, titles, favorites, redemption checks, ledger entries - are the same
+ * whichever store is underneath. Get the active repository with getRepository() (utils/repository.js).
+ *
+ * Store interface: { name, newId(collection), timestamp(), get, query, create, set, update, delete, runTransaction }
+ *   get(collection, id) -> data or null
+ *   query(collection, { where: [[field, op, value]], orderBy: [field, 'asc'|'desc'], limit }) -> [{ id, ...data }]
+ *   create(collection, id|null, data) -> id; fails (code 6, ALREADY_EXISTS) if the doc exists
+ *   update(collection, id, fields); fails (code 5, NOT_FOUND) if the doc doesn't exist
+ *   runTransaction(fn) calls fn(tx) with tx = { timestamp, get, create, set, update }. Every read must
+ *   come before any write, and fn may run more than once if the docs it read change underneath it.
+ */
+import { randomInt } from 'crypto';
+import { Timestamp } from 'firebase-admin/firestore';
+import { REPUTATION_TITLES, FAVORITES_LIMIT, ORDER_STATUS, LEDGER_REASONS } from '../constants.js';
+import { LEDGER_COLLECTION, recordLedgerEntry } from '../ledger.js';
+import { logger } from '../logger.js';
+import { applyAchievementEvents } from '../../lib/achievements.js';
+
+// gRPC status codes, as carried on Firestore errors
+const ALREADY_EXISTS = 6;
+
+const AUDIT_COLLECTION = 'adminAudit';
+const CAMPAIGNS_COLLECTION = 'redemptionCampaigns';
+const SEASONS_COLLECTION = 'seasons';
+const BONUS_EVENTS_COLLECTION = 'bonusEvents';
+
+// No 0/O or 1/I/L, so codes survive being read off a slide
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+const MINT_ATTEMPTS = 5;
+
+/**
+ * Determines the player's title based on their reputation score.
+ * @param {number} reputation The player's reputation score.
+ * @returns {string} The corresponding title string.
+ */
+export const getPlayerTitle = (reputation) => {
+    // Iterate backwards through the sorted titles array
+    for (let i = REPUTATION_TITLES.length - 1; i >= 0; i--) {
+        if (reputation >= REPUTATION_TITLES[i].minReputation) {
+            return REPUTATION_TITLES[i].title;
+        }
+    }
+    // Fallback to the first title if something goes wrong (shouldn't happen with minReputation: 0)
+    return REPUTATION_TITLES[0]?.title || 'Unknown Title';
+};
+
+/**
+ * Turn a stored player document into the object handlers get back.
+ * Karma and reputation are always numbers and the title always matches the reputation.
+ * @param {string} playerId - Slack User ID (the document ID).
+ * @param {object} data - Stored player fields.
+ * @returns {object} - Player ({ id, ...data, karma, reputation, title }).
+ */
+function toPlayer(playerId, data) {
+    const karma = Number(data.karma ?? 0);
+    const reputation = Number(data.reputation ?? 0);
+    return { id: playerId, ...data, karma, reputation, title: getPlayerTitle(reputation) };
+}
+
+/**
+ * Fields for a brand new player, keyed by Slack ID. Callers add createdAt/updatedAt.
+ * @param {string} playerId - Slack User ID.
+ * @param {string} name - Display name.
+ * @returns {object}
+ */
+function newPlayerData(playerId, name) {
+    return {
+        userId: playerId,
+        name,
+        karma: 0,
+        reputation: 0,
+        ordersRequestedCount: 0,
+        deliveriesCompletedCount: 0,
+        title: getPlayerTitle(0),
+        capabilities: []
+    };
+}
+
+/**
+ * Look up a user's real name for a new player. Falls back to 'Unknown User' without a client
+ * or if Slack says no; a missing name shouldn't block signing someone up.
+ * @param {string} userId - Slack User ID.
+ * @param {object|null} client - Slack WebClient instance.
+ * @returns {Promise<string>}
+ */
+async function fetchSlackName(userId, client) {
+    if (!client) return 'Unknown User';
+    try {
+        const userInfo = await client.users.info({ user: userId });
+        if (userInfo.ok) {
+            return userInfo.user?.real_name || userInfo.user?.name || 'Unknown User';
+        }
+        logger.warn(`[fetchSlackName] Failed to fetch Slack user info for ${userId}: ${userInfo.error}`);
+    } catch (slackError) {
+        logger.error(`[fetchSlackName] Error calling client.users.info for ${userId}:`, slackError);
+    }
+    return 'Unknown User';
+}
+
+/**
+ * Add a favorite, overwriting any existing favorite with the same name (case-insensitive).
+ * @param {Array<object>} favorites - The player's current favorites.
+ * @param {object} favorite - { name, category, drink, location, notes }
+ * @returns {Array<object>} - The new favorites list.
+ * @throws {Error} FAVORITES_FULL if the name is new and the list already has FAVORITES_LIMIT entries.
+ */
+function mergeFavorite(favorites, favorite) {
+    const merged = [...(favorites || [])];
+    const entry = {
+        name: favorite.name.trim(),
+        category: favorite.category,
+        drink: favorite.drink || '',
+        location: favorite.location,
+        notes: favorite.notes || ''
+    };
+    const existingIndex = merged.findIndex(f => f.name.toLowerCase() === entry.name.toLowerCase());
+    if (existingIndex !== -1) {
+        merged[existingIndex] = entry;
+    } else if (merged.length >= FAVORITES_LIMIT) {
+        throw new Error('FAVORITES_FULL');
+    } else {
+        merged.push(entry);
+    }
+    return merged;
+}
+
+/**
+ * Check a redemption code can be redeemed by a player right now.
+ * @param {object|null} codeData - Stored code fields, or null if the code doesn't exist.
+ * @param {string} playerId - Slack User ID of the redeemer.
+ * @param {number} nowMs - Current time in milliseconds.
+ * @throws {Error} CODE_NOT_FOUND, CODE_DEACTIVATED, CODE_NOT_ACTIVE, CODE_EXPIRED, CODE_EXHAUSTED or CODE_ALREADY_REDEEMED.
+ */
+function checkRedemption(codeData, playerId, nowMs) {
+    if (!codeData) throw new Error('CODE_NOT_FOUND');
+    if (codeData.deactivatedAt) throw new Error('CODE_DEACTIVATED');
+    if (codeData.activeFrom?.toMillis && codeData.activeFrom.toMillis() > nowMs) throw new Error('CODE_NOT_ACTIVE');
+    if (codeData.expiresAt?.toMillis && codeData.expiresAt.toMillis() < nowMs) throw new Error('CODE_EXPIRED');
+    if ((codeData.redeemedCount || 0) >= codeData.maxRedemptions) throw new Error('CODE_EXHAUSTED');
+    const userRedemptionCount = (codeData.redeemers || []).filter(r => r.userId === playerId).length;
+    if (userRedemptionCount >= (codeData.perUserLimit || 1)) throw new Error('CODE_ALREADY_REDEEMED');
+}
+
+/**
+ * Check a campaign lets a player redeem one of its codes right now.
+ * @param {object|null} campaignData - Stored campaign fields, or null if the campaign doesn't exist.
+ * @param {string} playerId - Slack User ID of the redeemer.
+ * @param {number} karmaValue - Karma the code awards.
+ * @param {number} nowMs - Current time in milliseconds.
+ * @throws {Error} CAMPAIGN_NOT_FOUND, CAMPAIGN_NOT_STARTED, CAMPAIGN_ENDED, CAMPAIGN_BUDGET_SPENT or CAMPAIGN_LIMIT_REACHED.
+ */
+function checkCampaign(campaignData, playerId, karmaValue, nowMs) {
+    if (!campaignData) throw new Error('CAMPAIGN_NOT_FOUND');
+    if (campaignData.startsAt?.toMillis && campaignData.startsAt.toMillis() > nowMs) throw new Error('CAMPAIGN_NOT_STARTED');
+    if (campaignData.endsAt?.toMillis && campaignData.endsAt.toMillis() < nowMs) throw new Error('CAMPAIGN_ENDED');
+    if (campaignData.budget !== null && (campaignData.karmaRedeemed || 0) + karmaValue > campaignData.budget) {
+        throw new Error('CAMPAIGN_BUDGET_SPENT');
+    }
+    const userRedemptionCount = campaignData.redeemerCounts?.[playerId] || 0;
+    if (campaignData.perUserLimit !== null && userRedemptionCount >= campaignData.perUserLimit) {
+        throw new Error('CAMPAIGN_LIMIT_REACHED');
+    }
+}
+
+/**
+ * Whether a code can still be redeemed by someone (ignores per-player limits).
+ * @param {object} codeData - Stored code fields.
+ * @param {number} nowMs - Current time in milliseconds.
+ * @returns {boolean}
+ */
+function isCodeLive(codeData, nowMs) {
+    if (codeData.deactivatedAt) return false;
+    if (codeData.expiresAt?.toMillis && codeData.expiresAt.toMillis() < nowMs) return false;
+    return (codeData.redeemedCount || 0) < codeData.maxRedemptions;
+}
+
+/**
+ * Random code like 'KK-7GQ2MZ'.
+ * @param {string} prefix - Uppercase letters/digits.
+ * @returns {string}
+ */
+function generateCode(prefix) {
+    let suffix = '';
+    for (let i = 0; i < CODE_LENGTH; i++) suffix += CODE_ALPHABET[randomInt(CODE_ALPHABET.length)];
+    return `${prefix}-${suffix}`;
+}
+
+/**
+ * Build the repository on top of a document store.
+ * @param {object} store - Document store (see the interface at the top of this file).
+ * @returns {object} - Repository ({ name, players, orders, offers, codes, campaigns, standingOrders, seasons, bonusEvents, config, ledger, audit, runTransaction }).
+ */
+export function createRepository(store) {
+    const players = {
+        /**
+         * @param {string} playerId - Slack User ID.
+         * @returns {Promise<object|null>} - Player, or null if they've never used the app.
+         */
+        async get(playerId) {
+            if (!playerId) return null;
+            const data = await store.get('players', playerId);
+            return data ? toPlayer(playerId, data) : null;
+        },
+
+        /**
+         * Get a player, creating them (name from Slack, if a client is given) on first contact.
+         * @param {string} playerId - Slack User ID.
+         * @param {object|null} [client=null] - Slack WebClient instance, used to look up a new player's name.
+         * @returns {Promise<{player: object, isNew: boolean}>}
+         */
+        async getOrCreate(playerId, client = null) {
+            if (!playerId) throw new Error('[players.getOrCreate] playerId is required.');
+            const existing = await players.get(playerId);
+            if (existing) return { player: existing, isNew: false };
+
+            logger.info(`[players.getOrCreate] Player ${playerId} not found. Creating.`);
+            const data = { ...newPlayerData(playerId, await fetchSlackName(playerId, client)), createdAt: store.timestamp(), updatedAt: store.timestamp() };
+            try {
+                await store.create('players', playerId, data);
+            } catch (error) {
+                // Two first contacts at once (e.g. joining the channel and running /karma): the other one created them
+                if (error.code !== ALREADY_EXISTS) throw error;
+                return { player: await players.get(playerId), isNew: false };
+            }
+            logger.info(`[players.getOrCreate] Created player ${playerId} (${data.name}).`);
+            return { player: toPlayer(playerId, data), isNew: true };
+        },
+
+        /**
+         * Set fields on a player (capabilities, lastLocation...). Use adjustKarma for balances.
+         * @param {string} playerId - Slack User ID.
+         * @param {object} fields - Fields to set.
+         */
+        async update(playerId, fields) {
+            await store.update('players', playerId, { ...fields, updatedAt: store.timestamp() });
+        },
+
+        /**
+         * Add to (or take from) a player's karma, with its ledger entry, in one transaction.
+         * Doesn't check the balance unless options.minBalance is set; callers that charge check it first.
+         * @param {string} playerId - Slack User ID.
+         * @param {number} karmaDelta - Amount to change karma by (negative for spends).
+         * @param {object} [ledgerContext] - Extra ledger details: { reason, actorId, counterpartyId, orderId, code, note }.
+         * @param {object} [options]
+         * @param {number|null} [options.minBalance=null] - Reject instead of leaving the balance below this.
+         * @returns {Promise<number>} - The balance afterwards.
+         * @throws {Error} PLAYER_NOT_FOUND, or INSUFFICIENT_KARMA if the change would go below minBalance.
+         */
+        async adjustKarma(playerId, karmaDelta, ledgerContext = {}, { minBalance = null } = {}) {
+            const karmaAfter = await store.runTransaction(async (tx) => {
+                const data = await tx.get('players', playerId);
+                if (!data) throw new Error('PLAYER_NOT_FOUND');
+                const balance = Number(data.karma ?? 0) + karmaDelta;
+                if (minBalance !== null && balance < minBalance) throw new Error('INSUFFICIENT_KARMA');
+                tx.update('players', playerId, { karma: balance, updatedAt: tx.timestamp() });
+                recordLedgerEntry(tx, {
+                    reason: LEDGER_REASONS.ADJUSTMENT,
+                    ...ledgerContext,
+                    playerId,
+                    karmaDelta,
+                    karmaAfter: balance
+                });
+                return balance;
+            });
+            logger.info(`[players.adjustKarma] ${playerId} karma ${karmaDelta >= 0 ? '+' : ''}${karmaDelta} -> ${karmaAfter}.`);
+            return karmaAfter;
+        },
+
+        /**
+         * Zero a player's karma, reputation (all-time and season) and counts (keeps name, capabilities, favorites).
+         * The ledger entry takes back exactly what they had, so the ledger still sums to the balance.
+         * @param {string} playerId - Slack User ID.
+         * @param {object} [ledgerContext] - Extra ledger details: { actorId, note }.
+         * @returns {Promise<{karmaBefore: number, reputationBefore: number}>}
+         * @throws {Error} PLAYER_NOT_FOUND
+         */
+        async reset(playerId, ledgerContext = {}) {
+            const before = await store.runTransaction(async (tx) => {
+                const data = await tx.get('players', playerId);
+                if (!data) throw new Error('PLAYER_NOT_FOUND');
+                const karmaBefore = Number(data.karma ?? 0);
+                const reputationBefore = Number(data.reputation ?? 0);
+                tx.update('players', playerId, {
+                    karma: 0,
+                    reputation: 0,
+                    seasonReputation: 0,
+                    ordersRequestedCount: 0,
+                    deliveriesCompletedCount: 0,
+                    title: getPlayerTitle(0),
+                    updatedAt: tx.timestamp()
+                });
+                recordLedgerEntry(tx, {
+                    reason: LEDGER_REASONS.ADMIN_RESET,
+                    ...ledgerContext,
+                    playerId,
+                    karmaDelta: -karmaBefore,
+                    reputationDelta: -reputationBefore,
+                    karmaAfter: 0,
+                    reputationAfter: 0
+                });
+                return { karmaBefore, reputationBefore };
+            });
+            logger.info(`[players.reset] Reset ${playerId} (was karma ${before.karmaBefore}, rep ${before.reputationBefore}).`);
+            return before;
+        },
+
+        /**
+         * Top players by a numeric field.
+         * @param {number} [limit=10]
+         * @param {string} [field='reputation'] - e.g. 'reputation', 'karma', 'deliveriesCompletedCount'.
+         * @returns {Promise<Array<object>>} - Players, highest first.
+         */
+        async listTop(limit = 10, field = 'reputation') {
+            const docs = await store.query('players', { orderBy: [field, 'desc'], limit });
+            return docs.map(({ id, ...data }) => toPlayer(id, data));
+        },
+
+        /**
+         * Players whose delivery streak last grew on an office date (see lib/streaks.js).
+         * @param {string} officeDate - YYYY-MM-DD.
+         * @returns {Promise<Array<object>>}
+         */
+        async listByStreakDate(officeDate) {
+            const docs = await store.query('players', { where: [['streakLastDate', '==', officeDate]] });
+            return docs.map(({ id, ...data }) => toPlayer(id, data));
+        },
+
+        /**
+         * Every player who's joined a team (see utils/teams.js).
+         * @returns {Promise<Array<object>>} - Players, in no particular order.
+         */
+        async listWithTeam() {
+            const docs = await store.query('players', { where: [['team', '!=', null]] });
+            return docs.map(({ id, ...data }) => toPlayer(id, data));
+        },
+
+        /**
+         * Top players by reputation gained in a season that's still running (see utils/seasons.js).
+         * @param {string} seasonId - e.g. '2025-01'.
+         * @param {number} [limit=10]
+         * @returns {Promise<Array<object>>} - Players, highest seasonReputation first.
+         */
+        async listSeasonTop(seasonId, limit = 10) {
+            const docs = await store.query('players', {
+                where: [['seasonId', '==', seasonId]],
+                orderBy: ['seasonReputation', 'desc'],
+                limit
+            });
+            return docs.map(({ id, ...data }) => toPlayer(id, data));
+        },
+
+        /**
+         * @param {string} playerId - Slack User ID.
+         * @returns {Promise<Array<{name: string, category: string, drink: string, location: string, notes: string}>>}
+         */
+        async getFavorites(playerId) {
+            const data = await store.get('players', playerId);
+            return data?.favorites || [];
+        },
+
+        /**
+         * Save a named favorite, overwriting any existing favorite with the same name (case-insensitive).
+         * @param {string} playerId - Slack User ID.
+         * @param {object} favorite - { name, category, drink, location, notes }
+         * @returns {Promise<Array>} - The player's favorites after saving.
+         * @throws {Error} PLAYER_NOT_FOUND, or FAVORITES_FULL if the name is new and the list is full.
+         */
+        async saveFavorite(playerId, favorite) {
+            const favorites = await store.runTransaction(async (tx) => {
+                const data = await tx.get('players', playerId);
+                if (!data) throw new Error('PLAYER_NOT_FOUND');
+                const merged = mergeFavorite(data.favorites, favorite);
+                tx.update('players', playerId, { favorites: merged, updatedAt: tx.timestamp() });
+                return merged;
+            });
+            logger.info(`[players.saveFavorite] Saved favorite "${favorite.name.trim()}" for ${playerId} (${favorites.length}/${FAVORITES_LIMIT}).`);
+            return favorites;
+        }
+    };
+
+    const orders = {
+        /**
+         * Reserve a document ID, e.g. so a ledger entry can point at an order before it's created.
+         * @returns {string}
+         */
+        newId() {
+            return store.newId('orders');
+        },
+
+        /**
+         * @param {string} orderId - Firestore Document ID.
+         * @returns {Promise<object|null>} - Order ({ id, ...data }) or null if not found.
+         */
+        async get(orderId) {
+            if (!orderId) return null;
+            const data = await store.get('orders', orderId);
+            return data ? { id: orderId, ...data } : null;
+        },
+
+        /**
+         * Create an order. createdAt (unless given) and updatedAt are stamped here.
+         * @param {object} orderData - The order's fields.
+         * @param {string|null} [orderId=null] - Pre-allocated ID from newId(), or null for a new one.
+         * @returns {Promise<object>} - The stored order ({ id, ...data }), timestamps included.
+         */
+        async create(orderData, orderId = null) {
+            const id = orderId || store.newId('orders');
+            await store.create('orders', id, {
+                ...orderData,
+                createdAt: orderData.createdAt || store.timestamp(),
+                updatedAt: store.timestamp()
+            });
+            logger.info(`[orders.create] Created order ${id} (${orderData.status}).`);
+            // Read it back so server-set timestamps come back as real values
+            return orders.get(id);
+        },
+
+        /**
+         * Create an order and charge its requester the order's karmaCost, with the ledger entry, in one
+         * transaction: either both happen or neither does.
+         * @param {object} orderData - The order's fields (requesterId and karmaCost required).
+         * @param {string} orderId - Pre-allocated ID from newId().
+         * @returns {Promise<{order: object, karmaAfter: number}>} - The stored order ({ id, ...data }) and the requester's balance.
+         * @throws {Error} PLAYER_NOT_FOUND, or INSUFFICIENT_KARMA (with currentKarma) if the balance can't cover it.
+         */
+        async createCharged(orderData, orderId) {
+            const cost = Number(orderData.karmaCost) || 0;
+            const karmaAfter = await store.runTransaction(async (tx) => {
+                const requesterData = await tx.get('players', orderData.requesterId);
+                if (!requesterData) throw new Error('PLAYER_NOT_FOUND');
+                const currentKarma = Number(requesterData.karma ?? 0);
+                if (currentKarma < cost) {
+                    throw Object.assign(new Error('INSUFFICIENT_KARMA'), { currentKarma });
+                }
+                tx.create('orders', orderId, {
+                    ...orderData,
+                    createdAt: orderData.createdAt || tx.timestamp(),
+                    updatedAt: tx.timestamp()
+                });
+                tx.update('players', orderData.requesterId, { karma: currentKarma - cost, updatedAt: tx.timestamp() });
+                recordLedgerEntry(tx, {
+                    playerId: orderData.requesterId,
+                    actorId: orderData.requesterId,
+                    orderId,
+                    reason: LEDGER_REASONS.ORDER_PLACED,
+                    karmaDelta: -cost,
+                    karmaAfter: currentKarma - cost
+                });
+                return currentKarma - cost;
+            });
+            logger.info(`[orders.createCharged] Created order ${orderId} (${orderData.status}); charged ${orderData.requesterId} ${cost} -> ${karmaAfter}.`);
+            return { order: await orders.get(orderId), karmaAfter };
+        },
+
+        /**
+         * Set fields on an order. Status changes go through transitionOrder() instead.
+         * @param {string} orderId - Firestore Document ID.
+         * @param {object} fields - Fields to set.
+         */
+        async update(orderId, fields) {
+            await store.update('orders', orderId, { ...fields, updatedAt: store.timestamp() });
+        },
+
+        /**
+         * @param {string} status - From ORDER_STATUS.
+         * @param {object} [options]
+         * @param {string|null} [options.channelName=null] - Only orders posted in this channel.
+         * @param {number} [options.limit=50]
+         * @returns {Promise<Array<object>>} - Orders, newest first.
+         */
+        async listByStatus(status, { channelName = null, limit = 50 } = {}) {
+            const where = [['status', '==', status]];
+            if (channelName) where.push(['channelName', '==', channelName]);
+            return store.query('orders', { where, orderBy: ['createdAt', 'desc'], limit });
+        },
+
+        /**
+         * Orders delivered since a moment. For the bonus and fastest-runner leaderboards.
+         * @param {object} options
+         * @param {Date} options.since - Only orders delivered at or after this.
+         * @param {number} [options.limit=500]
+         * @returns {Promise<Array<object>>} - Orders, most recently delivered first.
+         */
+        async listDelivered({ since, limit = 500 }) {
+            return store.query('orders', {
+                where: [['status', '==', ORDER_STATUS.DELIVERED], ['timeDelivered', '>=', Timestamp.fromDate(since)]],
+                orderBy: ['timeDelivered', 'desc'],
+                limit
+            });
+        },
+
+        /**
+         * Orders a player placed or ran.
+         * @param {string} playerId - Slack User ID.
+         * @param {object} [options]
+         * @param {string|null} [options.status=null] - Only this status.
+         * @param {number} [options.limit=10]
+         * @param {string} [options.role='requester'] - Which side of the order to match: 'requester' or 'runner'.
+         * @returns {Promise<Array<object>>} - Orders, newest first.
+         */
+        async listForPlayer(playerId, { status = null, limit = 10, role = 'requester' } = {}) {
+            const where = [[role === 'runner' ? 'runnerId' : 'requesterId', '==', playerId]];
+            if (status) where.push(['status', '==', status]);
+            return store.query('orders', { where, orderBy: ['createdAt', 'desc'], limit });
+        },
+
+        /**
+         * Orders in a status whose deadline field falls in a window. Used by the timer sweep.
+         * @param {object} options
+         * @param {string} options.status - From ORDER_STATUS.
+         * @param {string} options.field - Timestamp field to compare (expiryTimestamp, claimedExpiryTimestamp, scheduledFor).
+         * @param {Timestamp|null} [options.after=null] - Only deadlines strictly after this.
+         * @param {Timestamp|null} [options.before=null] - Only deadlines at or before this.
+         * @param {string|null} [options.initiatedBy=null] - 'requester' or 'runner'.
+         * @returns {Promise<Array<object>>}
+         */
+        async listByDeadline({ status, field, after = null, before = null, initiatedBy = null }) {
+            const where = [['status', '==', status]];
+            if (initiatedBy) where.push(['initiatedBy', '==', initiatedBy]);
+            if (after) where.push([field, '>', after]);
+            if (before) where.push([field, '<=', before]);
+            return store.query('orders', { where });
+        }
+    };
+
+    // Runner /deliver offers are order docs (status OFFERED, initiatedBy 'runner') keyed by their Slack message ts
+    const offers = {
+        /**
+         * @param {string} offerId - Slack message ts of the offer post.
+         * @param {object} offerData - The offer's fields, including its createdAt (offer start).
+         * @returns {Promise<string>} - The offer ID.
+         */
+        async create(offerId, offerData) {
+            await store.create('orders', offerId, { ...offerData, updatedAt: store.timestamp() });
+            logger.info(`[offers.create] Created runner offer ${offerId} for ${offerData.runnerId}.`);
+            return offerId;
+        },
+
+        /**
+         * @param {string} offerId - Slack message ts of the offer post.
+         * @returns {Promise<object|null>} - The offer doc, whatever its status now, or null.
+         */
+        async get(offerId) {
+            return orders.get(offerId);
+        },
+
+        /**
+         * Offers still open: status OFFERED and not past their expiry (the sweep may not have run yet).
+         * @param {number} [nowMs=Date.now()]
+         * @returns {Promise<Array<object>>} - Offers, newest first.
+         */
+        async listActive(nowMs = Date.now()) {
+            return (await orders.listByStatus(ORDER_STATUS.OFFERED))
+                .filter(offer => !offer.expiryTimestamp?.toMillis || offer.expiryTimestamp.toMillis() > nowMs);
+        }
+    };
+
+    const codes = {
+        /**
+         * @param {string} code - Redemption code (uppercase).
+         * @returns {Promise<object|null>} - Code ({ code, ...data }) or null.
+         */
+        async get(code) {
+            const data = await store.get('redemptionCodes', code);
+            return data ? { code, ...data } : null;
+        },
+
+        /**
+         * Mint a code.
+         * @param {string} code - Redemption code (uppercase).
+         * @param {object} details
+         * @param {number} details.karmaValue - Karma each redemption awards.
+         * @param {number} [details.maxRedemptions=1] - Total redemptions across everyone.
+         * @param {number} [details.perUserLimit=1] - Redemptions per player.
+         * @param {Date|null} [details.activeFrom=null] - Not redeemable before this.
+         * @param {Date|null} [details.expiresAt=null] - Not redeemable after this.
+         * @param {string} [details.campaignId] - Campaign the code belongs to; its budget and limits apply too.
+         * @returns {Promise<string>} - The code.
+         * @throws {Error} CODE_EXISTS
+         */
+        async create(code, { karmaValue, maxRedemptions = 1, perUserLimit = 1, activeFrom = null, expiresAt = null, ...extra }) {
+            try {
+                await store.create('redemptionCodes', code, {
+                    ...extra,
+                    karmaValue,
+                    maxRedemptions,
+                    perUserLimit,
+                    activeFrom: activeFrom ? Timestamp.fromDate(activeFrom) : null,
+                    expiresAt: expiresAt ? Timestamp.fromDate(expiresAt) : null,
+                    redeemedCount: 0,
+                    redeemers: [],
+                    createdAt: store.timestamp(),
+                    updatedAt: store.timestamp()
+                });
+            } catch (error) {
+                if (error.code === ALREADY_EXISTS) throw new Error('CODE_EXISTS');
+                throw error;
+            }
+            logger.info(`[codes.create] Minted ${code} worth ${karmaValue} (max ${maxRedemptions}).`);
+            return code;
+        },
+
+        /**
+         * Mint a code with a random name (PREFIX-XXXXXX), retrying if it's taken.
+         * @param {object} details - Same as create().
+         * @param {object} [options]
+         * @param {string} [options.prefix='KK']
+         * @returns {Promise<string>} - The new code.
+         */
+        async mint(details, { prefix = 'KK' } = {}) {
+            for (let attempt = 1; attempt <= MINT_ATTEMPTS; attempt++) {
+                try {
+                    return await codes.create(generateCode(prefix), details);
+                } catch (error) {
+                    if (error.message !== 'CODE_EXISTS') throw error;
+                }
+            }
+            throw new Error('CODE_EXISTS');
+        },
+
+        /**
+         * Mint several randomly named codes with the same details.
+         * @param {number} count
+         * @param {object} details - Same as create().
+         * @param {object} [options]
+         * @param {string} [options.prefix='KK']
+         * @returns {Promise<Array<object>>} - The new codes ({ code, ...data }), in mint order.
+         */
+        async mintMany(count, details, { prefix = 'KK' } = {}) {
+            const minted = [];
+            for (let i = 0; i < count; i++) {
+                minted.push(await codes.get(await codes.mint(details, { prefix })));
+            }
+            return minted;
+        },
+
+        /**
+         * @param {object} [options]
+         * @param {boolean} [options.includeInactive=false] - Include deactivated, expired and used-up codes.
+         * @param {number} [options.nowMs=Date.now()]
+         * @returns {Promise<Array<object>>} - Codes ({ code, ...data }), newest first.
+         */
+        async list({ includeInactive = false, nowMs = Date.now() } = {}) {
+            const all = await store.query('redemptionCodes', {});
+            return all
+                .map(({ id, ...data }) => ({ code: id, ...data }))
+                .filter(codeData => includeInactive || isCodeLive(codeData, nowMs))
+                .sort((a, b) => (b.createdAt?.toMillis?.() || 0) - (a.createdAt?.toMillis?.() || 0));
+        },
+
+        /**
+         * Kill a code so it can't be redeemed again. Past redemptions stand.
+         * @param {string} code - Redemption code (uppercase).
+         * @param {string} actorId - Slack ID of the admin.
+         * @throws {Error} CODE_NOT_FOUND or CODE_DEACTIVATED (already).
+         */
+        async deactivate(code, actorId) {
+            await store.runTransaction(async (tx) => {
+                const data = await tx.get('redemptionCodes', code);
+                if (!data) throw new Error('CODE_NOT_FOUND');
+                if (data.deactivatedAt) throw new Error('CODE_DEACTIVATED');
+                tx.update('redemptionCodes', code, { deactivatedAt: tx.timestamp(), deactivatedBy: actorId, updatedAt: tx.timestamp() });
+            });
+            logger.info(`[codes.deactivate] ${actorId} deactivated ${code}.`);
+        },
+
+        /**
+         * Burn a code for a player: award its karma, record the redeemer and the ledger entry in one transaction.
+         * If the code belongs to a campaign, the campaign's window, budget and per-player limit are checked and
+         * its totals updated in the same transaction. Creates the player if they've never used the app.
+         * @param {string} code - Redemption code (uppercase).
+         * @param {object} redeemer
+         * @param {string} redeemer.playerId - Slack User ID.
+         * @param {string|null} [redeemer.playerName=null] - Real name, for the redeemers list and a new player.
+         * @param {Date} [redeemer.now=new Date()]
+         * @returns {Promise<{karmaValue: number, karmaAfter: number, unlockedAchievements: Array<string>}>} - unlockedAchievements
+         *   are badge ids the redemption just unlocked (see lib/achievements.js).
+         * @throws {Error} A checkRedemption code (CODE_NOT_FOUND, CODE_DEACTIVATED, CODE_NOT_ACTIVE, CODE_EXPIRED, CODE_EXHAUSTED, CODE_ALREADY_REDEEMED)
+         *   or a checkCampaign code (CAMPAIGN_*).
+         */
+        async redeem(code, { playerId, playerName = null, now = new Date() }) {
+            const outcome = await store.runTransaction(async (tx) => {
+                const [codeData, playerData] = await Promise.all([
+                    tx.get('redemptionCodes', code),
+                    tx.get('players', playerId)
+                ]);
+                checkRedemption(codeData, playerId, now.getTime());
+                const karmaValue = Number(codeData.karmaValue) || 0;
+                const campaignData = codeData.campaignId ? await tx.get(CAMPAIGNS_COLLECTION, codeData.campaignId) : null;
+                if (codeData.campaignId) checkCampaign(campaignData, playerId, karmaValue, now.getTime());
+
+                const redeemedAt = Timestamp.fromDate(now);
+                const karmaAfter = Number(playerData?.karma ?? 0) + karmaValue;
+                const achievements = applyAchievementEvents(
+                    { ...(playerData || newPlayerData(playerId, playerName || 'Unknown User')), karma: karmaAfter },
+                    [{ type: 'redemption', code, at: now }]
+                );
+                if (playerData) {
+                    tx.update('players', playerId, { karma: karmaAfter, ...achievements.fields, updatedAt: redeemedAt });
+                } else {
+                    logger.info(`[codes.redeem] Player ${playerId} not found, creating them with the redemption.`);
+                    tx.set('players', playerId, { ...newPlayerData(playerId, playerName || 'Unknown User'), karma: karmaAfter, ...achievements.fields, createdAt: redeemedAt, updatedAt: redeemedAt });
+                }
+                tx.update('redemptionCodes', code, {
+                    redeemedCount: (codeData.redeemedCount || 0) + 1,
+                    redeemers: [...(codeData.redeemers || []), { userId: playerId, name: playerName, timestamp: redeemedAt }],
+                    updatedAt: redeemedAt
+                });
+                if (campaignData) {
+                    tx.update(CAMPAIGNS_COLLECTION, codeData.campaignId, {
+                        karmaRedeemed: (campaignData.karmaRedeemed || 0) + karmaValue,
+                        redemptionCount: (campaignData.redemptionCount || 0) + 1,
+                        redeemerCounts: { ...campaignData.redeemerCounts, [playerId]: (campaignData.redeemerCounts?.[playerId] || 0) + 1 },
+                        updatedAt: redeemedAt
+                    });
+                }
+                recordLedgerEntry(tx, {
+                    playerId,
+                    reason: LEDGER_REASONS.CODE_REDEEMED,
+                    code,
+                    karmaDelta: karmaValue,
+                    karmaAfter
+                });
+                return { karmaValue, karmaAfter, unlockedAchievements: achievements.unlocked };
+            });
+            logger.info(`[codes.redeem] ${playerId} redeemed ${code} for ${outcome.karmaValue}. Balance: ${outcome.karmaAfter}.`);
+            return outcome;
+        }
+    };
+
+    const campaigns = {
+        /**
+         * @param {string} campaignId - Campaign ID (uppercase slug).
+         * @returns {Promise<object|null>} - Campaign ({ id, ...data }) or null.
+         */
+        async get(campaignId) {
+            const data = await store.get(CAMPAIGNS_COLLECTION, campaignId);
+            return data ? { id: campaignId, ...data } : null;
+        },
+
+        /**
+         * Start a campaign. Codes join it with codes.create(code, { campaignId, ... }).
+         * @param {string} campaignId - Campaign ID (uppercase slug).
+         * @param {object} details
+         * @param {string} details.name - Display name, e.g. 'Onboarding week'.
+         * @param {number|null} [details.budget=null] - Total karma its codes can pay out; null = no cap.
+         * @param {number|null} [details.perUserLimit=null] - Redemptions per player across all its codes; null = no cap.
+         * @param {Date|null} [details.startsAt=null] - No redemptions before this.
+         * @param {Date|null} [details.endsAt=null] - No redemptions after this.
+         * @param {string} details.createdBy - Slack ID of the admin.
+         * @returns {Promise<string>} - The campaign ID.
+         * @throws {Error} CAMPAIGN_EXISTS
+         */
+        async create(campaignId, { name, budget = null, perUserLimit = null, startsAt = null, endsAt = null, createdBy }) {
+            try {
+                await store.create(CAMPAIGNS_COLLECTION, campaignId, {
+                    name,
+                    budget,
+                    perUserLimit,
+                    startsAt: startsAt ? Timestamp.fromDate(startsAt) : null,
+                    endsAt: endsAt ? Timestamp.fromDate(endsAt) : null,
+                    karmaRedeemed: 0,
+                    redemptionCount: 0,
+                    redeemerCounts: {},
+                    createdBy,
+                    createdAt: store.timestamp(),
+                    updatedAt: store.timestamp()
+                });
+            } catch (error) {
+                if (error.code === ALREADY_EXISTS) throw new Error('CAMPAIGN_EXISTS');
+                throw error;
+            }
+            logger.info(`[campaigns.create] ${createdBy} started campaign ${campaignId} (budget ${budget ?? 'none'}).`);
+            return campaignId;
+        },
+
+        /**
+         * @returns {Promise<Array<object>>} - Every campaign ({ id, ...data }), newest first.
+         */
+        async list() {
+            return store.query(CAMPAIGNS_COLLECTION, { orderBy: ['createdAt', 'desc'] });
+        },
+
+        /**
+         * Every redemption of a campaign's codes, read from each code's redeemers list.
+         * @param {string} campaignId - Campaign ID.
+         * @returns {Promise<{campaign: object, codeCount: number, redemptions: Array<object>}>} - Redemptions
+         *   ({ code, userId, name, karmaValue, timestamp }) oldest first.
+         * @throws {Error} CAMPAIGN_NOT_FOUND
+         */
+        async report(campaignId) {
+            const campaign = await campaigns.get(campaignId);
+            if (!campaign) throw new Error('CAMPAIGN_NOT_FOUND');
+            const campaignCodes = await store.query('redemptionCodes', { where: [['campaignId', '==', campaignId]] });
+            const redemptions = campaignCodes
+                .flatMap(({ id, karmaValue, redeemers = [] }) => redeemers.map(redeemer => ({
+                    code: id,
+                    karmaValue: Number(karmaValue) || 0,
+                    ...redeemer
+                })))
+                .sort((a, b) => (a.timestamp?.toMillis?.() || 0) - (b.timestamp?.toMillis?.() || 0));
+            return { campaign, codeCount: campaignCodes.length, redemptions };
+        }
+    };
+
+    const seasons = {
+        /**
+         * @param {string} seasonId - e.g. '2025-01'.
+         * @returns {Promise<object|null>} - Archived season ({ id, standings, closedAt, announcedAt }) or null if not closed yet.
+         */
+        async get(seasonId) {
+            const data = await store.get(SEASONS_COLLECTION, seasonId);
+            return data ? { id: seasonId, ...data } : null;
+        },
+
+        /**
+         * Freeze a finished season's final standings. Safe to call more than once: the first archive wins.
+         * Reads players still on the season and players who've since moved on (lastSeasonId).
+         * @param {string} seasonId - e.g. '2025-01'. Must be over, or late rep gains won't be counted.
+         * @param {number} [limit=10] - Players to keep.
+         * @returns {Promise<object>} - Archived season; standings are [{ rank, playerId, name, seasonReputation, reputation, title }].
+         */
+        async close(seasonId, limit = 10) {
+            const [stayed, movedOn] = await Promise.all([
+                store.query('players', { where: [['seasonId', '==', seasonId]], orderBy: ['seasonReputation', 'desc'], limit }),
+                store.query('players', { where: [['lastSeasonId', '==', seasonId]], orderBy: ['lastSeasonReputation', 'desc'], limit })
+            ]);
+            const standings = [
+                ...stayed.map(data => ({ data, seasonReputation: Number(data.seasonReputation) || 0 })),
+                ...movedOn.map(data => ({ data, seasonReputation: Number(data.lastSeasonReputation) || 0 }))
+            ]
+                .filter(({ seasonReputation }) => seasonReputation > 0)
+                .sort((a, b) => b.seasonReputation - a.seasonReputation)
+                .slice(0, limit)
+                .map(({ data, seasonReputation }, index) => ({
+                    rank: index + 1,
+                    playerId: data.id,
+                    name: data.name || null,
+                    seasonReputation,
+                    reputation: Number(data.reputation) || 0,
+                    title: getPlayerTitle(Number(data.reputation) || 0)
+                }));
+            try {
+                await store.create(SEASONS_COLLECTION, seasonId, { standings, closedAt: store.timestamp(), announcedAt: null });
+            } catch (error) {
+                if (error.code !== ALREADY_EXISTS) throw error;
+                logger.info(`[seasons.close] Season ${seasonId} was already closed.`);
+                return seasons.get(seasonId);
+            }
+            logger.info(`[seasons.close] Closed season ${seasonId} with ${standings.length} ranked players.`);
+            return seasons.get(seasonId);
+        },
+
+        /**
+         * Mark a closed season's winners as posted, unless they already were.
+         * @param {string} seasonId - e.g. '2025-01'.
+         * @returns {Promise<boolean>} - True if this call claimed the announcement.
+         */
+        async claimAnnouncement(seasonId) {
+            return store.runTransaction(async (tx) => {
+                const data = await tx.get(SEASONS_COLLECTION, seasonId);
+                if (!data || data.announcedAt) return false;
+                tx.update(SEASONS_COLLECTION, seasonId, { announcedAt: tx.timestamp() });
+                return true;
+            });
+        }
+    };
+
+    const bonusEvents = {
+        /**
+         * @param {string} eventId - Event ID (uppercase slug).
+         * @returns {Promise<object|null>} - Event ({ id, ...data }) or null.
+         */
+        async get(eventId) {
+            const data = await store.get(BONUS_EVENTS_COLLECTION, eventId);
+            return data ? { id: eventId, ...data } : null;
+        },
+
+        /**
+         * Schedule a happy hour: its bonus table replaces the standing one between startsAt and endsAt.
+         * @param {string} eventId - Event ID (uppercase slug).
+         * @param {object} details
+         * @param {string} details.name - Display name, e.g. 'Rainy Friday'.
+         * @param {Array<{multiplier: number, chance: number}>} details.table - Bonus table (see lib/bonus-events.js).
+         * @param {Array<string>} [details.categories=[]] - DRINK_CATEGORIES keys it applies to; empty = every drink.
+         * @param {Array<string>} [details.locations=[]] - LOCATIONS keys it applies to; empty = everywhere.
+         * @param {Date} details.startsAt
+         * @param {Date} details.endsAt
+         * @param {string} details.createdBy - Slack ID of the admin.
+         * @returns {Promise<string>} - The event ID.
+         * @throws {Error} BONUS_EVENT_EXISTS
+         */
+        async create(eventId, { name, table, categories = [], locations = [], startsAt, endsAt, createdBy }) {
+            try {
+                await store.create(BONUS_EVENTS_COLLECTION, eventId, {
+                    name,
+                    table,
+                    categories,
+                    locations,
+                    startsAt: Timestamp.fromDate(startsAt),
+                    endsAt: Timestamp.fromDate(endsAt),
+                    startAnnouncedAt: null,
+                    endAnnouncedAt: null,
+                    createdBy,
+                    createdAt: store.timestamp(),
+                    updatedAt: store.timestamp()
+                });
+            } catch (error) {
+                if (error.code === ALREADY_EXISTS) throw new Error('BONUS_EVENT_EXISTS');
+                throw error;
+            }
+            logger.info(`[bonusEvents.create] ${createdBy} scheduled bonus event ${eventId} (${startsAt.toISOString()} -> ${endsAt.toISOString()}).`);
+            return eventId;
+        },
+
+        /**
+         * @param {number} [limit=20]
+         * @returns {Promise<Array<object>>} - Events ({ id, ...data }), latest start first.
+         */
+        async list(limit = 20) {
+            return store.query(BONUS_EVENTS_COLLECTION, { orderBy: ['startsAt', 'desc'], limit });
+        },
+
+        /**
+         * @param {Date} [now=new Date()]
+         * @returns {Promise<Array<object>>} - Events running right now ({ id, ...data }).
+         */
+        async listLive(now = new Date()) {
+            const unfinished = await store.query(BONUS_EVENTS_COLLECTION, { where: [['endsAt', '>', Timestamp.fromDate(now)]] });
+            return unfinished.filter(event => event.startsAt.toMillis() <= now.getTime());
+        },
+
+        /**
+         * @returns {Promise<Array<object>>} - Events whose end hasn't been announced yet ({ id, ...data }).
+         */
+        async listUnannounced() {
+            return store.query(BONUS_EVENTS_COLLECTION, { where: [['endAnnouncedAt', '==', null]] });
+        },
+
+        /**
+         * Stop an event now (or call off one that hasn't started).
+         * @param {string} eventId - Event ID.
+         * @param {string} actorId - Slack ID of the admin.
+         * @param {Date} [now=new Date()]
+         * @throws {Error} BONUS_EVENT_NOT_FOUND, BONUS_EVENT_OVER
+         */
+        async end(eventId, actorId, now = new Date()) {
+            await store.runTransaction(async (tx) => {
+                const data = await tx.get(BONUS_EVENTS_COLLECTION, eventId);
+                if (!data) throw new Error('BONUS_EVENT_NOT_FOUND');
+                if (data.endsAt.toMillis() <= now.getTime()) throw new Error('BONUS_EVENT_OVER');
+                const endsAt = Timestamp.fromDate(now);
+                tx.update(BONUS_EVENTS_COLLECTION, eventId, {
+                    endsAt,
+                    ...(data.startsAt.toMillis() > now.getTime() && { startsAt: endsAt }),
+                    endedBy: actorId,
+                    updatedAt: tx.timestamp()
+                });
+            });
+            logger.info(`[bonusEvents.end] ${actorId} ended bonus event ${eventId}.`);
+        },
+
+        /**
+         * Mark an event's start or end banner as posted, unless it already was.
+         * @param {string} eventId - Event ID.
+         * @param {'start'|'end'} banner
+         * @returns {Promise<boolean>} - True if this call claimed the banner.
+         */
+        async claimBanner(eventId, banner) {
+            const field = banner === 'start' ? 'startAnnouncedAt' : 'endAnnouncedAt';
+            return store.runTransaction(async (tx) => {
+                const data = await tx.get(BONUS_EVENTS_COLLECTION, eventId);
+                if (!data || data[field]) return false;
+                tx.update(BONUS_EVENTS_COLLECTION, eventId, { [field]: tx.timestamp() });
+                return true;
+            });
+        }
+    };
+
+    const standingOrders = {
+        /**
+         * @param {object} standingOrderData - Owner, drink, location, days and time.
+         * @returns {Promise<string>} - Standing order document ID.
+         */
+        async create(standingOrderData) {
+            const id = await store.create('standingOrders', null, {
+                paused: false,
+                lastRunDate: null,
+                ...standingOrderData,
+                createdAt: store.timestamp(),
+                updatedAt: store.timestamp()
+            });
+            logger.info(`[standingOrders.create] Created standing order ${id} for ${standingOrderData.ownerId}.`);
+            return id;
+        },
+
+        /**
+         * @param {string} ownerId - Slack User ID of the owner.
+         * @returns {Promise<Array<object>>} - Standing orders, oldest first.
+         */
+        async listForOwner(ownerId) {
+            return store.query('standingOrders', { where: [['ownerId', '==', ownerId]], orderBy: ['createdAt', 'asc'] });
+        },
+
+        /**
+         * @returns {Promise<Array<object>>} - Every standing order that isn't paused.
+         */
+        async listActive() {
+            return store.query('standingOrders', { where: [['paused', '==', false]] });
+        },
+
+        async update(standingOrderId, fields) {
+            await store.update('standingOrders', standingOrderId, { ...fields, updatedAt: store.timestamp() });
+        },
+
+        async delete(standingOrderId) {
+            await store.delete('standingOrders', standingOrderId);
+            logger.info(`[standingOrders.delete] Deleted standing order ${standingOrderId}.`);
+        },
+
+        /**
+         * Mark a standing order as run for an office date, unless it already ran that day or was paused.
+         * @param {string} standingOrderId - Standing order document ID.
+         * @param {string} runDate - Office date (YYYY-MM-DD).
+         * @returns {Promise<boolean>} - True if this call claimed the run.
+         */
+        async claimRun(standingOrderId, runDate) {
+            return store.runTransaction(async (tx) => {
+                const data = await tx.get('standingOrders', standingOrderId);
+                if (!data || data.paused || data.lastRunDate === runDate) return false;
+                tx.update('standingOrders', standingOrderId, { lastRunDate: runDate, lastRunAt: tx.timestamp() });
+                return true;
+            });
+        }
+    };
+
+    // One doc per /kkadmin action, whatever its outcome
+    const audit = {
+        /**
+         * @param {object} entry
+         * @param {string} entry.adminId - Slack ID of who ran it.
+         * @param {string} entry.action - Subcommand (grant, deduct, refund, expire, deliver, reopen, reset...).
+         * @param {string} entry.outcome - 'ok', 'rejected' (with the error code in `error`) or 'denied' (not an admin).
+         * @param {string|null} [entry.targetId] - Player affected, if any.
+         * @param {string|null} [entry.orderId] - Order affected, if any.
+         * @param {number|null} [entry.amount] - Karma moved, if any.
+         * @param {string|null} [entry.note] - Reason given by the admin.
+         * @param {string|null} [entry.error] - Rejection code.
+         * @param {string} [entry.commandText] - The raw command text.
+         * @param {object|null} [entry.details] - Anything else worth keeping (e.g. the codes minted).
+         * @returns {Promise<string>} - Audit entry ID.
+         */
+        async record({ adminId, action, outcome, targetId = null, orderId = null, amount = null, note = null, error = null, commandText = '', details = null }) {
+            return store.create(AUDIT_COLLECTION, null, {
+                adminId, action, outcome, targetId, orderId, amount, note, error, commandText, details,
+                createdAt: store.timestamp()
+            });
+        },
+
+        /**
+         * @param {number} [limit=10]
+         * @returns {Promise<Array<object>>} - Audit entries, newest first.
+         */
+        async listRecent(limit = 10) {
+            return store.query(AUDIT_COLLECTION, { orderBy: ['createdAt', 'desc'], limit });
+        }
+    };
+
+    const config = {
+        /**
+         * @returns {Promise<object>} - The appSettings document, or {} if it hasn't been written yet.
+         */
+        async get() {
+            return (await store.get('config', 'appSettings')) || {};
+        },
+
+        /**
+         * Merge fields into the appSettings document, creating it if needed.
+         * @param {object} fields
+         */
+        async update(fields) {
+            await store.set('config', 'appSettings', { ...fields, updatedAt: store.timestamp() }, { merge: true });
+            logger.info(`[config.update] Updated app config: ${Object.keys(fields).join(', ')}.`);
+        }
+    };
+
+    const ledger = {
+        /**
+         * @param {string} playerId - Slack User ID.
+         * @param {number} [limit=20]
+         * @returns {Promise<Array>} - Ledger entries, newest first.
+         */
+        async listForPlayer(playerId, limit = 20) {
+            return store.query(LEDGER_COLLECTION, { where: [['playerId', '==', playerId]], orderBy: ['createdAt', 'desc'], limit });
+        },
+
+        /**
+         * Rebuild a player's karma and reputation by summing their full ledger.
+         * Does not write anything; compare the result with the player doc to spot drift.
+         * @param {string} playerId - Slack User ID.
+         * @returns {Promise<{karma: number, reputation: number, entries: number}>} - Totals from history.
+         */
+        async rebuildBalance(playerId) {
+            const entries = await store.query(LEDGER_COLLECTION, { where: [['playerId', '==', playerId]] });
+            const totals = entries.reduce((acc, entry) => {
+                acc.karma += Number(entry.karmaDelta ?? 0);
+                acc.reputation += Number(entry.reputationDelta ?? 0);
+                return acc;
+            }, { karma: 0, reputation: 0 });
+            logger.info(`[ledger.rebuildBalance] ${playerId}: ${entries.length} entries -> karma ${totals.karma}, rep ${totals.reputation}`);
+            return { ...totals, entries: entries.length };
+        }
+    };
+
+    return {
+        name: store.name,
+        players,
+        orders,
+        offers,
+        codes,
+        campaigns,
+        standingOrders,
+        seasons,
+        bonusEvents,
+        config,
+        ledger,
+        audit,
+
+        /**
+         * Run fn(tx) as one transaction on the underlying store (see the store interface above).
+         * For multi-document changes like order transitions; prefer the methods above otherwise.
+         * @param {function(object): Promise<any>} fn
+         * @returns {Promise<any>} - Whatever fn returns.
+         */
+        runTransaction(fn) {
+            return store.runTransaction(fn);
+        }
+    };
+}
@@ -0,0 +1,90 @@
+/**
+ * Firestore repository
+ * The production store: every call goes straight to Firestore through the Admin SDK.
+ */
+import { FieldValue } from 'firebase-admin/firestore';
+import { db } from '../../lib/firebase.js';
+import { createRepository } from './create-repository.js';
+
+/**
+ * Apply a query spec ({ where, orderBy, limit }) to a collection reference.
+ * @returns {FirebaseFirestore.Query}
+ */
+function buildQuery(collection, { where = [], orderBy = null, limit = null } = {}) {
+    let query = db.collection(collection);
+    for (const [field, op, value] of where) {
+        query = query.where(field, op, value);
+    }
+    if (orderBy) query = query.orderBy(orderBy[0], orderBy[1] || 'asc');
+    if (limit) query = query.limit(limit);
+    return query;
+}
+
+/**
+ * Create the Firestore-backed repository.
+ * @returns {object} - Repository (see create-repository.js).
+ */
+export function createFirestoreRepository() {
+    const store = {
+        name: 'firestore',
+
+        newId(collection) {
+            return db.collection(collection).doc().id;
+        },
+
+        timestamp() {
+            return FieldValue.serverTimestamp();
+        },
+
+        async get(collection, id) {
+            const doc = await db.collection(collection).doc(id).get();
+            return doc.exists ? doc.data() : null;
+        },
+
+        async query(collection, spec) {
+            const snapshot = await buildQuery(collection, spec).get();
+            return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        },
+
+        async create(collection, id, data) {
+            const ref = id ? db.collection(collection).doc(id) : db.collection(collection).doc();
+            await ref.create(data);
+            return ref.id;
+        },
+
+        async set(collection, id, data, { merge = false } = {}) {
+            await db.collection(collection).doc(id).set(data, { merge });
+        },
+
+        async update(collection, id, fields) {
+            await db.collection(collection).doc(id).update(fields);
+        },
+
+        async delete(collection, id) {
+            await db.collection(collection).doc(id).delete();
+        },
+
+        runTransaction(fn) {
+            return db.runTransaction(async (transaction) => fn({
+                timestamp: () => FieldValue.serverTimestamp(),
+                async get(collection, id) {
+                    const doc = await transaction.get(db.collection(collection).doc(id));
+                    return doc.exists ? doc.data() : null;
+                },
+                create(collection, id, data) {
+                    const ref = id ? db.collection(collection).doc(id) : db.collection(collection).doc();
+                    transaction.create(ref, data);
+                    return ref.id;
+                },
+                set(collection, id, data, { merge = false } = {}) {
+                    transaction.set(db.collection(collection).doc(id), data, { merge });
+                },
+                update(collection, id, fields) {
+                    transaction.update(db.collection(collection).doc(id), fields);
+                }
+            }));
+        }
+    };
+
+    return createRepository(store);
+}
@@ -0,0 +1,225 @@
+/**
+ * In-memory repository
+ * Keeps every collection in Maps in this process. No Firestore or emulator needed: use it for
+ * tests and quick local runs. Data is gone when the process exits.
+ *
+ * Behaves like Firestore where the handlers can tell: Dates come back as Timestamps, create()
+ * fails on an existing doc, update() fails on a missing one, and transactions retry when a doc
+ * they read was changed before they commit.
+ *
+ *   setRepository(createInMemoryRepository({ players: { U123: { name: 'Ada', karma: 5 } } }));
+ */
+import { randomUUID } from 'crypto';
+import { Timestamp } from 'firebase-admin/firestore';
+import { createRepository } from './create-repository.js';
+
+const MAX_TRANSACTION_ATTEMPTS = 5;
+
+/**
+ * Error shaped like the Firestore one (gRPC status code on `.code`).
+ */
+function storeError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+const notFound = (collection, id) => storeError(5, `NOT_FOUND: ${collection}/${id}`);
+const alreadyExists = (collection, id) => storeError(6, `ALREADY_EXISTS: ${collection}/${id}`);
+
+/**
+ * Deep copy a value the way Firestore would store it: Dates become Timestamps, undefined fields are dropped.
+ */
+function toStored(value) {
+    if (value instanceof Timestamp) return value;
+    if (value instanceof Date) return Timestamp.fromDate(value);
+    if (Array.isArray(value)) return value.filter(item => item !== undefined).map(toStored);
+    if (value && typeof value === 'object') {
+        const copy = {};
+        for (const [key, fieldValue] of Object.entries(value)) {
+            if (fieldValue !== undefined) copy[key] = toStored(fieldValue);
+        }
+        return copy;
+    }
+    return value;
+}
+
+// Comparable form of a field value: Timestamps by their millis, everything else as is
+const comparable = (value) => (value instanceof Timestamp ? value.toMillis() : value);
+
+function matches(data, [field, op, value]) {
+    const actual = comparable(data[field]);
+    const expected = Array.isArray(value) ? value.map(comparable) : comparable(value);
+    switch (op) {
+        case '==': return actual === expected;
+        case '!=': return actual !== undefined && actual !== null && actual !== expected;
+        case 'in': return expected.includes(actual);
+        case 'array-contains': return Array.isArray(data[field]) && data[field].some(item => comparable(item) === expected);
+    }
+    // Like Firestore, range filters skip docs where the field is missing or null
+    if (actual === undefined || actual === null) return false;
+    switch (op) {
+        case '<': return actual < expected;
+        case '<=': return actual <= expected;
+        case '>': return actual > expected;
+        case '>=': return actual >= expected;
+        default: throw new Error(`[in-memory repository] Unsupported query operator "${op}".`);
+    }
+}
+
+/**
+ * Create an in-memory repository.
+ * @param {object} [seed={}] - Initial data: { collectionName: { docId: fields } }.
+ * @returns {object} - Repository (see create-repository.js), plus dump(collection) for inspecting state in tests.
+ */
+export function createInMemoryRepository(seed = {}) {
+    const collections = new Map(); // collection -> Map(id -> { data, version })
+
+    function docsOf(collection) {
+        if (!collections.has(collection)) collections.set(collection, new Map());
+        return collections.get(collection);
+    }
+
+    function read(collection, id) {
+        const entry = docsOf(collection).get(id);
+        return entry ? { data: toStored(entry.data), version: entry.version } : { data: null, version: 0 };
+    }
+
+    function write(collection, id, data) {
+        const docs = docsOf(collection);
+        docs.set(id, { data: toStored(data), version: (docs.get(id)?.version || 0) + 1 });
+    }
+
+    // Apply one write ({ type, collection, id, data, merge }) now; throws like Firestore would
+    function applyWrite({ type, collection, id, data, merge }) {
+        const existing = docsOf(collection).get(id);
+        if (type === 'create' && existing) throw alreadyExists(collection, id);
+        if (type === 'update' && !existing) throw notFound(collection, id);
+        if (type === 'delete') {
+            docsOf(collection).delete(id);
+            return;
+        }
+        const base = (type === 'update' || merge) && existing ? existing.data : {};
+        write(collection, id, { ...base, ...data });
+    }
+
+    for (const [collection, docs] of Object.entries(seed)) {
+        for (const [id, data] of Object.entries(docs)) write(collection, id, data);
+    }
+
+    const store = {
+        name: 'memory',
+
+        newId() {
+            return randomUUID().replace(/-/g, '').slice(0, 20);
+        },
+
+        timestamp() {
+            return Timestamp.now();
+        },
+
+        async get(collection, id) {
+            return read(collection, id).data;
+        },
+
+        async query(collection, { where = [], orderBy = null, limit = null } = {}) {
+            let results = [...docsOf(collection).entries()]
+                .map(([id, entry]) => ({ id, ...toStored(entry.data) }))
+                .filter(doc => where.every(clause => matches(doc, clause)));
+            if (orderBy) {
+                const [field, direction = 'asc'] = orderBy;
+                const sign = direction === 'desc' ? -1 : 1;
+                // Firestore leaves out docs that don't have the orderBy field
+                results = results
+                    .filter(doc => doc[field] !== undefined)
+                    .sort((a, b) => {
+                        const left = comparable(a[field]);
+                        const right = comparable(b[field]);
+                        return left < right ? -sign : left > right ? sign : 0;
+                    });
+            }
+            return limit ? results.slice(0, limit) : results;
+        },
+
+        async create(collection, id, data) {
+            const docId = id || store.newId(collection);
+            applyWrite({ type: 'create', collection, id: docId, data });
+            return docId;
+        },
+
+        async set(collection, id, data, { merge = false } = {}) {
+            applyWrite({ type: 'set', collection, id, data, merge });
+        },
+
+        async update(collection, id, fields) {
+            applyWrite({ type: 'update', collection, id, data: fields });
+        },
+
+        async delete(collection, id) {
+            applyWrite({ type: 'delete', collection, id });
+        },
+
+        async runTransaction(fn) {
+            for (let attempt = 1; attempt <= MAX_TRANSACTION_ATTEMPTS; attempt++) {
+                const readVersions = new Map(); // 'collection/id' -> version seen
+                const writes = [];
+                const tx = {
+                    timestamp: () => Timestamp.now(),
+                    async get(collection, id) {
+                        if (writes.length) {
+                            throw new Error('[in-memory repository] Transactions must do all their reads before any writes.');
+                        }
+                        const { data, version } = read(collection, id);
+                        readVersions.set(`${collection}/${id}`, version);
+                        return data;
+                    },
+                    create(collection, id, data) {
+                        const docId = id || store.newId(collection);
+                        writes.push({ type: 'create', collection, id: docId, data });
+                        return docId;
+                    },
+                    set(collection, id, data, { merge = false } = {}) {
+                        writes.push({ type: 'set', collection, id, data, merge });
+                    },
+                    update(collection, id, fields) {
+                        writes.push({ type: 'update', collection, id, data: fields });
+                    }
+                };
+
+                const result = await fn(tx);
+
+                // Something we read changed while fn was awaiting: run it again, like Firestore's contention retry
+                const stale = [...readVersions].some(([path, version]) => {
+                    const [collection, id] = path.split('/');
+                    return (docsOf(collection).get(id)?.version || 0) !== version;
+                });
+                if (stale) continue;
+
+                // Check every write before applying any, so a failed transaction leaves nothing behind
+                const existsAfter = new Map(); // 'collection/id' -> exists once the earlier writes apply
+                for (const { type, collection, id } of writes) {
+                    const path = `${collection}/${id}`;
+                    const exists = existsAfter.has(path) ? existsAfter.get(path) : docsOf(collection).has(id);
+                    if (type === 'create' && exists) throw alreadyExists(collection, id);
+                    if (type === 'update' && !exists) throw notFound(collection, id);
+                    existsAfter.set(path, type !== 'delete');
+                }
+                writes.forEach(applyWrite);
+                return result;
+            }
+            throw storeError(10, `ABORTED: transaction retried ${MAX_TRANSACTION_ATTEMPTS} times`);
+        }
+    };
+
+    return {
+        ...createRepository(store),
+
+        /**
+         * Copy of every doc in a collection, keyed by ID.
+         * @param {string} collection
+         * @returns {object}
+         */
+        dump(collection) {
+            return Object.fromEntries([...docsOf(collection).entries()].map(([id, entry]) => [id, toStored(entry.data)]));
+        }
+    };
+}
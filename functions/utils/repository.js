@@ -0,0 +1,44 @@
+/**
+ * Repository selector for Koffee Karma
+ *
+ * Every handler reads and writes data through getRepository(), never through Firestore directly:
+ *   firestore - the Admin SDK against Firestore (default; points at the emulator when it's running)
+ *   memory    - plain Maps in this process, for tests and quick local runs
+ * Pick one with the REPOSITORY config value. See utils/repositories/create-repository.js for the API.
+ */
+import { logger } from './logger.js';
+import { getConfig } from './config.js';
+import { createFirestoreRepository } from './repositories/firestore.js';
+import { createInMemoryRepository } from './repositories/in-memory.js';
+
+const REPOSITORY_FACTORIES = {
+    'firestore': createFirestoreRepository,
+    'memory': () => createInMemoryRepository()
+};
+
+let repository = null;
+
+/**
+ * Get the active repository, creating it on first use.
+ * @returns {object} - Repository ({ players, orders, offers, codes, campaigns, standingOrders, seasons, config, ledger, audit, runTransaction }).
+ */
+export function getRepository() {
+    if (!repository) {
+        const repositoryName = getConfig('REPOSITORY') || 'firestore';
+        const factory = REPOSITORY_FACTORIES[repositoryName];
+        if (!factory) {
+            throw new Error(`Unknown REPOSITORY "${repositoryName}". Use one of: ${Object.keys(REPOSITORY_FACTORIES).join(', ')}.`);
+        }
+        repository = factory();
+        logger.info(`Repository: ${repository.name}`);
+    }
+    return repository;
+}
+
+/**
+ * Swap the repository (e.g. createInMemoryRepository() in tests). Pass null to go back to config-based selection.
+ * @param {object|null} nextRepository - Repository built by createRepository().
+ */
+export function setRepository(nextRepository) {
+    repository = nextRepository;
+}
@@ -0,0 +1,83 @@
+/**
+ * Leaderboard seasons for Koffee Karma
+ * Reputation never drops, so /leaderboard also ranks each season on its own. A season is a calendar
+ * month or quarter on the office clock, picked with the SEASON_LENGTH config value ('monthly', the
+ * default, or 'quarterly'). Season IDs look like '2025-01' (monthly) or '2025-Q1' (quarterly).
+ *
+ * Players keep their all-time `reputation` and carry `seasonReputation` for the season in `seasonId`.
+ * The season count starts over the first time a player gains rep in a new season (the old one moves to
+ * lastSeasonId/lastSeasonReputation until the season is archived), so a new season never has to touch
+ * every player.
+ */
+import { getConfig } from './config.js';
+import { getOfficeDate } from './office-clock.js';
+
+const SEASON_LENGTHS = {
+    'monthly': 1,
+    'quarterly': 3
+};
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+/**
+ * @returns {string} - 'monthly' or 'quarterly'.
+ */
+export function getSeasonLength() {
+    const length = (getConfig('SEASON_LENGTH') || 'monthly').toLowerCase();
+    return SEASON_LENGTHS[length] ? length : 'monthly';
+}
+
+/**
+ * Season a moment falls in, on the office clock.
+ * @param {Date} [date=new Date()]
+ * @param {string} [length=getSeasonLength()] - 'monthly' or 'quarterly'.
+ * @returns {string} - Season ID, e.g. '2025-01' or '2025-Q1'.
+ */
+export function getSeasonId(date = new Date(), length = getSeasonLength()) {
+    const [year, month] = getOfficeDate(date).split('-').map(Number);
+    return length === 'quarterly'
+        ? `${year}-Q${Math.ceil(month / 3)}`
+        : `${year}-${String(month).padStart(2, '0')}`;
+}
+
+/**
+ * @param {string} seasonId - e.g. '2025-01' or '2025-Q1'.
+ * @returns {string} - The season before it, in the same format.
+ */
+export function getPreviousSeasonId(seasonId) {
+    const [year, period] = seasonId.split('-');
+    if (period.startsWith('Q')) {
+        const quarter = Number(period.slice(1));
+        return quarter === 1 ? `${Number(year) - 1}-Q4` : `${year}-Q${quarter - 1}`;
+    }
+    const month = Number(period);
+    return month === 1 ? `${Number(year) - 1}-12` : `${year}-${String(month - 1).padStart(2, '0')}`;
+}
+
+/**
+ * @param {string} seasonId - e.g. '2025-01' or '2025-Q1'.
+ * @returns {string} - e.g. 'JAN 2025' or 'Q1 2025'.
+ */
+export function getSeasonLabel(seasonId) {
+    const [year, period] = seasonId.split('-');
+    return period.startsWith('Q') ? `${period} ${year}` : `${MONTH_NAMES[Number(period) - 1]} ${year}`;
+}
+
+/**
+ * Season fields for a player gaining reputation, to merge into their update.
+ * @param {object} playerData - Stored player fields (seasonId, seasonReputation).
+ * @param {number} gain - Reputation gained.
+ * @param {Date} [date=new Date()] - When it was gained.
+ * @returns {object} - { seasonId, seasonReputation } plus lastSeasonId/lastSeasonReputation on a new season.
+ */
+export function addSeasonReputation(playerData, gain, date = new Date()) {
+    const seasonId = getSeasonId(date);
+    if (playerData.seasonId === seasonId) {
+        return { seasonId, seasonReputation: (playerData.seasonReputation || 0) + gain };
+    }
+    const fields = { seasonId, seasonReputation: gain };
+    if (playerData.seasonId) {
+        fields.lastSeasonId = playerData.seasonId;
+        fields.lastSeasonReputation = playerData.seasonReputation || 0;
+    }
+    return fields;
+}
@@ -0,0 +1,38 @@
+/**
+ * Slack rate-limit helper
+ * Runs Slack Web API calls one at a time with fixed spacing, so a batch stays under a
+ * method's per-minute tier (chat.update is Tier 3, ~50/min per workspace) instead of
+ * bursting and collecting 429s.
+ */
+import { logger } from './logger.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run tasks sequentially, starting one every `spacingMs` at most.
+ * A failing task is logged and skipped; it doesn't stop the batch.
+ * @param {Array<function(): Promise<any>>} tasks - Functions that each make one Slack call.
+ * @param {object} [options]
+ * @param {number} [options.spacingMs=1200] - Minimum time between task starts.
+ * @param {string} [options.label='slack-throttle'] - Log prefix.
+ * @returns {Promise<{succeeded: number, failed: number}>}
+ */
+export async function runRateLimited(tasks, { spacingMs = 1200, label = 'slack-throttle' } = {}) {
+  let succeeded = 0;
+  let failed = 0;
+  for (let i = 0; i < tasks.length; i++) {
+    const startedAt = Date.now();
+    try {
+      await tasks[i]();
+      succeeded++;
+    } catch (error) {
+      failed++;
+      logger.error(`[${label}] Task ${i + 1}/${tasks.length} failed:`, error);
+    }
+    const elapsed = Date.now() - startedAt;
+    if (i < tasks.length - 1 && elapsed < spacingMs) {
+      await sleep(spacingMs - elapsed);
+    }
+  }
+  return { succeeded, failed };
+}
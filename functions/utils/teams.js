@@ -0,0 +1,57 @@
+/**
+ * Teams for Koffee Karma
+ * A team is a studio, practice or floor zone, derived from the LOCATIONS keys: numbered spots share
+ * a team ('redwood_1'..'redwood_4' -> 'redwood'), the 4A-4Q pods are one floor team ('floor_4'), and
+ * every other named spot is its own team. Players pick one with /team; /leaderboard teams ranks them.
+ */
+import { LOCATIONS } from './constants.js';
+
+// Spots nobody works out of
+const NON_TEAM_LOCATIONS = ['restrooms', 'elevator', 'lactation_lounge', 'av_closet', 'facilities_storage'];
+
+/**
+ * @param {string} locationKey - Key from LOCATIONS.
+ * @returns {string} - Team key.
+ */
+export function getTeamForLocation(locationKey) {
+    if (/^\d+[a-z]$/.test(locationKey)) return `floor_${locationKey.match(/^\d+/)[0]}`;
+    return locationKey.replace(/_\d+$/, '');
+}
+
+/**
+ * Every team, keyed by team key, with its display name and the locations in it.
+ * @type {Object<string, {name: string, locations: Array<string>}>}
+ */
+export const TEAMS = Object.entries(LOCATIONS)
+    .filter(([locationKey]) => !NON_TEAM_LOCATIONS.includes(locationKey))
+    .reduce((teams, [locationKey, locationName]) => {
+        const teamKey = getTeamForLocation(locationKey);
+        const name = teamKey.startsWith('floor_')
+            ? `Floor ${teamKey.slice('floor_'.length)}`
+            : locationName.replace(/ \d+$/, '');
+        teams[teamKey] = { name, locations: [...(teams[teamKey]?.locations || []), locationKey] };
+        return teams;
+    }, {});
+
+/**
+ * @param {string|null} teamKey
+ * @returns {string} - Display name, or the key itself for a team that's no longer on the map.
+ */
+export function getTeamName(teamKey) {
+    return TEAMS[teamKey]?.name || teamKey || 'No team';
+}
+
+/**
+ * Match what a player typed to a team: a team key, a team name or one of its locations.
+ * @param {string} input - e.g. 'redwood', 'Sugar Cube', '4b', 'redwood_2'.
+ * @returns {string|null} - Team key, or null if nothing matches.
+ */
+export function findTeam(input = '') {
+    const normalized = input.trim().toLowerCase().replace(/\s+/g, '_');
+    if (!normalized) return null;
+    if (TEAMS[normalized]) return normalized;
+    const byName = Object.keys(TEAMS).find(teamKey => TEAMS[teamKey].name.toLowerCase().replace(/\s+/g, '_') === normalized);
+    if (byName) return byName;
+    const byLocation = Object.keys(TEAMS).find(teamKey => TEAMS[teamKey].locations.includes(normalized));
+    return byLocation || null;
+}
@@ -0,0 +1,102 @@
+/**
+ * Cloud Scheduler timer backend
+ * Each timer is a one-off Cloud Scheduler job that publishes to a Pub/Sub topic.
+ */
+import { CloudSchedulerClient } from '@google-cloud/scheduler';
+import { logger } from '../logger.js';
+import { getConfig } from '../config.js';
+
+/**
+ * Create the Cloud Scheduler backend.
+ * @returns {object} - Timer backend ({ name, scheduleJob, deleteJob, deleteJobs }).
+ */
+export function createCloudSchedulerBackend() {
+    const schedulerClient = new CloudSchedulerClient();
+
+    // Helper to get project and location with memoization
+    let projectLocationInfo = null;
+    function getProjectLocation() {
+        if (!projectLocationInfo) {
+            const projectId = process.env.GCLOUD_PROJECT || getConfig('GCLOUD_PROJECT');
+            const location = process.env.CLOUD_FUNCTION_REGION || getConfig('CLOUD_FUNCTION_REGION') || 'us-west1'; // Default to function region or us-west1
+            if (!projectId) {
+                throw new Error('Could not determine Google Cloud Project ID.');
+            }
+            projectLocationInfo = {
+                projectId,
+                location,
+                parentPath: schedulerClient.locationPath(projectId, location)
+            };
+            logger.debug(`Scheduler using Project: ${projectId}, Location: ${location}`);
+        }
+        return projectLocationInfo;
+    }
+
+    return {
+        name: 'cloud-scheduler',
+
+        /**
+         * Create a one-time job that publishes `data` to `topicName` at `runAt`.
+         * @returns {Promise<string>} - Full job resource name.
+         */
+        async scheduleJob({ topicName, jobId, runAt, data }) {
+            const { projectId, parentPath } = getProjectLocation();
+            const job = {
+                name: `${parentPath}/jobs/${jobId}`,
+                pubsubTarget: {
+                    topicName: `projects/${projectId}/topics/${topicName}`,
+                    data: Buffer.from(JSON.stringify(data)).toString('base64'),
+                },
+                // schedule: Use scheduleTime for one-off jobs
+                scheduleTime: {
+                    seconds: Math.floor(runAt.getTime() / 1000),
+                    nanos: (runAt.getTime() % 1000) * 1e6
+                },
+                timeZone: 'Etc/UTC', // Use UTC for scheduleTime
+                attemptDeadline: { seconds: 300 } // 5 min deadline for job execution
+            };
+            const [response] = await schedulerClient.createJob({ parent: parentPath, job });
+            return response.name;
+        },
+
+        /**
+         * Delete one job by the name scheduleJob returned.
+         * @param {string} jobName - Full job resource name.
+         */
+        async deleteJob(jobName) {
+            await schedulerClient.deleteJob({ name: jobName });
+            logger.info(`Deleted job: ${jobName}`);
+        },
+
+        /**
+         * Delete every job whose short ID matches. Lists every job in the location, so prefer deleteJob.
+         * @param {function(string): boolean} matchFn - Called with the job ID (the part after /jobs/).
+         * @returns {Promise<number>} - How many jobs were deleted.
+         */
+        async deleteJobs(matchFn) {
+            const { parentPath } = getProjectLocation();
+            let deletedCount = 0;
+            const deletePromises = [];
+
+            for await (const job of schedulerClient.listJobsAsync({ parent: parentPath })) {
+                if (matchFn(job.name.split('/jobs/').pop())) {
+                    logger.debug(`Queueing deletion for job: ${job.name}`);
+                    deletePromises.push(
+                        schedulerClient.deleteJob({ name: job.name })
+                            .then(() => {
+                                logger.info(`Deleted job: ${job.name}`);
+                                deletedCount++;
+                            })
+                            .catch(deleteError => {
+                                // Log error but don't stop other deletions
+                                logger.error(`Failed to delete job ${job.name}:`, deleteError);
+                            })
+                    );
+                }
+            }
+
+            await Promise.all(deletePromises);
+            return deletedCount;
+        }
+    };
+}
@@ -0,0 +1,118 @@
+/**
+ * Cloud Tasks timer backend
+ * Each timer is a Cloud Task that POSTs to the Pub/Sub publish API at its schedule time,
+ * so the same onMessagePublished functions handle it as with Cloud Scheduler.
+ * Tasks are cheaper than scheduler jobs and aren't capped per project the same way.
+ *
+ * Config:
+ *   TIMER_TASKS_QUEUE            - Queue name (default 'koffee-karma-timers')
+ *   TIMER_TASKS_SERVICE_ACCOUNT  - Service account the task authenticates as (needs pubsub.publisher)
+ */
+import { CloudTasksClient } from '@google-cloud/tasks';
+import { logger } from '../logger.js';
+import { getConfig } from '../config.js';
+
+/**
+ * Create the Cloud Tasks backend.
+ * @returns {object} - Timer backend ({ name, scheduleJob, deleteJob, deleteJobs }).
+ */
+export function createCloudTasksBackend() {
+    const tasksClient = new CloudTasksClient();
+
+    let queueInfo = null;
+    function getQueue() {
+        if (!queueInfo) {
+            const projectId = process.env.GCLOUD_PROJECT || getConfig('GCLOUD_PROJECT');
+            const location = process.env.CLOUD_FUNCTION_REGION || getConfig('CLOUD_FUNCTION_REGION') || 'us-west1';
+            const queue = getConfig('TIMER_TASKS_QUEUE') || 'koffee-karma-timers';
+            const serviceAccountEmail = getConfig('TIMER_TASKS_SERVICE_ACCOUNT');
+            if (!projectId) {
+                throw new Error('Could not determine Google Cloud Project ID.');
+            }
+            if (!serviceAccountEmail) {
+                throw new Error('TIMER_TASKS_SERVICE_ACCOUNT is required for the cloud-tasks timer backend.');
+            }
+            queueInfo = {
+                projectId,
+                serviceAccountEmail,
+                queuePath: tasksClient.queuePath(projectId, location, queue)
+            };
+            logger.debug(`Cloud Tasks using queue: ${queueInfo.queuePath}`);
+        }
+        return queueInfo;
+    }
+
+    return {
+        name: 'cloud-tasks',
+
+        /**
+         * Create a task that publishes `data` to `topicName` at `runAt`.
+         * @returns {Promise<string>} - Full task resource name.
+         */
+        async scheduleJob({ topicName, jobId, runAt, data }) {
+            const { projectId, serviceAccountEmail, queuePath } = getQueue();
+            const publishBody = {
+                messages: [{ data: Buffer.from(JSON.stringify(data)).toString('base64') }]
+            };
+            const task = {
+                name: `${queuePath}/tasks/${jobId}`,
+                scheduleTime: {
+                    seconds: Math.floor(runAt.getTime() / 1000),
+                    nanos: (runAt.getTime() % 1000) * 1e6
+                },
+                httpRequest: {
+                    httpMethod: 'POST',
+                    url: `https://pubsub.googleapis.com/v1/projects/${projectId}/topics/${topicName}:publish`,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: Buffer.from(JSON.stringify(publishBody)).toString('base64'),
+                    oauthToken: {
+                        serviceAccountEmail,
+                        scope: 'https://www.googleapis.com/auth/pubsub'
+                    }
+                }
+            };
+            const [response] = await tasksClient.createTask({ parent: queuePath, task });
+            return response.name;
+        },
+
+        /**
+         * Delete one task by the name scheduleJob returned.
+         * @param {string} jobName - Full task resource name.
+         */
+        async deleteJob(jobName) {
+            await tasksClient.deleteTask({ name: jobName });
+            logger.info(`Deleted task: ${jobName}`);
+        },
+
+        /**
+         * Delete every pending task whose short ID matches. Lists the whole queue, so prefer deleteJob.
+         * @param {function(string): boolean} matchFn - Called with the task ID (the part after /tasks/).
+         * @returns {Promise<number>} - How many tasks were deleted.
+         */
+        async deleteJobs(matchFn) {
+            const { queuePath } = getQueue();
+            let deletedCount = 0;
+            const deletePromises = [];
+
+            for await (const task of tasksClient.listTasksAsync({ parent: queuePath })) {
+                if (matchFn(task.name.split('/tasks/').pop())) {
+                    logger.debug(`Queueing deletion for task: ${task.name}`);
+                    deletePromises.push(
+                        tasksClient.deleteTask({ name: task.name })
+                            .then(() => {
+                                logger.info(`Deleted task: ${task.name}`);
+                                deletedCount++;
+                            })
+                            .catch(deleteError => {
+                                // Already ran or already deleted; nothing to clean up
+                                logger.error(`Failed to delete task ${task.name}:`, deleteError);
+                            })
+                    );
+                }
+            }
+
+            await Promise.all(deletePromises);
+            return deletedCount;
+        }
+    };
+}
@@ -0,0 +1,89 @@
+/**
+ * In-process timer backend
+ * Timers are plain setTimeout calls that invoke a handler registered for the topic, in this
+ * process. No GCP needed: use it with the Firestore emulator on a laptop or in tests.
+ * Timers don't survive a restart, and only fire in the process that scheduled them.
+ */
+import { logger } from '../logger.js';
+
+/**
+ * Create an in-memory backend.
+ * @returns {object} - Timer backend ({ name, scheduleJob, deleteJob, deleteJobs, registerHandler, getPendingJobIds }).
+ */
+export function createInMemoryBackend() {
+    const handlers = new Map(); // topicName -> async (data) => {}
+    const pending = new Map();  // jobId -> Timeout
+
+    return {
+        name: 'memory',
+
+        /**
+         * Route a topic's messages to a local function (stands in for its onMessagePublished trigger).
+         * @param {string} topicName - Pub/Sub topic name.
+         * @param {function(object): Promise<void>} handler - Called with the message's JSON payload.
+         */
+        registerHandler(topicName, handler) {
+            handlers.set(topicName, handler);
+        },
+
+        /**
+         * Fire the topic's handler with `data` at `runAt`.
+         * @returns {Promise<string>} - The job ID.
+         */
+        async scheduleJob({ topicName, jobId, runAt, data }) {
+            // Round-trip through JSON so handlers see the same shape a Pub/Sub message would give them
+            const payload = JSON.parse(JSON.stringify(data));
+            const timeout = setTimeout(async () => {
+                pending.delete(jobId);
+                const handler = handlers.get(topicName);
+                if (!handler) {
+                    logger.warn(`[in-memory timers] No handler registered for topic ${topicName}. Dropping job ${jobId}.`);
+                    return;
+                }
+                try {
+                    await handler(payload);
+                } catch (error) {
+                    logger.error(`[in-memory timers] Handler for ${topicName} failed on job ${jobId}:`, error);
+                }
+            }, Math.max(0, runAt.getTime() - Date.now()));
+            // Don't keep a test run or script alive just for pending timers
+            timeout.unref?.();
+            pending.set(jobId, timeout);
+            return jobId;
+        },
+
+        /**
+         * Clear one pending timer.
+         * @param {string} jobId - The ID scheduleJob returned.
+         */
+        async deleteJob(jobId) {
+            clearTimeout(pending.get(jobId));
+            pending.delete(jobId);
+        },
+
+        /**
+         * Clear every pending timer whose ID matches.
+         * @param {function(string): boolean} matchFn - Called with the job ID.
+         * @returns {Promise<number>} - How many timers were cleared.
+         */
+        async deleteJobs(matchFn) {
+            let deletedCount = 0;
+            for (const [jobId, timeout] of pending) {
+                if (matchFn(jobId)) {
+                    clearTimeout(timeout);
+                    pending.delete(jobId);
+                    deletedCount++;
+                }
+            }
+            return deletedCount;
+        },
+
+        /**
+         * IDs of timers that haven't fired or been cleared yet.
+         * @returns {Array<string>}
+         */
+        getPendingJobIds() {
+            return [...pending.keys()];
+        }
+    };
+}
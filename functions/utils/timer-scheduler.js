@@ -1,75 +1,95 @@
 /**
  * Timer scheduler utility for Koffee Karma
  * 
- * Uses Google Cloud Scheduler client library to schedule Pub/Sub events.
+ * Schedules one-off Pub/Sub events through a pluggable timer backend:
+ *   cloud-scheduler - one Cloud Scheduler job per timer (default in production)
+ *   cloud-tasks     - one Cloud Task per timer, published to the same topics
+ *   memory          - in-process setTimeout; handlers registered with registerTimerHandler()
+ * Pick one with the TIMER_BACKEND config value. Under the Functions emulator it defaults to memory.
+ * Backends are loaded lazily so the GCP client libraries are only required when used.
+ *
+ * Countdowns and expiry don't use per-order jobs: the orderTimerUpdater sweep handles every
+ * live order and offer once a minute. Only one-off events (scheduled order release) live here.
  */
-import { CloudSchedulerClient } from '@google-cloud/scheduler';
 import { v4 as uuidv4 } from 'uuid';
 import { logger } from './logger.js';
-import { getConfig } from './config.js'; // Use config for project ID and location
+import { getConfig } from './config.js';
+import { createInMemoryBackend } from './timer-backends/in-memory.js';
 
-// Initialize client (only happens once)
-const schedulerClient = new CloudSchedulerClient();
+const BACKEND_FACTORIES = {
+    'cloud-scheduler': async () => (await import('./timer-backends/cloud-scheduler.js')).createCloudSchedulerBackend(),
+    'cloud-tasks': async () => (await import('./timer-backends/cloud-tasks.js')).createCloudTasksBackend(),
+    'memory': async () => inMemoryBackend
+};
+
+// Always around, so handlers can be registered before the backend is picked
+const inMemoryBackend = createInMemoryBackend();
+
+let backendPromise = null;
 
-// Helper to get project and location with memoization
-let projectLocationInfo = null;
-function getProjectLocation() {
-    if (!projectLocationInfo) {
-        const projectId = process.env.GCLOUD_PROJECT || getConfig('GCLOUD_PROJECT');
-        const location = process.env.CLOUD_FUNCTION_REGION || getConfig('CLOUD_FUNCTION_REGION') || 'us-west1'; // Default to function region or us-west1
-        if (!projectId) {
-            throw new Error('Could not determine Google Cloud Project ID.');
+/**
+ * Get the active timer backend, creating it on first use.
+ * @returns {Promise<object>} - Timer backend ({ name, scheduleJob, deleteJob, deleteJobs }).
+ */
+export async function getTimerBackend() {
+    if (!backendPromise) {
+        const defaultBackend = process.env.FUNCTIONS_EMULATOR === 'true' ? 'memory' : 'cloud-scheduler';
+        const backendName = getConfig('TIMER_BACKEND') || defaultBackend;
+        const factory = BACKEND_FACTORIES[backendName];
+        if (!factory) {
+            throw new Error(`Unknown TIMER_BACKEND "${backendName}". Use one of: ${Object.keys(BACKEND_FACTORIES).join(', ')}.`);
         }
-        projectLocationInfo = {
-            projectId,
-            location,
-            parentPath: schedulerClient.locationPath(projectId, location)
-        };
-        logger.debug(`Scheduler using Project: ${projectId}, Location: ${location}`);
+        backendPromise = factory().then(backend => {
+            logger.info(`Timer backend: ${backend.name}`);
+            return backend;
+        });
+        // Let a later call retry if the backend failed to load
+        backendPromise.catch(() => { backendPromise = null; });
     }
-    return projectLocationInfo;
+    return backendPromise;
 }
 
-// Helper to generate job names
-const generateJobName = (baseId, type, identifier) => {
-    const { projectId, location } = getProjectLocation();
-    const safeIdentifier = identifier.replace(/[^a-zA-Z0-9_-]/g, '-'); // Sanitize ID
-    // Max length 500, recommend < 100. Keep it short.
+/**
+ * Swap the timer backend (e.g. a fake in tests). Pass null to go back to config-based selection.
+ * @param {object|null} backend - Object with scheduleJob({topicName, jobId, runAt, data}), deleteJob(jobName) and deleteJobs(matchFn).
+ */
+export function setTimerBackend(backend) {
+    backendPromise = backend ? Promise.resolve(backend) : null;
+}
+
+/**
+ * Register the local handler the in-memory backend calls for a topic.
+ * Only used when TIMER_BACKEND is memory; with the GCP backends the topic's
+ * onMessagePublished function handles the message instead.
+ * @param {string} topicName - Pub/Sub topic name (e.g. 'release-scheduled-order').
+ * @param {function(object): Promise<void>} handler - Called with the message's JSON payload.
+ */
+export function registerTimerHandler(topicName, handler) {
+    inMemoryBackend.registerHandler(topicName, handler);
+}
+
+// Helper to build a job ID. Format: kk-{topic}-{sanitizedBase}-{uniqueSuffix}
+// Cancellation matches on everything before the suffix, so keep this in sync with jobPrefix().
+const jobPrefix = (topicName, baseId) => `kk-${topicName}-${baseId.replace(/[^a-zA-Z0-9_-]/g, '-')}-`;
+const generateJobId = (topicName, baseId) => {
     const uniqueSuffix = uuidv4().split('-')[0]; // Add some uniqueness
-    // Format: projects/{projectId}/locations/{location}/jobs/kk-{type}-{sanitizedIdentifier}-{uniqueSuffix}
-    return `projects/${projectId}/locations/${location}/jobs/kk-${type}-${safeIdentifier}-${uniqueSuffix}`.substring(0, 499); // Ensure max length
+    // Max length 500, recommend < 100. Keep it short.
+    return `${jobPrefix(topicName, baseId)}${uniqueSuffix}`.substring(0, 499);
 };
 
-// Helper function to schedule a one-time Pub/Sub job
+// Helper function to schedule a one-time Pub/Sub job on the active backend
 async function schedulePubSubJob(topicName, jobNameBase, delayMs, data) {
-    const { projectId, parentPath } = getProjectLocation();
-
-    const jobName = generateJobName(jobNameBase, topicName, jobNameBase);
-    const topicPath = `projects/${projectId}/topics/${topicName}`;
-    const scheduleTime = new Date(Date.now() + delayMs);
-
-    const job = {
-        name: jobName,
-        pubsubTarget: {
-            topicName: topicPath,
-            data: Buffer.from(JSON.stringify(data)).toString('base64'),
-        },
-        // schedule: Use scheduleTime for one-off jobs
-        scheduleTime: {
-            seconds: Math.floor(scheduleTime.getTime() / 1000),
-            nanos: (scheduleTime.getTime() % 1000) * 1e6
-        },
-        timeZone: 'Etc/UTC', // Use UTC for scheduleTime
-        attemptDeadline: { seconds: 300 } // 5 min deadline for job execution
-    };
+    const jobId = generateJobId(topicName, jobNameBase);
+    const runAt = new Date(Date.now() + delayMs);
 
     try {
-        logger.info(`Scheduling job ${jobName} for topic ${topicName} at ${scheduleTime.toISOString()}`);
-        const [response] = await schedulerClient.createJob({ parent: parentPath, job });
-        logger.info(`Job created: ${response.name}`);
-        return response.name; // Return the created job name
+        const backend = await getTimerBackend();
+        logger.info(`Scheduling job ${jobId} for topic ${topicName} at ${runAt.toISOString()} (${backend.name})`);
+        const jobName = await backend.scheduleJob({ topicName, jobId, runAt, data });
+        logger.info(`Job created: ${jobName}`);
+        return jobName; // Return the created job name
     } catch (error) {
-        logger.error(`Failed to create job ${jobName}:`, error);
+        logger.error(`Failed to create job ${jobId}:`, error);
         // Decide if this error should be thrown or just logged
         // For now, logging and returning null
         return null;
@@ -77,93 +97,22 @@ async function schedulePubSubJob(topicName, jobNameBase, delayMs, data) {
 }
 
 /**
- * Schedule an order timer with both regular updates and final expiration
+ * Schedule the release of a scheduled order (post to channel + charge karma) at its "deliver at" time
  * @param {string} orderId - The order ID
- * @param {number} durationMs - Duration in milliseconds
- * @param {string} messageTs - Slack message timestamp
- * @param {string} channelId - Slack channel ID
+ * @param {number} releaseAtMs - Epoch milliseconds when the order should go live
+ * @returns {Promise<string|null>} - The created job name, or null if scheduling failed
  */
-export async function scheduleOrderTimer(orderId, durationMs, messageTs, channelId) {
-    const updateInterval = 60 * 1000; // 1 minute
-    const updateCount = Math.floor(durationMs / updateInterval);
-    const jobDataBase = { orderId, messageTs, channelId };
-    const jobNameBase = `order-${orderId}`;
-    let scheduledJobNames = [];
-
-    logger.info(`Scheduling timers for order ${orderId}`);
-
-    // Schedule regular updates (every minute, excluding the final minute)
-    for (let i = 1; i < updateCount; i++) {
-        const delay = i * updateInterval;
-        const jobName = await schedulePubSubJob('update-order-timer', `${jobNameBase}-update-${i}`, delay, jobDataBase);
-        if (jobName) scheduledJobNames.push(jobName);
-    }
-
-    // Schedule expiration (at the full duration)
-    const expirationJobName = await schedulePubSubJob('expire-order', `${jobNameBase}-expire`, durationMs, { orderId });
-    if (expirationJobName) scheduledJobNames.push(expirationJobName);
-
-    logger.debug(`Scheduled jobs for order ${orderId}: ${scheduledJobNames.join(', ')}`);
+export async function scheduleOrderRelease(orderId, releaseAtMs) {
+    const delayMs = Math.max(0, releaseAtMs - Date.now());
+    logger.info(`Scheduling release for order ${orderId} in ${Math.round(delayMs / 1000)}s`);
+    return schedulePubSubJob('release-scheduled-order', `scheduled-${orderId}`, delayMs, { orderId });
 }
 
-/**
- * Schedule a runner timer with both regular updates and final expiration
- * @param {string} messageTs - Slack message timestamp (used as the offer ID)
- * @param {number} durationMs - Duration in milliseconds
- * @param {string} channelId - Slack channel ID
- */
-export async function scheduleRunnerTimer(messageTs, durationMs, channelId) {
-    const updateInterval = 60 * 1000; // 1 minute
-    const updateCount = Math.floor(durationMs / updateInterval);
-    const jobDataBase = { messageTs, channelId };
-    const jobNameBase = `runner-${messageTs}`; // Keep base simple
-    let scheduledJobNames = [];
-
-    logger.info(`Scheduling timers for runner offer ${messageTs}`);
-
-    // Schedule regular updates (every minute, excluding the final minute)
-    for (let i = 1; i < updateCount; i++) {
-        const delay = i * updateInterval;
-        const jobName = await schedulePubSubJob('update-runner-timer', `${jobNameBase}-update-${i}`, delay, jobDataBase);
-        if (jobName) scheduledJobNames.push(jobName);
-    }
-
-    // Schedule expiration
-    const expirationJobName = await schedulePubSubJob('expire-runner-offer', `${jobNameBase}-expire`, durationMs, { messageTs });
-    if (expirationJobName) scheduledJobNames.push(expirationJobName);
-
-    logger.debug(`Scheduled jobs for runner ${messageTs}: ${scheduledJobNames.join(', ')}`);
-}
-
-// Helper to delete jobs based on a filter function
-async function deleteJobsByFilter(filterFn) {
-    const { parentPath } = getProjectLocation();
+// Helper to delete jobs whose ID starts with any of the given prefixes
+async function deleteJobsByPrefix(prefixes) {
     try {
-        const request = { parent: parentPath };
-        const iterable = schedulerClient.listJobsAsync(request);
-        let deletedCount = 0;
-        const deletePromises = [];
-
-        for await (const job of iterable) {
-            if (filterFn(job.name)) {
-                logger.debug(`Queueing deletion for job: ${job.name}`);
-                // Queue deletion promises
-                deletePromises.push(
-                    schedulerClient.deleteJob({ name: job.name })
-                        .then(() => {
-                            logger.info(`Deleted job: ${job.name}`);
-                            deletedCount++;
-                        })
-                        .catch(deleteError => {
-                            // Log error but don't stop other deletions
-                            logger.error(`Failed to delete job ${job.name}:`, deleteError);
-                        })
-                );
-            }
-        }
-        
-        // Wait for all deletions to complete
-        await Promise.all(deletePromises);
+        const backend = await getTimerBackend();
+        const deletedCount = await backend.deleteJobs(jobId => prefixes.some(prefix => jobId.startsWith(prefix)));
         logger.info(`Attempted deletion for matching jobs. Successfully deleted ${deletedCount} jobs.`);
     } catch (listError) {
         logger.error('Failed to list jobs for deletion:', listError);
@@ -171,33 +120,24 @@ async function deleteJobsByFilter(filterFn) {
 }
 
 /**
- * Cancel all timers associated with an order
- * Uses job naming convention kk-{type}-{baseIdentifier}-{uniqueSuffix}
+ * Cancel the pending release job for a scheduled order
+ * Deletes by name when the job name was stored; otherwise falls back to matching the
+ * job naming convention kk-{type}-{baseIdentifier}-{uniqueSuffix}, which lists every job.
  * @param {string} orderId - The order ID
+ * @param {string|null} [jobName=null] - Job name returned by scheduleOrderRelease, if stored
  */
-export async function cancelOrderTimers(orderId) {
-    logger.info(`Cancelling timers for order ${orderId}`);
-    const baseIdentifier = `order-${orderId}`.replace(/[^a-zA-Z0-9_-]/g, '-');
-    const updatePrefix = `kk-update-order-timer-${baseIdentifier}-`;
-    const expirePrefix = `kk-expire-order-${baseIdentifier}-`;
-    await deleteJobsByFilter(jobName => 
-        jobName.includes(updatePrefix) || jobName.includes(expirePrefix)
-    );
-}
-
-/**
- * Cancel all timers associated with a runner offer
- * Uses job naming convention kk-{type}-{baseIdentifier}-{uniqueSuffix}
- * @param {string} messageTs - The Slack message timestamp (offer ID)
- */
-export async function cancelRunnerTimers(messageTs) {
-    logger.info(`Cancelling timers for runner offer ${messageTs}`);
-    const baseIdentifier = `runner-${messageTs}`.replace(/[^a-zA-Z0-9_-]/g, '-');
-    const updatePrefix = `kk-update-runner-timer-${baseIdentifier}-`;
-    const expirePrefix = `kk-expire-runner-offer-${baseIdentifier}-`;
-    await deleteJobsByFilter(jobName => 
-        jobName.includes(updatePrefix) || jobName.includes(expirePrefix)
-    );
+export async function cancelOrderRelease(orderId, jobName = null) {
+    logger.info(`Cancelling release timer for scheduled order ${orderId}`);
+    if (jobName) {
+        try {
+            const backend = await getTimerBackend();
+            await backend.deleteJob(jobName);
+            return;
+        } catch (deleteError) {
+            logger.error(`Failed to delete release job ${jobName}. Falling back to a prefix match:`, deleteError);
+        }
+    }
+    await deleteJobsByPrefix([jobPrefix('release-scheduled-order', `scheduled-${orderId}`)]);
 }
 
 // Removed module.exports 
\ No newline at end of file